@@ -0,0 +1,185 @@
+const request = require("supertest");
+const { app } = require("../app");
+const {
+  setupTestDatabase,
+  cleanupTestDatabase,
+  teardownTestDatabase,
+} = require("./setup");
+const { SocietyService } = require("../models/services");
+const IndexManager = require("../models/indexManager");
+const { DatabaseIndexes } = require("../models/schemas");
+
+// Admins by the x-test-admin header, filled in once the society exists
+const mockAdminUsers = {};
+
+jest.mock("../middleware/auth", () => ({
+  ...jest.requireActual("../middleware/auth"),
+  verifyClerkToken: (req, res, next) => {
+    req.userId = req.headers["x-test-admin"];
+    next();
+  },
+}));
+
+jest.mock("../middleware/adminAuth", () => ({
+  ...jest.requireActual("../middleware/adminAuth"),
+  verifyAdminAuth: (req, res, next) => {
+    req.adminUser = mockAdminUsers[req.headers["x-test-admin"]];
+    next();
+  },
+}));
+
+describe("Admin Maker-Checker Approvals API", () => {
+  let db;
+  let testSocietyId;
+
+  const adjustment = {
+    wing: "A",
+    flatNumber: "101",
+    amount: 5000,
+    direction: "credit",
+    reason: "Goodwill credit for water outage",
+  };
+
+  const postAdjustment = (adminId, body = adjustment) =>
+    request(app)
+      .post("/api/admin/maintenance/ledger/adjustments")
+      .set("x-test-admin", adminId)
+      .send(body);
+
+  const confirm = (adminId, approvalId) =>
+    request(app)
+      .post(`/api/admin/approvals/${approvalId}/approve`)
+      .set("x-test-admin", adminId)
+      .send({});
+
+  const adjustmentEntries = () =>
+    db.collection("maintenance_ledger").countDocuments({
+      societyId: testSocietyId,
+      entryType: "adjustment",
+    });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestDatabase();
+    const indexManager = new IndexManager(db);
+    for (const collectionName of ["pending_approvals", "maintenance_ledger"]) {
+      await indexManager.createCollectionIndexes(collectionName, DatabaseIndexes[collectionName]);
+    }
+
+    const societyResult = await new SocietyService(db).create({
+      name: "Approvals Test Society",
+      address: "1 Checker Road",
+      totalWings: 2,
+      totalFlats: 40,
+      adminUsers: [],
+      settings: {
+        maintenanceAmount: 2000,
+        maintenanceDueDate: 5,
+        allowTenantForumAccess: true,
+        approvals: { enabled: true, thresholdAmount: 1000 },
+      },
+    });
+    testSocietyId = societyResult.data._id;
+
+    ["maker", "checker", "second_checker"].forEach((name) => {
+      mockAdminUsers[name] = {
+        clerkUserId: `test_${name}`,
+        name: `Test ${name}`,
+        role: "admin",
+        societyId: testSocietyId,
+        wing: "A",
+        assignedWings: [],
+      };
+    });
+  });
+
+  afterAll(async () => {
+    await cleanupTestDatabase();
+    await teardownTestDatabase();
+  });
+
+  describe("holding actions above the threshold", () => {
+    it("should post an adjustment at or below the threshold straight away", async () => {
+      const response = await postAdjustment("maker", { ...adjustment, amount: 500 });
+
+      expect(response.status).toBe(201);
+      expect(await adjustmentEntries()).toBe(1);
+      expect(await db.collection("pending_approvals").countDocuments()).toBe(0);
+    });
+
+    it("should hold an adjustment above the threshold for a second admin", async () => {
+      const response = await postAdjustment("maker");
+
+      expect(response.status).toBe(202);
+      expect(response.body.data.approval).toMatchObject({
+        actionType: "ledger_adjustment",
+        status: "pending",
+        amount: 5000,
+        requestedBy: "test_maker",
+      });
+      expect(await adjustmentEntries()).toBe(0);
+    });
+
+    it("should hold concurrent submissions of the same action only once", async () => {
+      const responses = await Promise.all([postAdjustment("maker"), postAdjustment("maker")]);
+
+      expect(responses.map((response) => response.status).sort()).toEqual([202, 409]);
+      expect(await db.collection("pending_approvals").countDocuments({ status: "pending" })).toBe(1);
+    });
+  });
+
+  describe("POST /api/admin/approvals/:approvalId/approve", () => {
+    let approvalId;
+
+    beforeEach(async () => {
+      const held = await postAdjustment("maker");
+      approvalId = held.body.data.approval._id;
+    });
+
+    it("should not let the maker confirm their own action", async () => {
+      const response = await confirm("maker", approvalId);
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Another admin must confirm an action you requested");
+
+      const approval = await db.collection("pending_approvals").findOne({});
+      expect(approval.status).toBe("pending");
+      expect(await adjustmentEntries()).toBe(0);
+    });
+
+    it("should carry out the action once when a second admin confirms it", async () => {
+      const response = await confirm("checker", approvalId);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.approval).toMatchObject({ status: "approved", checkedBy: "test_checker" });
+      expect(await adjustmentEntries()).toBe(1);
+
+      const again = await confirm("second_checker", approvalId);
+      expect(again.status).toBe(400);
+      expect(again.body.message).toBe("This action is already approved");
+      expect(await adjustmentEntries()).toBe(1);
+    });
+
+    it("should carry out the action once when two admins confirm at the same time", async () => {
+      const responses = await Promise.all([
+        confirm("checker", approvalId),
+        confirm("second_checker", approvalId),
+      ]);
+
+      expect(responses.filter((response) => response.status === 200)).toHaveLength(1);
+      expect(responses.filter((response) => response.status === 400)).toHaveLength(1);
+      expect(await adjustmentEntries()).toBe(1);
+    });
+
+    it("should let the maker submit the same action again once it is decided", async () => {
+      await confirm("checker", approvalId);
+
+      const response = await postAdjustment("maker");
+      expect(response.status).toBe(202);
+      expect(await db.collection("pending_approvals").countDocuments()).toBe(2);
+    });
+  });
+});
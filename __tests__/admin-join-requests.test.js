@@ -0,0 +1,133 @@
+const request = require("supertest");
+const { ObjectId } = require("mongodb");
+const { app } = require("../app");
+const {
+  setupTestDatabase,
+  cleanupTestDatabase,
+  teardownTestDatabase,
+} = require("./setup");
+const { SocietyService, JoinRequestService } = require("../models/services");
+
+// Filled in once the society exists
+const mockAdminUser = {};
+
+jest.mock("../middleware/adminAuth", () => ({
+  ...jest.requireActual("../middleware/adminAuth"),
+  verifyAdminAuth: (req, res, next) => {
+    req.adminUser = mockAdminUser;
+    next();
+  },
+}));
+
+describe("Admin Join Requests API", () => {
+  const applicantId = "test_join_applicant";
+  let db;
+  let testSocietyId;
+  let requestId;
+
+  const approve = () =>
+    request(app).post(`/api/admin/join-requests/${requestId}/approve`).send({});
+
+  const verifyDocument = (type) =>
+    request(app).post(`/api/admin/join-requests/${requestId}/documents/${type}/verify`).send({});
+
+  const findJoinRequest = async () => {
+    const society = await db.collection("societies").findOne({ _id: testSocietyId });
+    return society.requests.find((item) => item.requestId.equals(requestId));
+  };
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestDatabase();
+
+    const societyResult = await new SocietyService(db).create({
+      name: "Join Requests Test Society",
+      address: "1 Document Street",
+      totalWings: 1,
+      totalFlats: 10,
+      adminUsers: [],
+      settings: {
+        maintenanceAmount: 2000,
+        maintenanceDueDate: 5,
+        allowTenantForumAccess: true,
+        joinRequests: { requiredDocuments: { Owner: ["ownership_proof", "id_proof"] } },
+      },
+    });
+    testSocietyId = societyResult.data._id;
+
+    Object.assign(mockAdminUser, {
+      clerkUserId: "test_join_admin",
+      name: "Test Admin",
+      role: "admin",
+      societyId: testSocietyId,
+      wing: "A",
+      assignedWings: [],
+    });
+
+    const now = new Date();
+    requestId = new ObjectId();
+    await db.collection("societies").updateOne(
+      { _id: testSocietyId },
+      {
+        $push: {
+          requests: {
+            requestId,
+            clerkUserId: applicantId,
+            requestedData: { wing: "A", flatNumber: "101", residentType: "Owner", contactNumber: "+91 9876543210" },
+            documents: [],
+            status: "pending",
+            submittedAt: now,
+            reviewedBy: null,
+            reviewedAt: null,
+            rejectionReason: null,
+            createdAt: now,
+            updatedAt: now,
+          },
+        },
+      }
+    );
+
+    const joinRequestService = new JoinRequestService(db);
+    for (const type of ["ownership_proof", "id_proof"]) {
+      await joinRequestService.addDocument(requestId.toString(), applicantId, {
+        type,
+        url: `https://example.com/${type}.pdf`,
+      });
+    }
+  });
+
+  afterAll(async () => {
+    await cleanupTestDatabase();
+    await teardownTestDatabase();
+  });
+
+  describe("POST /api/admin/join-requests/:id/approve", () => {
+    it("should refuse approval while a required document is unverified", async () => {
+      await verifyDocument("ownership_proof").expect(200);
+
+      const response = await approve();
+
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe("Required documents are not verified: id_proof (pending)");
+      expect((await findJoinRequest()).status).toBe("pending");
+      expect(await db.collection("users").countDocuments({ clerkUserId: applicantId })).toBe(0);
+    });
+
+    it("should approve once every required document is verified", async () => {
+      await verifyDocument("ownership_proof").expect(200);
+      await verifyDocument("id_proof").expect(200);
+
+      const response = await approve();
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.status).toBe("approved");
+      expect((await findJoinRequest()).status).toBe("approved");
+
+      const member = await db.collection("users").findOne({ clerkUserId: applicantId });
+      expect(member).toMatchObject({ isApproved: true, wing: "A", flatNumber: "101" });
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Integration tests for invite redemption
+ * Tests that a redemption which fails to onboard leaves nothing behind,
+ * including what onboarding wrote before it failed
+ */
+
+const { Collection } = require("mongodb");
+const {
+  setupTestDatabase,
+  cleanupTestDatabase,
+  teardownTestDatabase,
+} = require("../setup");
+const { SocietyService, InviteService, JoinRequestService } = require("../../models/services");
+
+describe("Invite Redemption Integration Tests", () => {
+  const adminId = "test_invite_admin";
+  const applicantId = "test_invite_applicant";
+  let db;
+  let inviteService;
+  let societyId;
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestDatabase();
+    inviteService = new InviteService(db);
+
+    const societyResult = await new SocietyService(db).create({
+      name: "Invite Test Society",
+      address: "1 Invite Road",
+      totalWings: 1,
+      totalFlats: 10,
+      adminUsers: [adminId],
+      settings: {
+        maintenanceAmount: 2000,
+        maintenanceDueDate: 5,
+        allowTenantForumAccess: true,
+      },
+    });
+    societyId = societyResult.data._id;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await cleanupTestDatabase();
+    await teardownTestDatabase();
+  });
+
+  const createInvite = async () => {
+    const inviteResult = await inviteService.createInvite(
+      societyId.toString(),
+      { wing: "A", flatNumber: "101", residentType: "Owner", expiresInDays: 7 },
+      adminId
+    );
+    expect(inviteResult.success).toBe(true);
+    return inviteResult.data;
+  };
+
+  describe("redeemInvite", () => {
+    it("should undo the member and unit link when adding the resident to the society fails", async () => {
+      const now = new Date();
+      const { insertedId: unitId } = await db.collection("units").insertOne({
+        societyId,
+        wing: "A",
+        flatNumber: "101",
+        status: "active",
+        occupancy: "vacant",
+        owner: null,
+        tenants: [],
+        createdAt: now,
+        updatedAt: now,
+      });
+      const invite = await createInvite();
+      expect(invite.unitId).toEqual(unitId);
+
+      // Fail the last onboarding step, after the user and unit are written
+      const updateOne = Collection.prototype.updateOne;
+      jest.spyOn(Collection.prototype, "updateOne").mockImplementation(function (filter, update, options) {
+        if (this.collectionName === "societies" && update.$addToSet?.residents) {
+          return Promise.reject(new Error("Failed to add resident"));
+        }
+        return updateOne.call(this, filter, update, options);
+      });
+
+      const result = await inviteService.redeemInvite(invite.code, { clerkUserId: applicantId });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Failed to add resident");
+      expect(await db.collection("users").findOne({ clerkUserId: applicantId })).toBeNull();
+
+      const unit = await db.collection("units").findOne({ _id: unitId });
+      expect(unit.owner).toBeNull();
+      expect(unit.occupancy).toBe("vacant");
+
+      const society = await db.collection("societies").findOne({ _id: societyId });
+      expect(society.requests || []).toHaveLength(0);
+      expect(society.residents || []).not.toContain(applicantId);
+
+      const stored = await db.collection("society_invites").findOne({ _id: invite._id });
+      expect(stored.usedCount).toBe(0);
+      expect(stored.redemptions).toHaveLength(0);
+    });
+
+    it("should remove the approved request and hand back the use when onboarding fails", async () => {
+      const created = await createInvite();
+      jest
+        .spyOn(JoinRequestService.prototype, "onboardMember")
+        .mockRejectedValue(new Error("Failed to create member"));
+
+      const result = await inviteService.redeemInvite(created.code, { clerkUserId: applicantId });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Failed to create member");
+
+      const society = await db.collection("societies").findOne({ _id: societyId });
+      expect(society.requests || []).toHaveLength(0);
+
+      const invite = await db.collection("society_invites").findOne({ _id: created._id });
+      expect(invite.usedCount).toBe(0);
+      expect(invite.redemptions).toHaveLength(0);
+    });
+  });
+});
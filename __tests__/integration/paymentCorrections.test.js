@@ -0,0 +1,163 @@
+/**
+ * Integration tests for payment reversals and refunds
+ * Tests MaintenanceService.reversePayment and refundPayment against the flat ledger
+ */
+
+const {
+  setupTestDatabase,
+  cleanupTestDatabase,
+  teardownTestDatabase,
+} = require("../setup");
+const IndexManager = require("../../models/indexManager");
+const { DatabaseIndexes } = require("../../models/schemas");
+const { SocietyService, MaintenanceService } = require("../../models/services");
+const MaintenanceLedgerService = require("../../models/services/MaintenanceLedgerService");
+
+describe("Payment Corrections Integration Tests", () => {
+  const adminId = "test_corrections_admin";
+  let db;
+  let maintenanceService;
+  let ledgerService;
+  let societyId;
+
+  // Submit a proof for a month and approve it
+  const createApprovedRecord = async (month, paidAmount, approvedForMonths = 1) => {
+    const recordResult = await maintenanceService.create({
+      societyId,
+      clerkUserId: "test_corrections_resident",
+      wing: "A",
+      flatNumber: "101",
+      residentType: "Owner",
+      month,
+      year: 2025,
+      amount: 2000,
+      dueDate: new Date("2025-01-05"),
+      paymentProof: {
+        screenshot: "https://example.com/proof.jpg",
+        uploadedAt: new Date(),
+        approvalStatus: "pending",
+      },
+    });
+
+    const approval = await maintenanceService.approvePayment(
+      recordResult.data._id.toString(),
+      adminId,
+      paidAmount,
+      approvedForMonths
+    );
+    expect(approval.success).toBe(true);
+    return approval.data;
+  };
+
+  const findMonth = (month) =>
+    db.collection("maintenance").findOne({ societyId, wing: "A", flatNumber: "101", month, year: 2025 });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestDatabase();
+    // Ledger postings are made idempotent by the sourceKey unique index
+    await new IndexManager(db).createCollectionIndexes("maintenance_ledger", DatabaseIndexes.maintenance_ledger);
+
+    maintenanceService = new MaintenanceService(db);
+    ledgerService = new MaintenanceLedgerService(db);
+
+    const societyResult = await new SocietyService(db).create({
+      name: "Corrections Test Society",
+      address: "1 Ledger Lane",
+      totalWings: 1,
+      totalFlats: 10,
+      adminUsers: [adminId],
+      settings: {
+        maintenanceAmount: 2000,
+        maintenanceDueDate: 5,
+        allowTenantForumAccess: true,
+      },
+    });
+    societyId = societyResult.data._id;
+  });
+
+  afterAll(async () => {
+    await cleanupTestDatabase();
+    await teardownTestDatabase();
+  });
+
+  describe("reversePayment", () => {
+    it("should reopen the months an advance payment covered", async () => {
+      const source = await createApprovedRecord("January", 6000, 3);
+      expect((await findMonth("February")).status).toBe("approved");
+      expect((await findMonth("March")).coveredBy.recordId).toEqual(source._id);
+
+      const result = await maintenanceService.reversePayment(source._id.toString(), {
+        reason: "Cheque bounced",
+        reversedBy: adminId,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe("pending");
+      expect(result.data.paymentProof.approvalStatus).toBe("reversed");
+      expect(result.reversal.amount).toBe(6000);
+      expect(result.reversal.reopenedRecords).toHaveLength(2);
+
+      for (const month of ["February", "March"]) {
+        const covered = await findMonth(month);
+        expect(covered.status).toBe("pending");
+        expect(covered.coveredBy).toBeUndefined();
+        expect(covered.paymentHistory[0].type).toBe("reversal");
+      }
+      expect(await ledgerService.getRecordPaidAmount(source)).toBe(0);
+    });
+
+    it("should refuse to reverse a month covered by another record's payment", async () => {
+      await createApprovedRecord("January", 6000, 3);
+      const february = await findMonth("February");
+
+      const result = await maintenanceService.reversePayment(february._id.toString(), {
+        reason: "Wrong month",
+        reversedBy: adminId,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe(
+        "This month was covered by an advance payment on another record; reverse that payment instead"
+      );
+      expect((await findMonth("February")).status).toBe("approved");
+    });
+  });
+
+  describe("refundPayment", () => {
+    it("should keep the record settled after refunding part of an overpayment", async () => {
+      const record = await createApprovedRecord("January", 2500);
+
+      const result = await maintenanceService.refundPayment(record._id.toString(), {
+        amount: 500,
+        reason: "Paid 500 too much",
+        method: "bank_transfer",
+        refundedBy: adminId,
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe("approved");
+      expect(result.refund.reopenedRecords).toHaveLength(0);
+      expect(result.data.paymentHistory[0]).toMatchObject({ type: "refund", amount: 500, status: "approved" });
+      expect(await ledgerService.getRecordPaidAmount(record)).toBe(2000);
+    });
+
+    it("should reject a refund larger than what was paid", async () => {
+      const record = await createApprovedRecord("January", 2500);
+
+      const result = await maintenanceService.refundPayment(record._id.toString(), {
+        amount: 3000,
+        reason: "Refund everything and more",
+        refundedBy: adminId,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe("Refund amount must be greater than 0 and at most 2500");
+      expect(await ledgerService.getRecordPaidAmount(record)).toBe(2500);
+      expect((await findMonth("January")).status).toBe("approved");
+    });
+  });
+});
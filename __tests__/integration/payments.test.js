@@ -0,0 +1,169 @@
+/**
+ * Integration tests for online payment endpoints
+ * Tests webhook signature checks, replayed webhooks and idempotent order creation
+ */
+
+const request = require('supertest');
+const { app } = require('../../app');
+const { setupTestDatabase, cleanupTestDatabase, teardownTestDatabase } = require('../setup');
+const { createAuthHeader, mockClerkClient } = require('../helpers/auth');
+const IndexManager = require('../../models/indexManager');
+const { DatabaseIndexes } = require('../../models/schemas');
+const { UserService, SocietyService, MaintenanceService } = require('../../models/services');
+const MaintenanceLedgerService = require('../../models/services/MaintenanceLedgerService');
+const { getProvider } = require('../../payments');
+
+// Mock Clerk client
+jest.mock('@clerk/clerk-sdk-node', () => {
+  const mockClient = mockClerkClient();
+  return {
+    clerkClient: mockClient,
+    verifyToken: jest.fn().mockImplementation(async (token) => {
+      const jwt = require('jsonwebtoken');
+      return jwt.verify(token, process.env.CLERK_SECRET_KEY || 'test-secret-key');
+    })
+  };
+});
+
+describe('Payment API Integration Tests', () => {
+  const residentId = 'test_payment_resident';
+  let db;
+  let societyId;
+  let record;
+
+  // Payment collections rely on their unique indexes to spot replays
+  const createPaymentIndexes = async () => {
+    const indexManager = new IndexManager(db);
+    for (const collectionName of ['maintenance_ledger', 'payment_orders', 'payment_webhook_events', 'payment_idempotency_keys']) {
+      await indexManager.createCollectionIndexes(collectionName, DatabaseIndexes[collectionName]);
+    }
+  };
+
+  const createOrder = (idempotencyKey) => {
+    const req = request(app)
+      .post('/api/payments/orders')
+      .set('Authorization', createAuthHeader(residentId))
+      .send({});
+    return idempotencyKey ? req.set('Idempotency-Key', idempotencyKey) : req;
+  };
+
+  const sendWebhook = (rawBody, headers) =>
+    request(app)
+      .post('/api/payments/webhooks/mock')
+      .set('Content-Type', 'application/json')
+      .set(headers)
+      .send(rawBody);
+
+  const ledgerPayments = () =>
+    db.collection('maintenance_ledger').countDocuments({ maintenanceId: record._id, entryType: 'payment' });
+
+  beforeAll(async () => {
+    db = await setupTestDatabase();
+  });
+
+  beforeEach(async () => {
+    await cleanupTestDatabase();
+    await createPaymentIndexes();
+
+    const societyResult = await new SocietyService(db).create({
+      name: 'Payment Test Society',
+      address: '1 Payment Street',
+      totalWings: 1,
+      totalFlats: 10,
+      adminUsers: [],
+      settings: {
+        maintenanceAmount: 2500,
+        maintenanceDueDate: 5,
+        allowTenantForumAccess: true
+      }
+    });
+    societyId = societyResult.data._id;
+
+    await new UserService(db).create({
+      clerkUserId: residentId,
+      societyId,
+      societyName: 'Payment Test Society',
+      wing: 'A',
+      flatNumber: '101',
+      residentType: 'Owner',
+      contactNumber: '+91 9876543210',
+      email: 'resident@test.com',
+      name: 'Test Resident',
+      registrationDate: new Date(),
+      isActive: true
+    });
+
+    const recordResult = await new MaintenanceService(db).create({
+      societyId,
+      clerkUserId: residentId,
+      wing: 'A',
+      flatNumber: '101',
+      month: 'January',
+      year: 2025,
+      billingPeriod: '2025-01',
+      amount: 2500,
+      dueDate: new Date('2025-01-05')
+    });
+    record = recordResult.data;
+    await new MaintenanceLedgerService(db).postRecordCharge(record, { createdBy: 'system' });
+  });
+
+  afterAll(async () => {
+    await cleanupTestDatabase();
+    await teardownTestDatabase();
+  });
+
+  describe('POST /api/payments/webhooks/:provider', () => {
+    it('should reject a webhook with an invalid signature', async () => {
+      const order = (await createOrder().expect(201)).body.data;
+      const { rawBody } = getProvider('mock').simulateWebhook(order, 'captured');
+
+      const response = await sendWebhook(rawBody, { 'x-mock-signature': 'forged' }).expect(401);
+
+      expect(response.body.success).toBe(false);
+      expect(response.body.message).toBe('Invalid webhook signature');
+
+      const stored = await db.collection('payment_orders').findOne({ providerOrderId: order.providerOrderId });
+      expect(stored.status).toBe('created');
+      expect(await ledgerPayments()).toBe(0);
+      expect(await db.collection('payment_webhook_events').countDocuments()).toBe(0);
+    });
+
+    it('should not post a second ledger payment for a replayed webhook', async () => {
+      const order = (await createOrder().expect(201)).body.data;
+      const { rawBody, headers } = getProvider('mock').simulateWebhook(order, 'captured');
+
+      const first = await sendWebhook(rawBody, headers).expect(200);
+      expect(first.body.data.status).toBe('processed');
+      expect(first.body.data.orderStatus).toBe('paid');
+
+      const replay = await sendWebhook(rawBody, headers).expect(200);
+      expect(replay.body.data.duplicate).toBe(true);
+
+      expect(await ledgerPayments()).toBe(1);
+      expect(await db.collection('payment_webhook_events').countDocuments()).toBe(1);
+
+      const paidRecord = await db.collection('maintenance').findOne({ _id: record._id });
+      expect(paidRecord.status).toBe('paid');
+    });
+  });
+
+  describe('POST /api/payments/orders', () => {
+    it('should return the original order when an Idempotency-Key is reused', async () => {
+      const first = await createOrder('retry-key-1').expect(201);
+      const retry = await createOrder('retry-key-1').expect(200);
+
+      expect(retry.body.message).toBe('Existing payment order returned');
+      expect(retry.body.data._id).toBe(first.body.data._id);
+      expect(retry.body.data.providerOrderId).toBe(first.body.data.providerOrderId);
+      expect(await db.collection('payment_orders').countDocuments({ clerkUserId: residentId })).toBe(1);
+    });
+
+    it('should create a new order for a different Idempotency-Key', async () => {
+      const first = await createOrder('retry-key-1').expect(201);
+      const other = await createOrder('retry-key-2').expect(201);
+
+      expect(other.body.data._id).not.toBe(first.body.data._id);
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit tests for general ledger helpers
+ */
+
+const {
+  DEFAULT_ACCOUNTS,
+  validateAccount,
+  validateJournalLines,
+  planFlatLedgerVoucher,
+  planExpenseVoucher,
+  buildTrialBalance,
+  buildAccountLedger,
+  buildBalanceSheet,
+  vouchersToCsvRows,
+  toTallyMastersXml,
+  toTallyVouchersXml,
+} = require("../../utils/accounting");
+
+const balanced = (plan) => {
+  const debit = plan.lines.reduce((sum, line) => sum + line.debit, 0);
+  const credit = plan.lines.reduce((sum, line) => sum + line.credit, 0);
+  return debit === credit && debit > 0;
+};
+
+const account = (id, code, name, type) => ({ _id: { toString: () => id }, code, name, type });
+
+describe("General ledger helpers", () => {
+  describe("DEFAULT_ACCOUNTS", () => {
+    it("should have unique codes and system keys", () => {
+      expect(new Set(DEFAULT_ACCOUNTS.map(item => item.code)).size).toBe(DEFAULT_ACCOUNTS.length);
+      expect(new Set(DEFAULT_ACCOUNTS.map(item => item.systemKey)).size).toBe(DEFAULT_ACCOUNTS.length);
+      DEFAULT_ACCOUNTS.forEach(item => expect(validateAccount(item)).toEqual([]));
+    });
+  });
+
+  describe("validateAccount", () => {
+    it("should require a code, name and known type", () => {
+      expect(validateAccount({ code: "12 34", name: " ", type: "cash" })).toEqual([
+        "code must be 1-12 letters, digits, dots or dashes",
+        "name is required",
+        "type must be one of: asset, liability, equity, income, expense",
+      ]);
+      expect(validateAccount({ name: "Sinking Fund" }, { partial: true })).toEqual([]);
+    });
+  });
+
+  describe("validateJournalLines", () => {
+    it("should accept balanced lines", () => {
+      expect(validateJournalLines([
+        { accountId: "a", debit: 1000 },
+        { accountId: "b", credit: 600 },
+        { accountId: "c", credit: 400 },
+      ])).toEqual([]);
+    });
+
+    it("should reject unbalanced or malformed lines", () => {
+      expect(validateJournalLines([{ accountId: "a", debit: 10 }])).toEqual(["lines must have at least two entries"]);
+      expect(validateJournalLines([
+        { accountId: "a", debit: 100 },
+        { accountId: "b", credit: 90 },
+      ])).toEqual(["Debits (100) must equal credits (90)"]);
+      expect(validateJournalLines([
+        { accountId: "a", debit: 100, credit: 100 },
+        { credit: 100 },
+      ])).toEqual([
+        "lines[0] must have either a debit or a credit amount",
+        "lines[1].accountId is required",
+      ]);
+    });
+  });
+
+  describe("planFlatLedgerVoucher", () => {
+    const base = { wing: "A", flatNumber: "101", amount: 2500, postedAt: new Date("2025-04-05"), description: "Maintenance for April 2025" };
+
+    it("should debit member dues and credit income for charges", () => {
+      const plan = planFlatLedgerVoucher({ ...base, entryType: "charge", category: "maintenance", direction: "debit" });
+      expect(plan.voucherType).toBe("Journal");
+      expect(plan.lines).toEqual([
+        { account: "member_receivable", wing: "A", flatNumber: "101", debit: 2500, credit: 0 },
+        { account: "maintenance_income", debit: 0, credit: 2500 },
+      ]);
+      expect(plan.narration).toBe("A-101: Maintenance for April 2025");
+    });
+
+    it("should pick the income account from the charge category", () => {
+      expect(planFlatLedgerVoucher({ ...base, entryType: "charge", category: "levy", direction: "debit" }).lines[1].account).toBe("levy_income");
+      expect(planFlatLedgerVoucher({ ...base, entryType: "charge", category: "late_fee", direction: "debit" }).lines[1].account).toBe("late_fee_income");
+      expect(planFlatLedgerVoucher({ ...base, entryType: "charge", category: "utility", direction: "debit" }).lines[1].account).toBe("utility_income");
+    });
+
+    it("should book payments as receipts and refunds as payments", () => {
+      const receipt = planFlatLedgerVoucher({ ...base, entryType: "payment", category: "online_payment", direction: "credit" });
+      expect(receipt.voucherType).toBe("Receipt");
+      expect(receipt.lines[0]).toEqual({ account: "bank", debit: 2500, credit: 0 });
+      expect(receipt.lines[1].account).toBe("member_receivable");
+
+      const refund = planFlatLedgerVoucher({ ...base, entryType: "payment", category: "refund", direction: "debit" });
+      expect(refund.voucherType).toBe("Payment");
+      expect(refund.lines[1]).toEqual({ account: "bank", debit: 0, credit: 2500 });
+    });
+
+    it("should book waivers and adjustments against member adjustments", () => {
+      const waiver = planFlatLedgerVoucher({ ...base, entryType: "adjustment", category: "late_fee_waiver", direction: "credit" });
+      expect(waiver.lines[0].account).toBe("member_adjustments");
+      expect(balanced(waiver)).toBe(true);
+    });
+  });
+
+  describe("planExpenseVoucher", () => {
+    it("should split GST into input credit and pay from the bank", () => {
+      const plan = planExpenseVoucher({
+        title: "Lift AMC",
+        amount: 11800,
+        taxAmount: 1800,
+        expenseDate: new Date("2025-05-10"),
+        paymentMode: "bank_transfer",
+        vendorName: "Otis",
+        invoiceNumber: "INV-7",
+      }, "expense-account");
+      expect(plan.voucherType).toBe("Payment");
+      expect(plan.lines).toEqual([
+        { account: "expense-account", debit: 10000, credit: 0 },
+        { account: "gst_input", debit: 1800, credit: 0 },
+        { account: "bank", debit: 0, credit: 11800 },
+      ]);
+      expect(plan.narration).toBe("Lift AMC (Otis, invoice INV-7)");
+    });
+
+    it("should pay cash expenses from cash in hand", () => {
+      const plan = planExpenseVoucher({ title: "Diwali lights", amount: 500, expenseDate: new Date(), paymentMode: "cash" }, "x");
+      expect(plan.lines).toHaveLength(2);
+      expect(plan.lines[1].account).toBe("cash");
+    });
+  });
+
+  describe("reports", () => {
+    const accounts = [
+      account("bank", "1100", "Bank Account", "asset"),
+      account("dues", "1200", "Members' Dues Receivable", "asset"),
+      account("fund", "3000", "General Fund", "equity"),
+      account("income", "4000", "Maintenance Charges", "income"),
+      account("repairs", "5000", "Repairs", "expense"),
+    ];
+    const movements = new Map([
+      ["bank", { debit: 9000, credit: 2000 }],
+      ["dues", { debit: 10000, credit: 9000 }],
+      ["fund", { debit: 0, credit: 500 }],
+      ["income", { debit: 0, credit: 10000 }],
+      ["repairs", { debit: 2000, credit: 0 }],
+    ]);
+    // Opening fund balance offsets the extra bank debit
+    movements.get("bank").debit += 500;
+
+    it("should build a balanced trial balance", () => {
+      const report = buildTrialBalance(accounts, movements);
+      expect(report.rows.map(row => [row.code, row.debit, row.credit])).toEqual([
+        ["1100", 7500, 0],
+        ["1200", 1000, 0],
+        ["3000", 0, 500],
+        ["4000", 0, 10000],
+        ["5000", 2000, 0],
+      ]);
+      expect(report.totals).toEqual({ debit: 10500, credit: 10500 });
+      expect(report.balanced).toBe(true);
+    });
+
+    it("should carry the surplus into funds on the balance sheet", () => {
+      const sheet = buildBalanceSheet(accounts, movements);
+      expect(sheet.assets.total).toBe(8500);
+      expect(sheet.surplus).toBe(8000);
+      expect(sheet.funds.total).toBe(8500);
+      expect(sheet.balanced).toBe(true);
+    });
+
+    it("should show ledger balances on the account's normal side", () => {
+      const ledger = buildAccountLedger(accounts[3], -1000, [
+        { date: new Date("2025-05-05"), debit: 0, credit: 2500 },
+        { date: new Date("2025-04-05"), debit: 0, credit: 2500 },
+      ]);
+      expect(ledger.openingBalance).toBe(1000);
+      expect(ledger.lines.map(line => line.balance)).toEqual([3500, 6000]);
+      expect(ledger.closingBalance).toBe(6000);
+    });
+  });
+
+  describe("exports", () => {
+    const voucher = {
+      voucherType: "Receipt",
+      voucherNumber: "RV-000001",
+      date: new Date("2025-04-04T20:00:00Z"),
+      narration: "A-101: Payment <UPI> & more",
+      lines: [
+        { accountCode: "1100", accountName: "Bank Account", debit: 2500, credit: 0 },
+        { accountCode: "1200", accountName: "Members' Dues Receivable", debit: 0, credit: 2500, wing: "A", flatNumber: "101" },
+      ],
+    };
+
+    it("should write one CSV row per voucher line on Indian dates", () => {
+      const rows = vouchersToCsvRows([voucher]);
+      expect(rows).toHaveLength(2);
+      expect(rows[0]).toMatchObject({ date: "2025-04-05", voucherNumber: "RV-000001", debit: 2500, credit: "" });
+      expect(rows[1].flat).toBe("A-101");
+    });
+
+    it("should write Tally vouchers with debits as negative deemed-positive amounts", () => {
+      const xml = toTallyVouchersXml([voucher], { companyName: "Green Acres CHS" });
+      expect(xml).toContain("<SVCURRENTCOMPANY>Green Acres CHS</SVCURRENTCOMPANY>");
+      expect(xml).toContain("<DATE>20250405</DATE>");
+      expect(xml).toContain("<NARRATION>A-101: Payment &lt;UPI&gt; &amp; more</NARRATION>");
+      expect(xml).toMatch(/<LEDGERNAME>Bank Account<\/LEDGERNAME>\s*<ISDEEMEDPOSITIVE>Yes<\/ISDEEMEDPOSITIVE>\s*<AMOUNT>-2500.00<\/AMOUNT>/);
+      expect(xml).toMatch(/<ISDEEMEDPOSITIVE>No<\/ISDEEMEDPOSITIVE>\s*<AMOUNT>2500.00<\/AMOUNT>/);
+    });
+
+    it("should write ledger masters under their Tally groups", () => {
+      const xml = toTallyMastersXml([
+        { name: "Bank Account", type: "asset", group: "Bank Accounts" },
+        { name: "Sinking Fund", type: "equity", group: null },
+      ]);
+      expect(xml).toContain("<PARENT>Bank Accounts</PARENT>");
+      expect(xml).toContain("<PARENT>Capital Account</PARENT>");
+      expect(xml).not.toContain("SVCURRENTCOMPANY");
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Unit tests for dues aging helpers
+ */
+
+const { daysPastDue, agingBucket, buildDefaulterReport } = require("../../utils/aging");
+
+describe("Dues aging helpers", () => {
+  const asOf = new Date("2025-06-30T12:00:00Z");
+
+  it("should count whole days past the due date", () => {
+    expect(daysPastDue(new Date("2025-06-30T00:00:00Z"), asOf)).toBe(0);
+    expect(daysPastDue(new Date("2025-05-31T00:00:00Z"), asOf)).toBe(30);
+    expect(daysPastDue(new Date("2025-07-10T00:00:00Z"), asOf)).toBeLessThan(0);
+  });
+
+  it("should place days into 0-30/31-60/61-90/90+ buckets", () => {
+    expect(agingBucket(0)).toBe("0-30");
+    expect(agingBucket(30)).toBe("0-30");
+    expect(agingBucket(31)).toBe("31-60");
+    expect(agingBucket(90)).toBe("61-90");
+    expect(agingBucket(91)).toBe("90+");
+  });
+
+  describe("buildDefaulterReport", () => {
+    const items = [
+      {
+        recordId: "a-apr", wing: "A", flatNumber: "101", month: "April", year: 2025,
+        dueDate: new Date("2025-04-10"), outstanding: 2500, status: "overdue",
+        reminders: [{ sentAt: new Date("2025-05-01"), channel: "manual", sentBy: "admin_1" }],
+      },
+      {
+        recordId: "a-jun", wing: "A", flatNumber: "101", month: "June", year: 2025,
+        dueDate: new Date("2025-06-10"), outstanding: 1000, status: "pending",
+        reminders: [{ sentAt: new Date("2025-06-20"), channel: "in_app", sentBy: "system" }],
+      },
+      {
+        recordId: "b-mar", wing: "B", flatNumber: "201", month: "March", year: 2025,
+        dueDate: new Date("2025-03-10"), outstanding: 3000, status: "overdue",
+      },
+      {
+        recordId: "b-jul", wing: "B", flatNumber: "201", month: "July", year: 2025,
+        dueDate: new Date("2025-07-10"), outstanding: 3000, status: "pending",
+      },
+      {
+        recordId: "a-paid", wing: "A", flatNumber: "102", month: "May", year: 2025,
+        dueDate: new Date("2025-05-10"), outstanding: 0, status: "approved",
+      },
+    ];
+    const report = buildDefaulterReport(items, asOf);
+
+    it("should list flats with past-due amounts, most overdue first", () => {
+      expect(report.flats.map((flat) => `${flat.wing}-${flat.flatNumber}`)).toEqual(["B-201", "A-101"]);
+    });
+
+    it("should age each unpaid month and report the oldest one", () => {
+      const flat = report.flats.find((item) => item.flatNumber === "101");
+      expect(flat.outstanding).toBe(3500);
+      expect(flat.buckets).toEqual({ "0-30": 1000, "31-60": 0, "61-90": 2500, "90+": 0 });
+      expect(flat.oldestUnpaid).toMatchObject({ month: "April", year: 2025 });
+      expect(flat.daysOverdue).toBe(81);
+    });
+
+    it("should leave out dues that are not yet due", () => {
+      const flat = report.flats.find((item) => item.flatNumber === "201");
+      expect(flat.outstanding).toBe(3000);
+      expect(flat.records).toHaveLength(1);
+      expect(flat.buckets["90+"]).toBe(3000);
+    });
+
+    it("should merge reminder history newest first", () => {
+      const flat = report.flats.find((item) => item.flatNumber === "101");
+      expect(flat.remindersSent).toBe(2);
+      expect(flat.reminderHistory.map((reminder) => reminder.month)).toEqual(["June", "April"]);
+      expect(flat.lastReminderAt).toEqual(new Date("2025-06-20"));
+    });
+
+    it("should total by wing and society", () => {
+      expect(report.wings).toEqual([
+        { wing: "A", flats: 1, outstanding: 3500, buckets: { "0-30": 1000, "31-60": 0, "61-90": 2500, "90+": 0 } },
+        { wing: "B", flats: 1, outstanding: 3000, buckets: { "0-30": 0, "31-60": 0, "61-90": 0, "90+": 3000 } },
+      ]);
+      expect(report.totals).toEqual({
+        flats: 2,
+        outstanding: 6500,
+        buckets: { "0-30": 1000, "31-60": 0, "61-90": 2500, "90+": 3000 },
+      });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for maker-checker approval helpers
+ */
+
+const {
+  validateApprovalPolicy,
+  getApprovalPolicy,
+  requiresSecondApproval,
+  checkerError,
+} = require("../../utils/approvals");
+
+describe("Approval helpers", () => {
+  describe("validateApprovalPolicy", () => {
+    it("should accept a complete policy", () => {
+      expect(validateApprovalPolicy({
+        enabled: true,
+        thresholdAmount: 25000,
+        actions: ["payment_reversal", "late_fee_waiver", "expense_approval"],
+        expiryHours: 48,
+      })).toEqual([]);
+    });
+
+    it("should flag bad values and unknown action types", () => {
+      expect(validateApprovalPolicy({
+        enabled: "yes",
+        thresholdAmount: -1,
+        actions: ["payment_reversal", "delete_everything"],
+        expiryHours: 0,
+      })).toEqual([
+        "settings.approvals.enabled must be a boolean",
+        "settings.approvals.thresholdAmount must be a non-negative number or null",
+        "settings.approvals.actions must only contain: payment_approval, payment_reversal, payment_refund, late_fee_waiver, ledger_adjustment, expense_approval",
+        "settings.approvals.expiryHours must be a positive whole number",
+      ]);
+      expect(validateApprovalPolicy([])).toEqual(["settings.approvals must be an object"]);
+    });
+  });
+
+  describe("getApprovalPolicy", () => {
+    it("should be off with no threshold by default", () => {
+      expect(getApprovalPolicy({})).toEqual({
+        enabled: false,
+        thresholdAmount: null,
+        actions: [],
+        expiryHours: 72,
+      });
+    });
+  });
+
+  describe("requiresSecondApproval", () => {
+    const policy = getApprovalPolicy({
+      approvals: { enabled: true, thresholdAmount: 10000, actions: ["payment_reversal"] },
+    });
+
+    it("should always hold listed action types", () => {
+      expect(requiresSecondApproval(policy, "payment_reversal", 10)).toBe(true);
+    });
+
+    it("should hold other actions only above the threshold", () => {
+      expect(requiresSecondApproval(policy, "payment_approval", 10000)).toBe(false);
+      expect(requiresSecondApproval(policy, "payment_approval", 10000.5)).toBe(true);
+      expect(requiresSecondApproval(policy, "expense_approval", 50000)).toBe(true);
+    });
+
+    it("should hold nothing when the policy is off or the action is unknown", () => {
+      expect(requiresSecondApproval({ ...policy, enabled: false }, "payment_reversal", 50000)).toBe(false);
+      expect(requiresSecondApproval(policy, "bulk_delete", 50000)).toBe(false);
+      expect(requiresSecondApproval({ ...policy, thresholdAmount: null }, "payment_approval", 1e9)).toBe(false);
+    });
+  });
+
+  describe("checkerError", () => {
+    const now = new Date("2025-06-01T10:00:00Z");
+    const approval = {
+      status: "pending",
+      requestedBy: "admin_a",
+      excludedCheckers: ["admin_c"],
+      expiresAt: new Date("2025-06-02T10:00:00Z"),
+    };
+
+    it("should let a different admin confirm", () => {
+      expect(checkerError(approval, "admin_b", now)).toBeNull();
+    });
+
+    it("should refuse the requester and excluded admins", () => {
+      expect(checkerError(approval, "admin_a", now)).toBe("Another admin must confirm an action you requested");
+      expect(checkerError(approval, "admin_c", now)).toBe("You were involved in this item and cannot confirm the action");
+    });
+
+    it("should refuse decided or expired approvals", () => {
+      expect(checkerError({ ...approval, status: "approved" }, "admin_b", now)).toBe("This action is already approved");
+      expect(checkerError(approval, "admin_b", new Date("2025-06-02T10:00:00Z"))).toBe("This action has expired");
+    });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Unit tests for bank statement parsing and matching
+ */
+
+const {
+  parseStatementDate,
+  parseStatement,
+  extractReferences,
+  scoreMatch,
+  matchTransactions,
+} = require("../../utils/bankStatement");
+
+describe("Bank statement helpers", () => {
+  const csv = [
+    "Account Statement,,,,,",
+    "Account No,XXXX1234,,,,",
+    "Txn Date,Narration,Chq./Ref.No.,Withdrawal Amt.,Deposit Amt.,Closing Balance",
+    '03/03/2025,"UPI/412345678901/A-101 Maintenance",,,"2,500.00","12,500.00"',
+    "04/03/2025,NEFT-N063250012345678-RAHUL SHARMA,N063250012345678,,3000.00,15500.00",
+    "05/03/2025,ATM WDL,,1000.00,,14500.00",
+  ].join("\n");
+
+  const ofx = `OFXHEADER:100
+<OFX><BANKMSGSRSV1><STMTTRNRS><STMTRS><BANKTRANLIST>
+<STMTTRN><TRNTYPE>CREDIT<DTPOSTED>20250306120000<TRNAMT>1800.00<FITID>F1<NAME>UPI 498765432109
+</STMTTRN>
+<STMTTRN><TRNTYPE>DEBIT<DTPOSTED>20250307<TRNAMT>-200.00<FITID>F2<NAME>CHARGES
+</STMTTRN>
+</BANKTRANLIST></STMTRS></STMTTRNRS></BANKMSGSRSV1></OFX>`;
+
+  describe("parseStatementDate", () => {
+    it("should parse common bank date formats", () => {
+      expect(parseStatementDate("03/03/2025").toISOString()).toBe("2025-03-03T00:00:00.000Z");
+      expect(parseStatementDate("03-Mar-25").toISOString()).toBe("2025-03-03T00:00:00.000Z");
+      expect(parseStatementDate("2025-03-03").toISOString()).toBe("2025-03-03T00:00:00.000Z");
+      expect(parseStatementDate("20250303101500[+5.5:IST]").toISOString()).toBe("2025-03-03T00:00:00.000Z");
+      expect(parseStatementDate("Opening balance")).toBeNull();
+    });
+  });
+
+  describe("parseStatement", () => {
+    it("should find the transaction table in a CSV export", () => {
+      const { format, transactions } = parseStatement(csv, "statement.csv");
+      expect(format).toBe("csv");
+      expect(transactions).toHaveLength(3);
+      expect(transactions[0]).toMatchObject({ amount: 2500, direction: "credit" });
+      expect(transactions[2]).toMatchObject({ amount: 1000, direction: "debit" });
+    });
+
+    it("should parse SGML OFX exports", () => {
+      const { format, transactions } = parseStatement(ofx, "statement.ofx");
+      expect(format).toBe("ofx");
+      expect(transactions).toHaveLength(2);
+      expect(transactions[0]).toMatchObject({ externalId: "F1", amount: 1800, direction: "credit" });
+      expect(transactions[1].direction).toBe("debit");
+    });
+  });
+
+  describe("extractReferences", () => {
+    it("should pick UTR numbers out of the narration", () => {
+      const { transactions } = parseStatement(csv, "statement.csv");
+      expect(extractReferences(transactions[0])).toContain("412345678901");
+      expect(extractReferences(transactions[1])).toContain("N063250012345678");
+    });
+  });
+
+  describe("matching", () => {
+    const { transactions } = parseStatement(csv, "statement.csv");
+    const records = [
+      {
+        _id: "r1",
+        flatNumber: "101",
+        amount: 2500,
+        paymentProof: { uploadedAt: new Date("2025-03-03T10:00:00Z") },
+      },
+      {
+        _id: "r2",
+        flatNumber: "202",
+        amount: 2800,
+        transactionId: "N063250012345678",
+        paymentProof: { claimedAmount: 3000, uploadedAt: new Date("2025-03-04T09:00:00Z") },
+      },
+      {
+        _id: "r3",
+        flatNumber: "303",
+        amount: 5000,
+        paymentProof: { uploadedAt: new Date("2025-03-01T09:00:00Z") },
+      },
+    ];
+
+    it("should need amount and date to agree when there is no reference", () => {
+      const score = scoreMatch(transactions[0], records[0]);
+      expect(score.reasons).toEqual(["amount", "date", "flat"]);
+      expect(score.confidence).toBeGreaterThanOrEqual(0.3);
+      expect(scoreMatch(transactions[0], records[2])).toBeNull();
+    });
+
+    it("should rate reference matches highest", () => {
+      const score = scoreMatch(transactions[1], records[1]);
+      expect(score.reasons).toContain("reference");
+      expect(score.confidence).toBeGreaterThanOrEqual(0.8);
+    });
+
+    it("should match unpaid records by their UPI transaction reference only", () => {
+      const credit = {
+        date: new Date("2025-03-10"),
+        amount: 2500,
+        direction: "credit",
+        description: "UPI/512345678901/OS65F1C2A9B3E4D5F6A7B8C9D0 Mar 2025",
+      };
+      const record = {
+        _id: "r4",
+        flatNumber: "404",
+        amount: 2500,
+        status: "pending",
+        upiIntent: { transactionRef: "OS65F1C2A9B3E4D5F6A7B8C9D0", amount: 2500, createdAt: new Date("2025-03-09") },
+      };
+
+      expect(scoreMatch(credit, record).reasons).toEqual(["reference", "amount", "date"]);
+      expect(scoreMatch({ ...credit, description: "UPI/512345678901/RENT" }, record)).toBeNull();
+    });
+
+    it("should pair each credit with at most one record", () => {
+      const result = matchTransactions(transactions, records);
+      expect(result.matches.map((match) => [match.transactionIndex, match.recordIndex])).toEqual([[1, 1], [0, 0]]);
+      expect(result.matches[0].level).toBe("high");
+      expect(result.unmatchedTransactions).toEqual([]);
+      expect(result.unmatchedRecords).toEqual([2]);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Unit tests for maintenance billing helpers
+ */
+
+const {
+  parseBillingPeriod,
+  addBillingPeriods,
+  toBillingPeriod,
+  resolveMaintenanceRate,
+  validateChargeHeads,
+  computeMonthlyDue,
+  computeDueDate,
+  selectBillableFlats,
+} = require("../../utils/billing");
+
+describe("Maintenance billing helpers", () => {
+  const settings = {
+    maintenanceDueDate: 10,
+    maintenance: {
+      amount: 1500,
+      rates: [
+        { fromDate: "2024-04-01", toDate: "2025-03-31", ownerAmount: 2000, tenantAmount: 2500 },
+        { fromDate: "2025-04-01", toDate: null, ownerAmount: 2200, tenantAmount: 2800 },
+      ],
+    },
+  };
+
+  describe("parseBillingPeriod", () => {
+    it("should parse a YYYY-MM period", () => {
+      const parsed = parseBillingPeriod("2025-02");
+      expect(parsed.year).toBe(2025);
+      expect(parsed.monthIndex).toBe(1);
+      expect(parsed.monthName).toBe("February");
+      expect(parsed.end.getUTCDate()).toBe(28);
+    });
+
+    it("should reject malformed periods", () => {
+      expect(() => parseBillingPeriod("2025-13")).toThrow();
+      expect(() => parseBillingPeriod("March 2025")).toThrow();
+    });
+  });
+
+  describe("addBillingPeriods", () => {
+    it("should roll over year boundaries", () => {
+      expect(addBillingPeriods("2025-11", 3)).toBe("2026-02");
+      expect(addBillingPeriods("2025-01", -1)).toBe("2024-12");
+    });
+  });
+
+  describe("toBillingPeriod", () => {
+    it("should accept month names and numbers", () => {
+      expect(toBillingPeriod("March", 2025)).toBe("2025-03");
+      expect(toBillingPeriod(11, "2024")).toBe("2024-11");
+      expect(toBillingPeriod("Smarch", 2024)).toBeNull();
+    });
+  });
+
+  describe("resolveMaintenanceRate", () => {
+    it("should pick the rate covering the period", () => {
+      expect(resolveMaintenanceRate(settings.maintenance, "2025-03").ownerAmount).toBe(2000);
+      expect(resolveMaintenanceRate(settings.maintenance, "2025-04").ownerAmount).toBe(2200);
+    });
+
+    it("should return null when no rate covers the period", () => {
+      expect(resolveMaintenanceRate(settings.maintenance, "2023-12")).toBeNull();
+    });
+  });
+
+  describe("computeMonthlyDue", () => {
+    it("should charge tenants the tenant amount", () => {
+      expect(computeMonthlyDue(settings, "Tenant", "2025-05").amount).toBe(2800);
+      expect(computeMonthlyDue(settings, "Owner", "2025-05").amount).toBe(2200);
+      expect(computeMonthlyDue(settings, "Family Member", "2025-05").amount).toBe(2200);
+    });
+
+    it("should fall back to the flat society amount", () => {
+      const due = computeMonthlyDue(settings, "Owner", "2023-12");
+      expect(due.amount).toBe(1500);
+      expect(due.rate).toBeNull();
+    });
+
+    describe("with charge heads", () => {
+      const headSettings = {
+        maintenance: {
+          rates: [
+            {
+              fromDate: "2025-04-01",
+              toDate: null,
+              chargeHeads: [
+                { name: "Service charge", type: "per_sqft", rate: 3 },
+                { name: "Sinking fund", type: "flat_type", amounts: { "1BHK": 200, "2BHK": 300 } },
+                { name: "Parking", type: "per_parking_slot", rate: 250 },
+                { name: "Non-occupancy", type: "fixed", amount: 500, appliesTo: "tenant" },
+              ],
+            },
+          ],
+        },
+      };
+      const flat = { flatType: "2BHK", area: 750, parkingSlots: 2 };
+
+      it("should add up every head that applies to the flat", () => {
+        const due = computeMonthlyDue(headSettings, "Owner", "2025-05", flat);
+        expect(due.amount).toBe(3050);
+        expect(due.missing).toEqual([]);
+        expect(due.breakdown).toEqual([
+          { name: "Service charge", type: "per_sqft", quantity: 750, rate: 3, amount: 2250 },
+          { name: "Sinking fund", type: "flat_type", flatType: "2BHK", amount: 300 },
+          { name: "Parking", type: "per_parking_slot", quantity: 2, rate: 250, amount: 500 },
+        ]);
+      });
+
+      it("should apply tenant-only heads to tenants", () => {
+        expect(computeMonthlyDue(headSettings, "Tenant", "2025-05", flat).amount).toBe(3550);
+      });
+
+      it("should not bill flats missing the details a head needs", () => {
+        const due = computeMonthlyDue(headSettings, "Owner", "2025-05", { flatType: "3BHK", area: null });
+        expect(due.amount).toBe(0);
+        expect(due.missing).toEqual([
+          "Service charge: area not configured",
+          "Sinking fund: no amount for flat type 3BHK",
+        ]);
+      });
+    });
+  });
+
+  describe("validateChargeHeads", () => {
+    it("should accept a valid set of heads", () => {
+      expect(validateChargeHeads([
+        { name: "Service charge", type: "per_sqft", rate: 3.5 },
+        { name: "Sinking fund", type: "fixed", amount: 400, appliesTo: "all" },
+      ])).toEqual([]);
+    });
+
+    it("should report unknown types and missing amounts", () => {
+      expect(validateChargeHeads([
+        { name: "Water", type: "per_litre" },
+        { name: "Parking", type: "per_parking_slot" },
+        { name: "Maintenance", type: "flat_type", amounts: {} },
+      ], "rates[0].chargeHeads")).toEqual([
+        "rates[0].chargeHeads[0].type must be one of: fixed, per_sqft, flat_type, per_parking_slot",
+        "rates[0].chargeHeads[1].rate must be a non-negative number",
+        'rates[0].chargeHeads[2].amounts must map flat types to amounts, e.g. { "2BHK": 2500 }',
+      ]);
+    });
+  });
+
+  describe("computeDueDate", () => {
+    it("should clamp the due day to the length of the month", () => {
+      expect(computeDueDate(settings, "2025-06").getUTCDate()).toBe(10);
+      expect(computeDueDate({ maintenance: { dueDate: 31 } }, "2025-02").getUTCDate()).toBe(28);
+    });
+  });
+
+  describe("selectBillableFlats", () => {
+    it("should bill one resident per flat, preferring tenants", () => {
+      const flats = selectBillableFlats([
+        { clerkUserId: "owner", wing: "A", flatNumber: "101", residentType: "Owner" },
+        { clerkUserId: "tenant", wing: "A", flatNumber: "101", residentType: "Tenant" },
+        { clerkUserId: "family", wing: "A", flatNumber: "102", residentType: "Family Member" },
+        { clerkUserId: "noflat", wing: "A", residentType: "Owner" },
+      ]);
+
+      expect(flats).toHaveLength(2);
+      expect(flats.find((f) => f.flatNumber === "101").resident.clerkUserId).toBe("tenant");
+      expect(flats.find((f) => f.flatNumber === "102").resident.clerkUserId).toBe("family");
+    });
+
+    it("should carry the flat's unitId from any linked resident", () => {
+      const flats = selectBillableFlats([
+        { clerkUserId: "owner", wing: "A", flatNumber: "101", residentType: "Owner", unitId: "unit-101" },
+        { clerkUserId: "tenant", wing: "A", flatNumber: "101", residentType: "Tenant" },
+        { clerkUserId: "family", wing: "A", flatNumber: "102", residentType: "Family Member" },
+      ]);
+
+      expect(flats.find((f) => f.flatNumber === "101")).toMatchObject({ unitId: "unit-101", resident: { clerkUserId: "tenant" } });
+      expect(flats.find((f) => f.flatNumber === "102").unitId).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Unit tests for society expense helpers
+ */
+
+const { validateExpense, validateVendor, buildProfitAndLoss } = require("../../utils/expenses");
+
+describe("Expense helpers", () => {
+  describe("validateExpense", () => {
+    const expense = {
+      title: "Lift AMC - Q1",
+      categoryId: "64b7f0c2a1b2c3d4e5f60718",
+      amount: 11800,
+      taxAmount: 1800,
+      expenseDate: "2025-04-12",
+      paymentMode: "bank_transfer",
+    };
+
+    it("should accept a complete expense", () => {
+      expect(validateExpense(expense)).toEqual([]);
+    });
+
+    it("should require the core fields", () => {
+      expect(validateExpense({})).toEqual([
+        "title is required",
+        "categoryId is required",
+        "amount must be a positive number",
+        "expenseDate must be a valid date",
+      ]);
+    });
+
+    it("should reject tax above the amount and unknown payment modes", () => {
+      expect(validateExpense({ ...expense, taxAmount: 20000, paymentMode: "barter" })).toEqual([
+        "taxAmount cannot be more than amount",
+        "paymentMode must be one of: cash, bank_transfer, cheque, upi, card, other",
+      ]);
+    });
+
+    it("should only check the fields present on a partial update", () => {
+      expect(validateExpense({ amount: 500 }, { partial: true })).toEqual([]);
+      expect(validateExpense({ amount: -5 }, { partial: true })).toEqual(["amount must be a positive number"]);
+    });
+  });
+
+  describe("validateVendor", () => {
+    it("should accept a vendor with valid GSTIN and IFSC", () => {
+      expect(validateVendor({
+        name: "SecureGuard Services",
+        phone: "+91 98765 43210",
+        email: "billing@secureguard.in",
+        gstin: "27aapfu0939f1zv",
+        bankDetails: { ifsc: "HDFC0001234" },
+      })).toEqual([]);
+    });
+
+    it("should flag malformed details", () => {
+      expect(validateVendor({ name: " ", email: "nope", gstin: "27AAPF", bankDetails: { ifsc: "HDFC1234" } })).toEqual([
+        "name is required",
+        "email must be a valid email address",
+        "gstin must be a valid 15 character GSTIN",
+        "bankDetails.ifsc must be a valid IFSC code",
+      ]);
+    });
+  });
+
+  describe("buildProfitAndLoss", () => {
+    it("should net refunds from collections and subtract expenses per month", () => {
+      const report = buildProfitAndLoss(
+        ["2025-04", "2025-05"],
+        [
+          { period: "2025-04", amount: 50000 },
+          { period: "2025-04", amount: -2000 },
+          { period: "2025-05", amount: 42000.5 },
+          { period: "2024-03", amount: 999 },
+        ],
+        [
+          { period: "2025-04", category: "Security", amount: 30000 },
+          { period: "2025-04", category: "Water", amount: 4500 },
+          { period: "2025-05", category: "Security", amount: 30000 },
+          { period: "2025-05", amount: 100 },
+        ]
+      );
+
+      expect(report.months[0]).toEqual({
+        period: "2025-04",
+        income: { collections: 50000, refunds: 2000, net: 48000 },
+        expenses: { total: 34500, byCategory: { Security: 30000, Water: 4500 } },
+        surplus: 13500,
+      });
+      expect(report.months[1].surplus).toBe(11900.5);
+      expect(report.totals).toEqual({
+        income: { collections: 92000.5, refunds: 2000, net: 90000.5 },
+        expenses: { total: 64600, byCategory: { Security: 60000, Water: 4500, Uncategorised: 100 } },
+        surplus: 25400.5,
+      });
+    });
+
+    it("should list every period even without activity", () => {
+      const report = buildProfitAndLoss(["2025-04"], [], []);
+      expect(report.months).toHaveLength(1);
+      expect(report.totals.surplus).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,39 @@
+/**
+ * Unit tests for report export helpers
+ */
+
+const ExcelJS = require("exceljs");
+const { toCsv, toXlsx } = require("../../utils/export");
+
+describe("Report export helpers", () => {
+  const columns = [
+    { key: "flat", header: "Flat" },
+    { key: "residents", header: "Residents" },
+    { key: "amount", header: "Amount" },
+  ];
+
+  it("should quote cells that need it", () => {
+    const csv = toCsv(columns, [
+      { flat: "A-101", residents: 'Rao, "Ravi"', amount: 2500 },
+      { flat: "B-201", residents: null, amount: 0 },
+    ]);
+
+    expect(csv).toBe('Flat,Residents,Amount\r\nA-101,"Rao, ""Ravi""",2500\r\nB-201,,0\r\n');
+  });
+
+  it("should stop spreadsheet formulas in text cells", () => {
+    expect(toCsv(columns, [{ flat: "=HYPERLINK(1)", residents: "", amount: -5 }])).toContain("'=HYPERLINK(1),,-5");
+  });
+
+  it("should write one worksheet per sheet", async () => {
+    const buffer = await toXlsx([
+      { name: "Defaulters", columns, rows: [{ flat: "A-101", residents: "Ravi", amount: 2500 }] },
+      { name: "Wings", columns: [{ key: "wing", header: "Wing" }], rows: [{ wing: "A" }] },
+    ]);
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    expect(workbook.worksheets.map((sheet) => sheet.name)).toEqual(["Defaulters", "Wings"]);
+    expect(workbook.getWorksheet("Defaulters").getRow(2).values.slice(1)).toEqual(["A-101", "Ravi", 2500]);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Unit tests for payment proof fingerprint helpers
+ */
+
+const { PNG } = require("pngjs");
+const jpeg = require("jpeg-js");
+const {
+  PERCEPTUAL_MATCH_THRESHOLD,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  fingerprintImage,
+  localProofFileName,
+  normalizeTransactionId,
+} = require("../../utils/imageHash");
+
+// A left-to-right gradient with a dark block, standing in for a screenshot
+const drawScreenshot = (width, height, blockX) => {
+  const data = Buffer.alloc(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const inBlock = x >= blockX * width && x < (blockX + 0.2) * width && y < height / 2;
+      const value = inBlock ? 20 : Math.round((x / width) * 200);
+      const idx = (y * width + x) * 4;
+      data[idx] = value;
+      data[idx + 1] = value;
+      data[idx + 2] = value;
+      data[idx + 3] = 255;
+    }
+  }
+  return { width, height, data };
+};
+
+const toPng = (image) => {
+  const png = new PNG({ width: image.width, height: image.height });
+  image.data.copy(png.data);
+  return PNG.sync.write(png);
+};
+
+const toJpeg = (image) => jpeg.encode(image, 70).data;
+
+describe("Payment proof fingerprint helpers", () => {
+  it("should hash identical bytes identically", () => {
+    expect(contentHash(Buffer.from("proof"))).toBe(contentHash(Buffer.from("proof")));
+    expect(contentHash(Buffer.from("proof"))).not.toBe(contentHash(Buffer.from("proof2")));
+  });
+
+  it("should count differing bits", () => {
+    expect(hammingDistance("0000000000000000", "0000000000000000")).toBe(0);
+    expect(hammingDistance("0000000000000000", "000000000000000f")).toBe(4);
+    expect(hammingDistance("ffffffffffffffff", "0000000000000000")).toBe(64);
+  });
+
+  it("should give a resized, re-encoded copy a near-identical perceptual hash", () => {
+    const png = toPng(drawScreenshot(360, 640, 0.2));
+    const copy = toJpeg(drawScreenshot(180, 320, 0.2));
+    const other = toPng(drawScreenshot(360, 640, 0.7));
+
+    const originalHash = perceptualHash(png);
+    expect(originalHash).toMatch(/^[0-9a-f]{16}$/);
+    expect(contentHash(png)).not.toBe(contentHash(copy));
+    expect(hammingDistance(originalHash, perceptualHash(copy))).toBeLessThanOrEqual(PERCEPTUAL_MATCH_THRESHOLD);
+    expect(hammingDistance(originalHash, perceptualHash(other))).toBeGreaterThan(PERCEPTUAL_MATCH_THRESHOLD);
+  });
+
+  it("should fall back to the content hash for undecodable files", () => {
+    const fingerprint = fingerprintImage(Buffer.from("not an image"));
+    expect(fingerprint.contentHash).toMatch(/^[0-9a-f]{64}$/);
+    expect(fingerprint.perceptualHash).toBeNull();
+  });
+
+  it("should find local screenshot file names", () => {
+    expect(localProofFileName("http://localhost:5000/uploads/maintenance/1700000000_proof.png")).toBe("1700000000_proof.png");
+    expect(localProofFileName("1700000000_proof.png")).toBe("1700000000_proof.png");
+    expect(localProofFileName("https://utfs.io/f/abc123")).toBeNull();
+    expect(localProofFileName(null)).toBeNull();
+  });
+
+  it("should compare transaction IDs without case or punctuation", () => {
+    expect(normalizeTransactionId(" utr-4123 4567 8901 ")).toBe("UTR412345678901");
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Unit tests for invite helpers
+ */
+
+const {
+  DEFAULT_EXPIRY_DAYS,
+  generateInviteCode,
+  normalizeInviteCode,
+  formatInviteCode,
+  validateInvite,
+  resolveInviteExpiry,
+  getInviteState,
+  buildInviteLink,
+  renderInviteQr,
+} = require("../../utils/invites");
+
+describe("Invite helpers", () => {
+  const now = new Date("2026-03-01T10:00:00Z");
+  const day = 24 * 60 * 60 * 1000;
+
+  describe("invite codes", () => {
+    it("should generate eight characters without look-alike letters and digits", () => {
+      for (let i = 0; i < 20; i++) {
+        expect(generateInviteCode()).toMatch(/^[A-HJ-NP-Z2-9]{8}$/);
+      }
+    });
+
+    it("should accept codes typed in any case with dashes or spaces", () => {
+      expect(normalizeInviteCode(" k7qm-4tzp ")).toBe("K7QM4TZP");
+      expect(formatInviteCode("k7qm 4tzp")).toBe("K7QM-4TZP");
+    });
+  });
+
+  describe("validateInvite", () => {
+    it("should accept a minimal invite", () => {
+      expect(validateInvite({ wing: "A", flatNumber: "101", residentType: "Owner" }, now)).toEqual([]);
+    });
+
+    it("should report every invalid field", () => {
+      expect(validateInvite({ wing: " ", residentType: "Guest", expiresInDays: 0, maxUses: 1.5, note: 3 }, now)).toEqual([
+        "wing is required",
+        "flatNumber is required",
+        "residentType must be one of: Owner, Tenant, Family Member, Caretaker",
+        "expiresInDays must be a whole number from 1 to 90",
+        "maxUses must be a whole number from 1 to 20",
+        "note must be a string",
+      ]);
+    });
+
+    it("should only accept expiry dates in the next 90 days", () => {
+      const base = { wing: "A", flatNumber: "101", residentType: "Tenant" };
+      expect(validateInvite({ ...base, expiresAt: "2026-02-28" }, now)).toEqual(["expiresAt must be a date in the future"]);
+      expect(validateInvite({ ...base, expiresAt: "2026-12-01" }, now)).toEqual(["expiresAt must be within 90 days"]);
+      expect(validateInvite({ ...base, expiresAt: "2026-03-15" }, now)).toEqual([]);
+    });
+  });
+
+  describe("resolveInviteExpiry", () => {
+    it("should prefer an explicit date, then the day count, then the default", () => {
+      expect(resolveInviteExpiry({ expiresAt: "2026-03-15T00:00:00Z" }, now)).toEqual(new Date("2026-03-15T00:00:00Z"));
+      expect(resolveInviteExpiry({ expiresInDays: 3 }, now)).toEqual(new Date(now.getTime() + 3 * day));
+      expect(resolveInviteExpiry({}, now)).toEqual(new Date(now.getTime() + DEFAULT_EXPIRY_DAYS * day));
+    });
+  });
+
+  describe("getInviteState", () => {
+    const invite = { status: "active", expiresAt: new Date(now.getTime() + day), usedCount: 0, maxUses: 2 };
+
+    it("should report why an invite can no longer be used", () => {
+      expect(getInviteState(invite, now)).toBe("active");
+      expect(getInviteState({ ...invite, usedCount: 2 }, now)).toBe("used_up");
+      expect(getInviteState({ ...invite, expiresAt: now }, now)).toBe("expired");
+      expect(getInviteState({ ...invite, status: "revoked", usedCount: 2 }, now)).toBe("revoked");
+    });
+  });
+
+  describe("buildInviteLink", () => {
+    it("should append the formatted code to the base URL", () => {
+      expect(buildInviteLink("K7QM4TZP", "https://app.example.com/join")).toBe("https://app.example.com/join?code=K7QM-4TZP");
+      expect(buildInviteLink("K7QM4TZP", "https://app.example.com/?screen=join")).toBe("https://app.example.com/?screen=join&code=K7QM-4TZP");
+    });
+  });
+
+  describe("renderInviteQr", () => {
+    it("should render PNG and SVG images", async () => {
+      const link = buildInviteLink("K7QM4TZP", "oursociety://join");
+      const png = await renderInviteQr(link, "png");
+      expect(png.subarray(1, 4).toString()).toBe("PNG");
+      expect(await renderInviteQr(link, "svg")).toContain("<svg");
+    });
+  });
+});
@@ -0,0 +1,269 @@
+/**
+ * Unit tests for join request flat checks, document verification and SLAs
+ */
+
+const {
+  validateRequestedFlat,
+  detectFlatConflicts,
+  validateJoinRequestSettings,
+  getRequiredDocuments,
+  buildDocumentChecklist,
+  validateDocumentReview,
+  getJoinRequestSla,
+  getApplicantWait,
+  planSlaAction,
+  describeSla,
+  summarizeDecisionTimes,
+} = require("../../utils/joinRequests");
+
+describe("Join request helpers", () => {
+  const society = {
+    wings: [
+      { _id: "wa", name: "A", floors: 3, flatsPerFloor: 2 },
+      { _id: "wb", name: "Tower B" },
+    ],
+    settings: {},
+  };
+
+  describe("validateRequestedFlat", () => {
+    it("should accept flats the wing layout yields and normalise the wing name", () => {
+      expect(validateRequestedFlat({ wing: "a", flatNumber: " 302 " }, society)).toEqual({
+        errors: [],
+        wing: "A",
+        flatNumber: "302",
+      });
+    });
+
+    it("should reject unknown wings and flats", () => {
+      expect(validateRequestedFlat({ wing: "C", flatNumber: "101" }, society).errors).toEqual([
+        "Wing C does not exist in this society",
+      ]);
+      expect(validateRequestedFlat({ wing: "A", flatNumber: "401" }, society).errors).toEqual([
+        "Flat 401 does not exist in wing A",
+      ]);
+      expect(validateRequestedFlat({ wing: "A" }, society).errors).toEqual(["Flat number is required for wing A"]);
+    });
+
+    it("should prefer the unit registry over the layout", () => {
+      const units = [{ wing: "A", flatNumber: "PH-1" }];
+      expect(validateRequestedFlat({ wing: "A", flatNumber: "ph-1" }, society, units).flatNumber).toBe("PH-1");
+      expect(validateRequestedFlat({ wing: "A", flatNumber: "101" }, society, units).errors).toHaveLength(1);
+    });
+
+    it("should accept any flat in wings without a layout or societies without wings", () => {
+      expect(validateRequestedFlat({ wing: "Tower B", flatNumber: "G-4" }, society).errors).toEqual([]);
+      expect(validateRequestedFlat({ wing: "Z", flatNumber: "1" }, { wings: [] }).errors).toEqual([]);
+      expect(validateRequestedFlat({ wing: "b", flatNumber: "1" }, { wings: ["B"] })).toEqual({ errors: [], wing: "B", flatNumber: "1" });
+    });
+  });
+
+  describe("detectFlatConflicts", () => {
+    const owner = { clerkUserId: "owner", name: "Rao", residentType: "Owner", source: "member" };
+    const tenant = { clerkUserId: "tenant", name: "Iyer", residentType: "Tenant", source: "member" };
+    const flat = { label: "A-101" };
+
+    it("should warn a second owner about the active owner and other owner applicants", () => {
+      const conflicts = detectFlatConflicts({ clerkUserId: "me", residentType: "Owner" }, [
+        owner,
+        { clerkUserId: "other", residentType: "Owner", source: "pending_request", requestId: "r1" },
+      ], flat);
+      expect(conflicts.map(conflict => conflict.type)).toEqual(["owner_exists", "pending_owner_request"]);
+      expect(conflicts[0]).toMatchObject({ message: "A-101 already has an active owner: Rao", clerkUserId: "owner", source: "member" });
+      expect(conflicts[1].requestId).toBe("r1");
+    });
+
+    it("should warn tenants about sitting tenants and owner-occupied flats", () => {
+      expect(detectFlatConflicts({ clerkUserId: "me", residentType: "Tenant" }, [owner, tenant], flat).map(c => c.type))
+        .toEqual(["tenant_exists"]);
+      expect(detectFlatConflicts({ clerkUserId: "me", residentType: "Tenant" }, [owner], { ...flat, occupancy: "owner_occupied" }).map(c => c.type))
+        .toEqual(["owner_occupied"]);
+      expect(detectFlatConflicts({ clerkUserId: "me", residentType: "Tenant" }, [owner], flat)).toEqual([]);
+    });
+
+    it("should warn family members joining a flat with nobody on record", () => {
+      expect(detectFlatConflicts({ clerkUserId: "me", residentType: "Family Member" }, [], flat)[0].type).toBe("no_primary_resident");
+      expect(detectFlatConflicts({ clerkUserId: "me", residentType: "Caretaker" }, [tenant], flat)).toEqual([]);
+    });
+
+    it("should ignore the applicant's own records", () => {
+      expect(detectFlatConflicts({ clerkUserId: "owner", residentType: "Owner" }, [owner], flat)).toEqual([]);
+    });
+  });
+
+  describe("validateJoinRequestSettings", () => {
+    it("should accept document lists per resident type", () => {
+      expect(validateJoinRequestSettings({ requiredDocuments: { Owner: ["ownership_proof", "id_proof"], Tenant: [] } })).toEqual([]);
+      expect(validateJoinRequestSettings({})).toEqual([]);
+    });
+
+    it("should reject unknown resident and document types", () => {
+      expect(validateJoinRequestSettings({ requiredDocuments: { Guest: [], Tenant: ["lease"] } })).toEqual([
+        "joinRequests.requiredDocuments has unknown resident type: Guest",
+        "joinRequests.requiredDocuments.Tenant must be a list of: ownership_proof, id_proof, address_proof",
+      ]);
+      expect(validateJoinRequestSettings({ requiredDocuments: ["id_proof"] })).toEqual([
+        "joinRequests.requiredDocuments must map resident types to document types",
+      ]);
+      expect(validateJoinRequestSettings(null)).toEqual(["joinRequests must be an object"]);
+    });
+  });
+
+  describe("getRequiredDocuments", () => {
+    it("should require nothing unless configured", () => {
+      const settings = { joinRequests: { requiredDocuments: { Owner: ["ownership_proof", "ownership_proof", "id_proof"] } } };
+      expect(getRequiredDocuments(settings, "Owner")).toEqual(["ownership_proof", "id_proof"]);
+      expect(getRequiredDocuments(settings, "Tenant")).toEqual([]);
+      expect(getRequiredDocuments({}, "Owner")).toEqual([]);
+    });
+  });
+
+  describe("buildDocumentChecklist", () => {
+    const documents = [
+      { type: "id_proof", url: "old", status: "replaced" },
+      { type: "id_proof", url: "new", status: "verified" },
+      { type: "ownership_proof", url: "deed", status: "reupload_requested", rejectionReason: "Blurry scan" },
+      { type: "address_proof", url: "bill" },
+    ];
+
+    it("should list the current upload of each type and what is still outstanding", () => {
+      const checklist = buildDocumentChecklist(documents, ["ownership_proof", "id_proof"]);
+      expect(checklist.items.map(item => [item.type, item.required, item.status])).toEqual([
+        ["ownership_proof", true, "reupload_requested"],
+        ["id_proof", true, "verified"],
+        ["address_proof", false, "pending"],
+      ]);
+      expect(checklist.items[1].document.url).toBe("new");
+      expect(checklist.outstanding).toEqual([{ type: "ownership_proof", status: "reupload_requested" }]);
+      expect(checklist.complete).toBe(false);
+    });
+
+    it("should report required documents nobody uploaded as missing", () => {
+      const checklist = buildDocumentChecklist([], ["id_proof"]);
+      expect(checklist.outstanding).toEqual([{ type: "id_proof", status: "missing" }]);
+      expect(buildDocumentChecklist(documents, ["id_proof"]).complete).toBe(true);
+    });
+  });
+
+  describe("validateDocumentReview", () => {
+    it("should need a reason unless verifying", () => {
+      expect(validateDocumentReview("verified")).toEqual([]);
+      expect(validateDocumentReview("reupload_requested", "Blurry scan")).toEqual([]);
+      expect(validateDocumentReview("rejected", " ")).toEqual(["reason is required"]);
+      expect(validateDocumentReview("approved")).toEqual(["decision must be one of: verified, rejected, reupload_requested"]);
+    });
+  });
+
+  describe("SLA", () => {
+    const day = 24 * 60 * 60 * 1000;
+    const submittedAt = new Date("2026-03-01T09:00:00Z");
+    const at = days => new Date(submittedAt.getTime() + days * day);
+    const sla = getJoinRequestSla({ joinRequests: { sla: { enabled: true } } });
+    const pending = (extra = {}) => ({ status: "pending", submittedAt, requestedData: { wing: "A", residentType: "Owner" }, documents: [], ...extra });
+
+    describe("validateJoinRequestSettings", () => {
+      it("should check SLA periods", () => {
+        expect(validateJoinRequestSettings({ sla: { reviewDays: 2, expireAfterDays: 10 } })).toEqual([]);
+        expect(validateJoinRequestSettings({ sla: { enabled: "yes", reminderIntervalDays: 0, escalateAfterDays: 3 } })).toEqual([
+          "joinRequests.sla.enabled must be a boolean",
+          "joinRequests.sla.reminderIntervalDays must be a whole number of days, at least 1",
+          "joinRequests.sla.escalateAfterDays must be more than reviewDays",
+        ]);
+      });
+    });
+
+    describe("getApplicantWait", () => {
+      it("should wait on the applicant for missing required documents and requested re-uploads", () => {
+        expect(getApplicantWait(pending(), [])).toEqual({ awaiting: false, since: null, outstanding: [] });
+        expect(getApplicantWait(pending(), ["id_proof"])).toEqual({
+          awaiting: true,
+          since: submittedAt,
+          outstanding: [{ type: "id_proof", status: "missing" }],
+        });
+
+        const sentBack = pending({
+          documents: [{ type: "address_proof", uploadedAt: at(1), status: "reupload_requested", reviewedAt: at(2) }],
+        });
+        expect(getApplicantWait(sentBack, [])).toEqual({
+          awaiting: true,
+          since: at(2),
+          outstanding: [{ type: "address_proof", status: "reupload_requested" }],
+        });
+      });
+
+      it("should leave pending documents to the admins", () => {
+        const uploaded = pending({ documents: [{ type: "id_proof", uploadedAt: at(1), status: "pending" }] });
+        expect(getApplicantWait(uploaded, ["id_proof"]).awaiting).toBe(false);
+      });
+    });
+
+    describe("planSlaAction", () => {
+      it("should do nothing for a society that never turned the SLA on", () => {
+        expect(getJoinRequestSla({}).enabled).toBe(false);
+        expect(planSlaAction(pending(), getJoinRequestSla({}), [], at(30))).toBeNull();
+        expect(planSlaAction(pending(), getJoinRequestSla({}), ["id_proof"], at(30))).toBeNull();
+      });
+
+      it("should remind admins past the review period, then at each interval", () => {
+        expect(planSlaAction(pending(), sla, [], at(2))).toBeNull();
+        expect(planSlaAction(pending(), sla, [], at(3))).toEqual({ action: "remind", ageDays: 3 });
+        const reminded = pending({ slaReminders: [{ stage: "reminder", sentAt: at(3) }] });
+        expect(planSlaAction(reminded, sla, [], at(3.5))).toBeNull();
+        expect(planSlaAction(reminded, sla, [], at(4))).toEqual({ action: "remind", ageDays: 4 });
+      });
+
+      it("should escalate once", () => {
+        expect(planSlaAction(pending(), sla, [], at(7))).toEqual({ action: "escalate", ageDays: 7 });
+        const escalated = pending({ slaReminders: [{ stage: "escalation", sentAt: at(7) }, { stage: "reminder", sentAt: at(7) }] });
+        expect(planSlaAction(escalated, sla, [], at(7.5))).toBeNull();
+        expect(planSlaAction(escalated, sla, [], at(8))).toEqual({ action: "remind", ageDays: 8 });
+      });
+
+      it("should expire requests the applicant left waiting, and nothing else", () => {
+        expect(planSlaAction(pending(), sla, ["id_proof"], at(13))).toBeNull();
+        expect(planSlaAction(pending(), sla, ["id_proof"], at(14))).toEqual({
+          action: "expire",
+          since: submittedAt,
+          outstanding: [{ type: "id_proof", status: "missing" }],
+        });
+        expect(planSlaAction(pending({ status: "approved" }), sla, [], at(30))).toBeNull();
+        expect(planSlaAction(pending(), { ...sla, enabled: false }, [], at(30))).toBeNull();
+      });
+    });
+
+    describe("describeSla", () => {
+      it("should tell applicants when to expect a decision or when the request expires", () => {
+        expect(describeSla(pending(), sla, [], at(4))).toEqual({
+          reviewDays: 3,
+          expectedDecisionBy: at(3),
+          overdue: true,
+          awaitingApplicant: false,
+          outstanding: [],
+          expiresAt: null,
+        });
+        expect(describeSla(pending(), sla, ["id_proof"], at(4))).toMatchObject({ overdue: false, awaitingApplicant: true, expiresAt: at(14) });
+      });
+    });
+
+    describe("summarizeDecisionTimes", () => {
+      it("should average reviewed decisions and leave out invites and undecided requests", () => {
+        const hoursLater = hours => new Date(submittedAt.getTime() + hours * 60 * 60 * 1000);
+        const summary = summarizeDecisionTimes([
+          { status: "approved", submittedAt, reviewedAt: hoursLater(10) },
+          { status: "approved", submittedAt, reviewedAt: hoursLater(30) },
+          { status: "rejected", submittedAt, reviewedAt: hoursLater(5) },
+          { status: "approved", submittedAt, reviewedAt: submittedAt, invite: { code: "K7QM4TZP" } },
+          { status: "expired", submittedAt, reviewedAt: hoursLater(400) },
+          { status: "pending", submittedAt },
+        ]);
+        expect(summary).toEqual({
+          decided: 3,
+          averageHours: 15,
+          medianHours: 10,
+          approved: { count: 2, averageHours: 20 },
+          rejected: { count: 1, averageHours: 5 },
+        });
+        expect(summarizeDecisionTimes([])).toMatchObject({ decided: 0, averageHours: null, medianHours: null });
+      });
+    });
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * Unit tests for late fee helpers
+ */
+
+const {
+  getLateFeePolicy,
+  validateLateFeeSettings,
+  getActiveLateFeeTotal,
+  computeLateFees,
+} = require("../../utils/lateFees");
+
+describe("Late fee helpers", () => {
+  const record = {
+    amount: 2000,
+    status: "pending",
+    dueDate: new Date("2025-01-05T00:00:00Z"),
+    lateFees: [],
+  };
+
+  describe("getLateFeePolicy", () => {
+    it("should default to a flat, non-compounding fee", () => {
+      const policy = getLateFeePolicy({ maintenance: { lateFee: 100, gracePeriod: 5 } });
+      expect(policy).toEqual({ lateFee: 100, lateFeeType: "flat", gracePeriod: 5, compounding: false });
+    });
+  });
+
+  describe("validateLateFeeSettings", () => {
+    it("should accept a partial policy", () => {
+      expect(validateLateFeeSettings({ lateFee: 5, lateFeeType: "percentage" })).toEqual([]);
+    });
+
+    it("should report every invalid field", () => {
+      expect(validateLateFeeSettings({ lateFee: -1, gracePeriod: 2.5, lateFeeType: "daily", lateFeeCompounding: "yes" })).toEqual([
+        "settings.maintenance.lateFee must be a non-negative number",
+        "settings.maintenance.gracePeriod must be a non-negative whole number of days",
+        "settings.maintenance.lateFeeType must be one of: flat, percentage",
+        "settings.maintenance.lateFeeCompounding must be a boolean",
+      ]);
+    });
+  });
+
+  describe("computeLateFees", () => {
+    const flatPolicy = getLateFeePolicy({ maintenance: { lateFee: 100, gracePeriod: 5 } });
+
+    it("should not flag records inside the grace period", () => {
+      const result = computeLateFees(record, flatPolicy, new Date("2025-01-09T00:00:00Z"));
+      expect(result.isOverdue).toBe(false);
+      expect(result.newFees).toHaveLength(0);
+    });
+
+    it("should not flag records awaiting approval", () => {
+      const result = computeLateFees({ ...record, status: "request_sent" }, flatPolicy, new Date("2025-03-01T00:00:00Z"));
+      expect(result.isOverdue).toBe(false);
+    });
+
+    it("should assess a single flat fee when not compounding", () => {
+      const result = computeLateFees(record, flatPolicy, new Date("2025-04-01T00:00:00Z"));
+      expect(result.isOverdue).toBe(true);
+      expect(result.newFees).toHaveLength(1);
+      expect(result.newFees[0].amount).toBe(100);
+    });
+
+    it("should not repeat fees already on the record", () => {
+      const charged = { ...record, status: "overdue", lateFees: [{ amount: 100, waived: false }] };
+      const result = computeLateFees(charged, flatPolicy, new Date("2025-04-01T00:00:00Z"));
+      expect(result.isOverdue).toBe(true);
+      expect(result.newFees).toHaveLength(0);
+    });
+
+    it("should compound percentage fees monthly", () => {
+      const policy = getLateFeePolicy({
+        maintenance: { lateFee: 10, lateFeeType: "percentage", gracePeriod: 0, lateFeeCompounding: true },
+      });
+      const result = computeLateFees(record, policy, new Date("2025-03-06T00:00:00Z"));
+      expect(result.newFees.map((fee) => fee.amount)).toEqual([200, 220, 242]);
+    });
+  });
+
+  describe("getActiveLateFeeTotal", () => {
+    it("should ignore waived fees", () => {
+      expect(getActiveLateFeeTotal([{ amount: 100 }, { amount: 50, waived: true }])).toBe(100);
+    });
+  });
+});
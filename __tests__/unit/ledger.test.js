@@ -0,0 +1,93 @@
+/**
+ * Unit tests for flat ledger helpers
+ */
+
+const { computeRunningBalance, allocateCredits } = require("../../utils/ledger");
+
+describe("Flat ledger helpers", () => {
+  const charge = (id, period, amount, postedAt) => ({
+    entryType: "charge",
+    direction: "debit",
+    maintenanceId: id,
+    period,
+    amount,
+    postedAt: new Date(postedAt),
+  });
+  const payment = (id, period, amount, postedAt) => ({
+    entryType: "payment",
+    direction: "credit",
+    maintenanceId: id,
+    period,
+    amount,
+    postedAt: new Date(postedAt),
+  });
+
+  describe("computeRunningBalance", () => {
+    it("should carry the balance across entries in posting order", () => {
+      const { entries, balance, totalDebits, totalCredits } = computeRunningBalance([
+        payment("jan", "2025-01", 1500, "2025-01-12"),
+        charge("jan", "2025-01", 2000, "2025-01-01"),
+        charge("feb", "2025-02", 2000, "2025-02-01"),
+      ]);
+
+      expect(entries.map((entry) => entry.runningBalance)).toEqual([2000, 500, 2500]);
+      expect(balance).toBe(2500);
+      expect(totalDebits).toBe(4000);
+      expect(totalCredits).toBe(1500);
+    });
+  });
+
+  describe("allocateCredits", () => {
+    it("should leave the remainder of a partial payment outstanding", () => {
+      const { byRecord, unallocatedCredit } = allocateCredits([
+        charge("jan", "2025-01", 2000, "2025-01-01"),
+        payment("jan", "2025-01", 1200, "2025-01-10"),
+      ]);
+
+      expect(byRecord.jan).toMatchObject({ charged: 2000, paid: 1200, outstanding: 800, state: "partially_paid" });
+      expect(unallocatedCredit).toBe(0);
+    });
+
+    it("should carry excess payments forward to later dues", () => {
+      const entries = [
+        charge("jan", "2025-01", 2000, "2025-01-01"),
+        payment("jan", "2025-01", 3000, "2025-01-10"),
+      ];
+
+      expect(allocateCredits(entries).unallocatedCredit).toBe(1000);
+
+      entries.push(charge("feb", "2025-02", 2000, "2025-02-01"));
+      const { byRecord, unallocatedCredit } = allocateCredits(entries);
+      expect(byRecord.jan.state).toBe("settled");
+      expect(byRecord.feb).toMatchObject({ paid: 1000, outstanding: 1000, state: "partially_paid" });
+      expect(unallocatedCredit).toBe(0);
+    });
+
+    it("should settle the oldest period first", () => {
+      const { byRecord } = allocateCredits([
+        charge("feb", "2025-02", 2000, "2025-02-01"),
+        charge("jan", "2025-01", 2000, "2025-01-01"),
+        payment("feb", "2025-02", 2000, "2025-02-05"),
+      ]);
+
+      expect(byRecord.jan.state).toBe("settled");
+      expect(byRecord.feb.state).toBe("unpaid");
+    });
+
+    it("should take reversed and refunded payments back without adding a due", () => {
+      const refund = (id, period, amount, postedAt) => ({ ...payment(id, period, amount, postedAt), direction: "debit" });
+      const { byRecord, unallocatedCredit } = allocateCredits([
+        charge("jan", "2025-01", 2000, "2025-01-01"),
+        payment("jan", "2025-01", 2500, "2025-01-10"),
+        refund("jan", "2025-01", 500, "2025-01-15"),
+        charge("feb", "2025-02", 2000, "2025-02-01"),
+        payment("feb", "2025-02", 2000, "2025-02-10"),
+        refund("feb", "2025-02", 2000, "2025-02-20"),
+      ]);
+
+      expect(byRecord.jan).toMatchObject({ charged: 2000, paid: 2000, state: "settled" });
+      expect(byRecord.feb).toMatchObject({ charged: 2000, paid: 0, outstanding: 2000, state: "unpaid" });
+      expect(unallocatedCredit).toBe(0);
+    });
+  });
+});
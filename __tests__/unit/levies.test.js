@@ -0,0 +1,147 @@
+/**
+ * Unit tests for levy allocation and flat profile helpers
+ */
+
+const {
+  validateLevy,
+  allocateLevy,
+  splitInstallments,
+} = require("../../utils/levies");
+const { validateWingFlatProfiles, getFlatProfile } = require("../../utils/flats");
+
+describe("Levy helpers", () => {
+  const flats = [
+    { wing: "A", flatNumber: "101", flatType: "1BHK", area: 500 },
+    { wing: "A", flatNumber: "102", flatType: "2BHK", area: 750 },
+    { wing: "B", flatNumber: "201", flatType: "2BHK", area: 750 },
+  ];
+  const installments = [{ dueDate: "2025-06-10" }];
+
+  describe("validateLevy", () => {
+    it("should accept a total levy split equally", () => {
+      const errors = validateLevy({ title: "Painting", amountType: "total", amount: 90000, allocation: "equal", installments });
+      expect(errors).toEqual([]);
+    });
+
+    it("should require flat type rates for flat_type allocation", () => {
+      const errors = validateLevy({ title: "Lift", amountType: "total", amount: 1000, allocation: "flat_type", installments });
+      expect(errors).toContainEqual(expect.stringContaining("flatTypeRates"));
+    });
+
+    it("should reject installment percentages that don't add up to 100", () => {
+      const errors = validateLevy({
+        title: "Lift",
+        amountType: "per_flat",
+        amount: 1000,
+        allocation: "equal",
+        installments: [{ dueDate: "2025-06-10", percentage: 50 }, { dueDate: "2025-07-10", percentage: 40 }],
+      });
+      expect(errors).toContain("installments[].percentage must add up to 100");
+    });
+
+    it("should reject installments that are not in date order", () => {
+      const errors = validateLevy({
+        title: "Lift",
+        amountType: "per_flat",
+        amount: 1000,
+        allocation: "equal",
+        installments: [{ dueDate: "2025-07-10" }, { dueDate: "2025-06-10" }],
+      });
+      expect(errors).toContain("installments[1].dueDate must be after the previous installment");
+    });
+  });
+
+  describe("allocateLevy", () => {
+    it("should split a total equally and keep every paisa", () => {
+      const { allocations } = allocateLevy(flats, { amountType: "total", amount: 100, allocation: "equal" });
+      expect(allocations.map(item => item.amount)).toEqual([33.34, 33.33, 33.33]);
+      expect(allocations.reduce((sum, item) => sum + item.amount, 0)).toBeCloseTo(100, 2);
+    });
+
+    it("should split a total in proportion to area", () => {
+      const { allocations } = allocateLevy(flats, { amountType: "total", amount: 200000, allocation: "area" });
+      expect(allocations.map(item => item.amount)).toEqual([50000, 75000, 75000]);
+    });
+
+    it("should weight a total by flat type", () => {
+      const { allocations } = allocateLevy(flats, {
+        amountType: "total",
+        amount: 25000,
+        allocation: "flat_type",
+        flatTypeRates: { "1BHK": 1, "2BHK": 2 },
+      });
+      expect(allocations.map(item => item.amount)).toEqual([5000, 10000, 10000]);
+    });
+
+    it("should bill per-flat amounts by flat type and area rate", () => {
+      const byType = allocateLevy(flats, {
+        amountType: "per_flat",
+        allocation: "flat_type",
+        flatTypeRates: { "1BHK": 3000, "2BHK": 4500 },
+      });
+      expect(byType.allocations.map(item => item.amount)).toEqual([3000, 4500, 4500]);
+
+      const byArea = allocateLevy(flats, { amountType: "per_flat", amount: 12.5, allocation: "area" });
+      expect(byArea.allocations.map(item => item.amount)).toEqual([6250, 9375, 9375]);
+    });
+
+    it("should report flats missing the data the rule needs", () => {
+      const { allocations, missing } = allocateLevy(
+        [...flats, { wing: "C", flatNumber: "301", flatType: null, area: null }],
+        { amountType: "total", amount: 1000, allocation: "area" }
+      );
+      expect(allocations).toHaveLength(3);
+      expect(missing).toEqual([{ wing: "C", flatNumber: "301", reason: "area not configured" }]);
+    });
+  });
+
+  describe("splitInstallments", () => {
+    it("should split equally with the paise remainder kept", () => {
+      const parts = splitInstallments(1000, [
+        { dueDate: "2025-06-10" },
+        { dueDate: "2025-07-10" },
+        { dueDate: "2025-08-10" },
+      ]);
+      expect(parts.map(part => part.amount)).toEqual([333.34, 333.33, 333.33]);
+      expect(parts.map(part => part.number)).toEqual([1, 2, 3]);
+      expect(parts[1].dueDate).toEqual(new Date("2025-07-10"));
+    });
+
+    it("should honour installment percentages", () => {
+      const parts = splitInstallments(5000, [
+        { dueDate: "2025-06-10", percentage: 60 },
+        { dueDate: "2025-09-10", percentage: 40 },
+      ]);
+      expect(parts.map(part => part.amount)).toEqual([3000, 2000]);
+    });
+  });
+});
+
+describe("Flat profile helpers", () => {
+  const wings = [
+    { name: "A", defaultFlatType: "2BHK", defaultArea: 750, flats: [{ flatNumber: "101", flatType: "1BHK", area: 500 }] },
+    { name: "B" },
+  ];
+
+  it("should prefer the flat's own profile over the wing defaults", () => {
+    expect(getFlatProfile(wings, "A", "101")).toEqual({ flatType: "1BHK", area: 500, parkingSlots: 0 });
+    expect(getFlatProfile(wings, "A", "102")).toEqual({ flatType: "2BHK", area: 750, parkingSlots: 0 });
+  });
+
+  it("should return nulls for unconfigured wings", () => {
+    expect(getFlatProfile(wings, "B", "201")).toEqual({ flatType: null, area: null, parkingSlots: 0 });
+    expect(getFlatProfile(wings, "Z", "1")).toEqual({ flatType: null, area: null, parkingSlots: 0 });
+  });
+
+  it("should validate flat profile fields", () => {
+    const errors = validateWingFlatProfiles({
+      defaultArea: -10,
+      flats: [{ flatNumber: "101" }, { flatNumber: "101", area: "big" }],
+    });
+    expect(errors).toEqual([
+      "defaultArea must be a positive number (sq ft)",
+      "flats[1].flatNumber 101 is listed more than once",
+      "flats[1].area must be a positive number (sq ft)",
+    ]);
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * Unit tests for the maintenance status lifecycle
+ */
+
+const {
+  MAINTENANCE_STATUSES,
+  TRANSITION_HOOKS,
+  MAINTENANCE_TRANSITIONS,
+  planTransition,
+  canTransition,
+  isTransitionError,
+  normalizeLegacyStatus,
+} = require("../../utils/maintenanceStatus");
+
+describe("Maintenance status lifecycle", () => {
+  describe("MAINTENANCE_TRANSITIONS", () => {
+    it("should only move between known statuses and run known hooks", () => {
+      Object.values(MAINTENANCE_TRANSITIONS).forEach((definition) => {
+        expect(MAINTENANCE_STATUSES).toContain(definition.to);
+        definition.from.forEach(from => expect([null, ...MAINTENANCE_STATUSES]).toContain(from));
+        definition.hooks.forEach(hook => expect(TRANSITION_HOOKS).toContain(hook));
+        if (definition.hooks.includes("notify")) expect(typeof definition.notice).toBe("function");
+      });
+    });
+  });
+
+  describe("planTransition", () => {
+    it("should return the move an allowed event makes", () => {
+      const step = planTransition({ status: "request_sent" }, "approve");
+      expect(step.from).toBe("request_sent");
+      expect(step.to).toBe("approved");
+      expect(step.event).toBe("approve");
+    });
+
+    it("should create records only through creating events", () => {
+      expect(planTransition(null, "bill").to).toBe("pending");
+      expect(planTransition(null, "submit_proof", { screenshot: "https://cdn/proof.png" }).to).toBe("request_sent");
+      expect(() => planTransition(null, "approve"))
+        .toThrow("Cannot approve a maintenance record that does not exist");
+    });
+
+    it("should refuse events the current status does not allow", () => {
+      expect(() => planTransition({ status: "approved" }, "approve"))
+        .toThrow("Cannot approve a maintenance record that is approved");
+      expect(() => planTransition({ status: "paid" }, "submit_proof", { screenshot: "x" }))
+        .toThrow("Cannot submit a payment proof for a maintenance record that is paid");
+      expect(() => planTransition({ status: "pending" }, "reject", { reason: "Blurry" }))
+        .toThrow("Cannot reject a maintenance record that is pending");
+      expect(() => planTransition({ status: "pending" }, "reopen", { reason: "Bounced" }))
+        .toThrow("Cannot reopen a maintenance record that is pending");
+    });
+
+    it("should apply guards", () => {
+      expect(() => planTransition({ status: "request_sent" }, "reject", {}))
+        .toThrow("A reason is required to reject a payment");
+      expect(() => planTransition({ status: "pending" }, "submit_proof", {}))
+        .toThrow("A payment screenshot is required");
+      expect(() => planTransition({ status: "approved" }, "reopen", {}))
+        .toThrow("A reason is required to reopen a paid record");
+    });
+
+    it("should let an advance payment re-cover a month but not one paid on its own", () => {
+      expect(planTransition({ status: "approved", coveredBy: { recordId: "a" } }, "cover_advance").to).toBe("approved");
+      expect(() => planTransition({ status: "approved" }, "cover_advance"))
+        .toThrow("This month is already paid on its own");
+      expect(canTransition({ status: "paid" }, "cover_advance")).toBe(false);
+    });
+
+    it("should reject unknown events", () => {
+      expect(() => planTransition({ status: "pending" }, "teleport"))
+        .toThrow("Unknown maintenance status event: teleport");
+    });
+  });
+
+  describe("canTransition", () => {
+    it("should answer without throwing", () => {
+      expect(canTransition({ status: "overdue" }, "pay_online")).toBe(true);
+      expect(canTransition({ status: "paid" }, "pay_online")).toBe(false);
+      expect(canTransition({ status: "rejected" }, "mark_overdue")).toBe(true);
+      expect(canTransition({ status: "request_sent" }, "mark_overdue")).toBe(false);
+    });
+  });
+
+  describe("isTransitionError", () => {
+    it("should tell refused moves from other failures", () => {
+      expect(isTransitionError("Cannot approve a maintenance record that is paid")).toBe(true);
+      expect(isTransitionError("Maintenance record not found")).toBe(false);
+      expect(isTransitionError(undefined)).toBe(false);
+    });
+  });
+
+  describe("normalizeLegacyStatus", () => {
+    it("should keep lifecycle statuses", () => {
+      MAINTENANCE_STATUSES
+        .filter(status => status !== "request_sent")
+        .forEach(status => expect(normalizeLegacyStatus({ status })).toBe(status));
+      expect(normalizeLegacyStatus({ status: "request_sent", paymentProof: { screenshot: "x" } })).toBe("request_sent");
+    });
+
+    it("should map old spellings and casing", () => {
+      expect(normalizeLegacyStatus({ status: "Paid" })).toBe("paid");
+      expect(normalizeLegacyStatus({ status: " Unpaid " })).toBe("pending");
+      expect(normalizeLegacyStatus({ status: "Under Review", paymentProof: { screenshot: "x" } })).toBe("request_sent");
+      expect(normalizeLegacyStatus({ status: "declined" })).toBe("rejected");
+    });
+
+    it("should work out a missing status from the payment proof", () => {
+      expect(normalizeLegacyStatus({ paymentProof: { approvalStatus: "approved" } })).toBe("approved");
+      expect(normalizeLegacyStatus({ paymentProof: { approvalStatus: "rejected" } })).toBe("rejected");
+      expect(normalizeLegacyStatus({ paidDate: new Date() })).toBe("paid");
+      expect(normalizeLegacyStatus({ paymentProof: { screenshot: "x", approvalStatus: "pending" } })).toBe("request_sent");
+      expect(normalizeLegacyStatus({ status: "weird" })).toBe("pending");
+    });
+
+    it("should send records submitted without a screenshot back to pending", () => {
+      expect(normalizeLegacyStatus({ status: "request_sent" })).toBe("pending");
+    });
+  });
+});
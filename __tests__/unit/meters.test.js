@@ -0,0 +1,169 @@
+/**
+ * Unit tests for utility meter helpers
+ */
+
+const {
+  DEFAULT_ANOMALY_POLICY,
+  validateUtilitySettings,
+  getUtilitySettings,
+  computeSlabCharge,
+  validateMeter,
+  validateReading,
+  checkReading,
+  parseReadingsCsv,
+} = require("../../utils/meters");
+
+const waterTariff = {
+  slabs: [
+    { upTo: 10, rate: 15 },
+    { upTo: 30, rate: 25 },
+    { upTo: null, rate: 40 },
+  ],
+};
+
+describe("Utility meter helpers", () => {
+  describe("validateUtilitySettings", () => {
+    it("should accept slab tariffs and anomaly thresholds", () => {
+      expect(validateUtilitySettings({
+        tariffs: { water: { ...waterTariff, fixedCharge: 50 }, electricity: null },
+        anomalies: { spikeFactor: 2.5, historyPeriods: 4, maxConsumption: { water: 100, electricity: null } },
+      })).toEqual([]);
+    });
+
+    it("should require slab limits to increase and the last slab to be open", () => {
+      const errors = validateUtilitySettings({
+        tariffs: { water: { slabs: [{ upTo: 20, rate: 10 }, { upTo: 10, rate: 20 }, { upTo: 40, rate: 30 }] } },
+      });
+      expect(errors).toContain("settings.utilities.tariffs.water.slabs[1].upTo must be a number greater than the previous slab's upTo");
+      expect(errors).toContain("settings.utilities.tariffs.water.slabs[2].upTo must be null so the last slab covers all remaining consumption");
+    });
+
+    it("should reject unknown utilities and bad thresholds", () => {
+      const errors = validateUtilitySettings({
+        tariffs: { gas: waterTariff },
+        anomalies: { spikeFactor: 1, historyPeriods: 0, maxConsumption: { water: -5 } },
+      });
+      expect(errors).toContain("settings.utilities.tariffs may only contain: water, electricity");
+      expect(errors).toContain("settings.utilities.anomalies.spikeFactor must be a number greater than 1");
+      expect(errors).toContain("settings.utilities.anomalies.historyPeriods must be a positive whole number");
+      expect(errors).toContain("settings.utilities.anomalies.maxConsumption.water must be a positive number or null");
+    });
+  });
+
+  describe("getUtilitySettings", () => {
+    it("should fill in the default anomaly policy", () => {
+      const { tariffs, anomalies } = getUtilitySettings({ utilities: { anomalies: { maxConsumption: { water: 60 } } } });
+      expect(tariffs).toEqual({});
+      expect(anomalies.spikeFactor).toBe(DEFAULT_ANOMALY_POLICY.spikeFactor);
+      expect(anomalies.maxConsumption).toEqual({ water: 60, electricity: null });
+    });
+  });
+
+  describe("computeSlabCharge", () => {
+    it("should price each slab's units at that slab's rate", () => {
+      const charge = computeSlabCharge(35, waterTariff);
+      // 10 x 15 + 20 x 25 + 5 x 40
+      expect(charge.amount).toBe(850);
+      expect(charge.slabs.map(slab => slab.units)).toEqual([10, 20, 5]);
+    });
+
+    it("should stop at the slab the consumption ends in", () => {
+      const charge = computeSlabCharge(7.5, waterTariff);
+      expect(charge.amount).toBe(112.5);
+      expect(charge.slabs).toHaveLength(1);
+    });
+
+    it("should add the fixed charge and apply the minimum charge", () => {
+      expect(computeSlabCharge(2, { ...waterTariff, fixedCharge: 40 }).amount).toBe(70);
+      expect(computeSlabCharge(0, { ...waterTariff, minimumCharge: 100 }).amount).toBe(100);
+    });
+  });
+
+  describe("validateMeter", () => {
+    it("should require the flat, utility and serial number", () => {
+      const errors = validateMeter({ wing: "A", utilityType: "gas" });
+      expect(errors).toContain("flatNumber is required");
+      expect(errors).toContain("utilityType must be one of: water, electricity");
+      expect(errors).toContain("serialNumber is required");
+    });
+
+    it("should only check given fields on update", () => {
+      expect(validateMeter({ status: "inactive" }, { partial: true })).toEqual([]);
+      expect(validateMeter({ status: "broken" }, { partial: true })).toEqual(["status must be one of: active, inactive"]);
+    });
+  });
+
+  describe("validateReading", () => {
+    it("should require a non-negative value and a billing period", () => {
+      expect(validateReading({ value: 120, period: "2025-04" })).toEqual([]);
+      expect(validateReading({ value: -1, period: "April" })).toEqual([
+        "value must be a non-negative number",
+        "period must be in YYYY-MM format",
+      ]);
+    });
+  });
+
+  describe("checkReading", () => {
+    const previous = { value: 100, readAt: "2025-03-31" };
+
+    it("should compute consumption from the previous reading", () => {
+      const result = checkReading({ value: 112, readAt: "2025-04-30" }, previous, [10, 11, 12], DEFAULT_ANOMALY_POLICY, "water");
+      expect(result.consumption).toBe(12);
+      expect(result.anomalies).toEqual([]);
+    });
+
+    it("should flag readings below the previous one", () => {
+      const result = checkReading({ value: 90, readAt: "2025-04-30" }, previous, [], DEFAULT_ANOMALY_POLICY, "water");
+      expect(result.anomalies.map(anomaly => anomaly.code)).toEqual(["negative_consumption"]);
+      expect(result.anomalies[0].blocking).toBe(true);
+    });
+
+    it("should flag spikes against the recent average", () => {
+      const result = checkReading({ value: 150, readAt: "2025-04-30" }, previous, [10, 12, 14], DEFAULT_ANOMALY_POLICY, "water");
+      expect(result.anomalies.map(anomaly => anomaly.code)).toEqual(["spike"]);
+    });
+
+    it("should not check spikes without enough history", () => {
+      const result = checkReading({ value: 150, readAt: "2025-04-30" }, previous, [10], DEFAULT_ANOMALY_POLICY, "water");
+      expect(result.anomalies).toEqual([]);
+    });
+
+    it("should flag consumption above the configured maximum", () => {
+      const policy = { ...DEFAULT_ANOMALY_POLICY, maxConsumption: { water: 30, electricity: null } };
+      const result = checkReading({ value: 140, readAt: "2025-04-30" }, previous, [], policy, "water");
+      expect(result.anomalies.map(anomaly => anomaly.code)).toEqual(["above_maximum"]);
+    });
+
+    it("should note zero consumption and out-of-order dates", () => {
+      const result = checkReading({ value: 100, readAt: "2025-03-15" }, previous, [], DEFAULT_ANOMALY_POLICY, "water");
+      expect(result.anomalies.map(anomaly => [anomaly.code, anomaly.blocking])).toEqual([
+        ["out_of_order", true],
+        ["zero_consumption", false],
+      ]);
+    });
+  });
+
+  describe("parseReadingsCsv", () => {
+    it("should read rows identified by serial number", () => {
+      const { rows, errors } = parseReadingsCsv(
+        "Meter Serial,Reading,Reading Date\nWM-101,\"1,234.5\",30/04/2025\nWM-102,abc,30/04/2025\n",
+        { period: "2025-04" }
+      );
+      expect(errors).toEqual([{ row: 3, error: "Reading is not a number" }]);
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ row: 2, serialNumber: "WM-101", value: 1234.5, period: "2025-04" });
+      expect(rows[0].readAt).toBeInstanceOf(Date);
+    });
+
+    it("should read rows identified by flat and utility", () => {
+      const { rows } = parseReadingsCsv("Wing,Flat,Utility,Reading,Period\nA,101,Electricity,5120,2025-05\n");
+      expect(rows[0]).toMatchObject({ wing: "A", flatNumber: "101", utilityType: "electricity", value: 5120, period: "2025-05" });
+    });
+
+    it("should reject sheets that can't identify the meter", () => {
+      expect(() => parseReadingsCsv("Flat,Reading\n101,5\n"))
+        .toThrow("The CSV needs a meter serial number column, or wing, flat and utility columns");
+      expect(() => parseReadingsCsv("Serial\nWM-1\n")).toThrow("The CSV needs a reading column");
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Unit tests for in-app notification helpers
+ */
+
+const { ObjectId } = require("mongodb");
+const { sendInAppNotification } = require("../../utils/notifications");
+
+describe("In-app notification helpers", () => {
+  const at = new Date("2026-03-01T10:00:00Z");
+  const societyId = new ObjectId();
+
+  // Collections that keep what was inserted
+  const createDb = () => {
+    const inserted = {};
+    return {
+      inserted,
+      collection: (name) => ({
+        insertOne: async (doc) => {
+          (inserted[name] = inserted[name] || []).push(doc);
+          return { insertedId: new ObjectId() };
+        },
+      }),
+    };
+  };
+
+  describe("sendInAppNotification", () => {
+    it("should store the notification for its recipient with a delivery record", async () => {
+      const db = createDb();
+      const recordId = new ObjectId();
+
+      const notificationId = await sendInAppNotification(db, {
+        societyId,
+        recipientId: "user_1",
+        recipientWing: "A",
+        senderName: "Maintenance",
+        title: "Payment approved",
+        message: "Your payment for January was approved",
+        category: "maintenance_status",
+        links: { maintenanceIds: [recordId] },
+        event: "maintenance_status_change",
+        data: { recordId },
+        at,
+      });
+
+      const [notification] = db.inserted.notifications;
+      expect(notification).toMatchObject({
+        societyId,
+        senderId: "system",
+        senderName: "Maintenance",
+        priority: "normal",
+        category: "maintenance_status",
+        targetAudience: { wings: [], residentTypes: [], specificUsers: ["user_1"] },
+        maintenanceIds: [recordId],
+        status: "sent",
+        createdAt: at,
+      });
+
+      const [delivery] = db.inserted.notification_deliveries;
+      expect(delivery).toMatchObject({
+        notificationId,
+        recipientId: "user_1",
+        recipientWing: "A",
+        deliveryStatus: "sent",
+        deliveredAt: at,
+      });
+    });
+
+    it("should not fail when the websocket server is not running", async () => {
+      const db = createDb();
+
+      await expect(sendInAppNotification(db, {
+        societyId,
+        recipientId: "admin_1",
+        senderName: "Join requests",
+        title: "Join requests waiting for review",
+        message: "A-101: waiting 4 days",
+        category: "join_request_sla",
+        event: "join_request_sla_reminder",
+        toUser: false,
+        toAdminPanel: true,
+        at,
+      })).resolves.toBeInstanceOf(ObjectId);
+      expect(db.inserted.notification_deliveries[0].recipientWing).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Unit tests for payment gateway helpers
+ */
+
+const { signPayload, verifySignature } = require("../../payments/signature");
+const { getProvider, getActiveProvider, registerProvider } = require("../../payments");
+
+describe("Payment gateway helpers", () => {
+  describe("webhook signatures", () => {
+    it("should verify a payload signed with the same secret", () => {
+      const payload = JSON.stringify({ id: "evt_1" });
+      const signature = signPayload(payload, "secret");
+
+      expect(verifySignature(payload, signature, "secret")).toBe(true);
+      expect(verifySignature(Buffer.from(payload), signature.toUpperCase(), "secret")).toBe(true);
+    });
+
+    it("should reject a wrong secret, tampered body or missing signature", () => {
+      const payload = JSON.stringify({ id: "evt_1" });
+      const signature = signPayload(payload, "secret");
+
+      expect(verifySignature(payload, signature, "other")).toBe(false);
+      expect(verifySignature(payload.replace("1", "2"), signature, "secret")).toBe(false);
+      expect(verifySignature(payload, undefined, "secret")).toBe(false);
+      expect(verifySignature(payload, "not-hex", "secret")).toBe(false);
+    });
+  });
+
+  describe("mock provider", () => {
+    const mock = getProvider("mock");
+    const order = { providerOrderId: "mock_order_1", amount: 2500.5, currency: "INR" };
+
+    it("should be the default active provider", () => {
+      expect(getActiveProvider().name).toBe("mock");
+    });
+
+    it("should round-trip a simulated capture through verify and parse", () => {
+      const { rawBody, headers } = mock.simulateWebhook(order, "captured");
+
+      expect(mock.verifyWebhook(rawBody, headers)).toBe(true);
+
+      const event = mock.parseWebhook(JSON.parse(rawBody));
+      expect(event.type).toBe("payment.captured");
+      expect(event.providerOrderId).toBe("mock_order_1");
+      expect(event.amount).toBe(2500.5);
+      expect(event.eventId).toBeTruthy();
+      expect(event.providerPaymentId).toBeTruthy();
+    });
+
+    it("should report failed payments with a reason", () => {
+      const { rawBody } = mock.simulateWebhook(order, "failed");
+      const event = mock.parseWebhook(JSON.parse(rawBody));
+
+      expect(event.type).toBe("payment.failed");
+      expect(event.failureReason).toBeTruthy();
+    });
+
+    it("should reject a webhook with a modified body", () => {
+      const { rawBody, headers } = mock.simulateWebhook(order, "captured");
+      const tampered = rawBody.replace("250050", "100");
+
+      expect(mock.verifyWebhook(tampered, headers)).toBe(false);
+    });
+  });
+
+  it("should refuse to register incomplete providers", () => {
+    expect(() => registerProvider({ name: "broken" })).toThrow(/createOrder/);
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for payment receipt helpers
+ */
+
+const { amountInWords, formatReceiptNumber, describeCoveredMonths } = require("../../utils/receipts");
+const { renderReceiptPdf } = require("../../utils/receiptPdf");
+
+describe("Payment receipt helpers", () => {
+  describe("amountInWords", () => {
+    it("should use Indian numbering", () => {
+      expect(amountInWords(2500)).toBe("Rupees Two Thousand Five Hundred Only");
+      expect(amountInWords(125000)).toBe("Rupees One Lakh Twenty Five Thousand Only");
+      expect(amountInWords(23456789)).toBe(
+        "Rupees Two Crore Thirty Four Lakh Fifty Six Thousand Seven Hundred Eighty Nine Only"
+      );
+    });
+
+    it("should include paise and handle zero", () => {
+      expect(amountInWords(1010.5)).toBe("Rupees One Thousand Ten and Fifty Paise Only");
+      expect(amountInWords(0)).toBe("Rupees Zero Only");
+    });
+  });
+
+  describe("formatReceiptNumber", () => {
+    it("should zero-pad the sequence", () => {
+      expect(formatReceiptNumber(42)).toBe("RCPT-000042");
+    });
+  });
+
+  describe("describeCoveredMonths", () => {
+    it("should list every month of a multi-month payment", () => {
+      expect(describeCoveredMonths({
+        month: "December",
+        year: 2024,
+        coverage: { periods: ["2024-12", "2025-01"] },
+      })).toEqual(["December 2024", "January 2025"]);
+      expect(describeCoveredMonths({ month: "March", year: 2025 })).toEqual(["March 2025"]);
+    });
+  });
+
+  describe("renderReceiptPdf", () => {
+    it("should render a PDF document", async () => {
+      const pdf = await renderReceiptPdf({
+        receiptNumber: "RCPT-000001",
+        society: { name: "Green Meadows", address: "12 Park Road, Pune" },
+        residentName: "Test Resident",
+        wing: "A",
+        flatNumber: "101",
+        months: ["March 2025"],
+        amount: 2500,
+        amountInWords: "Rupees Two Thousand Five Hundred Only",
+        issuedAt: new Date("2025-03-12"),
+        paymentDate: new Date("2025-03-12"),
+        approverName: "Admin",
+        version: 1,
+      });
+
+      expect(Buffer.isBuffer(pdf)).toBe(true);
+      expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+  });
+});
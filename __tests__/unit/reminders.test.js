@@ -0,0 +1,108 @@
+/**
+ * Unit tests for maintenance reminder helpers
+ */
+
+const {
+  validateReminderPolicy,
+  getReminderPolicy,
+  isQuietHours,
+  planReminder,
+} = require("../../utils/reminders");
+
+describe("Maintenance reminder helpers", () => {
+  const policy = getReminderPolicy({
+    maintenance: {
+      reminders: {
+        enabled: true,
+        daysBeforeDue: 3,
+        overdueEveryDays: 7,
+        escalateToWingChairmanAfterDays: 14,
+        escalateToCommitteeAfterDays: 28,
+        quietHours: { start: "21:00", end: "08:00" },
+        timezone: "Asia/Kolkata",
+      },
+    },
+  });
+  const record = {
+    clerkUserId: "resident",
+    wing: "A",
+    flatNumber: "101",
+    amount: 2000,
+    status: "pending",
+    dueDate: new Date("2025-05-10T00:00:00Z"),
+    reminders: [],
+  };
+  // Noon in India
+  const at = date => new Date(`${date}T06:30:00Z`);
+
+  describe("getReminderPolicy", () => {
+    it("should keep reminders off unless enabled", () => {
+      expect(getReminderPolicy({}).enabled).toBe(false);
+      expect(getReminderPolicy({}).overdueEveryDays).toBe(7);
+    });
+  });
+
+  describe("validateReminderPolicy", () => {
+    it("should report malformed fields", () => {
+      expect(validateReminderPolicy({
+        enabled: "yes",
+        overdueEveryDays: -1,
+        quietHours: { start: "9pm", end: "08:00" },
+        timezone: "Mars/Olympus",
+      })).toEqual([
+        "settings.maintenance.reminders.enabled must be a boolean",
+        "settings.maintenance.reminders.overdueEveryDays must be a non-negative whole number",
+        "settings.maintenance.reminders.quietHours must be { start, end } in HH:MM (24 hour) format",
+        "settings.maintenance.reminders.timezone must be an IANA time zone, e.g. Asia/Kolkata",
+      ]);
+    });
+  });
+
+  describe("isQuietHours", () => {
+    it("should handle ranges that cross midnight in the society's time zone", () => {
+      // 22:30 and 07:00 IST are quiet, 12:00 IST is not
+      expect(isQuietHours(new Date("2025-05-10T17:00:00Z"), policy)).toBe(true);
+      expect(isQuietHours(new Date("2025-05-10T01:30:00Z"), policy)).toBe(true);
+      expect(isQuietHours(new Date("2025-05-10T06:30:00Z"), policy)).toBe(false);
+    });
+  });
+
+  describe("planReminder", () => {
+    it("should remind the resident ahead of the due date", () => {
+      expect(planReminder(record, policy, at("2025-05-06"))).toBeNull();
+      expect(planReminder(record, policy, at("2025-05-07"))).toEqual({
+        stage: "before_due",
+        stageKey: "before_due",
+        daysOverdue: 0,
+        audience: ["resident"],
+      });
+    });
+
+    it("should remind on the due date and then every few days while overdue", () => {
+      expect(planReminder(record, policy, at("2025-05-10")).stageKey).toBe("due_date");
+      expect(planReminder({ ...record, status: "overdue" }, policy, at("2025-05-12"))).toBeNull();
+      expect(planReminder({ ...record, status: "overdue" }, policy, at("2025-05-17")).stageKey).toBe("overdue_1");
+      expect(planReminder({ ...record, status: "overdue" }, policy, at("2025-05-24")).stageKey).toBe("overdue_2");
+    });
+
+    it("should widen the audience as the record stays unpaid", () => {
+      const overdue = { ...record, status: "overdue" };
+      expect(planReminder(overdue, policy, at("2025-05-24")).audience).toEqual(["resident", "wing_chairman"]);
+      expect(planReminder(overdue, policy, at("2025-06-07")).audience).toEqual(["resident", "wing_chairman", "committee"]);
+    });
+
+    it("should not repeat a stage or send too soon after another reminder", () => {
+      const sent = { ...record, reminders: [{ sentAt: at("2025-05-07"), stageKey: "before_due" }] };
+      expect(planReminder(sent, policy, at("2025-05-08"))).toBeNull();
+
+      const manual = { ...record, reminders: [{ sentAt: new Date("2025-05-09T12:00:00Z"), channel: "manual" }] };
+      expect(planReminder(manual, policy, at("2025-05-10"))).toBeNull();
+      expect(planReminder(manual, policy, new Date("2025-05-10T10:00:00Z")).stageKey).toBe("due_date");
+    });
+
+    it("should skip records that are paid or awaiting approval", () => {
+      expect(planReminder({ ...record, status: "request_sent" }, policy, at("2025-05-10"))).toBeNull();
+      expect(planReminder({ ...record, settlement: { outstanding: 0 } }, policy, at("2025-05-10"))).toBeNull();
+    });
+  });
+});
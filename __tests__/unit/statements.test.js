@@ -0,0 +1,135 @@
+/**
+ * Unit tests for annual maintenance statement helpers
+ */
+
+const {
+  parseFinancialYear,
+  financialYearOf,
+  localPeriodOf,
+  periodBounds,
+  financialYearPeriods,
+  buildStatement,
+} = require("../../utils/statements");
+const { renderStatementsPdf } = require("../../utils/statementPdf");
+
+describe("Annual statement helpers", () => {
+  describe("parseFinancialYear", () => {
+    it("should run from 1 April to 31 March, Indian time", () => {
+      const fy = parseFinancialYear("2025-26");
+      expect(fy.label).toBe("2025-26");
+      expect(fy.start).toEqual(new Date("2025-03-31T18:30:00Z"));
+      expect(fy.end).toEqual(new Date("2026-03-31T18:30:00Z"));
+    });
+
+    it("should reject malformed labels", () => {
+      expect(parseFinancialYear("2025-27")).toBeNull();
+      expect(parseFinancialYear("2025")).toBeNull();
+      expect(parseFinancialYear(undefined)).toBeNull();
+      expect(parseFinancialYear("1999-00")).not.toBeNull();
+    });
+  });
+
+  describe("financialYearOf", () => {
+    it("should switch years on 1 April in India", () => {
+      expect(financialYearOf(new Date("2026-03-31T18:00:00Z"))).toBe("2025-26");
+      expect(financialYearOf(new Date("2026-03-31T18:30:00Z"))).toBe("2026-27");
+      expect(financialYearOf(new Date("2026-01-15"))).toBe("2025-26");
+    });
+  });
+
+  describe("billing periods", () => {
+    it("should place a date in its Indian-time month", () => {
+      expect(localPeriodOf(new Date("2025-04-30T18:29:00Z"))).toBe("2025-04");
+      expect(localPeriodOf(new Date("2025-04-30T18:30:00Z"))).toBe("2025-05");
+    });
+
+    it("should bound a month on Indian time", () => {
+      expect(periodBounds("2025-12")).toEqual({
+        start: new Date("2025-11-30T18:30:00Z"),
+        end: new Date("2025-12-31T18:30:00Z"),
+      });
+      expect(periodBounds("2025-13")).toBeNull();
+    });
+
+    it("should list a financial year's months from April to March", () => {
+      const periods = financialYearPeriods(parseFinancialYear("2025-26"));
+      expect(periods).toHaveLength(12);
+      expect(periods[0]).toBe("2025-04");
+      expect(periods[8]).toBe("2025-12");
+      expect(periods[11]).toBe("2026-03");
+    });
+  });
+
+  describe("buildStatement", () => {
+    const fy = parseFinancialYear("2025-26");
+    const entry = (postedAt, entryType, direction, amount, category = entryType) => ({
+      postedAt: new Date(postedAt),
+      entryType,
+      direction,
+      amount,
+      category,
+      description: `${category} ${postedAt}`,
+    });
+    const entries = [
+      entry("2025-02-05", "charge", "debit", 2000, "maintenance"),
+      entry("2025-03-10", "payment", "credit", 1500, "maintenance"),
+      entry("2025-04-05", "charge", "debit", 2000, "maintenance"),
+      entry("2025-04-20", "charge", "debit", 100, "late_fee"),
+      entry("2025-05-02", "adjustment", "credit", 100, "late_fee_waiver"),
+      entry("2025-05-03", "payment", "credit", 2500, "online_payment"),
+      entry("2025-06-01", "adjustment", "debit", 50, "manual_adjustment"),
+      entry("2026-04-05", "charge", "debit", 2000, "maintenance"),
+    ];
+
+    it("should carry the earlier balance forward as the opening balance", () => {
+      const statement = buildStatement(entries, fy);
+      expect(statement.openingBalance).toBe(500);
+      expect(statement.closingBalance).toBe(50);
+    });
+
+    it("should total each section and leave out later entries", () => {
+      const statement = buildStatement(entries, fy);
+      expect(statement.totals).toEqual({
+        charges: 2000,
+        lateFees: 100,
+        payments: 2500,
+        waivers: 100,
+        adjustments: 50,
+      });
+      expect(statement.lines).toHaveLength(5);
+      expect(statement.lines.map(line => line.balance)).toEqual([2500, 2600, 2500, 0, 50]);
+      expect(statement.lines[3]).toMatchObject({ section: "payments", debit: 0, credit: 2500 });
+    });
+
+    it("should show a zero statement for a flat with no activity", () => {
+      expect(buildStatement([], fy)).toEqual({
+        openingBalance: 0,
+        closingBalance: 0,
+        totals: { charges: 0, lateFees: 0, payments: 0, waivers: 0, adjustments: 0 },
+        lines: [],
+      });
+    });
+  });
+
+  describe("renderStatementsPdf", () => {
+    it("should render a PDF document", async () => {
+      const fy = parseFinancialYear("2025-26");
+      const statement = {
+        society: { name: "Green Meadows", address: "12 Park Road, Pune" },
+        wing: "A",
+        flatNumber: "101",
+        residents: [{ name: "Test Resident", residentType: "Owner" }],
+        financialYear: fy.label,
+        periodStart: fy.start,
+        periodEnd: new Date(fy.end.getTime() - 1),
+        generatedAt: new Date("2026-04-02"),
+        ...buildStatement([
+          { postedAt: new Date("2025-04-05"), entryType: "charge", direction: "debit", amount: 2000, category: "maintenance", description: "Maintenance for April 2025" },
+        ], fy),
+      };
+
+      const pdf = await renderStatementsPdf([statement, { ...statement, flatNumber: "102" }], "Statements");
+      expect(pdf.subarray(0, 5).toString()).toBe("%PDF-");
+    });
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Unit tests for unit registry helpers
+ */
+
+const {
+  DEFAULT_UNIT_NUMBERING,
+  formatUnitPattern,
+  validateUnitNumbering,
+  getUnitNumbering,
+  generateWingUnits,
+  planUnitSync,
+  deriveOccupancy,
+  validateUnitUpdate,
+} = require("../../utils/units");
+
+describe("Unit registry helpers", () => {
+  const wingA = { _id: "wa", name: "A", floors: 2, flatsPerFloor: 2, defaultFlatType: "2BHK", defaultArea: 850, flats: [{ flatNumber: "202", flatType: "3BHK", area: 1200 }] };
+
+  describe("formatUnitPattern", () => {
+    it("should fill and pad placeholders", () => {
+      expect(formatUnitPattern("{floor}{unit:02}", { floor: 12, unit: 3 })).toBe("1203");
+      expect(formatUnitPattern("{wing}-{floor:02}-{unit}", { wing: "B", floor: 1, unit: 4 })).toBe("B-01-4");
+    });
+  });
+
+  describe("validateUnitNumbering", () => {
+    it("should accept the defaults and partial settings", () => {
+      expect(validateUnitNumbering(DEFAULT_UNIT_NUMBERING)).toEqual([]);
+      expect(validateUnitNumbering({ firstFloor: 0 })).toEqual([]);
+      expect(validateUnitNumbering({ numberPattern: "{wing}{floor}{unit:02}", labelPattern: "{number}" })).toEqual([]);
+    });
+
+    it("should reject patterns that cannot give every flat a distinct number", () => {
+      expect(validateUnitNumbering({ numberPattern: "{floor}", labelPattern: "{number}", firstFloor: -1 })).toEqual([
+        "units.numberPattern must contain {floor} and {unit} so every flat gets a distinct number",
+        "units.labelPattern must contain {wing} unless numberPattern does",
+        "units.firstFloor must be a non-negative whole number",
+      ]);
+      expect(validateUnitNumbering({ numberPattern: "{floor}{unit}{block}" })).toEqual([
+        "units.numberPattern has unknown placeholders: block",
+      ]);
+      expect(validateUnitNumbering("A-101")).toEqual(["units must be an object"]);
+    });
+  });
+
+  describe("generateWingUnits", () => {
+    it("should number flats floor by floor with their profiles", () => {
+      const units = generateWingUnits(wingA, getUnitNumbering({}));
+      expect(units.map(unit => unit.label)).toEqual(["A-101", "A-102", "A-201", "A-202"]);
+      expect(units[3]).toMatchObject({ wingId: "wa", floor: 2, position: 2, flatNumber: "202", flatType: "3BHK", area: 1200 });
+      expect(units[0]).toMatchObject({ flatType: "2BHK", area: 850, parkingSlots: 0 });
+    });
+
+    it("should start from the ground floor when configured", () => {
+      const units = generateWingUnits({ name: "B", floors: 1, flatsPerFloor: 1 }, getUnitNumbering({ units: { firstFloor: 0 } }));
+      expect(units[0].flatNumber).toBe("001");
+    });
+
+    it("should yield nothing for wings without a layout", () => {
+      expect(generateWingUnits({ name: "C" }, getUnitNumbering({}))).toEqual([]);
+    });
+  });
+
+  describe("planUnitSync", () => {
+    const generated = generateWingUnits(wingA, getUnitNumbering({}));
+    const stored = (unit, extra = {}) => ({ _id: `u-${unit.label}`, status: "active", ...unit, ...extra });
+
+    it("should insert every unit on the first sync", () => {
+      const plan = planUnitSync([], generated);
+      expect(plan.insert).toHaveLength(4);
+      expect(plan.update).toEqual([]);
+      expect(plan.retire).toEqual([]);
+    });
+
+    it("should retire slots removed from the layout and leave unchanged units alone", () => {
+      const existing = generated.map(unit => stored(unit));
+      const plan = planUnitSync(existing, generated.slice(0, 2));
+      expect(plan.insert).toEqual([]);
+      expect(plan.update).toEqual([]);
+      expect(plan.retire).toEqual(["u-A-201", "u-A-202"]);
+    });
+
+    it("should renumber units unless they are kept", () => {
+      const existing = generated.map(unit => stored(unit));
+      const renumbered = generateWingUnits(wingA, getUnitNumbering({ units: { numberPattern: "{floor}{unit:03}" } }));
+      const plan = planUnitSync(existing, renumbered, { keepNumber: unit => unit._id === "u-A-101" });
+      expect(plan.update.map(item => item.set.label)).toEqual(["A-1002", "A-2001", "A-2002"]);
+    });
+
+    it("should report generated numbers already taken by a kept unit", () => {
+      const existing = [stored(generated[0], { flatNumber: "102", label: "A-102", customNumber: true })];
+      const plan = planUnitSync(existing, generated);
+      expect(plan.conflicts).toEqual([{ wing: "A", floor: 1, position: 2, label: "A-102", unitId: "u-A-101" }]);
+      expect(plan.insert.map(unit => unit.label)).toEqual(["A-201", "A-202"]);
+    });
+  });
+
+  describe("deriveOccupancy", () => {
+    it("should prefer tenants, then the owner", () => {
+      expect(deriveOccupancy({ owner: { name: "Rao" }, tenants: [{ name: "Iyer" }] })).toBe("tenant_occupied");
+      expect(deriveOccupancy({ owner: { name: "Rao" }, tenants: [] })).toBe("owner_occupied");
+      expect(deriveOccupancy({ owner: null })).toBe("vacant");
+    });
+  });
+
+  describe("validateUnitUpdate", () => {
+    it("should validate edited fields only", () => {
+      expect(validateUnitUpdate({ occupancy: "vacant", owner: null, tenants: [] })).toEqual([]);
+      expect(validateUnitUpdate({
+        flatNumber: " ",
+        area: 0,
+        owner: { contactNumber: "" },
+        tenants: [{ name: "Iyer", since: "soon" }],
+        occupancy: "rented",
+      })).toEqual([
+        "flatNumber must be a non-empty string",
+        "area must be a positive number (sq ft)",
+        "owner.name is required",
+        "owner.contactNumber must be a non-empty string",
+        "tenants[0].since must be a valid date",
+        "occupancy must be one of: vacant, owner_occupied, tenant_occupied",
+      ]);
+    });
+  });
+});
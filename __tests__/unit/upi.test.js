@@ -0,0 +1,81 @@
+/**
+ * Unit tests for UPI payment helpers
+ */
+
+const { ObjectId } = require("mongodb");
+const {
+  validateUpiSettings,
+  buildTransactionRef,
+  parseTransactionRef,
+  buildUpiIntentUri,
+  renderUpiQr,
+} = require("../../utils/upi");
+
+describe("UPI payment helpers", () => {
+  describe("validateUpiSettings", () => {
+    it("should accept a VPA and payee name", () => {
+      expect(validateUpiSettings({ vpa: "green.park@okhdfcbank", payeeName: "Green Park CHS" })).toEqual([]);
+      expect(validateUpiSettings({ vpa: "society@ybl", payeeName: "Society", merchantCode: "6513" })).toEqual([]);
+    });
+
+    it("should reject malformed values", () => {
+      expect(validateUpiSettings({ vpa: "not-a-vpa", payeeName: "Society" })).toHaveLength(1);
+      expect(validateUpiSettings({ vpa: "society@ybl", payeeName: " " })).toHaveLength(1);
+      expect(validateUpiSettings({ vpa: "society@ybl", payeeName: "Society", merchantCode: "65" })).toHaveLength(1);
+      expect(validateUpiSettings("society@ybl")).toHaveLength(1);
+    });
+  });
+
+  describe("transaction references", () => {
+    const recordId = new ObjectId("65f1c2a9b3e4d5f6a7b8c9d0");
+
+    it("should round-trip a record ID", () => {
+      const ref = buildTransactionRef(recordId);
+      expect(ref).toBe("OS65F1C2A9B3E4D5F6A7B8C9D0");
+      expect(ref.length).toBeLessThanOrEqual(35);
+      expect(parseTransactionRef(ref).equals(recordId)).toBe(true);
+    });
+
+    it("should find a reference inside a narration", () => {
+      expect(parseTransactionRef("UPI/512345678901/os65f1c2a9b3e4d5f6a7b8c9d0 Mar").equals(recordId)).toBe(true);
+      expect(parseTransactionRef("UPI/512345678901/RENT")).toBeNull();
+      expect(parseTransactionRef(undefined)).toBeNull();
+    });
+  });
+
+  describe("buildUpiIntentUri", () => {
+    it("should encode the payee, exact amount and reference", () => {
+      const uri = buildUpiIntentUri({
+        vpa: "green.park@okhdfcbank",
+        payeeName: "Green Park CHS",
+        amount: 2500,
+        transactionRef: "OS65F1C2A9B3E4D5F6A7B8C9D0",
+        note: "OS65F1C2A9B3E4D5F6A7B8C9D0 April 2025 A-101",
+      });
+
+      expect(uri.startsWith("upi://pay?")).toBe(true);
+      const params = new URLSearchParams(uri.slice("upi://pay?".length));
+      expect(params.get("pa")).toBe("green.park@okhdfcbank");
+      expect(params.get("pn")).toBe("Green Park CHS");
+      expect(params.get("am")).toBe("2500.00");
+      expect(params.get("cu")).toBe("INR");
+      expect(params.get("tr")).toBe("OS65F1C2A9B3E4D5F6A7B8C9D0");
+      expect(params.get("tn")).toBe("OS65F1C2A9B3E4D5F6A7B8C9D0 April 2025 A-101");
+      expect(params.has("mc")).toBe(false);
+    });
+  });
+
+  describe("renderUpiQr", () => {
+    const uri = "upi://pay?pa=society%40ybl&pn=Society&am=100.00&cu=INR";
+
+    it("should render a PNG", async () => {
+      const png = await renderUpiQr(uri, "png");
+      expect(png.subarray(1, 4).toString()).toBe("PNG");
+    });
+
+    it("should render an SVG", async () => {
+      const svg = await renderUpiQr(uri, "svg");
+      expect(svg).toContain("<svg");
+    });
+  });
+});
@@ -19,6 +19,7 @@ const {
   sanitizeRequest,
 } = require("./middleware/security");
 const { initializeWebSocket } = require("./middleware/websocket");
+const { startScheduledJobs, stopScheduledJobs } = require("./jobs/scheduler");
 
 const app = express();
 const server = http.createServer(app);
@@ -68,6 +69,7 @@ const corsOptions = {
     "Access-Control-Request-Method",
     "Access-Control-Request-Headers",
     "ngrok-skip-browser-warning", // Allow ngrok skip header
+    "Idempotency-Key",
   ],
   exposedHeaders: ["Content-Length", "X-Request-ID"],
   preflightContinue: false,
@@ -83,7 +85,17 @@ app.use((req, res, next) => {
 });
 
 // Body parsing middleware
-app.use(express.json({ limit: "10mb" }));
+app.use(
+  express.json({
+    limit: "10mb",
+    // Payment webhooks are signed over the exact bytes received
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith("/api/payments/webhooks/")) {
+        req.rawBody = buf;
+      }
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true }));
 
 // Request sanitization
@@ -121,6 +133,7 @@ const adminMaintenanceRoutes = require("./routes/admin/maintenance");
 const eventRoutes = require("./routes/events");
 const adminEventRoutes = require("./routes/admin/events");
 const uploadthingRoutes = require("./routes/uploadthing");
+const paymentRoutes = require("./routes/payments");
 
 app.use("/api/users", userRoutes);
 app.use("/api/societies", societyRoutes);
@@ -134,6 +147,7 @@ app.use("/api/admin", adminRoutes);
 app.use("/api/admin/maintenance", adminMaintenanceRoutes);
 app.use("/api/admin/events", adminEventRoutes);
 app.use("/api/uploadthing", uploadthingRoutes);
+app.use("/api/payments", paymentRoutes);
 
 // API endpoint to serve maintenance images with proper CORS
 app.get("/api/maintenance/image/:filename", (req, res) => {
@@ -180,12 +194,14 @@ app.use(errorHandler);
 // Graceful shutdown
 process.on("SIGINT", async () => {
   console.log("\nReceived SIGINT. Graceful shutdown...");
+  stopScheduledJobs();
   await dbConnection.disconnect();
   process.exit(0);
 });
 
 process.on("SIGTERM", async () => {
   console.log("\nReceived SIGTERM. Graceful shutdown...");
+  stopScheduledJobs();
   await dbConnection.disconnect();
   process.exit(0);
 });
@@ -194,11 +210,14 @@ process.on("SIGTERM", async () => {
 async function startServer() {
   try {
     // Connect to database first
-    await dbConnection.connect();
+    const db = await dbConnection.connect();
 
     // Initialize WebSocket server
     initializeWebSocket(server);
 
+    // Start background jobs (late fees, etc.)
+    startScheduledJobs(db);
+
     // Start the server
     server.listen(PORT, "0.0.0.0", () => {
       console.log(`🚀 Server is running on http://localhost:${PORT}`);
@@ -0,0 +1,109 @@
+const { logger } = require("../middleware/errorHandler");
+const MaintenanceService = require("../models/services/MaintenanceService");
+const MaintenanceReminderService = require("../models/services/MaintenanceReminderService");
+const JoinRequestSlaService = require("../models/services/JoinRequestSlaService");
+
+/**
+ * Background job scheduler
+ * Runs periodic maintenance sweeps, reminders and join request SLA checks
+ * while the server is up
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const timers = [];
+
+/**
+ * Register a job that runs on an interval, skipping a tick if the
+ * previous run has not finished yet
+ * @param {string} name - Job name used in logs
+ * @param {number} intervalMs - Interval between runs
+ * @param {Function} task - Async function to execute
+ */
+function scheduleJob(name, intervalMs, task) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      logger.warn(`Skipping scheduled job ${name}: previous run still in progress`);
+      return;
+    }
+
+    running = true;
+    try {
+      const result = await task();
+      logger.info(`Scheduled job ${name} completed`, { result });
+    } catch (error) {
+      logger.error(`Scheduled job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(run, intervalMs);
+  timer.unref();
+  timers.push(timer);
+
+  return run;
+}
+
+/**
+ * Start all scheduled jobs
+ * @param {Db} db - Connected database instance
+ */
+function startScheduledJobs(db) {
+  const maintenanceService = new MaintenanceService(db);
+
+  scheduleJob(
+    "maintenance_late_fees",
+    parseInt(process.env.LATE_FEE_SWEEP_INTERVAL_MS, 10) || HOUR_MS,
+    async () => {
+      const result = await maintenanceService.applyLateFees();
+      if (!result.success) throw new Error(result.error);
+      return result.data;
+    }
+  );
+
+  const reminderService = new MaintenanceReminderService(db);
+
+  scheduleJob(
+    "maintenance_reminders",
+    parseInt(process.env.REMINDER_INTERVAL_MS, 10) || HOUR_MS,
+    async () => {
+      const result = await reminderService.sendDueReminders();
+      if (!result.success) throw new Error(result.error);
+      const { results, ...summary } = result.data;
+      return summary;
+    }
+  );
+
+  const joinRequestSlaService = new JoinRequestSlaService(db);
+
+  scheduleJob(
+    "join_request_sla",
+    parseInt(process.env.JOIN_REQUEST_SLA_INTERVAL_MS, 10) || HOUR_MS,
+    async () => {
+      const result = await joinRequestSlaService.runDueSla();
+      if (!result.success) throw new Error(result.error);
+      const { results, ...summary } = result.data;
+      return summary;
+    }
+  );
+
+  logger.info(`Scheduled ${timers.length} background job(s)`);
+}
+
+/**
+ * Stop all scheduled jobs
+ */
+function stopScheduledJobs() {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+}
+
+module.exports = {
+  scheduleJob,
+  startScheduledJobs,
+  stopScheduledJobs,
+};
@@ -31,6 +31,10 @@ const ROLE_PERMISSIONS = {
     "forum:moderate",
     "join_requests:*",
     "events:*",
+    "expenses:*",
+    "utilities:*",
+    "accounts:*",
+    "units:*",
   ],
   [ADMIN_ROLES.WING_CHAIRMAN]: [
     "maintenance:read",
@@ -49,6 +53,9 @@ const ROLE_PERMISSIONS = {
     "join_requests:approve",
     "events:read",
     "events:create",
+    "utilities:read",
+    "utilities:write",
+    "units:read",
   ],
   [ADMIN_ROLES.MODERATOR]: [
     "forum:*",
@@ -389,6 +396,14 @@ const requireAdmin = (req, res, next) => {
   }
 };
 
+/**
+ * Wings a wing chairman may see; null means the whole society
+ */
+const getAllowedWings = (adminUser) => {
+  if (adminUser.role !== ADMIN_ROLES.WING_CHAIRMAN) return null;
+  return adminUser.assignedWings?.length > 0 ? adminUser.assignedWings : [adminUser.wing];
+};
+
 /**
  * Filter data based on wing restrictions for wing chairmen
  */
@@ -659,6 +674,7 @@ module.exports = {
   requireSuperAdmin,
   requireAdmin,
   filterByWingAccess,
+  getAllowedWings,
   logAdminAction,
   adminSessionManager,
   adminRateLimit,
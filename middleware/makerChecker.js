@@ -0,0 +1,64 @@
+const dbConnection = require("../config/database");
+const { logAdminAction } = require("./adminAuth");
+const ApprovalService = require("../models/services/ApprovalService");
+const { APPROVAL_ACTIONS } = require("../utils/approvals");
+
+/**
+ * Format an amount for approval summaries
+ * @param {number} amount - Amount in rupees
+ * @returns {string}
+ */
+const formatRupees = (amount) =>
+  `₹${(Number(amount) || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 })}`;
+
+/**
+ * Park an admin action for a second admin when the society's approval policy
+ * requires it. Responds 202 with the pending approval (or an error) and
+ * returns true when the route must stop; returns false when the action can
+ * go ahead now.
+ * @param {object} req - Request with req.adminUser
+ * @param {object} res - Response
+ * @param {object} action - { actionType, amount, targetKey, wing, params, summary, excludedCheckers }
+ * @returns {Promise<boolean>}
+ */
+const holdForSecondAdmin = async (req, res, action) => {
+  const approvalService = new ApprovalService(dbConnection.getDb());
+  const holdResult = await approvalService.holdIfRequired(req.adminUser.societyId, {
+    ...action,
+    requestedBy: req.adminUser.clerkUserId,
+    requestedByName: req.adminUser.name,
+  });
+
+  if (!holdResult.success) {
+    res.status(/already waiting/.test(holdResult.error || "") ? 409 : 500).json({
+      success: false,
+      message: holdResult.error || "Failed to check the approval policy",
+    });
+    return true;
+  }
+
+  if (!holdResult.data.required) {
+    return false;
+  }
+
+  const { approval } = holdResult.data;
+  await logAdminAction(req.adminUser, "request_approval", APPROVAL_ACTIONS[action.actionType].resource, {
+    approvalId: approval._id,
+    actionType: approval.actionType,
+    amount: approval.amount,
+    summary: approval.summary,
+    ipAddress: req.ip,
+  });
+
+  res.status(202).json({
+    success: true,
+    message: "This action needs a second admin and will take effect once another admin confirms it",
+    data: { approval },
+  });
+  return true;
+};
+
+module.exports = {
+  formatRupees,
+  holdForSecondAdmin,
+};
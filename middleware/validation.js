@@ -255,6 +255,11 @@ const validateContact = validate(schemas.contact, 'body');
 const validateContactUpdate = validate(schemas.contactUpdate, 'body');
 const validateMaintenancePayment = validate(schemas.maintenancePayment, 'body');
 const validateObjectId = validate(Joi.object({ id: schemas.objectId }), 'params');
+// Named ObjectId route params, e.g. validateObjectIds('expenseId', 'billId')
+const validateObjectIds = (...params) => validate(
+  Joi.object(Object.fromEntries(params.map(param => [param, schemas.objectId.required()]))),
+  'params'
+);
 const validatePagination = validate(schemas.pagination, 'query');
 const validateSearch = validate(schemas.search, 'query');
 const validateEventData = validate(schemas.eventData, 'body');
@@ -271,6 +276,7 @@ module.exports = {
   validateContactUpdate,
   validateMaintenancePayment,
   validateObjectId,
+  validateObjectIds,
   validatePagination,
   validateSearch,
   validateEventData
@@ -185,6 +185,8 @@ function emitMaintenanceStatusChange(societyId, statusData) {
       userId: statusData.userId,
       userName: statusData.userName,
       status: statusData.status, // 'approved', 'rejected'
+      previousStatus: statusData.previousStatus,
+      event: statusData.event, // lifecycle event in utils/maintenanceStatus
       approvedBy: statusData.approvedBy,
       reason: statusData.reason,
       timestamp: new Date(),
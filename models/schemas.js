@@ -1,4 +1,13 @@
 const { ObjectId } = require("mongodb");
+const { validateUpiSettings } = require("../utils/upi");
+const { validateChargeHeads } = require("../utils/billing");
+const { validateReminderPolicy } = require("../utils/reminders");
+const { validateLateFeeSettings } = require("../utils/lateFees");
+const { validateApprovalPolicy } = require("../utils/approvals");
+const { validateUtilitySettings } = require("../utils/meters");
+const { validateUnitNumbering } = require("../utils/units");
+const { validateJoinRequestSettings } = require("../utils/joinRequests");
+const { MAINTENANCE_STATUSES } = require("../utils/maintenanceStatus");
 
 /**
  * Database Schema Definitions and Validation Functions
@@ -33,6 +42,7 @@ const UserSchema = {
   societyName: { type: "string", required: true },
   wing: { type: "string", required: true },
   flatNumber: { type: "string", required: false },
+  unitId: { type: "ObjectId", required: false }, // units registry entry for wing + flatNumber
   residentType: {
     type: "string",
     required: true,
@@ -199,6 +209,37 @@ const SocietySchema = {
   updatedAt: { type: "Date", required: true },
 };
 
+/**
+ * Validate settings.maintenance.rates. A rate either sets ownerAmount and
+ * tenantAmount, or is composed of chargeHeads (fixed, per_sqft, flat_type,
+ * per_parking_slot) priced from each flat's profile.
+ */
+const validateMaintenanceRates = (rates) => {
+  const errors = [];
+
+  rates.forEach((rate, index) => {
+    const path = `settings.maintenance.rates[${index}]`;
+    if (!rate.fromDate || typeof rate.fromDate !== "string") {
+      errors.push(`${path}.fromDate is required and must be a string`);
+    }
+    if (rate.toDate !== null && rate.toDate !== undefined && typeof rate.toDate !== "string") {
+      errors.push(`${path}.toDate must be a string or null`);
+    }
+    if (rate.chargeHeads !== undefined) {
+      errors.push(...validateChargeHeads(rate.chargeHeads, `${path}.chargeHeads`));
+      return;
+    }
+    if (typeof rate.ownerAmount !== "number" || rate.ownerAmount < 0) {
+      errors.push(`${path}.ownerAmount must be a non-negative number`);
+    }
+    if (typeof rate.tenantAmount !== "number" || rate.tenantAmount < 0) {
+      errors.push(`${path}.tenantAmount must be a non-negative number`);
+    }
+  });
+
+  return errors;
+};
+
 const validateSociety = (societyData) => {
   const errors = [];
 
@@ -252,20 +293,37 @@ const validateSociety = (societyData) => {
 
     // Validate maintenance rates if provided
     if (societyData.settings.maintenance && Array.isArray(societyData.settings.maintenance.rates)) {
-      societyData.settings.maintenance.rates.forEach((rate, index) => {
-        if (!rate.fromDate || typeof rate.fromDate !== "string") {
-          errors.push(`settings.maintenance.rates[${index}].fromDate is required and must be a string`);
-        }
-        if (rate.toDate !== null && rate.toDate !== undefined && typeof rate.toDate !== "string") {
-          errors.push(`settings.maintenance.rates[${index}].toDate must be a string or null`);
-        }
-        if (typeof rate.ownerAmount !== "number" || rate.ownerAmount < 0) {
-          errors.push(`settings.maintenance.rates[${index}].ownerAmount must be a non-negative number`);
-        }
-        if (typeof rate.tenantAmount !== "number" || rate.tenantAmount < 0) {
-          errors.push(`settings.maintenance.rates[${index}].tenantAmount must be a non-negative number`);
-        }
-      });
+      errors.push(...validateMaintenanceRates(societyData.settings.maintenance.rates));
+    }
+
+    // Validate late fee policy if provided
+    const maintenanceSettings = societyData.settings.maintenance;
+    if (maintenanceSettings) {
+      errors.push(...validateLateFeeSettings(maintenanceSettings));
+      if (maintenanceSettings.reminders !== undefined && maintenanceSettings.reminders !== null) {
+        errors.push(...validateReminderPolicy(maintenanceSettings.reminders));
+      }
+    }
+
+    // Validate UPI payee details if provided
+    if (societyData.settings.upi !== undefined && societyData.settings.upi !== null) {
+      errors.push(...validateUpiSettings(societyData.settings.upi));
+    }
+
+    if (societyData.settings.approvals !== undefined && societyData.settings.approvals !== null) {
+      errors.push(...validateApprovalPolicy(societyData.settings.approvals));
+    }
+
+    if (societyData.settings.utilities !== undefined && societyData.settings.utilities !== null) {
+      errors.push(...validateUtilitySettings(societyData.settings.utilities));
+    }
+
+    if (societyData.settings.units !== undefined && societyData.settings.units !== null) {
+      errors.push(...validateUnitNumbering(societyData.settings.units));
+    }
+
+    if (societyData.settings.joinRequests !== undefined && societyData.settings.joinRequests !== null) {
+      errors.push(...validateJoinRequestSettings(societyData.settings.joinRequests));
     }
 
     if (typeof societyData.settings.allowTenantForumAccess !== "boolean") {
@@ -285,6 +343,7 @@ const MaintenanceSchema = {
   clerkUserId: { type: "string", required: true },
   wing: { type: "string", required: true },
   flatNumber: { type: "string", required: true },
+  unitId: { type: "ObjectId", required: false },
   month: { type: "string", required: true }, // 'YYYY-MM' format
   amount: { type: "number", required: true },
   dueDate: { type: "Date", required: true },
@@ -292,8 +351,9 @@ const MaintenanceSchema = {
   status: {
     type: "string",
     required: true,
-    enum: ["pending", "paid", "overdue"],
+    enum: MAINTENANCE_STATUSES, // moves are defined in utils/maintenanceStatus
   },
+  statusHistory: { type: "array", required: false }, // { from, to, event, at, by, reason }
   paymentMethod: { type: "string", required: false },
   transactionId: { type: "string", required: false },
   notes: { type: "string", required: false },
@@ -346,9 +406,9 @@ const validateMaintenance = (maintenanceData) => {
     errors.push("dueDate is required and must be a valid Date");
   }
 
-  if (!["pending", "paid", "overdue"].includes(maintenanceData.status)) {
+  if (!MAINTENANCE_STATUSES.includes(maintenanceData.status)) {
     errors.push(
-      "status is required and must be one of: pending, paid, overdue"
+      `status is required and must be one of: ${MAINTENANCE_STATUSES.join(", ")}`
     );
   }
 
@@ -528,6 +588,7 @@ const JoinRequestSchema = {
   requestedData: {
     wing: { type: "string", required: true },
     flatNumber: { type: "string", required: false },
+    unitId: { type: "ObjectId", required: false },
     residentType: {
       type: "string",
       required: true,
@@ -539,6 +600,7 @@ const JoinRequestSchema = {
   documents: {
     type: "array",
     items: {
+      documentId: { type: "ObjectId", required: false },
       type: {
         type: "string",
         required: true,
@@ -546,18 +608,41 @@ const JoinRequestSchema = {
       },
       url: { type: "string", required: true },
       uploadedAt: { type: "Date", required: true },
+      // Each upload is reviewed on its own; a new upload of a type replaces the previous one
+      status: {
+        type: "string",
+        required: false,
+        enum: ["pending", "verified", "rejected", "reupload_requested", "replaced"],
+        default: "pending",
+      },
+      reviewedBy: { type: "string", required: false },
+      reviewedAt: { type: "Date", required: false },
+      rejectionReason: { type: "string", required: false },
+      replacedAt: { type: "Date", required: false },
     },
     default: [],
   },
+  // Residents or applicants already on the flat when the request was made
+  conflicts: { type: "array", required: false, default: [] }, // { type, message, source, clerkUserId, residentType }
+  // Set when the applicant joined by redeeming an admin's invite code
+  invite: {
+    inviteId: { type: "ObjectId", required: false },
+    code: { type: "string", required: false },
+  },
   status: {
     type: "string",
     required: true,
-    enum: ["pending", "approved", "rejected"],
+    enum: ["pending", "approved", "rejected", "expired"],
     default: "pending",
   },
-  reviewedBy: { type: "string", required: false },
+  reviewedBy: { type: "string", required: false }, // 'system' for expired requests
   reviewedAt: { type: "Date", required: false },
   rejectionReason: { type: "string", required: false },
+  // Expired when the applicant didn't supply outstanding documents in time
+  expiredAt: { type: "Date", required: false },
+  expiryReason: { type: "string", required: false },
+  // Review SLA reminders and escalations sent to admins about this request
+  slaReminders: { type: "array", required: false, default: [] }, // { stage: reminder|escalation, sentAt, recipients }
   createdAt: { type: "Date", required: true },
   updatedAt: { type: "Date", required: true },
 };
@@ -726,6 +811,7 @@ const DatabaseIndexes = {
     { key: { clerkUserId: 1 }, options: { unique: true } },
     { key: { societyId: 1 }, options: {} },
     { key: { societyId: 1, wing: 1 }, options: {} },
+    { key: { unitId: 1 }, options: { partialFilterExpression: { unitId: { $exists: true } } } },
   ],
   societies: [{ key: { name: 1 }, options: { unique: true } }],
   maintenance: [
@@ -733,6 +819,113 @@ const DatabaseIndexes = {
     { key: { clerkUserId: 1, month: 1 }, options: {} },
     { key: { societyId: 1, status: 1 }, options: {} },
     { key: { dueDate: 1 }, options: {} },
+    { key: { societyId: 1, transactionId: 1 }, options: {} },
+    { key: { societyId: 1, "paymentProof.contentHash": 1 }, options: {} },
+    { key: { societyId: 1, "settlement.outstanding": 1 }, options: {} },
+    {
+      key: { societyId: 1, wing: 1, flatNumber: 1, year: 1, month: 1 },
+      options: { name: "monthly_bill_per_flat", unique: true, partialFilterExpression: { chargeType: "maintenance" } },
+    },
+    { key: { "levy.levyId": 1 }, options: { partialFilterExpression: { chargeType: "levy" } } },
+    { key: { unitId: 1, dueDate: -1 }, options: { partialFilterExpression: { unitId: { $exists: true } } } },
+    {
+      key: { societyId: 1, wing: 1, flatNumber: 1, billingPeriod: 1 },
+      options: { unique: true, partialFilterExpression: { chargeType: "utility" } },
+    },
+  ],
+  levies: [
+    { key: { societyId: 1, createdAt: -1 }, options: {} },
+  ],
+  maintenance_billing_runs: [
+    { key: { societyId: 1, period: 1 }, options: { unique: true } },
+  ],
+  maintenance_ledger: [
+    { key: { societyId: 1, wing: 1, flatNumber: 1, postedAt: 1 }, options: {} },
+    { key: { maintenanceId: 1 }, options: {} },
+    { key: { societyId: 1, entryType: 1, postedAt: 1 }, options: {} },
+    {
+      key: { societyId: 1, sourceKey: 1 },
+      options: { unique: true, partialFilterExpression: { sourceKey: { $exists: true } } },
+    },
+  ],
+  maintenance_receipts: [
+    { key: { maintenanceId: 1 }, options: { unique: true } },
+    { key: { societyId: 1, receiptNumber: 1 }, options: { unique: true } },
+  ],
+  maintenance_receipt_counters: [
+    { key: { societyId: 1 }, options: { unique: true } },
+  ],
+  bank_statement_imports: [
+    { key: { societyId: 1, createdAt: -1 }, options: {} },
+  ],
+  expenses: [
+    { key: { societyId: 1, expenseDate: -1 }, options: {} },
+    { key: { societyId: 1, status: 1, period: 1 }, options: {} },
+  ],
+  expense_categories: [
+    { key: { societyId: 1, nameKey: 1 }, options: { unique: true } },
+  ],
+  vendors: [
+    { key: { societyId: 1, name: 1 }, options: {} },
+  ],
+  units: [
+    { key: { societyId: 1, wing: 1, floor: 1, position: 1 }, options: {} },
+    { key: { societyId: 1, label: 1 }, options: {} },
+    { key: { societyId: 1, wing: 1, flatNumber: 1, status: 1 }, options: {} },
+    { key: { "owner.clerkUserId": 1 }, options: {} },
+    { key: { "tenants.clerkUserId": 1 }, options: {} },
+  ],
+  society_invites: [
+    { key: { code: 1 }, options: { unique: true } },
+    { key: { societyId: 1, createdAt: -1 }, options: {} },
+  ],
+  utility_meters: [
+    { key: { societyId: 1, serialNumber: 1 }, options: { unique: true } },
+    { key: { societyId: 1, wing: 1, flatNumber: 1 }, options: {} },
+  ],
+  meter_readings: [
+    { key: { meterId: 1, period: 1 }, options: { unique: true } },
+    { key: { societyId: 1, period: 1, status: 1 }, options: {} },
+  ],
+  gl_accounts: [
+    { key: { societyId: 1, code: 1 }, options: { unique: true } },
+    {
+      key: { societyId: 1, systemKey: 1 },
+      options: { unique: true, partialFilterExpression: { systemKey: { $type: "string" } } },
+    },
+    {
+      key: { societyId: 1, categoryId: 1 },
+      options: { unique: true, partialFilterExpression: { categoryId: { $exists: true } } },
+    },
+  ],
+  gl_vouchers: [
+    { key: { societyId: 1, date: 1 }, options: {} },
+    { key: { societyId: 1, "lines.accountId": 1, date: 1 }, options: {} },
+    {
+      key: { societyId: 1, sourceKey: 1 },
+      options: { unique: true, partialFilterExpression: { sourceKey: { $type: "string" } } },
+    },
+  ],
+  gl_voucher_counters: [
+    { key: { societyId: 1, voucherType: 1 }, options: { unique: true } },
+  ],
+  pending_approvals: [
+    { key: { societyId: 1, status: 1, createdAt: -1 }, options: {} },
+    {
+      key: { societyId: 1, targetKey: 1 },
+      options: { unique: true, partialFilterExpression: { status: "pending" } },
+    },
+  ],
+  payment_orders: [
+    { key: { provider: 1, providerOrderId: 1 }, options: { unique: true } },
+    { key: { clerkUserId: 1, createdAt: -1 }, options: {} },
+  ],
+  payment_webhook_events: [
+    { key: { provider: 1, eventId: 1 }, options: { unique: true } },
+  ],
+  payment_idempotency_keys: [
+    { key: { scope: 1, key: 1 }, options: { unique: true } },
+    { key: { createdAt: 1 }, options: { expireAfterSeconds: 7 * 24 * 60 * 60 } },
   ],
   forums: [
     { key: { societyId: 1, createdAt: -1 }, options: {} },
@@ -757,6 +950,7 @@ module.exports = {
   // Validation functions
   validateUser,
   validateSociety,
+  validateMaintenanceRates,
   validateMaintenance,
   validateForum,
   validateContact,
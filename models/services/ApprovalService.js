@@ -0,0 +1,497 @@
+const BaseService = require('./BaseService');
+const { ObjectId } = require('mongodb');
+const MaintenanceService = require('./MaintenanceService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const BankReconciliationService = require('./BankReconciliationService');
+const ExpenseService = require('./ExpenseService');
+const {
+  APPROVAL_ACTIONS,
+  getApprovalPolicy,
+  requiresSecondApproval,
+  checkerError,
+} = require('../../utils/approvals');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Admin role from middleware/adminAuth, which can't be required at load time
+// because it loads the service index
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+/**
+ * Approval Service
+ * Maker-checker for money-moving admin actions. When a society's policy says
+ * an action needs a second admin, the request is parked in
+ * `pending_approvals` with everything needed to carry it out, and only runs
+ * once a different, eligible admin confirms it.
+ */
+class ApprovalService extends BaseService {
+  constructor(db) {
+    super(db, 'pending_approvals');
+    this.societies = db.collection('societies');
+    this.users = db.collection('users');
+  }
+
+  /**
+   * A society's approval policy
+   * @param {string} societyId - Society ID
+   * @returns {Promise<Object>} Approval policy with defaults
+   */
+  async getPolicy(societyId) {
+    const society = await this.societies.findOne(
+      { _id: new ObjectId(societyId) },
+      { projection: { settings: 1 } }
+    );
+    return getApprovalPolicy(society?.settings);
+  }
+
+  /**
+   * Whether an admin's role and wings let them confirm an action
+   * @param {object} admin - { role, wing, assignedWings }
+   * @param {object} approval - Pending approval
+   * @returns {boolean}
+   */
+  isEligibleChecker(admin, approval) {
+    const { hasPermission, getAllowedWings } = require('../../middleware/adminAuth');
+    const definition = APPROVAL_ACTIONS[approval.actionType];
+    if (!definition || !hasPermission(admin.role, definition.resource, definition.permission)) {
+      return false;
+    }
+    const wings = getAllowedWings(admin);
+    if (wings) {
+      return Boolean(approval.wing) && wings.includes(approval.wing);
+    }
+    return true;
+  }
+
+  /**
+   * Admins who could confirm an action, other than those excluded from it
+   * @param {object} approval - Pending approval
+   * @returns {Promise<Array<string>>} Clerk user IDs
+   */
+  async findEligibleCheckers(approval) {
+    const society = await this.societies.findOne(
+      { _id: approval.societyId },
+      { projection: { adminUsers: 1 } }
+    );
+    const admins = await this.users
+      .find(
+        { societyId: approval.societyId, isActive: true, adminRole: { $exists: true, $ne: null } },
+        { projection: { clerkUserId: 1, adminRole: 1, wing: 1, assignedWings: 1 } }
+      )
+      .toArray();
+
+    const candidates = [
+      ...(society?.adminUsers || []).map(clerkUserId => ({ clerkUserId, role: SUPER_ADMIN_ROLE })),
+      ...admins.map(admin => ({ ...admin, role: admin.adminRole }))
+    ];
+    const excluded = new Set([approval.requestedBy, ...(approval.excludedCheckers || [])]);
+
+    return Array.from(new Set(
+      candidates
+        .filter(admin => !excluded.has(admin.clerkUserId) && this.isEligibleChecker(admin, approval))
+        .map(admin => admin.clerkUserId)
+    ));
+  }
+
+  /**
+   * Websocket updates: checkers hear about new requests, requesters about decisions
+   */
+  async notify(approval, event) {
+    try {
+      const { emitToAdmin } = require('../../middleware/websocket');
+      const payload = {
+        type: event,
+        approvalId: approval._id,
+        actionType: approval.actionType,
+        label: APPROVAL_ACTIONS[approval.actionType]?.label,
+        summary: approval.summary,
+        amount: approval.amount,
+        status: approval.status,
+        requestedBy: approval.requestedBy,
+        requestedByName: approval.requestedByName,
+        checkedBy: approval.checkedBy || null,
+        checkedByName: approval.checkedByName || null
+      };
+
+      if (event === 'approval_requested') {
+        const checkers = await this.findEligibleCheckers(approval);
+        checkers.forEach(clerkUserId => emitToAdmin(clerkUserId, event, payload));
+      } else {
+        emitToAdmin(approval.requestedBy, event, payload);
+      }
+    } catch (error) {
+      // Socket.io isn't running (scripts, tests); the pending list is the source of truth
+    }
+  }
+
+  /**
+   * Mark pending approvals past their expiry as expired
+   * @param {ObjectId} societyObjectId - Society ID
+   */
+  async expireStale(societyObjectId) {
+    const now = new Date();
+    await this.collection.updateMany(
+      { societyId: societyObjectId, status: 'pending', expiresAt: { $lte: now } },
+      { $set: { status: 'expired', updatedAt: now } }
+    );
+  }
+
+  /**
+   * Hold an action for a second admin if the society's policy requires it
+   * @param {string} societyId - Society ID
+   * @param {object} action - { actionType, amount, targetKey, wing, params, summary,
+   *   requestedBy, requestedByName, excludedCheckers }
+   * @returns {Promise<{success: boolean, data: {required: boolean, approval?: Object}}>}
+   */
+  async holdIfRequired(societyId, action) {
+    try {
+      const policy = await this.getPolicy(societyId);
+      if (!requiresSecondApproval(policy, action.actionType, action.amount)) {
+        return {
+          success: true,
+          data: { required: false }
+        };
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      await this.expireStale(societyObjectId);
+
+      const existing = await this.collection.findOne({
+        societyId: societyObjectId,
+        targetKey: action.targetKey,
+        status: 'pending'
+      });
+      if (existing) {
+        throw new Error('The same action is already waiting for a second admin to confirm it');
+      }
+
+      const now = new Date();
+      const approval = {
+        societyId: societyObjectId,
+        actionType: action.actionType,
+        targetKey: action.targetKey,
+        wing: action.wing || null,
+        amount: Number(action.amount) || 0,
+        summary: action.summary,
+        params: action.params,
+        status: 'pending',
+        requestedBy: action.requestedBy,
+        requestedByName: action.requestedByName || null,
+        excludedCheckers: action.excludedCheckers || [],
+        policy: {
+          thresholdAmount: policy.thresholdAmount,
+          alwaysRequired: policy.actions.includes(action.actionType)
+        },
+        expiresAt: new Date(now.getTime() + policy.expiryHours * HOUR_MS),
+        createdAt: now,
+        updatedAt: now
+      };
+
+      let result;
+      try {
+        result = await this.collection.insertOne(approval);
+      } catch (error) {
+        if (error.code === 11000) {
+          throw new Error('The same action is already waiting for a second admin to confirm it');
+        }
+        throw error;
+      }
+      const saved = { _id: result.insertedId, ...approval };
+
+      await this.notify(saved, 'approval_requested');
+
+      return {
+        success: true,
+        data: { required: true, approval: saved }
+      };
+    } catch (error) {
+      console.error('Error holding action for approval:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a society's approvals, newest first
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { status, actionType, requestedBy, wings, page, limit }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async listApprovals(societyId, filters = {}) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      await this.expireStale(societyObjectId);
+
+      const query = { societyId: societyObjectId };
+      if (filters.status) query.status = filters.status;
+      if (filters.actionType) query.actionType = filters.actionType;
+      else if (filters.actionTypes) query.actionType = { $in: filters.actionTypes };
+      if (filters.requestedBy) query.requestedBy = filters.requestedBy;
+      if (filters.wings) query.wing = { $in: filters.wings };
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+      const [approvals, total] = await Promise.all([
+        this.collection.find(query).sort({ createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        this.collection.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          approvals,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error listing approvals:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get one approval
+   * @param {string} societyId - Society ID
+   * @param {string} approvalId - Approval ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getApproval(societyId, approvalId) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      await this.expireStale(societyObjectId);
+
+      return {
+        success: true,
+        data: await this.collection.findOne({ _id: new ObjectId(approvalId), societyId: societyObjectId })
+      };
+    } catch (error) {
+      console.error('Error getting approval:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Carry out a confirmed action on behalf of the admin who requested it
+   * @param {object} approval - Approval being confirmed
+   * @returns {Promise<{success: boolean, data: Object|null, error?: string}>}
+   */
+  async execute(approval) {
+    const { params } = approval;
+    const maker = { clerkUserId: approval.requestedBy, name: approval.requestedByName };
+    const societyId = approval.societyId.toString();
+    const maintenanceService = new MaintenanceService(this.db);
+
+    switch (approval.actionType) {
+      case 'payment_approval':
+        if (params.importId) {
+          const reconciliationService = new BankReconciliationService(this.db);
+          const confirmResult = await reconciliationService.confirmMatches(
+            societyId,
+            params.importId,
+            [{ transactionId: params.transactionId, recordId: params.recordId }],
+            maker
+          );
+          if (confirmResult.success && confirmResult.data.failed.length > 0) {
+            return { success: false, error: confirmResult.data.failed[0].error };
+          }
+          return confirmResult;
+        }
+        return maintenanceService.approvePayment(
+          params.recordId,
+          maker.clerkUserId,
+          params.amount,
+          params.months,
+          { approverName: maker.name }
+        );
+      case 'payment_reversal':
+        return maintenanceService.reversePayment(params.recordId, {
+          reason: params.reason,
+          reversedBy: maker.clerkUserId,
+          reversedByName: maker.name
+        });
+      case 'payment_refund':
+        return maintenanceService.refundPayment(params.recordId, {
+          amount: params.amount,
+          reason: params.reason,
+          method: params.method,
+          reference: params.reference,
+          refundedBy: maker.clerkUserId,
+          refundedByName: maker.name
+        });
+      case 'late_fee_waiver':
+        return maintenanceService.waiveLateFee(params.recordId, params.feeId, maker.clerkUserId, params.reason);
+      case 'ledger_adjustment':
+        return new MaintenanceLedgerService(this.db).createAdjustment({
+          societyId,
+          wing: params.wing,
+          flatNumber: params.flatNumber,
+          amount: params.amount,
+          direction: params.direction,
+          reason: params.reason,
+          maintenanceId: params.maintenanceId || null,
+          createdBy: maker.clerkUserId
+        });
+      case 'expense_approval':
+        return new ExpenseService(this.db).approveExpense(societyId, params.expenseId, maker, params.notes);
+      default:
+        return { success: false, error: `Unknown action type ${approval.actionType}` };
+    }
+  }
+
+  /**
+   * Confirm a pending action as the second admin and carry it out. The
+   * caller checks the checker's role and wing with isEligibleChecker.
+   * @param {string} societyId - Society ID
+   * @param {string} approvalId - Approval ID
+   * @param {object} checker - { clerkUserId, name }
+   * @returns {Promise<{success: boolean, data: Object|null, result?: Object}>}
+   */
+  async confirmApproval(societyId, approvalId, checker) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      await this.expireStale(societyObjectId);
+
+      const existing = await this.collection.findOne({ _id: new ObjectId(approvalId), societyId: societyObjectId });
+      if (!existing) {
+        throw new Error('Approval not found');
+      }
+      const refusal = checkerError(existing, checker.clerkUserId);
+      if (refusal) {
+        throw new Error(refusal);
+      }
+
+      // Claim the approval so two checkers can't run the action twice
+      const now = new Date();
+      const claimed = await this.collection.findOneAndUpdate(
+        { _id: existing._id, status: 'pending', requestedBy: { $ne: checker.clerkUserId } },
+        {
+          $set: {
+            status: 'executing',
+            checkedBy: checker.clerkUserId,
+            checkedByName: checker.name || null,
+            checkedAt: now,
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!claimed) {
+        throw new Error('This action was decided by another admin; reload and try again');
+      }
+
+      let outcome;
+      try {
+        outcome = await this.execute(claimed);
+      } catch (error) {
+        outcome = { success: false, error: error.message };
+      }
+
+      const approval = await this.collection.findOneAndUpdate(
+        { _id: claimed._id },
+        {
+          $set: {
+            status: outcome.success ? 'approved' : 'failed',
+            executedAt: new Date(),
+            error: outcome.success ? null : (outcome.error || 'Action failed'),
+            updatedAt: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      await this.notify(approval, 'approval_decided');
+
+      return {
+        success: true,
+        data: approval,
+        result: outcome.success ? outcome.data : null
+      };
+    } catch (error) {
+      console.error('Error confirming approval:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Close a pending action without carrying it out: a checker rejects it or
+   * the requester withdraws it
+   * @param {string} societyId - Society ID
+   * @param {string} approvalId - Approval ID
+   * @param {string} status - rejected or cancelled
+   * @param {object} admin - { clerkUserId, name }
+   * @param {string} reason - Why
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async closeApproval(societyId, approvalId, status, admin, reason) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      await this.expireStale(societyObjectId);
+
+      const existing = await this.collection.findOne({ _id: new ObjectId(approvalId), societyId: societyObjectId });
+      if (!existing) {
+        throw new Error('Approval not found');
+      }
+      if (status === 'rejected') {
+        const refusal = checkerError(existing, admin.clerkUserId);
+        if (refusal) throw new Error(refusal);
+      } else if (existing.requestedBy !== admin.clerkUserId) {
+        throw new Error('Only the admin who requested this action can withdraw it');
+      } else if (existing.status !== 'pending') {
+        throw new Error(`This action is already ${existing.status}`);
+      }
+
+      const now = new Date();
+      const approval = await this.collection.findOneAndUpdate(
+        { _id: existing._id, status: 'pending' },
+        {
+          $set: {
+            status,
+            checkedBy: admin.clerkUserId,
+            checkedByName: admin.name || null,
+            checkedAt: now,
+            reason,
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!approval) {
+        throw new Error('This action was decided by another admin; reload and try again');
+      }
+
+      if (status === 'rejected') {
+        await this.notify(approval, 'approval_decided');
+      }
+
+      return {
+        success: true,
+        data: approval
+      };
+    } catch (error) {
+      console.error(`Error closing approval as ${status}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ApprovalService;
@@ -0,0 +1,375 @@
+const BaseService = require('./BaseService');
+const MaintenanceService = require('./MaintenanceService');
+const { ObjectId } = require('mongodb');
+const {
+  DEFAULT_DATE_WINDOW_DAYS,
+  parseStatement,
+  extractReferences,
+  matchTransactions,
+} = require('../../utils/bankStatement');
+
+// Unpaid statuses a UPI-intent record may still be in when its credit arrives
+const UPI_MATCHABLE_STATUSES = ['pending', 'overdue'];
+
+/**
+ * Bank Reconciliation Service
+ * Imports bank statements and matches their credits to maintenance payment
+ * requests awaiting approval. Matches are only proposals until an admin
+ * confirms them, which approves the payment through MaintenanceService.
+ */
+class BankReconciliationService extends BaseService {
+  constructor(db) {
+    super(db, 'bank_statement_imports');
+  }
+
+  /**
+   * Records of a society waiting for payment approval
+   * @param {ObjectId} societyId - Society ID
+   */
+  async getAwaitingRecords(societyId) {
+    return this.db.collection('maintenance')
+      .find({ societyId: new ObjectId(societyId), status: 'request_sent' })
+      .toArray();
+  }
+
+  /**
+   * Records a statement credit may be matched to: requests awaiting approval
+   * plus unpaid records a UPI intent was generated for, which residents may
+   * have paid without uploading a screenshot
+   * @param {ObjectId} societyId - Society ID
+   */
+  async getMatchableRecords(societyId) {
+    return this.db.collection('maintenance')
+      .find({
+        societyId: new ObjectId(societyId),
+        $or: [
+          { status: 'request_sent' },
+          { status: { $in: UPI_MATCHABLE_STATUSES }, upiIntent: { $exists: true } }
+        ]
+      })
+      .toArray();
+  }
+
+  /**
+   * Parse a statement file, propose matches and store the import
+   * @param {string} societyId - Society ID
+   * @param {object} file - { fileName, content, uploadedBy, dateWindowDays }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async importStatement(societyId, file) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const dateWindowDays = Number.isInteger(file.dateWindowDays) && file.dateWindowDays >= 0
+        ? file.dateWindowDays
+        : DEFAULT_DATE_WINDOW_DAYS;
+
+      const { format, transactions } = parseStatement(file.content, file.fileName);
+      if (transactions.length === 0) {
+        throw new Error('No transactions found in the statement');
+      }
+
+      // Credits already confirmed from an earlier statement are not matched again
+      const previouslyConfirmed = await this.collection.distinct('transactions.externalKey', {
+        societyId: societyObjectId,
+        'transactions.status': 'confirmed'
+      });
+      const confirmedKeys = new Set(previouslyConfirmed);
+
+      const records = await this.getMatchableRecords(societyObjectId);
+      const awaitingCount = records.filter(record => record.status === 'request_sent').length;
+      const statementTransactions = transactions.map(transaction => ({
+        _id: new ObjectId(),
+        ...transaction,
+        externalKey: `${transaction.date.toISOString().slice(0, 10)}|${transaction.amount}|${transaction.externalId}|${transaction.reference || ''}`,
+        references: extractReferences(transaction)
+      }));
+
+      const matchable = statementTransactions.map(transaction =>
+        confirmedKeys.has(transaction.externalKey) ? { ...transaction, direction: 'duplicate' } : transaction
+      );
+      const { matches } = matchTransactions(matchable, records, { dateWindowDays });
+
+      matches.forEach(({ transactionIndex, recordIndex, confidence, level, reasons }) => {
+        const record = records[recordIndex];
+        statementTransactions[transactionIndex].status = 'proposed';
+        statementTransactions[transactionIndex].match = {
+          recordId: record._id,
+          wing: record.wing,
+          flatNumber: record.flatNumber,
+          month: record.month,
+          year: record.year,
+          confidence,
+          level,
+          reasons
+        };
+      });
+
+      statementTransactions.forEach((transaction) => {
+        if (transaction.status) return;
+        if (confirmedKeys.has(transaction.externalKey)) transaction.status = 'already_reconciled';
+        else transaction.status = transaction.direction === 'credit' ? 'unmatched' : 'ignored';
+      });
+
+      const now = new Date();
+      const importDoc = {
+        societyId: societyObjectId,
+        fileName: file.fileName,
+        format,
+        dateWindowDays,
+        uploadedBy: file.uploadedBy,
+        transactions: statementTransactions,
+        summary: this.summarize(
+          statementTransactions,
+          awaitingCount - matches.filter(({ recordIndex }) => records[recordIndex].status === 'request_sent').length
+        ),
+        status: 'pending_review',
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const result = await this.collection.insertOne(importDoc);
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...importDoc }
+      };
+    } catch (error) {
+      console.error('Error importing bank statement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Count transactions per reconciliation status
+   */
+  summarize(transactions, unmatchedRecords) {
+    const count = (status) => transactions.filter(transaction => transaction.status === status).length;
+
+    return {
+      transactions: transactions.length,
+      credits: transactions.filter(transaction => transaction.direction === 'credit').length,
+      proposed: count('proposed'),
+      confirmed: count('confirmed'),
+      unmatchedCredits: count('unmatched'),
+      alreadyReconciled: count('already_reconciled'),
+      unmatchedRecords
+    };
+  }
+
+  /**
+   * List statement imports of a society, newest first
+   * @param {string} societyId - Society ID
+   * @param {number} limit - Max number of imports
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async getImports(societyId, limit = 20) {
+    try {
+      const imports = await this.collection
+        .find({ societyId: new ObjectId(societyId) }, { projection: { transactions: 0 } })
+        .sort({ createdAt: -1 })
+        .limit(parseInt(limit))
+        .toArray();
+
+      return {
+        success: true,
+        data: imports
+      };
+    } catch (error) {
+      console.error('Error getting bank statement imports:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get an import split into proposals and the items needing manual review
+   * @param {string} societyId - Society ID
+   * @param {string} importId - Import ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getImport(societyId, importId) {
+    try {
+      const statementImport = await this.collection.findOne({
+        _id: new ObjectId(importId),
+        societyId: new ObjectId(societyId)
+      });
+
+      if (!statementImport) {
+        return {
+          success: true,
+          data: null
+        };
+      }
+
+      // Records still awaiting approval that no credit in this import points at
+      const proposedRecordIds = new Set(
+        statementImport.transactions
+          .filter(transaction => transaction.match && ['proposed', 'confirmed'].includes(transaction.status))
+          .map(transaction => transaction.match.recordId.toString())
+      );
+      const awaiting = await this.getAwaitingRecords(societyId);
+      const unmatchedRecords = awaiting
+        .filter(record => !proposedRecordIds.has(record._id.toString()))
+        .map(record => ({
+          _id: record._id,
+          clerkUserId: record.clerkUserId,
+          wing: record.wing,
+          flatNumber: record.flatNumber,
+          month: record.month,
+          year: record.year,
+          amount: record.paymentProof?.claimedAmount ?? record.amount,
+          transactionId: record.transactionId || null,
+          uploadedAt: record.paymentProof?.uploadedAt || null
+        }));
+
+      return {
+        success: true,
+        data: {
+          ...statementImport,
+          proposals: statementImport.transactions.filter(transaction => transaction.status === 'proposed'),
+          unmatchedCredits: statementImport.transactions.filter(transaction => transaction.status === 'unmatched'),
+          unmatchedRecords
+        }
+      };
+    } catch (error) {
+      console.error('Error getting bank statement import:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Confirm matches in bulk. Each selection approves the record through
+   * MaintenanceService.approvePayment for the credited amount. Selections
+   * may confirm a proposal or pair an unmatched credit with a record by hand.
+   * @param {string} societyId - Society ID
+   * @param {string} importId - Import ID
+   * @param {Array<{transactionId: string, recordId?: string}>} selections - Credits to confirm
+   * @param {object} approver - { clerkUserId, name }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async confirmMatches(societyId, importId, selections, approver) {
+    try {
+      const statementImport = await this.collection.findOne({
+        _id: new ObjectId(importId),
+        societyId: new ObjectId(societyId)
+      });
+      if (!statementImport) {
+        throw new Error('Statement import not found');
+      }
+
+      const maintenanceService = new MaintenanceService(this.db);
+      const confirmed = [];
+      const failed = [];
+
+      for (const selection of selections) {
+        const transaction = statementImport.transactions.find(
+          item => item._id.toString() === String(selection.transactionId)
+        );
+
+        if (!transaction || transaction.direction !== 'credit') {
+          failed.push({ transactionId: selection.transactionId, error: 'Credit not found in this statement' });
+          continue;
+        }
+        if (transaction.status === 'confirmed' || transaction.status === 'already_reconciled') {
+          failed.push({ transactionId: selection.transactionId, error: 'Credit has already been reconciled' });
+          continue;
+        }
+
+        const recordId = selection.recordId || transaction.match?.recordId?.toString();
+        if (!recordId || !ObjectId.isValid(recordId)) {
+          failed.push({ transactionId: selection.transactionId, error: 'No maintenance record selected for this credit' });
+          continue;
+        }
+
+        const record = await this.db.collection('maintenance').findOne({
+          _id: new ObjectId(recordId),
+          societyId: new ObjectId(societyId)
+        });
+        const matchable = record && (
+          record.status === 'request_sent' ||
+          (UPI_MATCHABLE_STATUSES.includes(record.status) && record.upiIntent)
+        );
+        if (!matchable) {
+          failed.push({ transactionId: selection.transactionId, recordId, error: 'Record is not awaiting approval' });
+          continue;
+        }
+
+        const approval = await maintenanceService.approvePayment(
+          recordId,
+          approver.clerkUserId,
+          transaction.amount,
+          record.monthsCount || 1,
+          { approverName: approver.name }
+        );
+        if (!approval.success) {
+          failed.push({ transactionId: selection.transactionId, recordId, error: approval.error });
+          continue;
+        }
+
+        const now = new Date();
+        await this.db.collection('maintenance').updateOne(
+          { _id: record._id },
+          {
+            $set: {
+              reconciliation: {
+                importId: statementImport._id,
+                statementTransactionId: transaction._id,
+                bankReference: transaction.reference || transaction.references[0] || null,
+                bankDate: transaction.date,
+                amount: transaction.amount,
+                confidence: transaction.match?.recordId?.toString() === recordId ? transaction.match.confidence : null,
+                confirmedBy: approver.clerkUserId,
+                confirmedAt: now
+              }
+            }
+          }
+        );
+
+        await this.collection.updateOne(
+          { _id: statementImport._id, 'transactions._id': transaction._id },
+          {
+            $set: {
+              'transactions.$.status': 'confirmed',
+              'transactions.$.confirmedRecordId': record._id,
+              'transactions.$.confirmedBy': approver.clerkUserId,
+              'transactions.$.confirmedAt': now
+            }
+          }
+        );
+
+        confirmed.push({ transactionId: transaction._id, recordId: record._id, amount: transaction.amount });
+      }
+
+      const updatedImport = await this.collection.findOne({ _id: statementImport._id });
+      const awaitingCount = (await this.getAwaitingRecords(societyId)).length;
+      const summary = this.summarize(updatedImport.transactions, awaitingCount);
+      const openItems = updatedImport.transactions.some(item => ['proposed', 'unmatched'].includes(item.status));
+
+      await this.collection.updateOne(
+        { _id: statementImport._id },
+        { $set: { summary, status: openItems ? 'pending_review' : 'reconciled', updatedAt: new Date() } }
+      );
+
+      return {
+        success: true,
+        data: { confirmed, failed, summary }
+      };
+    } catch (error) {
+      console.error('Error confirming bank statement matches:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = BankReconciliationService;
@@ -0,0 +1,807 @@
+const BaseService = require('./BaseService');
+const GeneralLedgerService = require('./GeneralLedgerService');
+const { ObjectId } = require('mongodb');
+const {
+  DEFAULT_EXPENSE_CATEGORIES,
+  validateExpense,
+  validateVendor,
+  buildProfitAndLoss,
+} = require('../../utils/expenses');
+const {
+  parseFinancialYear,
+  localPeriodOf,
+  periodBounds,
+  financialYearPeriods,
+} = require('../../utils/statements');
+
+const VENDOR_FIELDS = ['name', 'contactName', 'phone', 'email', 'gstin', 'pan', 'address', 'bankDetails', 'notes'];
+const EXPENSE_FIELDS = ['title', 'description', 'amount', 'taxAmount', 'expenseDate', 'paymentMode', 'paymentReference', 'invoiceNumber'];
+
+const trimmed = value => (typeof value === 'string' ? value.trim() : value);
+
+/**
+ * Expense Service
+ * Society outgoings (security agency, common-area electricity, repairs, ...)
+ * with categories, vendors and attached bills. Every expense needs approval
+ * by an admin other than the one who recorded or edited it before it counts
+ * in the income-vs-expense (P&L) report and is posted to the general ledger.
+ */
+class ExpenseService extends BaseService {
+  constructor(db) {
+    super(db, 'expenses');
+    this.categories = db.collection('expense_categories');
+    this.vendors = db.collection('vendors');
+    this.ledger = db.collection('maintenance_ledger');
+    this.generalLedger = new GeneralLedgerService(db);
+  }
+
+  /**
+   * Let the society's other admins know an expense is waiting for approval
+   */
+  notifyPendingApproval(expense) {
+    try {
+      const { emitToSocietyAdmins } = require('../../middleware/websocket');
+      emitToSocietyAdmins(expense.societyId.toString(), 'expense_pending_approval', {
+        type: 'expense_pending_approval',
+        expenseId: expense._id,
+        title: expense.title,
+        amount: expense.amount,
+        categoryName: expense.categoryName,
+        vendorName: expense.vendorName,
+        createdBy: expense.createdBy,
+        createdByName: expense.createdByName,
+        timestamp: new Date()
+      });
+    } catch (error) {
+      // Socket.io isn't running (scripts, tests)
+    }
+  }
+
+  /**
+   * List a society's expense categories, creating the default set the first
+   * time a society uses expenses
+   * @param {string} societyId - Society ID
+   * @param {object} options - { activeOnly }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listCategories(societyId, options = {}) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+
+      if (await this.categories.countDocuments({ societyId: societyObjectId }, { limit: 1 }) === 0) {
+        const now = new Date();
+        await this.categories.insertMany(DEFAULT_EXPENSE_CATEGORIES.map(name => ({
+          societyId: societyObjectId,
+          name,
+          nameKey: name.toLowerCase(),
+          description: '',
+          isDefault: true,
+          isActive: true,
+          createdBy: 'system',
+          createdAt: now,
+          updatedAt: now
+        })), { ordered: false }).catch((error) => {
+          // Another request seeded the defaults first
+          if (error.code !== 11000) throw error;
+        });
+      }
+
+      const query = { societyId: societyObjectId };
+      if (options.activeOnly) query.isActive = true;
+
+      return {
+        success: true,
+        data: await this.categories.find(query).sort({ name: 1 }).toArray()
+      };
+    } catch (error) {
+      console.error('Error listing expense categories:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Add an expense category
+   * @param {string} societyId - Society ID
+   * @param {object} input - { name, description }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createCategory(societyId, input, createdBy) {
+    try {
+      const name = trimmed(input.name);
+      if (typeof name !== 'string' || !name) {
+        throw new Error('Validation failed: name is required');
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const existing = await this.categories.findOne({ societyId: societyObjectId, nameKey: name.toLowerCase() });
+      if (existing) {
+        throw new Error(`An expense category named "${existing.name}" already exists`);
+      }
+
+      const now = new Date();
+      const category = {
+        societyId: societyObjectId,
+        name,
+        nameKey: name.toLowerCase(),
+        description: trimmed(input.description) || '',
+        isDefault: false,
+        isActive: true,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await this.categories.insertOne(category);
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...category }
+      };
+    } catch (error) {
+      console.error('Error creating expense category:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Rename, describe or (de)activate an expense category. Expenses keep the
+   * category name they were recorded with.
+   * @param {string} societyId - Society ID
+   * @param {string} categoryId - Category ID
+   * @param {object} input - { name, description, isActive }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateCategory(societyId, categoryId, input) {
+    try {
+      const update = { updatedAt: new Date() };
+      if (input.name !== undefined) {
+        const name = trimmed(input.name);
+        if (typeof name !== 'string' || !name) {
+          throw new Error('Validation failed: name is required');
+        }
+        const clash = await this.categories.findOne({
+          societyId: new ObjectId(societyId),
+          nameKey: name.toLowerCase(),
+          _id: { $ne: new ObjectId(categoryId) }
+        });
+        if (clash) {
+          throw new Error(`An expense category named "${clash.name}" already exists`);
+        }
+        update.name = name;
+        update.nameKey = name.toLowerCase();
+      }
+      if (input.description !== undefined) update.description = trimmed(input.description) || '';
+      if (input.isActive !== undefined) update.isActive = input.isActive === true;
+
+      const category = await this.categories.findOneAndUpdate(
+        { _id: new ObjectId(categoryId), societyId: new ObjectId(societyId) },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+      if (!category) {
+        throw new Error('Expense category not found');
+      }
+
+      return {
+        success: true,
+        data: category
+      };
+    } catch (error) {
+      console.error('Error updating expense category:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a society's vendors
+   * @param {string} societyId - Society ID
+   * @param {object} options - { activeOnly, search }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listVendors(societyId, options = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (options.activeOnly) query.isActive = true;
+      if (options.search) {
+        query.name = { $regex: String(options.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      }
+
+      return {
+        success: true,
+        data: await this.vendors.find(query).sort({ name: 1 }).toArray()
+      };
+    } catch (error) {
+      console.error('Error listing vendors:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Pick the vendor fields an admin may set, normalised
+   */
+  vendorFields(input) {
+    const fields = {};
+    VENDOR_FIELDS.forEach((field) => {
+      if (input[field] !== undefined) fields[field] = trimmed(input[field]);
+    });
+    if (fields.gstin) fields.gstin = fields.gstin.toUpperCase();
+    if (fields.pan) fields.pan = String(fields.pan).toUpperCase();
+    if (fields.bankDetails?.ifsc) {
+      fields.bankDetails = { ...fields.bankDetails, ifsc: String(fields.bankDetails.ifsc).trim().toUpperCase() };
+    }
+    return fields;
+  }
+
+  /**
+   * Add a vendor
+   * @param {string} societyId - Society ID
+   * @param {object} input - { name, contactName, phone, email, gstin, pan, address, bankDetails, notes }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createVendor(societyId, input, createdBy) {
+    try {
+      const errors = validateVendor(input);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const now = new Date();
+      const vendor = {
+        societyId: new ObjectId(societyId),
+        ...this.vendorFields(input),
+        isActive: true,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await this.vendors.insertOne(vendor);
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...vendor }
+      };
+    } catch (error) {
+      console.error('Error creating vendor:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update a vendor
+   * @param {string} societyId - Society ID
+   * @param {string} vendorId - Vendor ID
+   * @param {object} input - Vendor fields and/or isActive
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateVendor(societyId, vendorId, input) {
+    try {
+      const errors = validateVendor(input, { partial: true });
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const update = { ...this.vendorFields(input), updatedAt: new Date() };
+      if (input.isActive !== undefined) update.isActive = input.isActive === true;
+
+      const vendor = await this.vendors.findOneAndUpdate(
+        { _id: new ObjectId(vendorId), societyId: new ObjectId(societyId) },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+      if (!vendor) {
+        throw new Error('Vendor not found');
+      }
+
+      return {
+        success: true,
+        data: vendor
+      };
+    } catch (error) {
+      console.error('Error updating vendor:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Resolve the category and vendor an expense refers to
+   * @returns {Promise<Object>} Fields to store on the expense
+   */
+  async resolveReferences(societyObjectId, input) {
+    const fields = {};
+
+    if (input.categoryId !== undefined) {
+      const category = ObjectId.isValid(input.categoryId)
+        ? await this.categories.findOne({ _id: new ObjectId(input.categoryId), societyId: societyObjectId, isActive: true })
+        : null;
+      if (!category) {
+        throw new Error('Expense category not found');
+      }
+      fields.categoryId = category._id;
+      fields.categoryName = category.name;
+    }
+
+    if (input.vendorId !== undefined) {
+      if (input.vendorId === null || input.vendorId === '') {
+        fields.vendorId = null;
+        fields.vendorName = null;
+      } else {
+        const vendor = ObjectId.isValid(input.vendorId)
+          ? await this.vendors.findOne({ _id: new ObjectId(input.vendorId), societyId: societyObjectId })
+          : null;
+        if (!vendor) {
+          throw new Error('Vendor not found');
+        }
+        fields.vendorId = vendor._id;
+        fields.vendorName = vendor.name;
+      }
+    }
+
+    return fields;
+  }
+
+  /**
+   * Pick the expense fields an admin may set, normalised
+   */
+  expenseFields(input) {
+    const fields = {};
+    EXPENSE_FIELDS.forEach((field) => {
+      if (input[field] !== undefined) fields[field] = trimmed(input[field]);
+    });
+    if (fields.expenseDate !== undefined) {
+      fields.expenseDate = new Date(fields.expenseDate);
+      fields.period = localPeriodOf(fields.expenseDate);
+    }
+    return fields;
+  }
+
+  /**
+   * Record an expense. It waits for approval by a different admin.
+   * @param {string} societyId - Society ID
+   * @param {object} input - { title, description, categoryId, vendorId, amount, taxAmount, expenseDate,
+   *   paymentMode, paymentReference, invoiceNumber }
+   * @param {object} creator - { clerkUserId, name }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createExpense(societyId, input, creator) {
+    try {
+      const errors = validateExpense(input);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const references = await this.resolveReferences(societyObjectId, {
+        categoryId: input.categoryId,
+        vendorId: input.vendorId ?? null
+      });
+
+      const now = new Date();
+      const expense = {
+        societyId: societyObjectId,
+        description: '',
+        taxAmount: 0,
+        paymentMode: null,
+        paymentReference: null,
+        invoiceNumber: null,
+        ...this.expenseFields(input),
+        ...references,
+        bills: [],
+        status: 'pending_approval',
+        createdBy: creator.clerkUserId,
+        createdByName: creator.name || null,
+        editedBy: [],
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await this.collection.insertOne(expense);
+      const saved = { _id: result.insertedId, ...expense };
+
+      this.notifyPendingApproval(saved);
+
+      return {
+        success: true,
+        data: saved
+      };
+    } catch (error) {
+      console.error('Error creating expense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Edit an expense that is still waiting for approval. Whoever edits it can
+   * no longer approve it.
+   * @param {string} societyId - Society ID
+   * @param {string} expenseId - Expense ID
+   * @param {object} input - Expense fields
+   * @param {string} editedBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateExpense(societyId, expenseId, input, editedBy) {
+    try {
+      const errors = validateExpense(input, { partial: true });
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const existing = await this.collection.findOne({ _id: new ObjectId(expenseId), societyId: societyObjectId });
+      if (!existing) {
+        throw new Error('Expense not found');
+      }
+      if (existing.status !== 'pending_approval') {
+        throw new Error(`Only expenses waiting for approval can be edited (status is ${existing.status})`);
+      }
+      if (input.taxAmount !== undefined && input.amount === undefined && input.taxAmount > existing.amount) {
+        throw new Error('Validation failed: taxAmount cannot be more than amount');
+      }
+
+      const references = await this.resolveReferences(societyObjectId, {
+        categoryId: input.categoryId,
+        vendorId: input.vendorId
+      });
+
+      const expense = await this.collection.findOneAndUpdate(
+        { _id: existing._id, status: 'pending_approval' },
+        {
+          $set: { ...this.expenseFields(input), ...references, updatedAt: new Date() },
+          $addToSet: { editedBy }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!expense) {
+        throw new Error('Expense was decided while it was being edited');
+      }
+
+      return {
+        success: true,
+        data: expense
+      };
+    } catch (error) {
+      console.error('Error updating expense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Attach an uploaded bill or invoice to an expense
+   * @param {string} societyId - Society ID
+   * @param {string} expenseId - Expense ID
+   * @param {object} file - Published upload { url, storage, fileName, originalName, mimeType, size }
+   * @param {string} uploadedBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async addBill(societyId, expenseId, file, uploadedBy) {
+    try {
+      const bill = {
+        _id: new ObjectId(),
+        ...file,
+        uploadedBy,
+        uploadedAt: new Date()
+      };
+
+      const expense = await this.collection.findOneAndUpdate(
+        {
+          _id: new ObjectId(expenseId),
+          societyId: new ObjectId(societyId),
+          status: { $in: ['pending_approval', 'approved'] }
+        },
+        { $push: { bills: bill }, $set: { updatedAt: bill.uploadedAt } },
+        { returnDocument: 'after' }
+      );
+      if (!expense) {
+        throw new Error('Expense not found, or it was rejected or cancelled');
+      }
+
+      return {
+        success: true,
+        data: expense,
+        bill
+      };
+    } catch (error) {
+      console.error('Error attaching expense bill:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove a bill from an expense that is still waiting for approval
+   * @param {string} societyId - Society ID
+   * @param {string} expenseId - Expense ID
+   * @param {string} billId - Bill ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async removeBill(societyId, expenseId, billId) {
+    try {
+      const expense = await this.collection.findOneAndUpdate(
+        {
+          _id: new ObjectId(expenseId),
+          societyId: new ObjectId(societyId),
+          status: 'pending_approval',
+          'bills._id': new ObjectId(billId)
+        },
+        { $pull: { bills: { _id: new ObjectId(billId) } }, $set: { updatedAt: new Date() } },
+        { returnDocument: 'after' }
+      );
+      if (!expense) {
+        throw new Error('Bill not found on an expense waiting for approval');
+      }
+
+      return {
+        success: true,
+        data: expense
+      };
+    } catch (error) {
+      console.error('Error removing expense bill:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Move an expense waiting for approval to its decision. Approvals must
+   * come from an admin who neither recorded nor edited the expense.
+   * @param {string} societyId - Society ID
+   * @param {string} expenseId - Expense ID
+   * @param {string} status - approved, rejected or cancelled
+   * @param {object} decision - { by, byName, notes, reason }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async decideExpense(societyId, expenseId, status, decision) {
+    try {
+      const existing = await this.collection.findOne({
+        _id: new ObjectId(expenseId),
+        societyId: new ObjectId(societyId)
+      });
+      if (!existing) {
+        throw new Error('Expense not found');
+      }
+
+      const allowedFrom = status === 'cancelled' ? ['pending_approval', 'rejected'] : ['pending_approval'];
+      if (!allowedFrom.includes(existing.status)) {
+        throw new Error(`Expense is ${existing.status} and can't be ${status}`);
+      }
+
+      const filter = { _id: existing._id, status: existing.status };
+      if (status === 'approved') {
+        if (existing.createdBy === decision.by || (existing.editedBy || []).includes(decision.by)) {
+          throw new Error('An expense must be approved by an admin other than the one who recorded or edited it');
+        }
+        filter.createdBy = { $ne: decision.by };
+        filter.editedBy = { $ne: decision.by };
+      }
+
+      const now = new Date();
+      const detail = status === 'approved'
+        ? { approval: { approvedBy: decision.by, approvedByName: decision.byName || null, approvedAt: now, notes: decision.notes || '' } }
+        : status === 'rejected'
+          ? { rejection: { rejectedBy: decision.by, rejectedByName: decision.byName || null, rejectedAt: now, reason: decision.reason } }
+          : { cancellation: { cancelledBy: decision.by, cancelledByName: decision.byName || null, cancelledAt: now, reason: decision.reason } };
+
+      const expense = await this.collection.findOneAndUpdate(
+        filter,
+        { $set: { status, ...detail, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      if (!expense) {
+        throw new Error('Expense changed while it was being decided; reload and try again');
+      }
+
+      if (status === 'approved') {
+        const voucherResult = await this.generalLedger.postExpense(expense);
+        if (!voucherResult.success) {
+          console.error(`General ledger posting failed for expense ${expense._id}: ${voucherResult.error}`);
+        }
+      }
+
+      return {
+        success: true,
+        data: expense
+      };
+    } catch (error) {
+      console.error(`Error setting expense ${status}:`, error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  async approveExpense(societyId, expenseId, approver, notes) {
+    return this.decideExpense(societyId, expenseId, 'approved', { by: approver.clerkUserId, byName: approver.name, notes });
+  }
+
+  async rejectExpense(societyId, expenseId, rejecter, reason) {
+    return this.decideExpense(societyId, expenseId, 'rejected', { by: rejecter.clerkUserId, byName: rejecter.name, reason });
+  }
+
+  async cancelExpense(societyId, expenseId, canceller, reason) {
+    return this.decideExpense(societyId, expenseId, 'cancelled', { by: canceller.clerkUserId, byName: canceller.name, reason });
+  }
+
+  /**
+   * Get one expense
+   * @param {string} societyId - Society ID
+   * @param {string} expenseId - Expense ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getExpense(societyId, expenseId) {
+    try {
+      return {
+        success: true,
+        data: await this.collection.findOne({ _id: new ObjectId(expenseId), societyId: new ObjectId(societyId) })
+      };
+    } catch (error) {
+      console.error('Error getting expense:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List expenses, newest first
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { status, categoryId, vendorId, period, from, to, page, limit }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async listExpenses(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.status) query.status = filters.status;
+      if (filters.categoryId) query.categoryId = new ObjectId(filters.categoryId);
+      if (filters.vendorId) query.vendorId = new ObjectId(filters.vendorId);
+      if (filters.period) query.period = filters.period;
+      if (filters.from || filters.to) {
+        query.expenseDate = {};
+        if (filters.from) query.expenseDate.$gte = new Date(filters.from);
+        if (filters.to) query.expenseDate.$lte = new Date(filters.to);
+      }
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 20, 1), 100);
+
+      const [expenses, summary] = await Promise.all([
+        this.collection.find(query).sort({ expenseDate: -1, createdAt: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        this.collection.aggregate([
+          { $match: query },
+          { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]).toArray()
+      ]);
+
+      const total = summary[0]?.count || 0;
+      return {
+        success: true,
+        data: {
+          expenses,
+          totalAmount: summary[0]?.amount || 0,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error listing expenses:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Income-vs-expense (P&L) report: maintenance collected per month from the
+   * flat ledgers against approved expenses. Cash basis: payments count in
+   * the month they were received, expenses in the month they were incurred.
+   * @param {string} societyId - Society ID
+   * @param {object} options - { financialYear } for a year (April to March) or { period } (YYYY-MM) for one month
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getProfitAndLoss(societyId, options = {}) {
+    try {
+      let periods;
+      let range;
+      if (options.period) {
+        range = periodBounds(options.period);
+        if (!range) throw new Error('Month must look like 2025-04');
+        periods = [options.period];
+      } else {
+        const fy = parseFinancialYear(options.financialYear);
+        if (!fy) throw new Error('Financial year must look like 2025-26');
+        range = { start: fy.start, end: fy.end };
+        periods = financialYearPeriods(fy);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const [payments, expenses, pending] = await Promise.all([
+        this.ledger.aggregate([
+          { $match: { societyId: societyObjectId, entryType: 'payment', postedAt: { $gte: range.start, $lt: range.end } } },
+          {
+            $group: {
+              _id: {
+                period: { $dateToString: { format: '%Y-%m', date: '$postedAt', timezone: 'Asia/Kolkata' } },
+                direction: '$direction'
+              },
+              amount: { $sum: '$amount' }
+            }
+          }
+        ]).toArray(),
+        this.collection.aggregate([
+          { $match: { societyId: societyObjectId, status: 'approved', period: { $in: periods } } },
+          { $group: { _id: { period: '$period', category: '$categoryName' }, amount: { $sum: '$amount' } } }
+        ]).toArray(),
+        this.collection.aggregate([
+          { $match: { societyId: societyObjectId, status: 'pending_approval', period: { $in: periods } } },
+          { $group: { _id: null, count: { $sum: 1 }, amount: { $sum: '$amount' } } }
+        ]).toArray()
+      ]);
+
+      const report = buildProfitAndLoss(
+        periods,
+        payments.map(item => ({
+          period: item._id.period,
+          amount: item._id.direction === 'debit' ? -item.amount : item.amount
+        })),
+        expenses.map(item => ({ period: item._id.period, category: item._id.category, amount: item.amount }))
+      );
+
+      return {
+        success: true,
+        data: {
+          societyId: societyObjectId,
+          financialYear: options.period ? null : parseFinancialYear(options.financialYear).label,
+          period: options.period || null,
+          from: range.start,
+          to: new Date(range.end.getTime() - 1),
+          ...report,
+          pendingApproval: {
+            count: pending[0]?.count || 0,
+            amount: pending[0]?.amount || 0
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error building profit and loss report:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = ExpenseService;
@@ -0,0 +1,732 @@
+const BaseService = require('./BaseService');
+const { ObjectId } = require('mongodb');
+const { roundAmount } = require('../../utils/ledger');
+const { parseFinancialYear, financialYearOf } = require('../../utils/statements');
+const {
+  ACCOUNT_TYPES,
+  VOUCHER_TYPES,
+  DEFAULT_ACCOUNTS,
+  EXPENSE_ACCOUNT_CODE_START,
+  validateAccount,
+  validateJournalLines,
+  planFlatLedgerVoucher,
+  planExpenseVoucher,
+  buildTrialBalance,
+  buildAccountLedger,
+  buildBalanceSheet,
+} = require('../../utils/accounting');
+
+const ACCOUNT_FIELDS = ['code', 'name', 'group'];
+
+/**
+ * General Ledger Service
+ * The society's double-entry books. Every flat ledger entry (charges,
+ * payments, late fees, waivers, adjustments) and every approved expense is
+ * posted as a balanced voucher against a per-society chart of accounts.
+ * Vouchers carry the key of what they were posted for, so posting the same
+ * entry again updates its voucher instead of adding a second one.
+ */
+class GeneralLedgerService extends BaseService {
+  constructor(db) {
+    super(db, 'gl_vouchers');
+    this.accounts = db.collection('gl_accounts');
+    this.counters = db.collection('gl_voucher_counters');
+  }
+
+  /**
+   * Create the default accounts a society is missing
+   * @param {ObjectId} societyObjectId - Society ID
+   * @returns {Promise<Map<string, Object>>} System accounts by systemKey
+   */
+  async ensureChart(societyObjectId) {
+    let accounts = await this.accounts.find({ societyId: societyObjectId, systemKey: { $type: 'string' } }).toArray();
+
+    if (accounts.length < DEFAULT_ACCOUNTS.length) {
+      const now = new Date();
+      await this.accounts.bulkWrite(DEFAULT_ACCOUNTS.map(account => ({
+        updateOne: {
+          filter: { societyId: societyObjectId, systemKey: account.systemKey },
+          update: {
+            $setOnInsert: { ...account, societyId: societyObjectId, isActive: true, createdBy: 'system', createdAt: now, updatedAt: now }
+          },
+          upsert: true
+        }
+      })), { ordered: false });
+      accounts = await this.accounts.find({ societyId: societyObjectId, systemKey: { $type: 'string' } }).toArray();
+    }
+
+    return new Map(accounts.map(account => [account.systemKey, account]));
+  }
+
+  /**
+   * List a society's chart of accounts, creating the default accounts the
+   * first time
+   * @param {string} societyId - Society ID
+   * @param {object} options - { activeOnly, type }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listAccounts(societyId, options = {}) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      await this.ensureChart(societyObjectId);
+
+      const query = { societyId: societyObjectId };
+      if (options.activeOnly) query.isActive = true;
+      if (options.type) query.type = options.type;
+
+      const accounts = await this.accounts.find(query).toArray();
+      accounts.sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }));
+
+      return {
+        success: true,
+        data: accounts
+      };
+    } catch (error) {
+      console.error('Error listing accounts:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Add an account to the chart
+   * @param {string} societyId - Society ID
+   * @param {object} input - { code, name, type, group }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createAccount(societyId, input, createdBy) {
+    try {
+      const errors = validateAccount(input);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      await this.ensureChart(societyObjectId);
+
+      const code = String(input.code).trim();
+      const existing = await this.accounts.findOne({ societyId: societyObjectId, code });
+      if (existing) {
+        throw new Error(`Account code ${code} is already used by ${existing.name}`);
+      }
+
+      const now = new Date();
+      const account = {
+        societyId: societyObjectId,
+        code,
+        name: input.name.trim(),
+        type: input.type,
+        group: typeof input.group === 'string' && input.group.trim() ? input.group.trim() : null,
+        systemKey: null,
+        isActive: true,
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await this.accounts.insertOne(account);
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...account }
+      };
+    } catch (error) {
+      console.error('Error creating account:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Renumber, rename, regroup or (de)activate an account. An account's type
+   * can't change once created, and the accounts postings rely on can't be
+   * deactivated. Vouchers already posted keep the name they were posted with.
+   * @param {string} societyId - Society ID
+   * @param {string} accountId - Account ID
+   * @param {object} input - { code, name, group, isActive }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateAccount(societyId, accountId, input) {
+    try {
+      const errors = validateAccount(input, { partial: true });
+      if (input.type !== undefined) {
+        errors.push('type cannot be changed');
+      }
+      if (input.isActive !== undefined && typeof input.isActive !== 'boolean') {
+        errors.push('isActive must be a boolean');
+      }
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const existing = await this.accounts.findOne({ _id: new ObjectId(accountId), societyId: societyObjectId });
+      if (!existing) {
+        throw new Error('Account not found');
+      }
+      if (input.isActive === false && (existing.systemKey || existing.categoryId)) {
+        throw new Error(`${existing.name} is used for automatic postings and can't be deactivated`);
+      }
+
+      const update = { updatedAt: new Date() };
+      ACCOUNT_FIELDS.forEach((field) => {
+        if (input[field] !== undefined) update[field] = input[field] === null ? null : String(input[field]).trim();
+      });
+      if (input.isActive !== undefined) update.isActive = input.isActive;
+
+      if (update.code && update.code !== existing.code) {
+        const clash = await this.accounts.findOne({ societyId: societyObjectId, code: update.code });
+        if (clash) {
+          throw new Error(`Account code ${update.code} is already used by ${clash.name}`);
+        }
+      }
+
+      const account = await this.accounts.findOneAndUpdate(
+        { _id: existing._id },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+
+      return {
+        success: true,
+        data: account
+      };
+    } catch (error) {
+      console.error('Error updating account:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Account an expense category is booked to, created the first time the
+   * category is used
+   */
+  async expenseCategoryAccount(societyObjectId, expense) {
+    const existing = await this.accounts.findOne({ societyId: societyObjectId, categoryId: expense.categoryId });
+    if (existing) return existing;
+
+    const [last] = await this.accounts
+      .find({ societyId: societyObjectId, categoryId: { $exists: true } })
+      .sort({ code: -1 })
+      .limit(1)
+      .toArray();
+    let code = last ? Number(last.code) + 1 : EXPENSE_ACCOUNT_CODE_START;
+    while (await this.accounts.findOne({ societyId: societyObjectId, code: String(code) })) {
+      code += 1;
+    }
+    const now = new Date();
+
+    return this.accounts.findOneAndUpdate(
+      { societyId: societyObjectId, categoryId: expense.categoryId },
+      {
+        $setOnInsert: {
+          societyId: societyObjectId,
+          categoryId: expense.categoryId,
+          code: String(code),
+          name: expense.categoryName || 'Uncategorised expenses',
+          type: 'expense',
+          group: 'Indirect Expenses',
+          systemKey: null,
+          isActive: true,
+          createdBy: 'system',
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Reserve the next number of a voucher type for a society
+   */
+  async nextVoucherNumber(societyObjectId, voucherType) {
+    const counter = await this.counters.findOneAndUpdate(
+      { societyId: societyObjectId, voucherType },
+      { $inc: { sequence: 1 }, $set: { updatedAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    return `${VOUCHER_TYPES[voucherType]}-${String(counter.sequence).padStart(6, '0')}`;
+  }
+
+  /**
+   * Store a voucher. Lines name their account by systemKey or by account
+   * document; a voucher with a sourceKey replaces the one posted earlier for
+   * the same key and keeps its number.
+   * @param {ObjectId} societyObjectId - Society ID
+   * @param {object} plan - { voucherType, date, narration, lines: [{ account, debit, credit, wing, flatNumber }] }
+   * @param {object} options - { sourceKey, source, createdBy }
+   * @returns {Promise<Object>} The stored voucher
+   */
+  async storeVoucher(societyObjectId, plan, options = {}) {
+    const chart = await this.ensureChart(societyObjectId);
+    const lines = plan.lines
+      .filter(line => line.debit > 0 || line.credit > 0)
+      .map((line) => {
+        const account = typeof line.account === 'string' ? chart.get(line.account) : line.account;
+        if (!account) {
+          throw new Error(`Account ${line.account} is missing from the chart of accounts`);
+        }
+        return {
+          accountId: account._id,
+          accountCode: account.code,
+          accountName: account.name,
+          debit: roundAmount(line.debit),
+          credit: roundAmount(line.credit),
+          ...(line.wing && { wing: line.wing, flatNumber: line.flatNumber })
+        };
+      });
+
+    const debits = roundAmount(lines.reduce((sum, line) => sum + line.debit, 0));
+    const credits = roundAmount(lines.reduce((sum, line) => sum + line.credit, 0));
+    if (debits !== credits || debits <= 0) {
+      throw new Error(`Voucher does not balance: debits ${debits}, credits ${credits}`);
+    }
+
+    const now = new Date();
+    const fields = {
+      voucherType: plan.voucherType,
+      date: new Date(plan.date || now),
+      narration: plan.narration || '',
+      lines,
+      amount: debits,
+      updatedAt: now
+    };
+
+    if (!options.sourceKey) {
+      const voucher = {
+        societyId: societyObjectId,
+        voucherNumber: await this.nextVoucherNumber(societyObjectId, plan.voucherType),
+        ...fields,
+        source: options.source || { type: 'manual' },
+        sourceKey: null,
+        createdBy: options.createdBy || 'system',
+        createdAt: now
+      };
+      const result = await this.collection.insertOne(voucher);
+      return { _id: result.insertedId, ...voucher };
+    }
+
+    const existing = await this.collection.findOne({ societyId: societyObjectId, sourceKey: options.sourceKey });
+    const voucherNumber = existing && existing.voucherType === plan.voucherType
+      ? existing.voucherNumber
+      : await this.nextVoucherNumber(societyObjectId, plan.voucherType);
+
+    return this.collection.findOneAndUpdate(
+      { societyId: societyObjectId, sourceKey: options.sourceKey },
+      {
+        $set: { ...fields, voucherNumber },
+        $setOnInsert: {
+          societyId: societyObjectId,
+          sourceKey: options.sourceKey,
+          source: options.source,
+          createdBy: options.createdBy || 'system',
+          createdAt: now
+        }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+  }
+
+  /**
+   * Post (or re-post) the voucher for a flat ledger entry
+   * @param {object} entry - Stored flat ledger entry
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async postFlatLedgerEntry(entry) {
+    try {
+      const voucher = await this.storeVoucher(new ObjectId(entry.societyId), planFlatLedgerVoucher(entry), {
+        sourceKey: `flat_ledger:${entry._id}`,
+        source: { type: 'flat_ledger', entryId: entry._id, category: entry.category, maintenanceId: entry.maintenanceId || null },
+        createdBy: entry.createdBy
+      });
+
+      return {
+        success: true,
+        data: voucher
+      };
+    } catch (error) {
+      console.error('Error posting flat ledger voucher:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Remove the voucher of a flat ledger entry that was deleted
+   * @param {object} entry - Deleted flat ledger entry
+   * @returns {Promise<{success: boolean}>}
+   */
+  async removeFlatLedgerEntry(entry) {
+    try {
+      await this.collection.deleteOne({
+        societyId: new ObjectId(entry.societyId),
+        sourceKey: `flat_ledger:${entry._id}`
+      });
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error removing flat ledger voucher:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Post the payment voucher of an approved expense
+   * @param {object} expense - Approved expense
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async postExpense(expense) {
+    try {
+      if (expense.status !== 'approved') {
+        throw new Error('Only approved expenses are posted');
+      }
+
+      const societyObjectId = new ObjectId(expense.societyId);
+      const account = await this.expenseCategoryAccount(societyObjectId, expense);
+      const voucher = await this.storeVoucher(societyObjectId, planExpenseVoucher(expense, account), {
+        sourceKey: `expense:${expense._id}`,
+        source: { type: 'expense', expenseId: expense._id },
+        createdBy: expense.approval?.approvedBy
+      });
+
+      return {
+        success: true,
+        data: voucher
+      };
+    } catch (error) {
+      console.error('Error posting expense voucher:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Post a manual journal voucher, e.g. opening balances or corrections
+   * @param {string} societyId - Society ID
+   * @param {object} input - { date, narration, lines: [{ accountId, debit, credit }] }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createJournalVoucher(societyId, input, createdBy) {
+    try {
+      const errors = validateJournalLines(input.lines);
+      if (!input.narration || !String(input.narration).trim()) {
+        errors.push('narration is required');
+      }
+      if (input.date !== undefined && Number.isNaN(new Date(input.date).getTime())) {
+        errors.push('date must be a valid date');
+      }
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const accountIds = input.lines.map(line => String(line.accountId));
+      const accounts = await this.accounts.find({
+        societyId: societyObjectId,
+        _id: { $in: accountIds.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) },
+        isActive: true
+      }).toArray();
+      const byId = new Map(accounts.map(account => [account._id.toString(), account]));
+      const unknown = accountIds.filter(id => !byId.has(id));
+      if (unknown.length > 0) {
+        throw new Error(`Account not found: ${unknown.join(', ')}`);
+      }
+
+      const voucher = await this.storeVoucher(societyObjectId, {
+        voucherType: 'Journal',
+        date: input.date,
+        narration: String(input.narration).trim(),
+        lines: input.lines.map(line => ({
+          account: byId.get(String(line.accountId)),
+          debit: Number(line.debit) || 0,
+          credit: Number(line.credit) || 0
+        }))
+      }, { source: { type: 'manual' }, createdBy });
+
+      return {
+        success: true,
+        data: voucher
+      };
+    } catch (error) {
+      console.error('Error creating journal voucher:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List vouchers
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { from, to, voucherType, accountId, page, limit }; to is exclusive
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async listVouchers(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.from || filters.to) {
+        query.date = {};
+        if (filters.from) query.date.$gte = filters.from;
+        if (filters.to) query.date.$lt = filters.to;
+      }
+      if (filters.voucherType) query.voucherType = filters.voucherType;
+      if (filters.accountId) query['lines.accountId'] = new ObjectId(filters.accountId);
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+
+      const [vouchers, total] = await Promise.all([
+        this.collection.find(query).sort({ date: -1, voucherNumber: -1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        this.collection.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          vouchers,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error listing vouchers:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Every voucher of a date range, oldest first, for export
+   * @param {string} societyId - Society ID
+   * @param {object} range - { from, to }; to is exclusive
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async exportVouchers(societyId, range) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const [vouchers, society, accounts] = await Promise.all([
+        this.collection
+          .find({ societyId: societyObjectId, date: { $gte: range.from, $lt: range.to } })
+          .sort({ date: 1, voucherNumber: 1 })
+          .toArray(),
+        this.db.collection('societies').findOne({ _id: societyObjectId }, { projection: { name: 1 } }),
+        this.listAccounts(societyId)
+      ]);
+      if (!accounts.success) throw new Error(accounts.error);
+
+      return {
+        success: true,
+        data: {
+          societyName: society?.name || null,
+          accounts: accounts.data,
+          vouchers
+        }
+      };
+    } catch (error) {
+      console.error('Error exporting vouchers:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Debit and credit totals per account over vouchers matching a date filter
+   */
+  async sumMovements(societyObjectId, dateFilter, accountIds = null) {
+    const match = { societyId: societyObjectId, date: dateFilter };
+    const pipeline = [{ $match: match }, { $unwind: '$lines' }];
+    if (accountIds) pipeline.push({ $match: { 'lines.accountId': { $in: accountIds } } });
+    pipeline.push({ $group: { _id: '$lines.accountId', debit: { $sum: '$lines.debit' }, credit: { $sum: '$lines.credit' } } });
+
+    const rows = await this.collection.aggregate(pipeline).toArray();
+    return new Map(rows.map(row => [row._id.toString(), { debit: roundAmount(row.debit), credit: roundAmount(row.credit) }]));
+  }
+
+  /**
+   * Closing totals per account at a moment. Income and expenditure only
+   * count from the start of its financial year; earlier years' surplus is
+   * carried into the General Fund, as if the books had been closed.
+   * @param {ObjectId} societyObjectId - Society ID
+   * @param {Date} until - Exclusive end
+   * @returns {Promise<{accounts: Array, movements: Map, financialYear: string}>}
+   */
+  async closingMovements(societyObjectId, until) {
+    const fy = parseFinancialYear(financialYearOf(new Date(until.getTime() - 1)));
+    const chart = await this.ensureChart(societyObjectId);
+    const accounts = await this.accounts.find({ societyId: societyObjectId }).toArray();
+    const resultAccounts = accounts.filter(account => account.type === 'income' || account.type === 'expense');
+    const resultIds = resultAccounts.map(account => account._id);
+
+    const [all, earlier] = await Promise.all([
+      this.sumMovements(societyObjectId, { $lt: until }),
+      this.sumMovements(societyObjectId, { $lt: fy.start }, resultIds)
+    ]);
+
+    let carriedSurplus = 0;
+    earlier.forEach((totals, accountId) => {
+      const current = all.get(accountId);
+      all.set(accountId, {
+        debit: roundAmount(current.debit - totals.debit),
+        credit: roundAmount(current.credit - totals.credit)
+      });
+      carriedSurplus = roundAmount(carriedSurplus + totals.credit - totals.debit);
+    });
+
+    if (carriedSurplus !== 0) {
+      const fundId = chart.get('general_fund')._id.toString();
+      const fund = all.get(fundId) || { debit: 0, credit: 0 };
+      all.set(fundId, carriedSurplus > 0
+        ? { ...fund, credit: roundAmount(fund.credit + carriedSurplus) }
+        : { ...fund, debit: roundAmount(fund.debit - carriedSurplus) });
+    }
+
+    return { accounts, movements: all, financialYear: fy.label, carriedSurplus };
+  }
+
+  /**
+   * Trial balance at a moment
+   * @param {string} societyId - Society ID
+   * @param {Date} until - Exclusive end, e.g. the start of the day after the report date
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getTrialBalance(societyId, until) {
+    try {
+      const { accounts, movements, financialYear, carriedSurplus } = await this.closingMovements(new ObjectId(societyId), until);
+
+      return {
+        success: true,
+        data: {
+          asOf: new Date(until.getTime() - 1),
+          financialYear,
+          carriedSurplus,
+          ...buildTrialBalance(accounts, movements)
+        }
+      };
+    } catch (error) {
+      console.error('Error building trial balance:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Balance sheet at a moment
+   * @param {string} societyId - Society ID
+   * @param {Date} until - Exclusive end
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getBalanceSheet(societyId, until) {
+    try {
+      const { accounts, movements, financialYear } = await this.closingMovements(new ObjectId(societyId), until);
+
+      return {
+        success: true,
+        data: {
+          asOf: new Date(until.getTime() - 1),
+          financialYear,
+          ...buildBalanceSheet(accounts, movements)
+        }
+      };
+    } catch (error) {
+      console.error('Error building balance sheet:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Ledger of one account over a date range. Income and expense accounts
+   * open each financial year at zero.
+   * @param {string} societyId - Society ID
+   * @param {string} accountId - Account ID
+   * @param {object} range - { from, to }; to is exclusive
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getAccountLedger(societyId, accountId, range) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const account = await this.accounts.findOne({ _id: new ObjectId(accountId), societyId: societyObjectId });
+      if (!account) {
+        throw new Error('Account not found');
+      }
+
+      const openingFrom = account.type === 'income' || account.type === 'expense'
+        ? parseFinancialYear(financialYearOf(range.from)).start
+        : null;
+      const openingFilter = openingFrom ? { $gte: openingFrom, $lt: range.from } : { $lt: range.from };
+
+      const [openingTotals, vouchers] = await Promise.all([
+        this.sumMovements(societyObjectId, openingFilter, [account._id]),
+        this.collection
+          .find({ societyId: societyObjectId, 'lines.accountId': account._id, date: { $gte: range.from, $lt: range.to } })
+          .sort({ date: 1, voucherNumber: 1 })
+          .toArray()
+      ]);
+
+      const totals = openingTotals.get(account._id.toString());
+      const opening = roundAmount((totals?.debit || 0) - (totals?.credit || 0));
+      const lines = vouchers.flatMap(voucher => voucher.lines
+        .filter(line => line.accountId.equals(account._id))
+        .map(line => ({
+          voucherId: voucher._id,
+          voucherNumber: voucher.voucherNumber,
+          voucherType: voucher.voucherType,
+          date: voucher.date,
+          narration: voucher.narration,
+          flat: line.wing ? `${line.wing}-${line.flatNumber}` : null,
+          debit: line.debit,
+          credit: line.credit
+        })));
+
+      return {
+        success: true,
+        data: {
+          account,
+          normalBalance: ACCOUNT_TYPES[account.type].normalBalance,
+          from: range.from,
+          to: new Date(range.to.getTime() - 1),
+          ...buildAccountLedger(account, opening, lines)
+        }
+      };
+    } catch (error) {
+      console.error('Error building account ledger:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = GeneralLedgerService;
@@ -0,0 +1,440 @@
+const BaseService = require('./BaseService');
+const JoinRequestService = require('./JoinRequestService');
+const { ObjectId } = require('mongodb');
+const {
+  generateInviteCode,
+  normalizeInviteCode,
+  validateInvite,
+  resolveInviteExpiry,
+  getInviteState,
+} = require('../../utils/invites');
+
+// Attempts at drawing a code nobody else holds before giving up
+const CODE_ATTEMPTS = 5;
+
+const STATE_ERRORS = {
+  revoked: 'Invite has been revoked',
+  expired: 'Invite has expired',
+  used_up: 'Invite has already been used',
+};
+
+/**
+ * Invite Service
+ * Admin-issued invite codes bound to one wing, flat and resident type.
+ * Redeeming a code files a join request carrying the code and approves it
+ * straight away through JoinRequestService.approveJoinRequest, so invited
+ * residents are onboarded exactly like reviewed ones.
+ */
+class InviteService extends BaseService {
+  constructor(db) {
+    super(db, 'society_invites');
+    this.societies = db.collection('societies');
+  }
+
+  /**
+   * Create an invite. The flat is checked like a join request; residents
+   * already on it come back as warnings.
+   * @param {string} societyId - Society ID
+   * @param {object} input - { wing, flatNumber, residentType, expiresInDays, expiresAt, maxUses, note }
+   * @param {string} createdBy - Clerk user ID of the admin
+   * @returns {Promise<{success: boolean, data: Object}>} The invite with its conflicts
+   */
+  async createInvite(societyId, input, createdBy) {
+    try {
+      const now = new Date();
+      const errors = validateInvite(input, now);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const society = await this.societies.findOne({ _id: new ObjectId(societyId) });
+      if (!society) {
+        throw new Error('Society not found');
+      }
+
+      const joinRequestService = new JoinRequestService(this.db);
+      const assessment = await joinRequestService.assessRequestedFlat(
+        society,
+        { wing: input.wing, flatNumber: input.flatNumber, residentType: input.residentType },
+        null
+      );
+      const { wing, flatNumber, unit, conflicts } = assessment.data;
+
+      const invite = {
+        societyId: society._id,
+        wing,
+        flatNumber: flatNumber || null,
+        unitId: unit ? unit._id : null,
+        residentType: input.residentType,
+        maxUses: input.maxUses || 1,
+        usedCount: 0,
+        expiresAt: resolveInviteExpiry(input, now),
+        status: 'active',
+        note: input.note ? input.note.trim() : null,
+        redemptions: [],
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      for (let attempt = 1; ; attempt++) {
+        try {
+          const insertResult = await this.collection.insertOne({ ...invite, code: generateInviteCode() });
+          const created = await this.collection.findOne({ _id: insertResult.insertedId });
+          return {
+            success: true,
+            data: { ...created, conflicts }
+          };
+        } catch (error) {
+          if (error.code !== 11000 || attempt >= CODE_ATTEMPTS) throw error;
+        }
+      }
+    } catch (error) {
+      console.error('Error creating invite:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List a society's invites, newest first
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { state, wings }
+   * @returns {Promise<{success: boolean, data: Array}>} Invites with their current state
+   */
+  async listInvites(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.wings) query.wing = { $in: filters.wings };
+
+      const now = new Date();
+      const invites = (await this.collection.find(query).sort({ createdAt: -1 }).toArray())
+        .map(invite => ({ ...invite, state: getInviteState(invite, now) }))
+        .filter(invite => !filters.state || invite.state === filters.state);
+
+      return {
+        success: true,
+        data: invites
+      };
+    } catch (error) {
+      console.error('Error listing invites:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get one of a society's invites
+   * @param {string} societyId - Society ID
+   * @param {string} inviteId - Invite ID
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getInvite(societyId, inviteId) {
+    try {
+      const invite = await this.collection.findOne({
+        _id: new ObjectId(inviteId),
+        societyId: new ObjectId(societyId)
+      });
+      if (!invite) {
+        throw new Error('Invite not found');
+      }
+
+      return {
+        success: true,
+        data: { ...invite, state: getInviteState(invite) }
+      };
+    } catch (error) {
+      console.error('Error getting invite:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * What an invite code grants, for the applicant to confirm before redeeming
+   * @param {string} code - Invite code as typed or scanned
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async previewInvite(code) {
+    try {
+      const invite = await this.collection.findOne({ code: normalizeInviteCode(code) });
+      if (!invite) {
+        throw new Error('Invite not found');
+      }
+      const state = getInviteState(invite);
+      if (state !== 'active') {
+        throw new Error(STATE_ERRORS[state]);
+      }
+
+      const society = await this.societies.findOne(
+        { _id: invite.societyId },
+        { projection: { name: 1, address: 1 } }
+      );
+      if (!society) {
+        throw new Error('Invite not found');
+      }
+
+      return {
+        success: true,
+        data: {
+          code: invite.code,
+          societyId: society._id,
+          societyName: society.name,
+          societyAddress: society.address,
+          wing: invite.wing,
+          flatNumber: invite.flatNumber,
+          unitId: invite.unitId,
+          residentType: invite.residentType,
+          expiresAt: invite.expiresAt
+        }
+      };
+    } catch (error) {
+      console.error('Error previewing invite:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Redeem an invite: file a join request for the invite's flat and approve
+   * it at once. A use of the invite is claimed first so concurrent
+   * redemptions can't exceed maxUses, and handed back if onboarding fails.
+   * @param {string} code - Invite code as typed or scanned
+   * @param {object} applicant - { clerkUserId, contactNumber, emergencyContact }
+   * @returns {Promise<{success: boolean, data: Object}>} The approved join request and society
+   */
+  async redeemInvite(code, applicant) {
+    let claimed = null;
+    let joinRequest = null;
+    let memberBefore = null;
+
+    try {
+      const invite = await this.collection.findOne({ code: normalizeInviteCode(code) });
+      if (!invite) {
+        throw new Error('Invite not found');
+      }
+      const state = getInviteState(invite);
+      if (state !== 'active') {
+        throw new Error(STATE_ERRORS[state]);
+      }
+      if ((invite.redemptions || []).some(redemption => redemption.clerkUserId === applicant.clerkUserId)) {
+        throw new Error('You have already used this invite');
+      }
+
+      const society = await this.societies.findOne({ _id: invite.societyId });
+      if (!society) {
+        throw new Error('Invite not found');
+      }
+
+      const now = new Date();
+      const requestId = new ObjectId();
+      claimed = await this.collection.findOneAndUpdate(
+        {
+          _id: invite._id,
+          status: 'active',
+          expiresAt: { $gt: now },
+          $expr: { $lt: ['$usedCount', '$maxUses'] },
+          'redemptions.clerkUserId': { $ne: applicant.clerkUserId }
+        },
+        {
+          $inc: { usedCount: 1 },
+          $push: { redemptions: { clerkUserId: applicant.clerkUserId, requestId, redeemedAt: now } },
+          $set: { updatedAt: now }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!claimed) {
+        throw new Error('Invite has already been used');
+      }
+
+      // Residents on the flat by now are recorded for the audit trail, not blocking
+      const joinRequestService = new JoinRequestService(this.db);
+      const assessment = await joinRequestService.assessRequestedFlat(
+        society,
+        { wing: invite.wing, flatNumber: invite.flatNumber, unitId: invite.unitId, residentType: invite.residentType },
+        applicant.clerkUserId
+      );
+
+      joinRequest = {
+        requestId,
+        clerkUserId: applicant.clerkUserId,
+        requestedData: {
+          wing: assessment.data.wing,
+          flatNumber: assessment.data.flatNumber || null,
+          unitId: assessment.data.unit ? assessment.data.unit._id : null,
+          residentType: invite.residentType,
+          contactNumber: applicant.contactNumber || null,
+          emergencyContact: applicant.emergencyContact || null
+        },
+        documents: [],
+        conflicts: assessment.data.conflicts,
+        invite: { inviteId: invite._id, code: invite.code },
+        status: 'pending',
+        submittedAt: now,
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.societies.updateOne(
+        { _id: society._id },
+        {
+          $push: { requests: joinRequest },
+          $set: { updatedAt: now }
+        }
+      );
+
+      memberBefore = await this.captureMember(society, applicant.clerkUserId, assessment.data.unit);
+
+      // The issuing admin vouched for the resident, so no documents are awaited
+      const approval = await joinRequestService.approveJoinRequest(requestId, invite.createdBy, {
+        societyId: society._id,
+        requireDocuments: false
+      });
+
+      return {
+        success: true,
+        data: {
+          ...approval.data,
+          societyId: society._id,
+          inviteId: invite._id
+        }
+      };
+    } catch (error) {
+      console.error('Error redeeming invite:', error);
+      if (claimed) {
+        await this.releaseClaim(claimed._id, applicant.clerkUserId, joinRequest, memberBefore);
+      }
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * What onboarding the applicant may overwrite: their user document, the
+   * units listing them or the invite's unit, and the society's residents list
+   * @param {object} society - Society document
+   * @param {string} clerkUserId - Applicant
+   * @param {object|null} unit - The invite's unit, if the registry has one
+   * @returns {Promise<{societyId: ObjectId, user: Object|null, units: Array, isResident: boolean}>}
+   */
+  async captureMember(society, clerkUserId, unit) {
+    const units = await this.db.collection('units').find({
+      societyId: society._id,
+      $or: [
+        ...(unit ? [{ _id: unit._id }] : []),
+        { 'owner.clerkUserId': clerkUserId },
+        { 'tenants.clerkUserId': clerkUserId }
+      ]
+    }).toArray();
+
+    return {
+      societyId: society._id,
+      user: await this.db.collection('users').findOne({ clerkUserId }),
+      units,
+      isResident: (society.residents || []).includes(clerkUserId)
+    };
+  }
+
+  /**
+   * Hand back a use claimed by a redemption that failed. The request filed
+   * for the redemption is removed even if it was already approved, since
+   * approval flips its status before the member is onboarded, and whatever
+   * onboarding wrote is put back as captureMember found it.
+   * @param {ObjectId} inviteId - Invite ID
+   * @param {string} clerkUserId - Applicant
+   * @param {object|null} joinRequest - Request filed for the redemption, if any
+   * @param {object|null} memberBefore - From captureMember, if onboarding may have started
+   */
+  async releaseClaim(inviteId, clerkUserId, joinRequest, memberBefore) {
+    try {
+      await this.collection.updateOne(
+        { _id: inviteId, 'redemptions.clerkUserId': clerkUserId },
+        {
+          $inc: { usedCount: -1 },
+          $pull: { redemptions: { clerkUserId } },
+          $set: { updatedAt: new Date() }
+        }
+      );
+      if (joinRequest) {
+        await this.societies.updateOne(
+          { 'requests.requestId': joinRequest.requestId },
+          { $pull: { requests: { requestId: joinRequest.requestId } } }
+        );
+      }
+      if (memberBefore) {
+        const users = this.db.collection('users');
+        if (memberBefore.user) {
+          await users.replaceOne({ _id: memberBefore.user._id }, memberBefore.user);
+        } else {
+          await users.deleteOne({ clerkUserId });
+        }
+        for (const unit of memberBefore.units) {
+          await this.db.collection('units').replaceOne({ _id: unit._id }, unit);
+        }
+        if (!memberBefore.isResident) {
+          await this.societies.updateOne(
+            { _id: memberBefore.societyId },
+            { $pull: { residents: clerkUserId } }
+          );
+        }
+      }
+    } catch (error) {
+      console.error('Error releasing invite claim:', error);
+    }
+  }
+
+  /**
+   * Revoke an invite so it can no longer be redeemed
+   * @param {string} societyId - Society ID
+   * @param {string} inviteId - Invite ID
+   * @param {string} revokedBy - Clerk user ID of the admin
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async revokeInvite(societyId, inviteId, revokedBy) {
+    try {
+      const inviteResult = await this.getInvite(societyId, inviteId);
+      if (!inviteResult.success) {
+        throw new Error(inviteResult.error);
+      }
+      if (inviteResult.data.status === 'revoked') {
+        throw new Error('Invite has already been revoked');
+      }
+
+      const now = new Date();
+      const revoked = await this.collection.findOneAndUpdate(
+        { _id: inviteResult.data._id, status: 'active' },
+        { $set: { status: 'revoked', revokedBy, revokedAt: now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      if (!revoked) {
+        throw new Error('Invite has already been revoked');
+      }
+
+      return {
+        success: true,
+        data: { ...revoked, state: getInviteState(revoked, now) }
+      };
+    } catch (error) {
+      console.error('Error revoking invite:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = InviteService;
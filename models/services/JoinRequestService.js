@@ -1,5 +1,15 @@
 const BaseService = require("./BaseService");
+const UnitService = require("./UnitService");
 const { validateJoinRequest } = require("../schemas");
+const {
+  DOCUMENT_TYPES,
+  validateRequestedFlat,
+  detectFlatConflicts,
+  getRequiredDocuments,
+  getCurrentDocuments,
+  buildDocumentChecklist,
+  validateDocumentReview,
+} = require("../../utils/joinRequests");
 const { ObjectId } = require("mongodb");
 
 /**
@@ -46,6 +56,108 @@ class JoinRequestService extends BaseService {
     }
   }
 
+  /**
+   * Check the flat a join request asks for. The wing and flat must exist in
+   * the society's wing configuration (or be picked by unitId); residents and
+   * other applicants already on that flat come back as conflict warnings.
+   * @param {object} society - Society document, including its pending requests
+   * @param {object} requested - { wing, flatNumber, unitId, residentType }
+   * @param {string} clerkUserId - Applicant
+   * @returns {Promise<{success: boolean, data: {wing, flatNumber, unit, conflicts}}>}
+   */
+  async assessRequestedFlat(society, requested, clerkUserId) {
+    try {
+      const unitService = new UnitService(this.db);
+      let unit = null;
+      let { wing, flatNumber } = requested;
+
+      if (requested.unitId) {
+        const unitResult = ObjectId.isValid(requested.unitId)
+          ? await unitService.getUnit(society._id, requested.unitId)
+          : { data: null };
+        unit = unitResult.data;
+        if (!unit || unit.status !== "active") {
+          throw new Error("Unit not found");
+        }
+        ({ wing, flatNumber } = unit);
+      } else {
+        const wingUnits = await unitService.collection
+          .find({ societyId: society._id, status: "active" })
+          .toArray();
+        const checked = validateRequestedFlat(
+          { wing, flatNumber },
+          society,
+          wingUnits.filter((item) => item.wing.toLowerCase() === String(wing).trim().toLowerCase())
+        );
+        if (checked.errors.length > 0) {
+          throw new Error(`Validation failed: ${checked.errors.join(", ")}`);
+        }
+        ({ wing, flatNumber } = checked);
+        unit = await unitService.findUnit(society._id, wing, flatNumber);
+      }
+
+      if (!flatNumber) {
+        return { success: true, data: { wing, flatNumber, unit, conflicts: [] } };
+      }
+
+      const members = await this.db
+        .collection("users")
+        .find({
+          societyId: society._id,
+          isActive: { $ne: false },
+          isApproved: { $ne: false },
+          $or: [{ wing, flatNumber }, ...(unit ? [{ unitId: unit._id }] : [])],
+        })
+        .toArray();
+
+      const occupants = members.map((member) => ({
+        clerkUserId: member.clerkUserId,
+        name: member.name || null,
+        residentType: member.residentType,
+        source: "member",
+      }));
+      // Owners and tenants admins entered on the unit without an app account
+      const known = new Set(occupants.map((occupant) => occupant.clerkUserId));
+      if (unit?.owner && !known.has(unit.owner.clerkUserId)) {
+        occupants.push({ ...unit.owner, residentType: "Owner", source: "unit" });
+      }
+      (unit?.tenants || [])
+        .filter((tenant) => !known.has(tenant.clerkUserId))
+        .forEach((tenant) => occupants.push({ ...tenant, residentType: "Tenant", source: "unit" }));
+
+      (society.requests || [])
+        .filter(
+          (request) =>
+            request.status === "pending" &&
+            request.requestedData?.wing === wing &&
+            request.requestedData?.flatNumber === flatNumber
+        )
+        .forEach((request) =>
+          occupants.push({
+            clerkUserId: request.clerkUserId,
+            name: null,
+            residentType: request.requestedData.residentType,
+            source: "pending_request",
+            requestId: request.requestId,
+          })
+        );
+
+      const conflicts = detectFlatConflicts(
+        { clerkUserId, residentType: requested.residentType },
+        occupants,
+        { label: unit?.label || `${wing}-${flatNumber}`, occupancy: unit?.occupancy }
+      );
+
+      return {
+        success: true,
+        data: { wing, flatNumber, unit, conflicts },
+      };
+    } catch (error) {
+      console.error("Error assessing requested flat:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get join requests by society ID with filtering
    */
@@ -120,9 +232,17 @@ class JoinRequestService extends BaseService {
   }
 
   /**
-   * Approve join request
+   * Approve join request. Requests kept on the society document also onboard
+   * the applicant: membership, unit link and the society's residents list.
+   * Invite redemptions go through here too, approved in the inviting admin's name.
+   * The documents the society requires for the resident type must be verified
+   * first, unless requireDocuments is false.
+   * @param {string} requestId - Join request ID
+   * @param {string} reviewedBy - Clerk user ID of the approving admin
+   * @param {object} options - { societyId, requireDocuments } where societyId
+   *   only matches requests of that society
    */
-  async approveJoinRequest(requestId, reviewedBy) {
+  async approveJoinRequest(requestId, reviewedBy, options = {}) {
     try {
       if (!ObjectId.isValid(requestId)) {
         throw new Error("Valid requestId is required");
@@ -132,8 +252,65 @@ class JoinRequestService extends BaseService {
         throw new Error("Valid reviewedBy is required");
       }
 
+      const societiesCollection = this.db.collection("societies");
+      const society = await societiesCollection.findOne({
+        "requests.requestId": new ObjectId(requestId),
+        ...(options.societyId && { _id: new ObjectId(options.societyId) }),
+      });
+
+      if (society) {
+        const joinRequest = society.requests.find(
+          (request) => request.requestId.toString() === requestId.toString()
+        );
+        if (joinRequest.status !== "pending") {
+          throw new Error("Join request is not pending");
+        }
+
+        if (options.requireDocuments !== false) {
+          const checklist = this.getDocumentChecklist(society, joinRequest);
+          if (!checklist.complete) {
+            throw new Error(
+              `Required documents are not verified: ${checklist.outstanding
+                .map((item) => `${item.type} (${item.status})`)
+                .join(", ")}`
+            );
+          }
+        }
+
+        const reviewedAt = new Date();
+        // Only a still-pending request is flipped, so two admins can't both approve it
+        const updateResult = await societiesCollection.updateOne(
+          {
+            _id: society._id,
+            requests: { $elemMatch: { requestId: joinRequest.requestId, status: "pending" } },
+          },
+          {
+            $set: {
+              "requests.$.status": "approved",
+              "requests.$.reviewedBy": reviewedBy,
+              "requests.$.reviewedAt": reviewedAt,
+              "requests.$.updatedAt": reviewedAt,
+              updatedAt: reviewedAt,
+            },
+          }
+        );
+        if (updateResult.matchedCount === 0) {
+          throw new Error("Join request is not pending");
+        }
+
+        await this.onboardMember(society, joinRequest);
+
+        return {
+          success: true,
+          data: { ...joinRequest, societyName: society.name, status: "approved", reviewedBy, reviewedAt },
+        };
+      }
+
       const request = await this.findById(requestId);
-      if (!request.data) {
+      if (
+        !request.data ||
+        (options.societyId && request.data.societyId?.toString() !== options.societyId.toString())
+      ) {
         throw new Error("Join request not found");
       }
 
@@ -155,6 +332,256 @@ class JoinRequestService extends BaseService {
     }
   }
 
+  /**
+   * Make an approved applicant a member: user document, unit registry and
+   * the society's residents list
+   * @param {object} society - Society document
+   * @param {object} joinRequest - The approved request from society.requests
+   */
+  async onboardMember(society, joinRequest) {
+    const usersCollection = this.db.collection("users");
+    const { requestedData } = joinRequest;
+
+    // Upsert user document with approved membership
+    await usersCollection.updateOne(
+      { clerkUserId: joinRequest.clerkUserId },
+      {
+        $setOnInsert: {
+          clerkUserId: joinRequest.clerkUserId,
+          isActive: true,
+          createdAt: new Date(),
+        },
+        $set: {
+          societyId: society._id,
+          societyName: society.name,
+          wing: requestedData.wing,
+          flatNumber: requestedData.flatNumber,
+          residentType: requestedData.residentType,
+          contactNumber: requestedData.contactNumber,
+          isApproved: true,
+          approvedAt: new Date(),
+          updatedAt: new Date(),
+          joinRequestId: null,
+        },
+      },
+      { upsert: true }
+    );
+
+    // Record the resident on their unit; requests made before the registry
+    // existed are matched by wing and flat number
+    const unitService = new UnitService(this.db);
+    const unit = requestedData.unitId
+      ? (await unitService.getUnit(society._id, requestedData.unitId)).data
+      : await unitService.findUnit(society._id, requestedData.wing, requestedData.flatNumber);
+    if (unit) {
+      const member = await usersCollection.findOne({ clerkUserId: joinRequest.clerkUserId });
+      const linkResult = await unitService.linkResident(society._id, unit._id, {
+        clerkUserId: joinRequest.clerkUserId,
+        name: member?.name,
+        contactNumber: requestedData.contactNumber,
+        residentType: requestedData.residentType,
+      });
+      if (!linkResult.success) {
+        console.error("Error linking approved resident to unit:", linkResult.error);
+      }
+    }
+
+    // Add user to society's residents array
+    await this.db.collection("societies").updateOne(
+      { _id: society._id },
+      {
+        $addToSet: { residents: joinRequest.clerkUserId },
+        $set: { updatedAt: new Date() },
+      }
+    );
+  }
+
+  /**
+   * Where a request's documents stand against what the society requires
+   * for the applicant's resident type
+   * @param {object} society - Society document
+   * @param {object} joinRequest - Request from society.requests
+   * @returns {{items: Array, outstanding: Array, complete: boolean}}
+   */
+  getDocumentChecklist(society, joinRequest) {
+    return buildDocumentChecklist(
+      joinRequest.documents || [],
+      getRequiredDocuments(society.settings, joinRequest.requestedData?.residentType)
+    );
+  }
+
+  /**
+   * Attach a document to the applicant's pending request. A new upload of a
+   * type replaces the previous one, unless that one is already verified.
+   * @param {string} requestId - Join request ID
+   * @param {string} clerkUserId - Applicant
+   * @param {object} upload - { type, url }
+   * @returns {Promise<{success: boolean, data: Object}>} The stored document
+   */
+  async addDocument(requestId, clerkUserId, upload) {
+    try {
+      if (!ObjectId.isValid(requestId)) {
+        throw new Error("Valid requestId is required");
+      }
+      if (!DOCUMENT_TYPES.includes(upload.type)) {
+        throw new Error(`Validation failed: documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+      }
+      if (!upload.url || typeof upload.url !== "string") {
+        throw new Error("Validation failed: documentUrl is required");
+      }
+
+      const societiesCollection = this.db.collection("societies");
+      const requestObjectId = new ObjectId(requestId);
+      const society = await societiesCollection.findOne({
+        requests: { $elemMatch: { requestId: requestObjectId, clerkUserId } },
+      });
+      if (!society) {
+        throw new Error("Join request not found");
+      }
+
+      const joinRequest = society.requests.find((request) => request.requestId.equals(requestObjectId));
+      if (joinRequest.status !== "pending") {
+        throw new Error("Cannot upload documents for non-pending requests");
+      }
+      const current = getCurrentDocuments(joinRequest.documents).filter((document) => document.type === upload.type);
+      if (current.some((document) => document.status === "verified")) {
+        throw new Error(`${upload.type} is already verified`);
+      }
+
+      const now = new Date();
+      const pendingFilter = {
+        _id: society._id,
+        requests: { $elemMatch: { requestId: requestObjectId, status: "pending" } },
+      };
+
+      if (current.length > 0) {
+        await societiesCollection.updateOne(
+          pendingFilter,
+          {
+            $set: {
+              "requests.$[request].documents.$[document].status": "replaced",
+              "requests.$[request].documents.$[document].replacedAt": now,
+            },
+          },
+          {
+            arrayFilters: [
+              { "request.requestId": requestObjectId },
+              { "document.type": upload.type, "document.status": { $nin: ["verified", "replaced"] } },
+            ],
+          }
+        );
+      }
+
+      const document = {
+        documentId: new ObjectId(),
+        type: upload.type,
+        url: upload.url,
+        uploadedAt: now,
+        status: "pending",
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+      };
+
+      const updateResult = await societiesCollection.updateOne(pendingFilter, {
+        $push: { "requests.$.documents": document },
+        $set: { "requests.$.updatedAt": now, updatedAt: now },
+      });
+      if (updateResult.matchedCount === 0) {
+        throw new Error("Cannot upload documents for non-pending requests");
+      }
+
+      return {
+        success: true,
+        data: document,
+      };
+    } catch (error) {
+      console.error("Error adding join request document:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Record an admin's decision on the current document of one type, without
+   * deciding the request itself
+   * @param {string} societyId - Admin's society
+   * @param {string} requestId - Join request ID
+   * @param {string} type - ownership_proof, id_proof or address_proof
+   * @param {object} review - { decision: verified|rejected|reupload_requested, reason }
+   * @param {string} reviewedBy - Clerk user ID of the admin
+   * @returns {Promise<{success: boolean, data: {joinRequest: Object, document: Object, checklist: Object}}>}
+   */
+  async reviewDocument(societyId, requestId, type, review, reviewedBy) {
+    try {
+      if (!ObjectId.isValid(requestId)) {
+        throw new Error("Valid requestId is required");
+      }
+      const errors = validateDocumentReview(review.decision, review.reason);
+      if (!DOCUMENT_TYPES.includes(type)) {
+        errors.unshift(`documentType must be one of: ${DOCUMENT_TYPES.join(", ")}`);
+      }
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(", ")}`);
+      }
+
+      const societiesCollection = this.db.collection("societies");
+      const requestObjectId = new ObjectId(requestId);
+      const society = await societiesCollection.findOne({
+        _id: new ObjectId(societyId),
+        "requests.requestId": requestObjectId,
+      });
+      if (!society) {
+        throw new Error("Join request not found");
+      }
+
+      const joinRequest = society.requests.find((request) => request.requestId.equals(requestObjectId));
+      if (joinRequest.status !== "pending") {
+        throw new Error("Join request is not pending");
+      }
+      if (!getCurrentDocuments(joinRequest.documents).some((document) => document.type === type)) {
+        throw new Error(`No ${type} has been uploaded`);
+      }
+
+      const now = new Date();
+      const reason = review.decision === "verified" ? null : review.reason.trim();
+      await societiesCollection.updateOne(
+        { _id: society._id, requests: { $elemMatch: { requestId: requestObjectId, status: "pending" } } },
+        {
+          $set: {
+            "requests.$[request].documents.$[document].status": review.decision,
+            "requests.$[request].documents.$[document].reviewedBy": reviewedBy,
+            "requests.$[request].documents.$[document].reviewedAt": now,
+            "requests.$[request].documents.$[document].rejectionReason": reason,
+            "requests.$[request].updatedAt": now,
+            updatedAt: now,
+          },
+        },
+        {
+          arrayFilters: [
+            { "request.requestId": requestObjectId },
+            { "document.type": type, "document.status": { $ne: "replaced" } },
+          ],
+        }
+      );
+
+      const updated = await societiesCollection.findOne({ _id: society._id });
+      const updatedRequest = updated.requests.find((request) => request.requestId.equals(requestObjectId));
+      const checklist = this.getDocumentChecklist(updated, updatedRequest);
+
+      return {
+        success: true,
+        data: {
+          joinRequest: updatedRequest,
+          document: checklist.items.find((item) => item.type === type).document,
+          checklist,
+        },
+      };
+    } catch (error) {
+      console.error("Error reviewing join request document:", error.message);
+      throw error;
+    }
+  }
+
   /**
    * Reject join request
    */
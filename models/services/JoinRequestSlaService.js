@@ -0,0 +1,297 @@
+const BaseService = require('./BaseService');
+const { ObjectId } = require('mongodb');
+const { getJoinRequestSla, getRequiredDocuments, planSlaAction } = require('../../utils/joinRequests');
+const { sendInAppNotification } = require('../../utils/notifications');
+
+// Admin roles from middleware/adminAuth, which can't be required here because
+// it loads the service index
+const WING_CHAIRMAN_ROLE = 'wing_chairman';
+const ADMIN_ROLE = 'admin';
+const SUPER_ADMIN_ROLE = 'super_admin';
+
+const NOTICES = {
+  reminder: { title: 'Join requests waiting for review', event: 'join_request_sla_reminder', priority: 'normal' },
+  escalation: { title: 'Join requests past their review deadline', event: 'join_request_sla_escalation', priority: 'high' }
+};
+
+/**
+ * Join Request SLA Service
+ * Holds pending join requests to the society's review SLA: reminds the
+ * society's admins once a request has waited reviewDays, escalates to super
+ * admins at escalateAfterDays, and expires requests whose applicant has not
+ * supplied an outstanding document within expireAfterDays. Reminders are
+ * logged on the request as slaReminders so a stage isn't repeated early.
+ */
+class JoinRequestSlaService extends BaseService {
+  constructor(db) {
+    super(db, 'societies');
+    this.users = db.collection('users');
+  }
+
+  /**
+   * Who hears about a society's overdue requests
+   * @param {object} society - Society document
+   * @returns {Promise<{admins: Array<string>, wingChairmen: Array, superAdmins: Array<string>}>}
+   */
+  async getSlaContacts(society) {
+    const staff = await this.users
+      .find(
+        {
+          isActive: { $ne: false },
+          $or: [
+            { societyId: society._id, adminRole: { $in: [ADMIN_ROLE, WING_CHAIRMAN_ROLE, SUPER_ADMIN_ROLE] } },
+            // Super admins without a society of their own oversee every society
+            { societyId: null, adminRole: SUPER_ADMIN_ROLE }
+          ]
+        },
+        { projection: { clerkUserId: 1, adminRole: 1, wing: 1, assignedWings: 1 } }
+      )
+      .toArray();
+
+    const admins = new Set(society.adminUsers || []);
+    staff.filter(user => user.adminRole === ADMIN_ROLE).forEach(user => admins.add(user.clerkUserId));
+
+    return {
+      admins: Array.from(admins),
+      wingChairmen: staff
+        .filter(user => user.adminRole === WING_CHAIRMAN_ROLE)
+        .map(user => ({
+          clerkUserId: user.clerkUserId,
+          wings: user.assignedWings?.length > 0 ? user.assignedWings : [user.wing]
+        })),
+      superAdmins: staff.filter(user => user.adminRole === SUPER_ADMIN_ROLE).map(user => user.clerkUserId)
+    };
+  }
+
+  /**
+   * Recipients of a reminder or escalation about one request
+   * @returns {Array<string>} Clerk user IDs
+   */
+  resolveRecipients(joinRequest, stage, contacts) {
+    if (stage === 'escalation') return contacts.superAdmins;
+
+    const recipients = new Set(contacts.admins);
+    contacts.wingChairmen
+      .filter(chairman => chairman.wings.includes(joinRequest.requestedData?.wing))
+      .forEach(chairman => recipients.add(chairman.clerkUserId));
+    return Array.from(recipients);
+  }
+
+  /**
+   * Store an in-app notification for one user and push it over the websocket
+   * @param {object} society - Society document
+   * @param {string} clerkUserId - Recipient
+   * @param {object} notice - { title, message, priority, event, category, data }
+   * @param {Date} now - Send time
+   * @param {boolean} toAdminPanel - Push to the recipient's admin panel session instead of the app
+   */
+  async notify(society, clerkUserId, notice, now, toAdminPanel) {
+    return sendInAppNotification(this.db, {
+      societyId: society._id,
+      recipientId: clerkUserId,
+      senderName: 'Join requests',
+      title: notice.title,
+      message: notice.message,
+      priority: notice.priority,
+      category: notice.category,
+      links: { joinRequestIds: notice.data.requests.map(request => request.requestId) },
+      event: notice.event,
+      data: notice.data,
+      toUser: !toAdminPanel,
+      toAdminPanel,
+      at: now
+    });
+  }
+
+  /**
+   * Expire a request the applicant left waiting and tell them why
+   * @param {object} society - Society document
+   * @param {object} joinRequest - Request from society.requests
+   * @param {object} plan - From planSlaAction
+   * @param {Date} now - Current time
+   * @returns {Promise<boolean>} Whether the request was still pending
+   */
+  async expireRequest(society, joinRequest, plan, now) {
+    const sla = getJoinRequestSla(society.settings);
+    const waitingFor = plan.outstanding.map(item => `${item.type} (${item.status})`).join(', ');
+    const expiryReason = `No response within ${sla.expireAfterDays} days to outstanding documents: ${waitingFor}`;
+
+    const updateResult = await this.collection.updateOne(
+      { _id: society._id, requests: { $elemMatch: { requestId: joinRequest.requestId, status: 'pending' } } },
+      {
+        $set: {
+          'requests.$.status': 'expired',
+          'requests.$.reviewedBy': 'system',
+          'requests.$.reviewedAt': now,
+          'requests.$.expiredAt': now,
+          'requests.$.expiryReason': expiryReason,
+          'requests.$.updatedAt': now,
+          updatedAt: now
+        }
+      }
+    );
+    if (updateResult.modifiedCount === 0) return false;
+
+    await this.notify(society, joinRequest.clerkUserId, {
+      title: 'Join request expired',
+      message: `Your request to join ${society.name} expired. ${expiryReason}. You can submit a new request.`,
+      priority: 'high',
+      category: 'join_request',
+      event: 'join_request_expired',
+      data: {
+        requestId: joinRequest.requestId,
+        societyName: society.name,
+        reason: expiryReason,
+        requests: [{ requestId: joinRequest.requestId }]
+      }
+    }, now, false);
+
+    return true;
+  }
+
+  /**
+   * Apply the SLA to one society's pending requests
+   * @param {object} society - Society document
+   * @param {object} options - { now, dryRun }
+   * @returns {Promise<Object>} Summary for the society
+   */
+  async runSocietySla(society, options = {}) {
+    const now = options.now || new Date();
+    const sla = getJoinRequestSla(society.settings);
+    const summary = { societyId: society._id, pending: 0, reminded: 0, escalated: 0, expired: 0, notifications: 0, skipped: null, actions: [] };
+
+    if (!sla.enabled) {
+      summary.skipped = 'disabled';
+      return summary;
+    }
+
+    const pending = (society.requests || []).filter(request => request.status === 'pending');
+    summary.pending = pending.length;
+    const planned = pending
+      .map(joinRequest => ({
+        joinRequest,
+        plan: planSlaAction(joinRequest, sla, getRequiredDocuments(society.settings, joinRequest.requestedData?.residentType), now)
+      }))
+      .filter(item => item.plan);
+    if (planned.length === 0) return summary;
+
+    const contacts = await this.getSlaContacts(society);
+    const stageOf = { remind: 'reminder', escalate: 'escalation' };
+    planned.forEach((item) => {
+      item.recipients = item.plan.action === 'expire'
+        ? [item.joinRequest.clerkUserId]
+        : this.resolveRecipients(item.joinRequest, stageOf[item.plan.action], contacts);
+    });
+
+    summary.actions = planned.map(item => ({
+      requestId: item.joinRequest.requestId,
+      wing: item.joinRequest.requestedData?.wing,
+      flatNumber: item.joinRequest.requestedData?.flatNumber,
+      action: item.plan.action,
+      ageDays: item.plan.ageDays ?? null,
+      outstanding: item.plan.outstanding || [],
+      recipients: item.recipients
+    }));
+    if (options.dryRun) return summary;
+
+    for (const item of planned.filter(entry => entry.plan.action === 'expire')) {
+      if (await this.expireRequest(society, item.joinRequest, item.plan, now)) {
+        summary.expired += 1;
+        summary.notifications += 1;
+      }
+    }
+
+    // One notification per admin per stage, however many requests it covers
+    for (const action of ['remind', 'escalate']) {
+      const stage = stageOf[action];
+      const items = planned.filter(item => item.plan.action === action);
+      if (items.length === 0) continue;
+
+      const byRecipient = new Map();
+      items.forEach(item => item.recipients.forEach((clerkUserId) => {
+        if (!byRecipient.has(clerkUserId)) byRecipient.set(clerkUserId, []);
+        byRecipient.get(clerkUserId).push(item);
+      }));
+
+      for (const [clerkUserId, recipientItems] of byRecipient) {
+        const lines = recipientItems.map(item =>
+          `${item.joinRequest.requestedData?.wing}-${item.joinRequest.requestedData?.flatNumber || 'N/A'}: waiting ${item.plan.ageDays} days`
+        );
+        await this.notify(society, clerkUserId, {
+          ...NOTICES[stage],
+          message: `${society.name}: ${lines.join('\n')}`,
+          category: 'join_request_sla',
+          data: {
+            societyId: society._id,
+            stage,
+            requests: recipientItems.map(item => ({ requestId: item.joinRequest.requestId, ageDays: item.plan.ageDays }))
+          }
+        }, now, true);
+        summary.notifications += 1;
+      }
+
+      for (const item of items) {
+        await this.collection.updateOne(
+          { _id: society._id, 'requests.requestId': item.joinRequest.requestId },
+          {
+            $push: {
+              'requests.$.slaReminders': {
+                _id: new ObjectId(),
+                stage,
+                sentAt: now,
+                recipients: item.recipients
+              }
+            }
+          }
+        );
+      }
+      summary[action === 'remind' ? 'reminded' : 'escalated'] = items.length;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Apply the SLA for one society or every active society with pending requests
+   * @param {object} options - { societyId, now, dryRun }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async runDueSla(options = {}) {
+    try {
+      const societyQuery = options.societyId
+        ? { _id: new ObjectId(options.societyId) }
+        : { isActive: { $ne: false }, 'requests.status': 'pending' };
+
+      const societies = await this.collection
+        .find(societyQuery, { projection: { _id: 1, name: 1, settings: 1, adminUsers: 1, requests: 1 } })
+        .toArray();
+
+      const results = [];
+      for (const society of societies) {
+        results.push(await this.runSocietySla(society, options));
+      }
+
+      const total = key => results.reduce((sum, result) => sum + result[key], 0);
+      return {
+        success: true,
+        data: {
+          societies: results.length,
+          reminded: total('reminded'),
+          escalated: total('escalated'),
+          expired: total('expired'),
+          notifications: total('notifications'),
+          dryRun: options.dryRun === true,
+          results
+        }
+      };
+    } catch (error) {
+      console.error('Error applying join request SLA:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = JoinRequestSlaService;
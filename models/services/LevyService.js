@@ -0,0 +1,333 @@
+const BaseService = require('./BaseService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const MaintenanceStatusService = require('./MaintenanceStatusService');
+const { ObjectId } = require('mongodb');
+const { MONTH_NAMES, selectBillableFlats } = require('../../utils/billing');
+const { UNPAID_STATUSES } = require('../../utils/maintenanceStatus');
+const { getFlatProfile } = require('../../utils/flats');
+const { validateLevy, allocateLevy, splitInstallments } = require('../../utils/levies');
+
+/**
+ * Levy Service
+ * Special assessments (repairs, painting, sinking fund top-ups) billed to
+ * flats on top of monthly maintenance. Each installment of a flat's share is
+ * stored as a maintenance record with chargeType 'levy', so it is posted to
+ * the flat ledger and shows up in the resident's calendar, the payment flows
+ * and the defaulter report like any other due.
+ */
+class LevyService extends BaseService {
+  constructor(db) {
+    super(db, 'levies');
+    this.maintenance = db.collection('maintenance');
+    this.ledger = new MaintenanceLedgerService(db);
+    this.lifecycle = new MaintenanceStatusService(db);
+  }
+
+  /**
+   * Flats a levy is billed to, with their flat type, area and the resident
+   * billed. Levies are the owner's liability, so the owner is billed
+   * wherever one is registered.
+   * @param {object} society - Society document
+   * @param {Array<string>|null} wings - Limit to these wings
+   */
+  async getLevyFlats(society, wings) {
+    const users = await this.db.collection('users')
+      .find({ societyId: society._id, isActive: true })
+      .toArray();
+
+    return selectBillableFlats(users)
+      .filter(flat => !wings || wings.includes(flat.wing))
+      .map((flat) => {
+        const owner = users.find(user =>
+          user.residentType === 'Owner' &&
+          String(user.wing).trim() === flat.wing &&
+          String(user.flatNumber).trim() === flat.flatNumber
+        );
+        return {
+          ...flat,
+          ...getFlatProfile(society.wings, flat.wing, flat.flatNumber),
+          resident: owner || flat.resident
+        };
+      });
+  }
+
+  /**
+   * Define a levy and bill every installment of each flat's share
+   * @param {string} societyId - Society ID
+   * @param {object} input - { title, description, amountType, amount, allocation, flatTypeRates, installments, wings }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createLevy(societyId, input, createdBy) {
+    try {
+      const errors = validateLevy(input);
+      if (input.wings !== undefined && (!Array.isArray(input.wings) || input.wings.length === 0)) {
+        errors.push('wings must be a non-empty array of wing names');
+      }
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const society = await this.db.collection('societies').findOne({ _id: societyObjectId });
+      if (!society) {
+        throw new Error('Society not found');
+      }
+
+      const wings = input.wings ? input.wings.map(wing => String(wing).trim()) : null;
+      const flats = await this.getLevyFlats(society, wings);
+      const { allocations, missing } = allocateLevy(flats, input);
+
+      if (missing.length > 0) {
+        const list = missing.map(flat => `${flat.wing}-${flat.flatNumber} (${flat.reason})`).join(', ');
+        throw new Error(`Validation failed: cannot allocate levy to ${list}`);
+      }
+      if (allocations.length === 0) {
+        throw new Error('Validation failed: no occupied flats to bill');
+      }
+
+      const now = new Date();
+      const levyId = new ObjectId();
+      const installments = input.installments.map((installment, index) => ({
+        number: index + 1,
+        dueDate: new Date(installment.dueDate),
+        ...(installment.percentage && { percentage: installment.percentage })
+      }));
+
+      const flatsByKey = new Map(flats.map(flat => [`${flat.wing}::${flat.flatNumber}`, flat]));
+      const records = [];
+      const levyAllocations = allocations.map((allocation) => {
+        const { resident, unitId } = flatsByKey.get(`${allocation.wing}::${allocation.flatNumber}`);
+
+        splitInstallments(allocation.amount, input.installments)
+          .filter(installment => installment.amount > 0)
+          .forEach((installment) => {
+            const dueDate = installment.dueDate;
+            const month = MONTH_NAMES[dueDate.getUTCMonth()];
+            const year = dueDate.getUTCFullYear();
+
+            records.push({
+              clerkUserId: resident.clerkUserId,
+              societyId: societyObjectId,
+              societyName: society.name,
+              wing: allocation.wing,
+              flatNumber: allocation.flatNumber,
+              ...(unitId && { unitId }),
+              residentType: resident.residentType,
+              month,
+              year,
+              billingPeriod: `${year}-${String(dueDate.getUTCMonth() + 1).padStart(2, '0')}`,
+              amount: installment.amount,
+              monthsCount: 1,
+              dueDate,
+              ...this.lifecycle.initialFields('bill', { actor: { clerkUserId: createdBy }, at: now }),
+              source: 'levy',
+              chargeType: 'levy',
+              levy: {
+                levyId,
+                title: input.title.trim(),
+                installment: installment.number,
+                installments: installments.length
+              },
+              notes: '',
+              createdAt: now,
+              updatedAt: now
+            });
+          });
+
+        return { ...allocation, clerkUserId: resident.clerkUserId };
+      });
+
+      const levy = {
+        _id: levyId,
+        societyId: societyObjectId,
+        title: input.title.trim(),
+        description: typeof input.description === 'string' ? input.description.trim() : '',
+        amountType: input.amountType,
+        amount: input.amount ?? null,
+        allocation: input.allocation,
+        flatTypeRates: input.flatTypeRates || null,
+        wings,
+        installments,
+        flatCount: levyAllocations.length,
+        totalAmount: Math.round(levyAllocations.reduce((sum, allocation) => sum + allocation.amount, 0) * 100) / 100,
+        allocations: levyAllocations,
+        status: 'active',
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.collection.insertOne(levy);
+
+      if (records.length > 0) {
+        const insertResult = await this.maintenance.insertMany(records);
+        for (const [index, record] of records.entries()) {
+          const chargeResult = await this.ledger.postRecordCharge(
+            { ...record, _id: insertResult.insertedIds[index] },
+            { createdBy }
+          );
+          if (!chargeResult.success) throw new Error(chargeResult.error);
+        }
+      }
+
+      return {
+        success: true,
+        data: { ...levy, recordCount: records.length }
+      };
+    } catch (error) {
+      console.error('Error creating levy:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Levies of a society, newest first, without the per-flat allocation
+   * @param {string} societyId - Society ID
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listLevies(societyId) {
+    try {
+      const levies = await this.collection
+        .find({ societyId: new ObjectId(societyId) }, { projection: { allocations: 0 } })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      return {
+        success: true,
+        data: levies
+      };
+    } catch (error) {
+      console.error('Error listing levies:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * A levy with its installment records and how much of it has been collected
+   * @param {string} societyId - Society ID
+   * @param {string} levyId - Levy ID
+   * @param {object} options - { wings: limit the records to these wings }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getLevy(societyId, levyId, options = {}) {
+    try {
+      const levy = await this.collection.findOne({
+        _id: new ObjectId(levyId),
+        societyId: new ObjectId(societyId)
+      });
+      if (!levy) {
+        return {
+          success: true,
+          data: null
+        };
+      }
+
+      const query = { 'levy.levyId': levy._id, chargeType: 'levy' };
+      if (options.wings) {
+        query.wing = { $in: options.wings };
+        levy.allocations = levy.allocations.filter(allocation => options.wings.includes(allocation.wing));
+      }
+
+      const records = await this.maintenance
+        .find(query)
+        .sort({ wing: 1, flatNumber: 1, 'levy.installment': 1 })
+        .toArray();
+
+      const summary = records.reduce((totals, record) => {
+        const charged = record.settlement?.charged ?? record.amount;
+        const outstanding = record.settlement ? record.settlement.outstanding : (UNPAID_STATUSES.includes(record.status) ? record.amount : 0);
+        totals.billed += charged;
+        totals.outstanding += outstanding;
+        totals.collected += Math.max(charged - outstanding, 0);
+        return totals;
+      }, { billed: 0, collected: 0, outstanding: 0 });
+
+      Object.keys(summary).forEach((key) => {
+        summary[key] = Math.round(summary[key] * 100) / 100;
+      });
+
+      return {
+        success: true,
+        data: { ...levy, records, summary }
+      };
+    } catch (error) {
+      console.error('Error getting levy:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Cancel a levy. Installments nothing has been paid or submitted against
+   * are removed along with their ledger charges; the rest stay billed.
+   * @param {string} societyId - Society ID
+   * @param {string} levyId - Levy ID
+   * @param {object} cancellation - { cancelledBy, reason }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async cancelLevy(societyId, levyId, cancellation = {}) {
+    try {
+      const levy = await this.collection.findOne({
+        _id: new ObjectId(levyId),
+        societyId: new ObjectId(societyId)
+      });
+      if (!levy) {
+        throw new Error('Levy not found');
+      }
+      if (levy.status === 'cancelled') {
+        throw new Error('Levy is already cancelled');
+      }
+
+      const records = await this.maintenance
+        .find({ 'levy.levyId': levy._id, chargeType: 'levy' })
+        .toArray();
+
+      const removable = records.filter(record =>
+        UNPAID_STATUSES.includes(record.status) &&
+        !record.paymentProof?.screenshot &&
+        !(record.settlement?.paid > 0)
+      );
+
+      for (const record of removable) {
+        await this.maintenance.deleteOne({ _id: record._id });
+        const removeResult = await this.ledger.removeRecordCharge(record);
+        if (!removeResult.success) throw new Error(removeResult.error);
+      }
+
+      const now = new Date();
+      const update = {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancelledBy: cancellation.cancelledBy || null,
+        cancellationReason: cancellation.reason || '',
+        cancelledRecordCount: removable.length,
+        retainedRecordCount: records.length - removable.length,
+        updatedAt: now
+      };
+
+      await this.collection.updateOne({ _id: levy._id }, { $set: update });
+
+      return {
+        success: true,
+        data: { ...levy, ...update }
+      };
+    } catch (error) {
+      console.error('Error cancelling levy:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = LevyService;
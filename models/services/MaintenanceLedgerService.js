@@ -0,0 +1,636 @@
+const BaseService = require('./BaseService');
+const GeneralLedgerService = require('./GeneralLedgerService');
+const { ObjectId } = require('mongodb');
+const { toBillingPeriod } = require('../../utils/billing');
+const {
+  ENTRY_TYPES,
+  DIRECTIONS,
+  DEFAULT_DIRECTIONS,
+  roundAmount,
+  signedAmount,
+  computeRunningBalance,
+  allocateCredits,
+} = require('../../utils/ledger');
+const { parseFinancialYear, buildStatement } = require('../../utils/statements');
+
+// Records a resident can still pay; request_sent is excluded because a
+// screenshot for it is already waiting for review
+const PAYABLE_STATUSES = ['pending', 'overdue', 'rejected', 'approved'];
+
+/**
+ * Maintenance Ledger Service
+ * Per-flat ledger of charges, payments, adjustments and credits.
+ * A flat is identified by societyId + wing + flatNumber so the ledger
+ * survives residents moving in and out. Every entry is also posted to the
+ * society's general ledger.
+ */
+class MaintenanceLedgerService extends BaseService {
+  constructor(db) {
+    super(db, 'maintenance_ledger');
+    this.generalLedger = new GeneralLedgerService(db);
+  }
+
+  /**
+   * Build the query that identifies a flat's ledger
+   */
+  flatQuery(societyId, wing, flatNumber) {
+    return {
+      societyId: new ObjectId(societyId),
+      wing,
+      flatNumber
+    };
+  }
+
+  /**
+   * Billing period (YYYY-MM) a maintenance record belongs to
+   */
+  recordPeriod(record) {
+    return record.billingPeriod || toBillingPeriod(record.month, record.year);
+  }
+
+  /**
+   * Post an entry to a flat's ledger. Entries carrying a sourceKey are
+   * idempotent: posting the same key again updates the amount instead of
+   * adding a second line.
+   * @param {object} entry - { societyId, wing, flatNumber, entryType, direction, amount, ... }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async postEntry(entry) {
+    try {
+      if (!ObjectId.isValid(entry.societyId) || !entry.wing || !entry.flatNumber) {
+        throw new Error('societyId, wing and flatNumber are required for ledger entries');
+      }
+
+      if (!ENTRY_TYPES.includes(entry.entryType)) {
+        throw new Error(`Invalid ledger entry type: ${entry.entryType}`);
+      }
+
+      const direction = entry.direction || DEFAULT_DIRECTIONS[entry.entryType];
+      if (!DIRECTIONS.includes(direction)) {
+        throw new Error('Ledger entry direction must be debit or credit');
+      }
+
+      const amount = roundAmount(entry.amount);
+      if (amount <= 0) {
+        throw new Error('Ledger entry amount must be greater than zero');
+      }
+
+      const now = new Date();
+      const document = {
+        ...this.flatQuery(entry.societyId, entry.wing, entry.flatNumber),
+        clerkUserId: entry.clerkUserId || null,
+        entryType: entry.entryType,
+        category: entry.category || entry.entryType,
+        direction,
+        maintenanceId: entry.maintenanceId ? new ObjectId(entry.maintenanceId) : null,
+        period: entry.period || null,
+        postedAt: entry.postedAt || now,
+        createdBy: entry.createdBy || 'system',
+        createdAt: now
+      };
+
+      let saved;
+      if (entry.sourceKey) {
+        saved = await this.collection.findOneAndUpdate(
+          { societyId: document.societyId, sourceKey: entry.sourceKey },
+          {
+            $setOnInsert: { ...document, sourceKey: entry.sourceKey },
+            $set: { amount, description: entry.description || '', updatedAt: now }
+          },
+          { upsert: true, returnDocument: 'after' }
+        );
+      } else {
+        const insertDoc = { ...document, amount, description: entry.description || '', updatedAt: now };
+        const result = await this.collection.insertOne(insertDoc);
+        saved = { _id: result.insertedId, ...insertDoc };
+      }
+
+      await this.syncRecordSettlements(entry.societyId, entry.wing, entry.flatNumber);
+
+      // The flat ledger stays the source of truth; a voucher that fails is
+      // picked up by the general ledger backfill
+      const voucherResult = await this.generalLedger.postFlatLedgerEntry(saved);
+      if (!voucherResult.success) {
+        console.error(`General ledger posting failed for ledger entry ${saved._id}: ${voucherResult.error}`);
+      }
+
+      return {
+        success: true,
+        data: saved
+      };
+    } catch (error) {
+      console.error('Error posting ledger entry:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Ledger description of a maintenance record's charge
+   */
+  chargeDescription(record) {
+    if (record.levy) {
+      return `${record.levy.title} - installment ${record.levy.installment} of ${record.levy.installments}`;
+    }
+    if (record.chargeType === 'utility') {
+      return `Utility charges for ${record.month} ${record.year}`;
+    }
+    return `Maintenance for ${record.month} ${record.year}`;
+  }
+
+  /**
+   * Post the charge for a maintenance record (idempotent per record)
+   * @param {object} record - Maintenance record
+   * @param {object} options - { amount, createdBy }
+   */
+  async postRecordCharge(record, options = {}) {
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: record.clerkUserId,
+      entryType: 'charge',
+      category: ['levy', 'utility'].includes(record.chargeType) ? record.chargeType : 'maintenance',
+      amount: options.amount ?? record.amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: this.chargeDescription(record),
+      sourceKey: `charge:${record._id}`,
+      createdBy: options.createdBy
+    });
+  }
+
+  /**
+   * Remove the charge posted for a maintenance record, e.g. when an unpaid
+   * levy installment is cancelled
+   * @param {object} record - Maintenance record
+   */
+  async removeRecordCharge(record) {
+    try {
+      const removed = await this.collection.findOneAndDelete({
+        societyId: new ObjectId(record.societyId),
+        sourceKey: `charge:${record._id}`
+      });
+      await this.syncRecordSettlements(record.societyId, record.wing, record.flatNumber);
+      if (removed) {
+        await this.generalLedger.removeFlatLedgerEntry(removed);
+      }
+
+      return {
+        success: true
+      };
+    } catch (error) {
+      console.error('Error removing ledger charge:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Post the payment approved on a maintenance record (idempotent per record)
+   * @param {object} record - Maintenance record
+   * @param {number} amount - Amount received
+   * @param {string} approvedBy - Admin user ID who approved
+   */
+  async postRecordPayment(record, amount, approvedBy) {
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: record.clerkUserId,
+      entryType: 'payment',
+      category: 'maintenance',
+      amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: `Payment received for ${record.month} ${record.year}`,
+      sourceKey: `payment:${record._id}`,
+      createdBy: approvedBy
+    });
+  }
+
+  /**
+   * Post a payment captured by the online payment gateway
+   * @param {object} record - Maintenance record
+   * @param {number} amount - Amount applied to this record
+   * @param {object} order - Payment order the amount came from
+   */
+  async postOnlinePayment(record, amount, order) {
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: order.clerkUserId,
+      entryType: 'payment',
+      category: 'online_payment',
+      amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: `Online payment ${order.providerPaymentId || order._id} for ${record.month} ${record.year}`,
+      sourceKey: `online_payment:${order._id}:${record._id}`,
+      createdBy: 'payment_gateway'
+    });
+  }
+
+  /**
+   * Post a late fee assessed on a maintenance record
+   * @param {object} record - Maintenance record
+   * @param {object} fee - Late fee line item (with _id)
+   */
+  async postLateFee(record, fee) {
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: record.clerkUserId,
+      entryType: 'charge',
+      category: 'late_fee',
+      amount: fee.amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: `Late fee #${fee.installment} for ${record.month} ${record.year}`,
+      sourceKey: `late_fee:${fee._id}`,
+      postedAt: fee.assessedAt
+    });
+  }
+
+  /**
+   * Reverse a waived late fee with a compensating credit
+   * @param {object} record - Maintenance record
+   * @param {object} fee - Waived late fee line item
+   * @param {string} waivedBy - Admin user ID who waived the fee
+   */
+  async postLateFeeWaiver(record, fee, waivedBy) {
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: record.clerkUserId,
+      entryType: 'adjustment',
+      category: 'late_fee_waiver',
+      direction: 'credit',
+      amount: fee.amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: `Late fee #${fee.installment} waived${fee.waiverReason ? `: ${fee.waiverReason}` : ''}`,
+      sourceKey: `late_fee_waiver:${fee._id}`,
+      createdBy: waivedBy
+    });
+  }
+
+  /**
+   * Net amount paid against a maintenance record: payments less any
+   * reversals and refunds already posted
+   * @param {object} record - Maintenance record
+   * @returns {Promise<number>}
+   */
+  async getRecordPaidAmount(record) {
+    const payments = await this.collection.find({
+      societyId: new ObjectId(record.societyId),
+      maintenanceId: record._id,
+      entryType: 'payment'
+    }).toArray();
+
+    return roundAmount(payments.reduce((sum, entry) => sum - signedAmount(entry), 0));
+  }
+
+  /**
+   * Take back part or all of the payments on a maintenance record with a
+   * compensating debit, leaving the original payment entries untouched
+   * @param {object} record - Maintenance record
+   * @param {object} correction - { _id, type ('reversal' or 'refund'), amount, reason, createdBy }
+   */
+  async postPaymentCorrection(record, correction) {
+    const category = correction.type === 'refund' ? 'refund' : 'payment_reversal';
+    const label = correction.type === 'refund' ? 'Refund' : 'Payment reversed';
+
+    return this.postEntry({
+      societyId: record.societyId,
+      wing: record.wing,
+      flatNumber: record.flatNumber,
+      clerkUserId: record.clerkUserId,
+      entryType: 'payment',
+      category,
+      direction: 'debit',
+      amount: correction.amount,
+      maintenanceId: record._id,
+      period: this.recordPeriod(record),
+      description: `${label} for ${record.month} ${record.year}: ${correction.reason}`,
+      sourceKey: `${category}:${correction._id}`,
+      createdBy: correction.createdBy
+    });
+  }
+
+  /**
+   * Record a manual adjustment on a flat's ledger
+   * @param {object} adjustment - { societyId, wing, flatNumber, amount, direction, reason, maintenanceId, createdBy }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createAdjustment(adjustment) {
+    if (!adjustment.reason || !String(adjustment.reason).trim()) {
+      return {
+        success: false,
+        error: 'Adjustment reason is required'
+      };
+    }
+
+    if (!DIRECTIONS.includes(adjustment.direction)) {
+      return {
+        success: false,
+        error: 'Adjustment direction must be debit or credit'
+      };
+    }
+
+    let period = adjustment.period || null;
+    if (adjustment.maintenanceId) {
+      const record = await this.db.collection('maintenance').findOne({
+        _id: new ObjectId(adjustment.maintenanceId),
+        ...this.flatQuery(adjustment.societyId, adjustment.wing, adjustment.flatNumber)
+      });
+      if (!record) {
+        return {
+          success: false,
+          error: 'Maintenance record not found for this flat'
+        };
+      }
+      period = this.recordPeriod(record);
+    }
+
+    return this.postEntry({
+      societyId: adjustment.societyId,
+      wing: adjustment.wing,
+      flatNumber: adjustment.flatNumber,
+      entryType: 'adjustment',
+      category: 'manual_adjustment',
+      direction: adjustment.direction,
+      amount: adjustment.amount,
+      maintenanceId: adjustment.maintenanceId || null,
+      period,
+      description: String(adjustment.reason).trim(),
+      createdBy: adjustment.createdBy
+    });
+  }
+
+  /**
+   * Get a flat's ledger with running balance and per-record allocation
+   * @param {string} societyId - Society ID
+   * @param {string} wing - Wing name
+   * @param {string} flatNumber - Flat number
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getFlatLedger(societyId, wing, flatNumber) {
+    try {
+      const entries = await this.collection
+        .find(this.flatQuery(societyId, wing, flatNumber))
+        .sort({ postedAt: 1, createdAt: 1 })
+        .toArray();
+
+      const { entries: withBalance, balance, totalDebits, totalCredits } = computeRunningBalance(entries);
+      const { byRecord, unallocatedCredit } = allocateCredits(entries);
+
+      return {
+        success: true,
+        data: {
+          societyId: new ObjectId(societyId),
+          wing,
+          flatNumber,
+          entries: withBalance,
+          totalDebits,
+          totalCredits,
+          balance,
+          outstanding: Math.max(balance, 0),
+          creditBalance: unallocatedCredit,
+          allocations: byRecord
+        }
+      };
+    } catch (error) {
+      console.error('Error getting flat ledger:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Society details and residents shown on annual statements
+   * @param {string} societyId - Society ID
+   * @param {Array<{wing: string, flatNumber: string}>} flats - Flats being stated
+   */
+  async loadStatementContext(societyId, flats) {
+    const societyObjectId = new ObjectId(societyId);
+    const society = await this.db.collection('societies').findOne(
+      { _id: societyObjectId },
+      { projection: { name: 1, address: 1 } }
+    );
+
+    const residents = flats.length > 0
+      ? await this.db.collection('users').find(
+        {
+          societyId: societyObjectId,
+          isActive: { $ne: false },
+          $or: flats.map(flat => ({ wing: flat.wing, flatNumber: flat.flatNumber }))
+        },
+        { projection: { clerkUserId: 1, name: 1, residentType: 1, wing: 1, flatNumber: 1 } }
+      ).toArray()
+      : [];
+
+    return {
+      society: society ? { name: society.name, address: society.address || null } : null,
+      residentsOf: (wing, flatNumber) => residents
+        .filter(user => user.wing === wing && user.flatNumber === flatNumber)
+        // Owners first, as they are the ones billed
+        .sort((a, b) => (a.residentType === 'Owner' ? 0 : 1) - (b.residentType === 'Owner' ? 0 : 1))
+        .map(({ clerkUserId, name, residentType }) => ({ clerkUserId, name, residentType }))
+    };
+  }
+
+  /**
+   * Assemble one flat's statement document
+   */
+  composeStatement(fy, flat, entries, context, generatedAt) {
+    return {
+      societyId: flat.societyId,
+      society: context.society,
+      wing: flat.wing,
+      flatNumber: flat.flatNumber,
+      residents: context.residentsOf(flat.wing, flat.flatNumber),
+      financialYear: fy.label,
+      periodStart: fy.start,
+      periodEnd: new Date(fy.end.getTime() - 1),
+      generatedAt,
+      ...buildStatement(entries, fy)
+    };
+  }
+
+  /**
+   * Statement of a flat's charges, payments, late fees and waivers for one
+   * Indian financial year (April to March), with opening and closing balances
+   * @param {string} societyId - Society ID
+   * @param {string} wing - Wing name
+   * @param {string} flatNumber - Flat number
+   * @param {string} financialYear - FY label, e.g. 2025-26
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getFlatStatement(societyId, wing, flatNumber, financialYear) {
+    try {
+      const fy = parseFinancialYear(financialYear);
+      if (!fy) {
+        throw new Error('Financial year must look like 2025-26');
+      }
+
+      const entries = await this.collection
+        .find({ ...this.flatQuery(societyId, wing, flatNumber), postedAt: { $lt: fy.end } })
+        .toArray();
+      const context = await this.loadStatementContext(societyId, [{ wing, flatNumber }]);
+
+      return {
+        success: true,
+        data: this.composeStatement(fy, { societyId: new ObjectId(societyId), wing, flatNumber }, entries, context, new Date())
+      };
+    } catch (error) {
+      console.error('Error building maintenance statement:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Annual statements for every flat with ledger activity up to the end of
+   * the financial year
+   * @param {string} societyId - Society ID
+   * @param {string} financialYear - FY label, e.g. 2025-26
+   * @param {object} options - { wings } to limit the statements to some wings
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async getSocietyStatements(societyId, financialYear, options = {}) {
+    try {
+      const fy = parseFinancialYear(financialYear);
+      if (!fy) {
+        throw new Error('Financial year must look like 2025-26');
+      }
+
+      const query = { societyId: new ObjectId(societyId), postedAt: { $lt: fy.end } };
+      if (options.wings) {
+        query.wing = { $in: options.wings };
+      }
+
+      const entries = await this.collection.find(query).toArray();
+      const byFlat = new Map();
+      entries.forEach((entry) => {
+        const key = `${entry.wing}::${entry.flatNumber}`;
+        if (!byFlat.has(key)) byFlat.set(key, { wing: entry.wing, flatNumber: entry.flatNumber, entries: [] });
+        byFlat.get(key).entries.push(entry);
+      });
+
+      const flats = Array.from(byFlat.values()).sort((a, b) =>
+        a.wing.localeCompare(b.wing) || a.flatNumber.localeCompare(b.flatNumber, undefined, { numeric: true }));
+      const context = await this.loadStatementContext(societyId, flats);
+      const generatedAt = new Date();
+
+      const statements = flats.map(flat => this.composeStatement(
+        fy,
+        { societyId: query.societyId, wing: flat.wing, flatNumber: flat.flatNumber },
+        flat.entries,
+        context,
+        generatedAt
+      ));
+
+      return {
+        success: true,
+        data: {
+          societyId: query.societyId,
+          financialYear: fy.label,
+          wings: options.wings || null,
+          count: statements.length,
+          statements
+        }
+      };
+    } catch (error) {
+      console.error('Error building maintenance statements:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Maintenance records of a flat that still have an amount outstanding
+   * @param {string} societyId - Society ID
+   * @param {string} wing - Wing name
+   * @param {string} flatNumber - Flat number
+   * @param {object} options - { recordIds, statuses (defaults to PAYABLE_STATUSES) }
+   * @returns {Promise<Array<{recordId: ObjectId, month: string, year: number, amount: number, record: Object}>>}
+   */
+  async getOutstandingRecords(societyId, wing, flatNumber, options = {}) {
+    const ledgerResult = await this.getFlatLedger(societyId, wing, flatNumber);
+    if (!ledgerResult.success) throw new Error(ledgerResult.error);
+
+    const query = {
+      societyId: new ObjectId(societyId),
+      wing,
+      flatNumber,
+      status: { $in: options.statuses || PAYABLE_STATUSES }
+    };
+    if (options.recordIds) {
+      query._id = { $in: options.recordIds.map(id => new ObjectId(id)) };
+    }
+
+    const records = await this.db.collection('maintenance').find(query).sort({ year: 1, dueDate: 1 }).toArray();
+
+    return records
+      .map(record => ({
+        recordId: record._id,
+        month: record.month,
+        year: record.year,
+        amount: ledgerResult.data.allocations[record._id.toString()]?.outstanding || 0,
+        record
+      }))
+      .filter(due => due.amount > 0);
+  }
+
+  /**
+   * Store each maintenance record's share of the flat's payments on the
+   * record itself so list views don't have to recompute the ledger
+   * @param {string} societyId - Society ID
+   * @param {string} wing - Wing name
+   * @param {string} flatNumber - Flat number
+   */
+  async syncRecordSettlements(societyId, wing, flatNumber) {
+    const entries = await this.collection.find(this.flatQuery(societyId, wing, flatNumber)).toArray();
+    const { byRecord } = allocateCredits(entries);
+    const now = new Date();
+
+    const operations = Object.entries(byRecord)
+      .filter(([recordId]) => ObjectId.isValid(recordId))
+      .map(([recordId, allocation]) => ({
+        updateOne: {
+          filter: { _id: new ObjectId(recordId) },
+          update: {
+            $set: {
+              settlement: {
+                charged: allocation.charged,
+                paid: allocation.paid,
+                outstanding: allocation.outstanding,
+                state: allocation.state,
+                updatedAt: now
+              }
+            }
+          }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await this.db.collection('maintenance').bulkWrite(operations, { ordered: false });
+    }
+  }
+}
+
+module.exports = MaintenanceLedgerService;
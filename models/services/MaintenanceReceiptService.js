@@ -0,0 +1,263 @@
+const BaseService = require('./BaseService');
+const { ObjectId } = require('mongodb');
+const { amountInWords, formatReceiptNumber, describeCoveredMonths } = require('../../utils/receipts');
+const { renderReceiptPdf } = require('../../utils/receiptPdf');
+
+const RECEIPTABLE_STATUSES = ['approved', 'paid'];
+
+/**
+ * Maintenance Receipt Service
+ * Issues receipts for approved maintenance payments. Each receipt stores a
+ * snapshot of what was printed; the PDF is rendered from that snapshot on
+ * demand so no files need to be kept on disk.
+ */
+class MaintenanceReceiptService extends BaseService {
+  constructor(db) {
+    super(db, 'maintenance_receipts');
+  }
+
+  /**
+   * Reserve the next receipt number for a society
+   * @param {ObjectId} societyId - Society ID
+   * @returns {Promise<{sequence: number, receiptNumber: string}>}
+   */
+  async nextReceiptNumber(societyId) {
+    const counter = await this.db.collection('maintenance_receipt_counters').findOneAndUpdate(
+      { societyId: new ObjectId(societyId) },
+      { $inc: { sequence: 1 }, $set: { updatedAt: new Date() } },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    return {
+      sequence: counter.sequence,
+      receiptNumber: formatReceiptNumber(counter.sequence)
+    };
+  }
+
+  /**
+   * Build the printable snapshot of a receipt from the current record
+   * @param {object} record - Approved maintenance record
+   * @param {object} approver - { clerkUserId, name }
+   */
+  async buildSnapshot(record, approver = {}) {
+    const society = await this.db.collection('societies').findOne(
+      { _id: new ObjectId(record.societyId) },
+      { projection: { name: 1, address: 1 } }
+    );
+    const resident = await this.db.collection('users').findOne(
+      { clerkUserId: record.clerkUserId },
+      { projection: { name: 1 } }
+    );
+
+    const approvedBy = approver.clerkUserId || record.paymentProof?.approvedBy || null;
+    let approverName = approver.name || null;
+    if (!approverName && approvedBy) {
+      const approverUser = await this.db.collection('users').findOne(
+        { clerkUserId: approvedBy },
+        { projection: { name: 1 } }
+      );
+      approverName = approverUser?.name || null;
+    }
+
+    const amount = record.onlinePayment?.amount ?? record.paymentProof?.approvedAmount ?? record.amount ?? 0;
+
+    return {
+      societyId: new ObjectId(record.societyId),
+      society: {
+        name: society?.name || record.societyName || '',
+        address: society?.address || ''
+      },
+      maintenanceId: record._id,
+      clerkUserId: record.clerkUserId,
+      residentName: resident?.name || null,
+      wing: record.wing || null,
+      flatNumber: record.flatNumber || null,
+      months: describeCoveredMonths(record),
+      amount,
+      amountInWords: amountInWords(amount),
+      paymentDate: record.onlinePayment?.paidAt || record.paymentProof?.approvedAt || record.updatedAt,
+      approvedBy,
+      approverName
+    };
+  }
+
+  /**
+   * Issue a receipt for an approved record. Returns the existing receipt if
+   * one was already issued, so the receipt number never changes.
+   * @param {string} recordId - Maintenance record ID
+   * @param {object} approver - { clerkUserId, name }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async issueReceipt(recordId, approver = {}) {
+    try {
+      const existing = await this.collection.findOne({ maintenanceId: new ObjectId(recordId) });
+      if (existing) {
+        return {
+          success: true,
+          data: existing
+        };
+      }
+
+      const record = await this.db.collection('maintenance').findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        throw new Error('Maintenance record not found');
+      }
+      if (!RECEIPTABLE_STATUSES.includes(record.status)) {
+        throw new Error('Receipts can only be issued for approved payments');
+      }
+
+      const snapshot = await this.buildSnapshot(record, approver);
+      const { sequence, receiptNumber } = await this.nextReceiptNumber(record.societyId);
+      const now = new Date();
+
+      const receipt = {
+        ...snapshot,
+        receiptNumber,
+        sequence,
+        issuedAt: now,
+        version: 1,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      const result = await this.collection.insertOne(receipt);
+      await this.db.collection('maintenance').updateOne(
+        { _id: record._id },
+        { $set: { receipt: { receiptId: result.insertedId, receiptNumber, issuedAt: now } } }
+      );
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...receipt }
+      };
+    } catch (error) {
+      console.error('Error issuing maintenance receipt:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Refresh a receipt from the current record, keeping its receipt number.
+   * Issues a new receipt when none exists yet.
+   * @param {string} recordId - Maintenance record ID
+   * @param {string} regeneratedBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async regenerateReceipt(recordId, regeneratedBy) {
+    try {
+      const existing = await this.collection.findOne({ maintenanceId: new ObjectId(recordId) });
+      if (!existing) {
+        return this.issueReceipt(recordId);
+      }
+
+      const record = await this.db.collection('maintenance').findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        throw new Error('Maintenance record not found');
+      }
+      if (!RECEIPTABLE_STATUSES.includes(record.status)) {
+        throw new Error('Receipts can only be issued for approved payments');
+      }
+
+      const snapshot = await this.buildSnapshot(record);
+      const now = new Date();
+
+      const updated = await this.collection.findOneAndUpdate(
+        { _id: existing._id },
+        {
+          $set: {
+            ...snapshot,
+            regeneratedAt: now,
+            regeneratedBy,
+            updatedAt: now
+          },
+          $unset: { cancelledAt: '', cancelledBy: '', cancellationReason: '' },
+          $inc: { version: 1 }
+        },
+        { returnDocument: 'after' }
+      );
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      console.error('Error regenerating maintenance receipt:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Mark the receipt of a reversed payment as cancelled. The receipt keeps
+   * its number and is reinstated if the record is approved again.
+   * @param {string} recordId - Maintenance record ID
+   * @param {object} cancellation - { reason, cancelledBy }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async cancelReceipt(recordId, cancellation) {
+    try {
+      const now = new Date();
+      const updated = await this.collection.findOneAndUpdate(
+        { maintenanceId: new ObjectId(recordId) },
+        {
+          $set: {
+            cancelledAt: now,
+            cancelledBy: cancellation.cancelledBy,
+            cancellationReason: cancellation.reason,
+            updatedAt: now
+          }
+        },
+        { returnDocument: 'after' }
+      );
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      console.error('Error cancelling maintenance receipt:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find the receipt issued for a maintenance record
+   * @param {string} recordId - Maintenance record ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async findByRecord(recordId) {
+    try {
+      const receipt = await this.collection.findOne({ maintenanceId: new ObjectId(recordId) });
+
+      return {
+        success: true,
+        data: receipt
+      };
+    } catch (error) {
+      console.error('Error finding maintenance receipt:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Render a receipt as PDF
+   * @param {object} receipt - Receipt document
+   * @returns {Promise<Buffer>}
+   */
+  async renderPdf(receipt) {
+    return renderReceiptPdf(receipt);
+  }
+}
+
+module.exports = MaintenanceReceiptService;
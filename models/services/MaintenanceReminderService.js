@@ -0,0 +1,266 @@
+const BaseService = require('./BaseService');
+const { ObjectId } = require('mongodb');
+const { UNPAID_STATUSES } = require('../../utils/lateFees');
+const { getReminderPolicy, isQuietHours, planReminder } = require('../../utils/reminders');
+const { sendInAppNotification } = require('../../utils/notifications');
+
+// Admin roles from middleware/adminAuth, which can't be required here because
+// it loads the service index
+const WING_CHAIRMAN_ROLE = 'wing_chairman';
+const COMMITTEE_ROLES = ['admin', 'super_admin'];
+
+const STAGE_ORDER = ['before_due', 'due_date', 'overdue'];
+
+const STAGE_TITLES = {
+  before_due: 'Maintenance due soon',
+  due_date: 'Maintenance due today',
+  overdue: 'Maintenance overdue'
+};
+
+const formatAmount = amount => `₹${(Number(amount) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 })}`;
+
+/**
+ * Maintenance Reminder Service
+ * Sends the reminders a society's policy calls for: before the due date, on
+ * it, then every few days while a record stays unpaid, widening from the
+ * resident to the wing chairman and the committee. Every reminder is logged
+ * on its record with the stage it covers so a stage is never repeated.
+ */
+class MaintenanceReminderService extends BaseService {
+  constructor(db) {
+    super(db, 'maintenance');
+  }
+
+  /**
+   * Admins a society's reminders escalate to
+   * @param {object} society - Society document
+   * @returns {Promise<{wingChairmen: Array, committee: Array<string>}>}
+   */
+  async getEscalationContacts(society) {
+    const admins = await this.db.collection('users')
+      .find(
+        {
+          societyId: society._id,
+          isActive: true,
+          adminRole: { $in: [WING_CHAIRMAN_ROLE, ...COMMITTEE_ROLES] }
+        },
+        { projection: { clerkUserId: 1, adminRole: 1, wing: 1, assignedWings: 1 } }
+      )
+      .toArray();
+
+    const committee = new Set(society.adminUsers || []);
+    admins
+      .filter(admin => COMMITTEE_ROLES.includes(admin.adminRole))
+      .forEach(admin => committee.add(admin.clerkUserId));
+
+    return {
+      wingChairmen: admins
+        .filter(admin => admin.adminRole === WING_CHAIRMAN_ROLE)
+        .map(admin => ({
+          clerkUserId: admin.clerkUserId,
+          wings: admin.assignedWings?.length > 0 ? admin.assignedWings : [admin.wing]
+        })),
+      committee: Array.from(committee)
+    };
+  }
+
+  /**
+   * Recipients of a planned reminder
+   * @returns {Array<{clerkUserId: string, audience: string}>}
+   */
+  resolveRecipients(record, plan, contacts) {
+    const recipients = new Map();
+    const add = (clerkUserId, audience) => {
+      if (clerkUserId && !recipients.has(clerkUserId)) recipients.set(clerkUserId, audience);
+    };
+
+    add(record.clerkUserId, 'resident');
+    if (plan.audience.includes('wing_chairman')) {
+      contacts.wingChairmen
+        .filter(chairman => chairman.wings.includes(record.wing))
+        .forEach(chairman => add(chairman.clerkUserId, 'wing_chairman'));
+    }
+    if (plan.audience.includes('committee')) {
+      contacts.committee.forEach(clerkUserId => add(clerkUserId, 'committee'));
+    }
+
+    return Array.from(recipients, ([clerkUserId, audience]) => ({ clerkUserId, audience }));
+  }
+
+  /**
+   * Message line describing one record in a reminder
+   */
+  describeReminder(record, plan) {
+    const due = record.levy
+      ? `${record.levy.title} (installment ${record.levy.installment} of ${record.levy.installments})`
+      : `Maintenance for ${record.month} ${record.year}`;
+    const amount = formatAmount(record.settlement?.outstanding ?? record.amount);
+    const flat = `${record.wing}-${record.flatNumber}`;
+
+    if (plan.stage === 'before_due') {
+      return `${due} for flat ${flat}: ${amount} is due on ${new Date(record.dueDate).toDateString()}`;
+    }
+    if (plan.stage === 'due_date') {
+      return `${due} for flat ${flat}: ${amount} is due today`;
+    }
+    return `${due} for flat ${flat}: ${amount} is ${plan.daysOverdue} days overdue`;
+  }
+
+  /**
+   * Store one in-app notification per recipient and push it over the websocket
+   * @param {object} society - Society document
+   * @param {string} clerkUserId - Recipient
+   * @param {Array<{record: Object, plan: Object}>} items - Reminders for this recipient
+   * @param {Date} now - Send time
+   */
+  async notifyRecipient(society, clerkUserId, items, now) {
+    const urgency = item => STAGE_ORDER.indexOf(item.plan.stage) * 10000 + item.plan.daysOverdue;
+    const mostUrgent = items.reduce((current, item) => (urgency(item) > urgency(current) ? item : current), items[0]);
+    const title = STAGE_TITLES[mostUrgent.plan.stage];
+    const message = items.map(item => item.line).join('\n');
+
+    // Escalated reminders reach wing chairmen and committee members on the admin panel
+    return sendInAppNotification(this.db, {
+      societyId: society._id,
+      recipientId: clerkUserId,
+      senderName: 'Maintenance reminders',
+      title,
+      message,
+      priority: mostUrgent.plan.stage === 'overdue' ? 'high' : 'normal',
+      category: 'maintenance_reminder',
+      links: { maintenanceIds: items.map(item => item.record._id) },
+      event: 'maintenance_reminder',
+      data: {
+        records: items.map(item => ({ recordId: item.record._id, stage: item.plan.stage, daysOverdue: item.plan.daysOverdue }))
+      },
+      toAdminPanel: true,
+      at: now
+    });
+  }
+
+  /**
+   * Send the reminders due for one society
+   * @param {object} society - Society document
+   * @param {object} options - { now, dryRun }
+   * @returns {Promise<Object>} Summary for the society
+   */
+  async sendSocietyReminders(society, options = {}) {
+    const now = options.now || new Date();
+    const policy = getReminderPolicy(society.settings);
+    const summary = { societyId: society._id, records: 0, notifications: 0, skipped: null, reminders: [] };
+
+    if (!policy.enabled) {
+      summary.skipped = 'disabled';
+      return summary;
+    }
+    if (isQuietHours(now, policy)) {
+      summary.skipped = 'quiet_hours';
+      return summary;
+    }
+
+    const records = await this.collection.find({
+      societyId: society._id,
+      status: { $in: UNPAID_STATUSES },
+      dueDate: { $exists: true, $ne: null }
+    }).toArray();
+
+    const planned = records
+      .map(record => ({ record, plan: planReminder(record, policy, now) }))
+      .filter(item => item.plan);
+    if (planned.length === 0) return summary;
+
+    const contacts = await this.getEscalationContacts(society);
+
+    // One notification per recipient per run, however many records it covers
+    const byRecipient = new Map();
+    planned.forEach((item) => {
+      item.line = this.describeReminder(item.record, item.plan);
+      item.recipients = this.resolveRecipients(item.record, item.plan, contacts);
+      item.recipients.forEach(({ clerkUserId }) => {
+        if (!byRecipient.has(clerkUserId)) byRecipient.set(clerkUserId, []);
+        byRecipient.get(clerkUserId).push(item);
+      });
+    });
+
+    summary.records = planned.length;
+    summary.reminders = planned.map(item => ({
+      recordId: item.record._id,
+      wing: item.record.wing,
+      flatNumber: item.record.flatNumber,
+      stage: item.plan.stage,
+      stageKey: item.plan.stageKey,
+      daysOverdue: item.plan.daysOverdue,
+      audience: item.plan.audience,
+      recipients: item.recipients
+    }));
+    if (options.dryRun) return summary;
+
+    for (const [clerkUserId, items] of byRecipient) {
+      await this.notifyRecipient(society, clerkUserId, items, now);
+      summary.notifications += 1;
+    }
+
+    await this.collection.bulkWrite(planned.map(item => ({
+      updateOne: {
+        filter: { _id: item.record._id },
+        update: {
+          $push: {
+            reminders: {
+              _id: new ObjectId(),
+              sentAt: now,
+              sentBy: 'system',
+              channel: 'in_app',
+              stage: item.plan.stage,
+              stageKey: item.plan.stageKey,
+              audience: item.plan.audience,
+              recipients: item.recipients.map(recipient => recipient.clerkUserId)
+            }
+          }
+        }
+      }
+    })), { ordered: false });
+
+    return summary;
+  }
+
+  /**
+   * Send due reminders for one society or every active society
+   * @param {object} options - { societyId, now, dryRun }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async sendDueReminders(options = {}) {
+    try {
+      const societyQuery = options.societyId
+        ? { _id: new ObjectId(options.societyId) }
+        : { isActive: { $ne: false }, 'settings.maintenance.reminders.enabled': true };
+
+      const societies = await this.db.collection('societies')
+        .find(societyQuery, { projection: { _id: 1, settings: 1, adminUsers: 1 } })
+        .toArray();
+
+      const results = [];
+      for (const society of societies) {
+        results.push(await this.sendSocietyReminders(society, options));
+      }
+
+      return {
+        success: true,
+        data: {
+          societies: results.length,
+          records: results.reduce((sum, result) => sum + result.records, 0),
+          notifications: results.reduce((sum, result) => sum + result.notifications, 0),
+          dryRun: options.dryRun === true,
+          results
+        }
+      };
+    } catch (error) {
+      console.error('Error sending maintenance reminders:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = MaintenanceReminderService;
@@ -1,9 +1,75 @@
 const BaseService = require('./BaseService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const MaintenanceReceiptService = require('./MaintenanceReceiptService');
+const MaintenanceStatusService = require('./MaintenanceStatusService');
 const { ObjectId } = require('mongodb');
+const {
+  parseBillingPeriod,
+  addBillingPeriods,
+  toBillingPeriod,
+  computeMonthlyDue,
+  computeDueDate,
+  selectBillableFlats,
+} = require('../../utils/billing');
+const {
+  UNPAID_STATUSES,
+  getLateFeePolicy,
+  getActiveLateFeeTotal,
+  computeLateFees,
+} = require('../../utils/lateFees');
+const { buildTransactionRef, parseTransactionRef, buildUpiIntentUri } = require('../../utils/upi');
+const {
+  PERCEPTUAL_MATCH_THRESHOLD,
+  hammingDistance,
+  normalizeTransactionId,
+} = require('../../utils/imageHash');
+const { buildDefaulterReport } = require('../../utils/aging');
+const { getFlatProfile } = require('../../utils/flats');
+const { SETTLED_STATUSES, canTransition } = require('../../utils/maintenanceStatus');
+
+// Levy installments and metered utility charges live alongside the monthly
+// bills; lookups that expect one bill per flat per month must skip them
+const MONTHLY_BILLS_ONLY = { chargeType: { $nin: ['levy', 'utility'] } };
+
+// Charge type stamped on new monthly records; the monthly_bill_per_flat
+// unique index covers only records carrying it
+const MONTHLY_CHARGE_TYPE = 'maintenance';
 
 class MaintenanceService extends BaseService {
   constructor(db) {
     super(db, 'maintenance');
+    this.ledger = new MaintenanceLedgerService(db);
+    this.receipts = new MaintenanceReceiptService(db);
+    this.lifecycle = new MaintenanceStatusService(db);
+  }
+
+  /**
+   * Create a maintenance record. It enters the status lifecycle as
+   * submitted when it carries a payment proof and as billed otherwise; any
+   * status in the data is ignored.
+   * @param {object} data - Record fields
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async create(data) {
+    try {
+      const { status, statusHistory, ...fields } = data;
+      const screenshot = fields.paymentProof?.screenshot;
+      const record = await this.lifecycle.createRecord({ chargeType: MONTHLY_CHARGE_TYPE, ...fields }, screenshot ? 'submit_proof' : 'bill', {
+        screenshot,
+        actor: { clerkUserId: fields.clerkUserId, role: 'resident' }
+      });
+
+      return {
+        success: true,
+        data: record
+      };
+    } catch (error) {
+      console.error('Error creating maintenance record:', error.message);
+      if (error.code === 11000) {
+        throw new Error('Failed to create maintenance record: a record already exists for this flat and month');
+      }
+      throw new Error(`Failed to create maintenance record: ${error.message}`);
+    }
   }
 
   /**
@@ -42,7 +108,8 @@ class MaintenanceService extends BaseService {
       const record = await this.collection.findOne({
         clerkUserId,
         month: month.trim(),
-        year: parseInt(year)
+        year: parseInt(year),
+        ...MONTHLY_BILLS_ONLY
       });
       
       return {
@@ -59,23 +126,83 @@ class MaintenanceService extends BaseService {
   }
 
   /**
-   * Update payment screenshot
+   * Find the record a UPI transaction reference points at, limited to the
+   * resident's own flat
+   * @param {string} transactionRef - Reference from the UPI intent
+   * @param {object} user - Resident (needs societyId, wing, flatNumber)
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async findByTransactionRef(transactionRef, user) {
+    try {
+      const recordId = parseTransactionRef(transactionRef);
+      if (!recordId || !user?.societyId) {
+        return {
+          success: true,
+          data: null
+        };
+      }
+
+      const record = await this.collection.findOne({
+        _id: recordId,
+        societyId: new ObjectId(user.societyId),
+        wing: user.wing,
+        flatNumber: user.flatNumber
+      });
+
+      return {
+        success: true,
+        data: record
+      };
+    } catch (error) {
+      console.error('Error finding maintenance record by transaction reference:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update payment screenshot. The record goes to request_sent; records
+   * already approved or paid cannot take a new proof.
    * @param {string} recordId - Record ID
    * @param {string} screenshotUrl - New screenshot URL
    * @returns {Promise<{success: boolean, data: Object|null}>}
    */
   async updatePaymentScreenshot(recordId, screenshotUrl, extra = {}) {
     try {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        return {
+          success: false,
+          error: 'No record found or no changes made'
+        };
+      }
+
       const updatePayload = {
         'paymentProof.screenshot': screenshotUrl,
         'paymentProof.uploadedAt': new Date(),
+        // Fingerprints belong to the previous screenshot; checkDuplicateProof stores the new ones
+        'paymentProof.contentHash': null,
+        'paymentProof.perceptualHash': null,
         'paymentProof.approvalStatus': 'pending',
-        updatedAt: new Date(),
-        status: 'request_sent',
       };
 
       if (typeof extra.amount === 'number' && !Number.isNaN(extra.amount)) {
-        updatePayload.amount = extra.amount;
+        updatePayload['paymentProof.claimedAmount'] = extra.amount;
+
+        // Billed records keep their due amount; the resident's figure is what they say they paid
+        if (!record.source) {
+          updatePayload.amount = extra.amount;
+        }
+      }
+
+      if (typeof extra.transactionId === 'string' && extra.transactionId.trim()) {
+        updatePayload.transactionId = extra.transactionId.trim();
+      }
+
+      if (typeof extra.transactionRef === 'string' && extra.transactionRef.trim()) {
+        updatePayload['paymentProof.transactionRef'] = extra.transactionRef.trim().toUpperCase();
       }
 
       if (typeof extra.monthsCount === 'number' && !Number.isNaN(extra.monthsCount)) {
@@ -86,28 +213,192 @@ class MaintenanceService extends BaseService {
         updatePayload.notes = extra.notes;
       }
 
-      const result = await this.collection.updateOne(
-        { _id: new ObjectId(recordId) },
+      const updatedRecord = await this.lifecycle.transition(record, 'submit_proof', {
+        set: updatePayload,
+        screenshot: screenshotUrl,
+        actor: { clerkUserId: record.clerkUserId, role: 'resident' }
+      });
+
+      return {
+        success: true,
+        data: updatedRecord
+      };
+    } catch (error) {
+      console.error('Error updating payment screenshot:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Compare a record's payment proof with every other proof in the society
+   * and flag it when the same screenshot (exact or visually near-identical)
+   * or the same transaction ID was already submitted for another record
+   * @param {string} recordId - Record ID
+   * @param {object} fingerprint - { contentHash, perceptualHash } of a newly uploaded screenshot
+   * @returns {Promise<{success: boolean, data: Object|null}>} data is the stored duplicateCheck
+   */
+  async checkDuplicateProof(recordId, fingerprint = {}) {
+    try {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        throw new Error('Maintenance record not found');
+      }
+
+      const contentHash = fingerprint.contentHash || record.paymentProof?.contentHash || null;
+      const perceptualHash = fingerprint.contentHash
+        ? fingerprint.perceptualHash || null
+        : record.paymentProof?.perceptualHash || null;
+      const transactionKey = normalizeTransactionId(record.transactionId);
+
+      const candidates = await this.collection.find(
+        {
+          societyId: record.societyId,
+          _id: { $ne: record._id },
+          $or: [
+            { 'paymentProof.contentHash': { $type: 'string' } },
+            { transactionId: { $nin: [null, ''] } }
+          ]
+        },
         {
-          $set: updatePayload
+          projection: {
+            wing: 1, flatNumber: 1, month: 1, year: 1, status: 1, clerkUserId: 1,
+            transactionId: 1, 'paymentProof.contentHash': 1, 'paymentProof.perceptualHash': 1
+          }
         }
-      );
+      ).toArray();
 
-      if (result.modifiedCount === 0) {
+      const matches = [];
+      candidates.forEach((candidate) => {
+        const reasons = [];
+        let distance = null;
+
+        if (contentHash && candidate.paymentProof?.contentHash === contentHash) {
+          reasons.push('same_image');
+        } else if (perceptualHash && candidate.paymentProof?.perceptualHash) {
+          distance = hammingDistance(perceptualHash, candidate.paymentProof.perceptualHash);
+          if (distance <= PERCEPTUAL_MATCH_THRESHOLD) reasons.push('similar_image');
+        }
+        if (transactionKey.length >= 6 && normalizeTransactionId(candidate.transactionId) === transactionKey) {
+          reasons.push('same_transaction_id');
+        }
+
+        if (reasons.length > 0) {
+          matches.push({
+            recordId: candidate._id,
+            clerkUserId: candidate.clerkUserId,
+            wing: candidate.wing,
+            flatNumber: candidate.flatNumber,
+            month: candidate.month,
+            year: candidate.year,
+            status: candidate.status,
+            reasons,
+            ...(reasons.includes('similar_image') && { distance })
+          });
+        }
+      });
+
+      const duplicateCheck = {
+        suspected: matches.length > 0,
+        reasons: Array.from(new Set(matches.flatMap(match => match.reasons))),
+        matches,
+        checkedAt: new Date()
+      };
+
+      const update = { duplicateCheck };
+      if (fingerprint.contentHash) {
+        update['paymentProof.contentHash'] = contentHash;
+        update['paymentProof.perceptualHash'] = perceptualHash;
+      }
+      await this.collection.updateOne({ _id: record._id }, { $set: update });
+
+      return {
+        success: true,
+        data: duplicateCheck
+      };
+    } catch (error) {
+      console.error('Error checking payment proof for duplicates:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Approve maintenance payment. The approved amount is posted to the flat
+   * ledger as a payment; the record keeps its billed amount so partial and
+   * excess payments carry forward through the ledger balance. A receipt is
+   * issued once the approval is stored; a receipt failure does not undo
+   * the approval and can be fixed by regenerating the receipt.
+   * @param {string} recordId - Record ID
+   * @param {string} approvedBy - Admin user ID who approved
+   * @param {number} amount - Payment amount
+   * @param {string} approvedForMonths - Months this payment covers
+   * @param {object} options - { approverName: string }
+   * @returns {Promise<{success: boolean, data: Object|null, receipt: Object|null}>}
+   */
+  async approvePayment(recordId, approvedBy, amount, approvedForMonths = 1, options = {}) {
+    try {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
         return {
           success: false,
           error: 'No record found or no changes made'
         };
       }
 
-      const updatedRecord = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      const paidAmount = Number(amount) || 0;
+      const monthsCovered = Math.max(parseInt(approvedForMonths, 10) || 1, 1);
+      const dueAmount = await this.resolveRecordDue(record, paidAmount, monthsCovered);
+
+      await this.lifecycle.transition(record, 'approve', {
+        set: {
+          amount: dueAmount,
+          'paymentProof.approvalStatus': 'approved',
+          'paymentProof.approvedAt': new Date(),
+          'paymentProof.approvedBy': approvedBy,
+          'paymentProof.approvedForMonths': approvedForMonths,
+          'paymentProof.approvedAmount': paidAmount
+        },
+        actor: { clerkUserId: approvedBy, name: options.approverName || null }
+      });
+
+      if (record.wing && record.flatNumber) {
+        const ledgerRecord = { ...record, amount: dueAmount };
+        const chargeResult = await this.ledger.postRecordCharge(ledgerRecord, { createdBy: approvedBy });
+        if (!chargeResult.success) throw new Error(chargeResult.error);
+
+        if (paidAmount > 0) {
+          const paymentResult = await this.ledger.postRecordPayment(ledgerRecord, paidAmount, approvedBy);
+          if (!paymentResult.success) throw new Error(paymentResult.error);
+        }
+
+        if (monthsCovered > 1) {
+          const advanceResult = await this.allocateAdvancePayment(ledgerRecord, monthsCovered, approvedBy, paidAmount);
+          if (!advanceResult.success) throw new Error(advanceResult.error);
+        }
+      }
+
+      // A re-approved record keeps its receipt number with refreshed details
+      const receiptResult = record.receipt
+        ? await this.receipts.regenerateReceipt(record._id, approvedBy)
+        : await this.receipts.issueReceipt(record._id, {
+          clerkUserId: approvedBy,
+          name: options.approverName
+        });
+
+      const updatedRecord = await this.collection.findOne({ _id: record._id });
       
       return {
         success: true,
-        data: updatedRecord
+        data: updatedRecord,
+        receipt: receiptResult.success ? receiptResult.data : null
       };
     } catch (error) {
-      console.error('Error updating payment screenshot:', error);
+      console.error('Error approving maintenance payment:', error);
       return {
         success: false,
         error: error.message
@@ -116,45 +407,559 @@ class MaintenanceService extends BaseService {
   }
 
   /**
-   * Approve maintenance payment
+   * Mark a record paid from a verified online gateway payment: post the
+   * payment to the flat ledger, store the gateway references and issue a
+   * receipt. A record that was settled some other way in the meantime
+   * keeps its status; the payment still reaches the ledger as a credit and
+   * is noted in the record's payment history.
    * @param {string} recordId - Record ID
-   * @param {string} approvedBy - Admin user ID who approved
-   * @param {number} amount - Payment amount
-   * @param {string} approvedForMonths - Months this payment covers
+   * @param {object} payment - { amount, order } where order is the stored payment order
+   * @returns {Promise<{success: boolean, data: Object|null, receipt: Object|null}>}
+   */
+  async recordOnlinePayment(recordId, payment) {
+    try {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        return {
+          success: false,
+          error: 'Maintenance record not found'
+        };
+      }
+
+      const { order, amount } = payment;
+      const now = new Date();
+
+      const ledgerResult = await this.ledger.postOnlinePayment(record, amount, order);
+      if (!ledgerResult.success) throw new Error(ledgerResult.error);
+
+      // A retried webhook for the order that already paid this record only re-posts to the ledger
+      const alreadyApplied = record.onlinePayment?.orderId?.toString() === order._id.toString();
+      const actor = { clerkUserId: 'payment_gateway', name: 'Online payment', role: 'system' };
+      const settles = !alreadyApplied && canTransition(record, 'pay_online');
+
+      if (settles) {
+        await this.lifecycle.transition(record, 'pay_online', {
+          set: {
+            paymentMethod: 'online',
+            paidDate: now,
+            transactionId: order.providerPaymentId,
+            onlinePayment: {
+              orderId: order._id,
+              provider: order.provider,
+              providerOrderId: order.providerOrderId,
+              providerPaymentId: order.providerPaymentId,
+              amount,
+              paidAt: now
+            }
+          },
+          actor,
+          reason: `Paid online (${order.providerPaymentId})`,
+          at: now
+        });
+      } else if (!alreadyApplied) {
+        await this.collection.updateOne(
+          { _id: record._id },
+          {
+            $set: { updatedAt: now },
+            $push: {
+              paymentHistory: {
+                _id: new ObjectId(),
+                type: 'online_payment',
+                amount,
+                reason: `Paid online (${order.providerPaymentId}) after the record was already ${record.status}`,
+                reference: order.providerPaymentId,
+                at: now,
+                by: actor.clerkUserId,
+                byName: actor.name,
+                status: record.status
+              }
+            }
+          }
+        );
+      }
+
+      let receiptResult = { success: false };
+      if (settles && record.receipt) {
+        receiptResult = await this.receipts.regenerateReceipt(record._id, actor.clerkUserId);
+      } else if (settles || (alreadyApplied && !record.receipt)) {
+        receiptResult = await this.receipts.issueReceipt(record._id, {
+          clerkUserId: actor.clerkUserId,
+          name: actor.name
+        });
+      }
+
+      const updatedRecord = await this.collection.findOne({ _id: record._id });
+
+      return {
+        success: true,
+        data: updatedRecord,
+        receipt: receiptResult.success ? receiptResult.data : null
+      };
+    } catch (error) {
+      console.error('Error recording online maintenance payment:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Snapshot of how a record was settled, kept in its payment history when
+   * the payment is later reversed or refunded
+   */
+  settlementSnapshot(record) {
+    return {
+      status: record.status,
+      approvalStatus: record.paymentProof?.approvalStatus || null,
+      approvedAt: record.paymentProof?.approvedAt || null,
+      approvedBy: record.paymentProof?.approvedBy || null,
+      approvedAmount: record.paymentProof?.approvedAmount ?? null,
+      approvedForMonths: record.paymentProof?.approvedForMonths ?? null,
+      paymentMethod: record.paymentMethod || null,
+      transactionId: record.transactionId || record.paymentProof?.transactionId || null,
+      onlinePayment: record.onlinePayment || null,
+      paidDate: record.paidDate || null,
+      receiptNumber: record.receipt?.receiptNumber || null,
+      coveredBy: record.coveredBy || null
+    };
+  }
+
+  /**
+   * Put a record back to unpaid after its payment was taken back, logging
+   * the change in its payment history
+   */
+  async reopenRecord(record, event, approvalStatus) {
+    return this.lifecycle.transition(record, 'reopen', {
+      set: { 'paymentProof.approvalStatus': approvalStatus },
+      unset: { coveredBy: '' },
+      push: {
+        paymentHistory: {
+          ...event,
+          previous: this.settlementSnapshot(record),
+          status: 'pending'
+        }
+      },
+      actor: { clerkUserId: event.by, name: event.byName },
+      reason: event.reason,
+      cause: event.type,
+      at: event.at
+    });
+  }
+
+  /**
+   * Months an advance payment on this record covered
+   */
+  async findCoveredRecords(record) {
+    return this.collection.find({
+      'coveredBy.recordId': record._id,
+      _id: { $ne: record._id }
+    }).toArray();
+  }
+
+  /**
+   * Reverse a mistaken approval: post a compensating entry that takes back
+   * the payment, cancel the receipt and put the record (and any months an
+   * advance payment on it covered) back to unpaid. The original approval is
+   * kept in the record's payment history.
+   * @param {string} recordId - Record ID
+   * @param {object} reversal - { reason, reversedBy, reversedByName }
+   * @returns {Promise<{success: boolean, data: Object|null, reversal: Object}>}
+   */
+  async reversePayment(recordId, reversal) {
+    try {
+      const reason = String(reversal.reason || '').trim();
+      if (!reason) {
+        throw new Error('A reason is required to reverse a payment');
+      }
+
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        throw new Error('Maintenance record not found');
+      }
+      if (!SETTLED_STATUSES.includes(record.status)) {
+        throw new Error(`Only approved or paid records can be reversed (status is ${record.status})`);
+      }
+      if (record.coveredBy) {
+        throw new Error('This month was covered by an advance payment on another record; reverse that payment instead');
+      }
+
+      const amount = record.wing && record.flatNumber ? await this.ledger.getRecordPaidAmount(record) : 0;
+      const event = {
+        _id: new ObjectId(),
+        type: 'reversal',
+        amount,
+        reason,
+        at: new Date(),
+        by: reversal.reversedBy,
+        byName: reversal.reversedByName || null
+      };
+
+      if (amount > 0) {
+        const ledgerResult = await this.ledger.postPaymentCorrection(record, {
+          _id: event._id,
+          type: 'reversal',
+          amount,
+          reason,
+          createdBy: reversal.reversedBy
+        });
+        if (!ledgerResult.success) throw new Error(ledgerResult.error);
+      }
+
+      const coveredRecords = await this.findCoveredRecords(record);
+      for (const covered of coveredRecords) {
+        await this.reopenRecord(covered, { ...event, amount: 0, sourceRecordId: record._id }, 'reversed');
+      }
+      await this.reopenRecord(record, event, 'reversed');
+
+      if (record.receipt) {
+        await this.receipts.cancelReceipt(record._id, { reason, cancelledBy: reversal.reversedBy });
+      }
+
+      const { emitMaintenanceStatusChange } = require('../../middleware/websocketEvents');
+      emitMaintenanceStatusChange(record.societyId.toString(), {
+        paymentId: record._id,
+        userId: record.clerkUserId,
+        status: 'reversed',
+        approvedBy: reversal.reversedBy,
+        reason
+      });
+
+      return {
+        success: true,
+        data: await this.collection.findOne({ _id: record._id }),
+        reversal: { ...event, reopenedRecords: coveredRecords.map(covered => covered._id) }
+      };
+    } catch (error) {
+      console.error('Error reversing maintenance payment:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Record money paid back to a resident against a record, e.g. an
+   * overpayment. Posts a compensating entry for the refunded amount; the
+   * record (and any months an advance payment on it covered) goes back to
+   * unpaid if the refund leaves it with an amount outstanding.
+   * @param {string} recordId - Record ID
+   * @param {object} refund - { amount (defaults to everything paid), reason, method, reference, refundedBy, refundedByName }
+   * @returns {Promise<{success: boolean, data: Object|null, refund: Object}>}
+   */
+  async refundPayment(recordId, refund) {
+    try {
+      const reason = String(refund.reason || '').trim();
+      if (!reason) {
+        throw new Error('A reason is required to refund a payment');
+      }
+
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        throw new Error('Maintenance record not found');
+      }
+      if (!record.wing || !record.flatNumber) {
+        throw new Error('Refunds need the record to belong to a flat');
+      }
+
+      const paid = await this.ledger.getRecordPaidAmount(record);
+      if (paid <= 0) {
+        throw new Error('Nothing has been paid against this record');
+      }
+
+      const amount = refund.amount === undefined || refund.amount === null ? paid : Number(refund.amount);
+      if (!(amount > 0) || amount > paid) {
+        throw new Error(`Refund amount must be greater than 0 and at most ${paid}`);
+      }
+
+      const event = {
+        _id: new ObjectId(),
+        type: 'refund',
+        amount,
+        reason,
+        method: refund.method || null,
+        reference: refund.reference || null,
+        at: new Date(),
+        by: refund.refundedBy,
+        byName: refund.refundedByName || null
+      };
+
+      const ledgerResult = await this.ledger.postPaymentCorrection(record, {
+        _id: event._id,
+        type: 'refund',
+        amount,
+        reason,
+        createdBy: refund.refundedBy
+      });
+      if (!ledgerResult.success) throw new Error(ledgerResult.error);
+
+      // Settlements were refreshed by the ledger posting
+      const stillOwed = (item) => SETTLED_STATUSES.includes(item.status) && item.settlement?.outstanding > 0;
+      const updated = await this.collection.findOne({ _id: record._id });
+      const coveredRecords = (await this.findCoveredRecords(record)).filter(stillOwed);
+
+      for (const covered of coveredRecords) {
+        await this.reopenRecord(covered, { ...event, amount: 0, sourceRecordId: record._id }, 'refunded');
+      }
+      if (stillOwed(updated)) {
+        await this.reopenRecord(updated, event, 'refunded');
+      } else {
+        await this.collection.updateOne(
+          { _id: record._id },
+          {
+            $set: { updatedAt: event.at },
+            $push: { paymentHistory: { ...event, previous: this.settlementSnapshot(record), status: record.status } }
+          }
+        );
+      }
+
+      const { emitMaintenanceStatusChange } = require('../../middleware/websocketEvents');
+      emitMaintenanceStatusChange(record.societyId.toString(), {
+        paymentId: record._id,
+        userId: record.clerkUserId,
+        status: 'refunded',
+        approvedBy: refund.refundedBy,
+        reason
+      });
+
+      return {
+        success: true,
+        data: await this.collection.findOne({ _id: record._id }),
+        refund: { ...event, reopenedRecords: coveredRecords.map(covered => covered._id) }
+      };
+    } catch (error) {
+      console.error('Error refunding maintenance payment:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Build a UPI payment intent for a resident's outstanding due. The intent
+   * carries the record's transaction reference so a later screenshot upload
+   * or bank statement line can be tied back to the record.
+   * @param {object} user - Resident (needs societyId, wing, flatNumber)
+   * @param {string} recordId - Record to pay; defaults to the oldest outstanding one
    * @returns {Promise<{success: boolean, data: Object|null}>}
    */
-  async approvePayment(recordId, approvedBy, amount, approvedForMonths = 1) {
+  async createUpiIntent(user, recordId = null) {
     try {
-      const result = await this.collection.updateOne(
-        { _id: new ObjectId(recordId) },
+      if (!user?.societyId || !user.wing || !user.flatNumber) {
+        throw new Error('A flat is required to pay maintenance over UPI');
+      }
+
+      const society = await this.db.collection('societies').findOne(
+        { _id: new ObjectId(user.societyId) },
+        { projection: { name: 1, 'settings.upi': 1 } }
+      );
+      const upi = society?.settings?.upi;
+      if (!upi?.vpa || !upi.payeeName) {
+        throw new Error('UPI payments are not set up for this society');
+      }
+
+      const dues = await this.ledger.getOutstandingRecords(user.societyId, user.wing, user.flatNumber);
+      const due = recordId
+        ? dues.find(item => item.recordId.toString() === recordId.toString())
+        : dues[0];
+      if (!due) {
+        throw new Error(recordId ? 'Nothing is outstanding on this maintenance record' : 'There are no outstanding dues to pay');
+      }
+
+      const transactionRef = buildTransactionRef(due.recordId);
+      const uri = buildUpiIntentUri({
+        vpa: upi.vpa,
+        payeeName: upi.payeeName,
+        merchantCode: upi.merchantCode,
+        amount: due.amount,
+        transactionRef,
+        note: `${transactionRef} ${due.month} ${due.year} ${user.wing}-${user.flatNumber}`
+      });
+
+      const now = new Date();
+      await this.collection.updateOne(
+        { _id: due.recordId },
+        { $set: { upiIntent: { transactionRef, amount: due.amount, vpa: upi.vpa, createdAt: now } } }
+      );
+
+      return {
+        success: true,
+        data: {
+          uri,
+          transactionRef,
+          amount: due.amount,
+          currency: 'INR',
+          payee: { vpa: upi.vpa, name: upi.payeeName },
+          record: { _id: due.recordId, month: due.month, year: due.year, status: due.record.status },
+          otherDues: dues
+            .filter(item => item !== due)
+            .map(({ recordId: otherId, month, year, amount }) => ({ recordId: otherId, month, year, amount }))
+        }
+      };
+    } catch (error) {
+      console.error('Error creating UPI payment intent:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Work out what a record is actually due. Billed records already carry
+   * their charge; records created by a resident upload carry the amount the
+   * resident claims to have paid, so the due comes from the society's rate
+   * schedule, falling back to an even share of the approved amount when no
+   * rate is set.
+   * @param {object} record - Maintenance record
+   * @param {number} paidAmount - Amount being approved
+   * @param {number} monthsCovered - Months the approved amount covers
+   * @returns {Promise<number>}
+   */
+  async resolveRecordDue(record, paidAmount, monthsCovered = 1) {
+    if (record.source === 'billing_run' || record.settlement?.charged > 0) {
+      return record.amount || 0;
+    }
+
+    const period = toBillingPeriod(record.month, record.year);
+    const society = period
+      ? await this.db.collection('societies').findOne({ _id: new ObjectId(record.societyId) }, { projection: { settings: 1, wings: 1 } })
+      : null;
+
+    if (society) {
+      const { amount } = computeMonthlyDue(
+        society.settings,
+        record.residentType,
+        period,
+        getFlatProfile(society.wings, record.wing, record.flatNumber)
+      );
+      if (amount > 0) return amount;
+    }
+
+    return Math.round((paidAmount / monthsCovered) * 100) / 100;
+  }
+
+  /**
+   * Settle the months following a multi-month payment. Each covered month
+   * gets a record (created if the billing run has not reached it yet) that
+   * is approved, charged on the flat ledger and linked to the source proof;
+   * the single payment on the source record is then allocated across them.
+   * Months already settled on their own are left alone.
+   * @param {object} sourceRecord - Record the payment proof was approved on
+   * @param {number} monthsCovered - Total months the payment covers, including the source month
+   * @param {string} approvedBy - Admin user ID who approved
+   * @param {number} paidAmount - Amount received
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async allocateAdvancePayment(sourceRecord, monthsCovered, approvedBy, paidAmount) {
+    try {
+      const sourcePeriod = toBillingPeriod(sourceRecord.month, sourceRecord.year);
+      if (!sourcePeriod) {
+        throw new Error('Source record has no valid billing period');
+      }
+
+      const society = await this.db.collection('societies').findOne({ _id: new ObjectId(sourceRecord.societyId) });
+      const settings = society?.settings || {};
+      const flatProfile = getFlatProfile(society?.wings, sourceRecord.wing, sourceRecord.flatNumber);
+      const now = new Date();
+      const coveredBy = {
+        recordId: sourceRecord._id,
+        period: sourcePeriod,
+        approvedAt: now,
+        approvedBy
+      };
+
+      const coverage = [];
+      for (let offset = 1; offset < monthsCovered; offset++) {
+        const period = parseBillingPeriod(addBillingPeriods(sourcePeriod, offset));
+        const flatMonthQuery = {
+          societyId: new ObjectId(sourceRecord.societyId),
+          wing: sourceRecord.wing,
+          flatNumber: sourceRecord.flatNumber,
+          month: period.monthName,
+          year: period.year
+        };
+
+        let covered = await this.collection.findOne({ ...flatMonthQuery, ...MONTHLY_BILLS_ONLY });
+
+        if (covered && !canTransition(covered, 'cover_advance')) {
+          coverage.push({ recordId: covered._id, period: period.period, state: 'already_paid' });
+          continue;
+        }
+
+        const { amount: rateAmount } = computeMonthlyDue(settings, sourceRecord.residentType, period.period, flatProfile);
+        const monthlyDue = rateAmount > 0 ? rateAmount : sourceRecord.amount;
+
+        const coverOptions = {
+          actor: { clerkUserId: approvedBy },
+          reason: `Covered by advance payment made for ${sourceRecord.month} ${sourceRecord.year}`,
+          cause: 'advance_payment',
+          at: now
+        };
+
+        if (covered) {
+          covered = await this.lifecycle.transition(covered, 'cover_advance', {
+            ...coverOptions,
+            set: {
+              ...(covered.amount > 0 ? {} : { amount: monthlyDue }),
+              coveredBy,
+              'paymentProof.approvalStatus': 'approved',
+              'paymentProof.approvedAt': now,
+              'paymentProof.approvedBy': approvedBy
+            }
+          });
+        } else {
+          covered = await this.lifecycle.createRecord({
+            ...flatMonthQuery,
+            chargeType: MONTHLY_CHARGE_TYPE,
+            clerkUserId: sourceRecord.clerkUserId,
+            societyName: sourceRecord.societyName || society?.name,
+            residentType: sourceRecord.residentType,
+            billingPeriod: period.period,
+            amount: monthlyDue,
+            monthsCount: 1,
+            dueDate: computeDueDate(settings, period.period),
+            source: 'advance_payment',
+            coveredBy,
+            paymentProof: {
+              approvalStatus: 'approved',
+              approvedAt: now,
+              approvedBy
+            },
+            notes: coverOptions.reason,
+            createdAt: now
+          }, 'cover_advance', coverOptions);
+        }
+
+        const chargeResult = await this.ledger.postRecordCharge(covered, { createdBy: approvedBy });
+        if (!chargeResult.success) throw new Error(chargeResult.error);
+
+        coverage.push({ recordId: covered._id, period: period.period, state: 'covered' });
+      }
+
+      await this.collection.updateOne(
+        { _id: sourceRecord._id },
         {
           $set: {
-            amount: amount,
-            'paymentProof.approvalStatus': 'approved',
-            'paymentProof.approvedAt': new Date(),
-            'paymentProof.approvedBy': approvedBy,
-            'paymentProof.approvedForMonths': approvedForMonths,
-            status: 'approved',
-            updatedAt: new Date()
+            coverage: {
+              monthsCovered,
+              paidAmount,
+              periods: [sourcePeriod, ...coverage.filter(item => item.state === 'covered').map(item => item.period)],
+              records: coverage
+            },
+            updatedAt: now
           }
         }
       );
 
-      if (result.modifiedCount === 0) {
-        return {
-          success: false,
-          error: 'No record found or no changes made'
-        };
-      }
-
-      const updatedRecord = await this.collection.findOne({ _id: new ObjectId(recordId) });
-      
       return {
         success: true,
-        data: updatedRecord
+        data: coverage
       };
     } catch (error) {
-      console.error('Error approving maintenance payment:', error);
+      console.error('Error allocating advance maintenance payment:', error);
       return {
         success: false,
         error: error.message
@@ -163,7 +968,7 @@ class MaintenanceService extends BaseService {
   }
 
   /**
-   * Reject maintenance payment
+   * Reject a submitted payment proof
    * @param {string} recordId - Record ID
    * @param {string} rejectedBy - Admin user ID who rejected
    * @param {string} rejectionReason - Reason for rejection
@@ -171,29 +976,25 @@ class MaintenanceService extends BaseService {
    */
   async rejectPayment(recordId, rejectedBy, rejectionReason) {
     try {
-      const result = await this.collection.updateOne(
-        { _id: new ObjectId(recordId) },
-        {
-          $set: {
-            'paymentProof.approvalStatus': 'rejected',
-            'paymentProof.rejectedAt': new Date(),
-            'paymentProof.rejectedBy': rejectedBy,
-            'paymentProof.rejectionReason': rejectionReason,
-            status: 'rejected',
-            updatedAt: new Date()
-          }
-        }
-      );
-
-      if (result.modifiedCount === 0) {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
         return {
           success: false,
           error: 'No record found or no changes made'
         };
       }
 
-      const updatedRecord = await this.collection.findOne({ _id: new ObjectId(recordId) });
-      
+      const updatedRecord = await this.lifecycle.transition(record, 'reject', {
+        set: {
+          'paymentProof.approvalStatus': 'rejected',
+          'paymentProof.rejectedAt': new Date(),
+          'paymentProof.rejectedBy': rejectedBy,
+          'paymentProof.rejectionReason': rejectionReason
+        },
+        actor: { clerkUserId: rejectedBy },
+        reason: rejectionReason
+      });
+
       return {
         success: true,
         data: updatedRecord
@@ -429,17 +1230,22 @@ class MaintenanceService extends BaseService {
 
   /**
    * Send payment reminder to user
-   * @param {string} clerkUserId - User's Clerk ID
-   * @param {string} month - Month to remind about
-   * @param {number} year - Year to remind about
-   * @returns {Promise<{success: boolean}>}
+   * @param {string} clerkUserId - Resident's Clerk user ID
+   * @param {string} month - Month name
+   * @param {number} year - Year
+   * @param {object} reminder - { sentBy, channel, note } stored in the record's reminder history
    */
-  async sendPaymentReminder(clerkUserId, month, year) {
+  async sendPaymentReminder(clerkUserId, month, year, reminder = {}) {
     try {
       // This would integrate with notification service
       // For now, we'll just log the reminder
       console.log(`Payment reminder sent to user ${clerkUserId} for ${month} ${year}`);
-      
+
+      const record = await this.collection.findOne({ clerkUserId, month, year: parseInt(year), ...MONTHLY_BILLS_ONLY });
+      if (record) {
+        await this.logReminder(record._id, reminder);
+      }
+
       return {
         success: true
       };
@@ -452,6 +1258,140 @@ class MaintenanceService extends BaseService {
     }
   }
 
+  /**
+   * Add a reminder to a record's reminder history
+   * @param {string} recordId - Record ID
+   * @param {object} reminder - { sentBy, channel, note }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async logReminder(recordId, reminder = {}) {
+    try {
+      const entry = {
+        _id: new ObjectId(),
+        sentAt: new Date(),
+        sentBy: reminder.sentBy || 'system',
+        channel: reminder.channel || 'in_app',
+        ...(reminder.note && { note: reminder.note })
+      };
+
+      const result = await this.collection.updateOne(
+        { _id: new ObjectId(recordId) },
+        { $push: { reminders: entry } }
+      );
+      if (result.matchedCount === 0) {
+        throw new Error('Maintenance record not found');
+      }
+
+      return {
+        success: true,
+        data: entry
+      };
+    } catch (error) {
+      console.error('Error logging payment reminder:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Defaulter report: outstanding dues past their due date per flat and
+   * wing, aged into 0-30/31-60/61-90/90+ day buckets, with the residents of
+   * each flat and its reminder history. Outstanding amounts come from the
+   * ledger settlement stored on each record; records that were never posted
+   * to the ledger fall back to their billed amount while unpaid.
+   * @param {string} societyId - Society ID
+   * @param {object} options - { wings: limit to these wings, asOf: Date }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getDefaulterReport(societyId, options = {}) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const asOf = options.asOf ? new Date(options.asOf) : new Date();
+      const society = await this.db.collection('societies').findOne(
+        { _id: societyObjectId },
+        { projection: { name: 1, settings: 1 } }
+      );
+
+      const query = {
+        societyId: societyObjectId,
+        wing: { $exists: true, $nin: [null, ''] },
+        flatNumber: { $exists: true, $nin: [null, ''] },
+        $or: [
+          { 'settlement.outstanding': { $gt: 0 } },
+          { settlement: { $exists: false }, status: { $in: UNPAID_STATUSES } }
+        ]
+      };
+      if (options.wings) {
+        query.wing = { $in: options.wings };
+      }
+
+      const records = await this.collection.find(query).toArray();
+
+      const items = records.map((record) => {
+        let period = record.billingPeriod || null;
+        try {
+          period = period || toBillingPeriod(record.month, record.year);
+        } catch (error) {
+          period = null;
+        }
+
+        return {
+          recordId: record._id,
+          wing: record.wing,
+          flatNumber: record.flatNumber,
+          month: record.month,
+          year: record.year,
+          period,
+          dueDate: record.dueDate || (period ? computeDueDate(society?.settings, period) : null),
+          outstanding: record.settlement ? record.settlement.outstanding : Number(record.amount) || 0,
+          status: record.status,
+          chargeType: record.chargeType || 'maintenance',
+          description: record.levy
+            ? `${record.levy.title} (installment ${record.levy.installment} of ${record.levy.installments})`
+            : (record.chargeType === 'utility' ? `Utility charges for ${record.month} ${record.year}` : null),
+          reminders: record.reminders || []
+        };
+      });
+
+      const report = buildDefaulterReport(items, asOf);
+
+      // Residents of each defaulting flat, for the committee to follow up with
+      const residents = report.flats.length > 0
+        ? await this.db.collection('users').find(
+          {
+            societyId: societyObjectId,
+            $or: report.flats.map(flat => ({ wing: flat.wing, flatNumber: flat.flatNumber }))
+          },
+          { projection: { clerkUserId: 1, name: 1, residentType: 1, contactNumber: 1, wing: 1, flatNumber: 1 } }
+        ).toArray()
+        : [];
+
+      report.flats.forEach((flat) => {
+        flat.residents = residents
+          .filter(user => user.wing === flat.wing && user.flatNumber === flat.flatNumber)
+          .map(({ clerkUserId, name, residentType, contactNumber }) => ({ clerkUserId, name, residentType, contactNumber }));
+      });
+
+      return {
+        success: true,
+        data: {
+          societyId: societyObjectId,
+          societyName: society?.name || null,
+          wings: options.wings || null,
+          ...report
+        }
+      };
+    } catch (error) {
+      console.error('Error building defaulter report:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   /**
    * Find maintenance records by month and society
    * @param {number} year - Year
@@ -483,7 +1423,8 @@ class MaintenanceService extends BaseService {
       const records = await this.collection.find({
         year: parseInt(year),
         month: monthQuery,
-        societyId: societyObjectId
+        societyId: societyObjectId,
+        ...MONTHLY_BILLS_ONLY
       }).toArray();
       
       return {
@@ -500,13 +1441,18 @@ class MaintenanceService extends BaseService {
   }
 
   /**
-   * Update maintenance record
+   * Update maintenance record. Status changes go through the lifecycle
+   * methods instead.
    * @param {string} recordId - Record ID
    * @param {object} updateData - Data to update
    * @returns {Promise<{success: boolean, data: Object|null}>}
    */
   async updateRecord(recordId, updateData) {
     try {
+      if ('status' in updateData || 'statusHistory' in updateData) {
+        throw new Error('Maintenance status can only change through its lifecycle events');
+      }
+
       const result = await this.collection.updateOne(
         { _id: new ObjectId(recordId) },
         { $set: updateData }
@@ -533,6 +1479,377 @@ class MaintenanceService extends BaseService {
       };
     }
   }
+  /**
+   * Generate pending maintenance bills for every active flat of a society.
+   * Safe to run repeatedly for the same month: flats that already have a
+   * record for the period are left untouched.
+   * @param {string} societyId - Society ID
+   * @param {string} period - Billing period in YYYY-MM format
+   * @param {object} options - { triggeredBy: string }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async generateMonthlyBills(societyId, period, options = {}) {
+    try {
+      if (!ObjectId.isValid(societyId)) {
+        throw new Error('Valid societyId is required');
+      }
+
+      const billingPeriod = parseBillingPeriod(period);
+      const societyObjectId = new ObjectId(societyId);
+
+      const society = await this.db.collection('societies').findOne({ _id: societyObjectId });
+      if (!society) {
+        throw new Error('Society not found');
+      }
+
+      const users = await this.db.collection('users')
+        .find({ societyId: societyObjectId, isActive: true })
+        .toArray();
+
+      const flats = selectBillableFlats(users);
+      const dueDate = computeDueDate(society.settings, billingPeriod.period);
+      const now = new Date();
+
+      const created = [];
+      const skipped = [];
+
+      for (const flat of flats) {
+        const { amount, rate, amountType, breakdown, missing } = computeMonthlyDue(
+          society.settings,
+          flat.resident.residentType,
+          billingPeriod.period,
+          getFlatProfile(society.wings, flat.wing, flat.flatNumber)
+        );
+
+        if (missing?.length > 0) {
+          skipped.push({ wing: flat.wing, flatNumber: flat.flatNumber, reason: 'flat_profile_incomplete', missing });
+          continue;
+        }
+
+        if (amount <= 0) {
+          skipped.push({ wing: flat.wing, flatNumber: flat.flatNumber, reason: 'no_rate' });
+          continue;
+        }
+
+        const flatMonthFilter = {
+          societyId: societyObjectId,
+          wing: flat.wing,
+          flatNumber: flat.flatNumber,
+          month: billingPeriod.monthName,
+          year: billingPeriod.year,
+          ...MONTHLY_BILLS_ONLY
+        };
+        const update = {
+          $setOnInsert: {
+            chargeType: MONTHLY_CHARGE_TYPE,
+            clerkUserId: flat.resident.clerkUserId,
+            societyId: societyObjectId,
+            societyName: society.name,
+            wing: flat.wing,
+            flatNumber: flat.flatNumber,
+            ...(flat.unitId && { unitId: flat.unitId }),
+            residentType: flat.resident.residentType,
+            month: billingPeriod.monthName,
+            year: billingPeriod.year,
+            billingPeriod: billingPeriod.period,
+            amount,
+            monthsCount: 1,
+            dueDate,
+            ...this.lifecycle.initialFields('bill', {
+              actor: { clerkUserId: options.triggeredBy || 'system' },
+              at: now
+            }),
+            source: 'billing_run',
+            rateApplied: {
+              fromDate: rate?.fromDate || null,
+              toDate: rate?.toDate || null,
+              amountType
+            },
+            // Charge heads the amount is made of, for rates priced per flat
+            ...(breakdown && { chargeBreakdown: breakdown }),
+            notes: '',
+            createdAt: now,
+            updatedAt: now
+          }
+        };
+
+        let result;
+        try {
+          result = await this.collection.updateOne(flatMonthFilter, update, { upsert: true });
+        } catch (error) {
+          // An overlapping run inserted this flat's bill first
+          if (error.code !== 11000) throw error;
+          result = { upsertedId: null };
+        }
+
+        if (result.upsertedId) {
+          await this.ledger.postRecordCharge({
+            _id: result.upsertedId,
+            societyId: societyObjectId,
+            wing: flat.wing,
+            flatNumber: flat.flatNumber,
+            clerkUserId: flat.resident.clerkUserId,
+            month: billingPeriod.monthName,
+            year: billingPeriod.year,
+            billingPeriod: billingPeriod.period,
+            amount
+          }, { createdBy: options.triggeredBy || 'system' });
+          created.push({ _id: result.upsertedId, wing: flat.wing, flatNumber: flat.flatNumber, amount });
+        } else {
+          skipped.push({ wing: flat.wing, flatNumber: flat.flatNumber, reason: 'already_billed' });
+        }
+      }
+
+      const totalAmount = created.reduce((sum, record) => sum + record.amount, 0);
+
+      await this.db.collection('maintenance_billing_runs').updateOne(
+        { societyId: societyObjectId, period: billingPeriod.period },
+        {
+          $setOnInsert: { societyId: societyObjectId, period: billingPeriod.period, createdAt: now },
+          $set: { lastRunAt: now, lastRunBy: options.triggeredBy || 'system', updatedAt: now },
+          $inc: { runCount: 1, createdCount: created.length, totalAmount }
+        },
+        { upsert: true }
+      );
+
+      return {
+        success: true,
+        data: {
+          societyId: societyObjectId,
+          period: billingPeriod.period,
+          dueDate,
+          flatsConsidered: flats.length,
+          createdCount: created.length,
+          skippedCount: skipped.length,
+          totalAmount,
+          created,
+          skipped
+        }
+      };
+    } catch (error) {
+      console.error('Error generating monthly maintenance bills:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Generate maintenance bills for a period across every society
+   * @param {string} period - Billing period in YYYY-MM format
+   * @param {object} options - { triggeredBy: string }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async generateMonthlyBillsForAllSocieties(period, options = {}) {
+    try {
+      const societies = await this.db.collection('societies')
+        .find({ isActive: { $ne: false } }, { projection: { _id: 1, name: 1 } })
+        .toArray();
+
+      const results = [];
+      for (const society of societies) {
+        const result = await this.generateMonthlyBills(society._id, period, options);
+        results.push({
+          societyId: society._id,
+          societyName: society.name,
+          success: result.success,
+          createdCount: result.data?.createdCount || 0,
+          skippedCount: result.data?.skippedCount || 0,
+          totalAmount: result.data?.totalAmount || 0,
+          error: result.error
+        });
+      }
+
+      return {
+        success: results.every(result => result.success),
+        data: results
+      };
+    } catch (error) {
+      console.error('Error generating maintenance bills for all societies:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get billing run history for a society
+   * @param {string} societyId - Society ID
+   * @param {number} limit - Max number of runs
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async getBillingRuns(societyId, limit = 12) {
+    try {
+      const runs = await this.db.collection('maintenance_billing_runs')
+        .find({ societyId: new ObjectId(societyId) })
+        .sort({ period: -1 })
+        .limit(parseInt(limit))
+        .toArray();
+
+      return {
+        success: true,
+        data: runs
+      };
+    } catch (error) {
+      console.error('Error getting maintenance billing runs:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+  /**
+   * Sweep unpaid records past dueDate + gracePeriod: mark them overdue and
+   * add any late-fee line items the society's policy calls for.
+   * @param {object} options - { societyId: string, now: Date }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async applyLateFees(options = {}) {
+    try {
+      const now = options.now || new Date();
+      const societyQuery = options.societyId
+        ? { _id: new ObjectId(options.societyId) }
+        : { isActive: { $ne: false } };
+
+      const societies = await this.db.collection('societies')
+        .find(societyQuery, { projection: { _id: 1, settings: 1 } })
+        .toArray();
+
+      const summary = { societies: societies.length, markedOverdue: 0, feesAdded: 0, feeAmount: 0 };
+
+      for (const society of societies) {
+        const policy = getLateFeePolicy(society.settings);
+
+        const records = await this.collection.find({
+          societyId: society._id,
+          status: { $in: UNPAID_STATUSES },
+          dueDate: { $lt: now }
+        }).toArray();
+
+        for (const record of records) {
+          const { isOverdue, newFees } = computeLateFees(record, policy, now);
+          if (!isOverdue) continue;
+
+          const becameOverdue = record.status !== 'overdue';
+          if (!becameOverdue && newFees.length === 0) continue;
+
+          const fees = newFees.map(fee => ({ _id: new ObjectId(), ...fee, assessedAt: now }));
+          const lateFees = [...(record.lateFees || []), ...fees];
+
+          // Records that changed since they were read are picked up by the next sweep
+          try {
+            await this.lifecycle.transition(record, 'mark_overdue', {
+              set: {
+                overdueSince: record.overdueSince || now,
+                lateFees,
+                lateFeeTotal: getActiveLateFeeTotal(lateFees)
+              },
+              reason: fees.length > 0
+                ? `Late fee of ${fees.reduce((sum, fee) => sum + fee.amount, 0)} applied`
+                : 'Payment overdue',
+              at: now
+            });
+          } catch (error) {
+            continue;
+          }
+
+          if (record.wing && record.flatNumber) {
+            for (const fee of fees) {
+              await this.ledger.postLateFee(record, fee);
+            }
+          }
+
+          if (becameOverdue) summary.markedOverdue += 1;
+          summary.feesAdded += fees.length;
+          summary.feeAmount += fees.reduce((sum, fee) => sum + fee.amount, 0);
+        }
+      }
+
+      return {
+        success: true,
+        data: summary
+      };
+    } catch (error) {
+      console.error('Error applying maintenance late fees:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Waive a late-fee line item on a maintenance record
+   * @param {string} recordId - Record ID
+   * @param {string} feeId - Late fee line item ID
+   * @param {string} waivedBy - Admin user ID who waived the fee
+   * @param {string} reason - Reason for the waiver
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async waiveLateFee(recordId, feeId, waivedBy, reason) {
+    try {
+      const record = await this.collection.findOne({ _id: new ObjectId(recordId) });
+      if (!record) {
+        return {
+          success: false,
+          error: 'Maintenance record not found'
+        };
+      }
+
+      const fee = (record.lateFees || []).find(item => item._id?.toString() === String(feeId));
+      if (!fee) {
+        return {
+          success: false,
+          error: 'Late fee not found on this record'
+        };
+      }
+
+      if (fee.waived) {
+        return {
+          success: false,
+          error: 'Late fee has already been waived'
+        };
+      }
+
+      const lateFees = record.lateFees.map(item =>
+        item._id?.toString() === String(feeId)
+          ? { ...item, waived: true, waivedBy, waivedAt: new Date(), waiverReason: reason }
+          : item
+      );
+
+      await this.collection.updateOne(
+        { _id: record._id },
+        {
+          $set: {
+            lateFees,
+            lateFeeTotal: getActiveLateFeeTotal(lateFees),
+            updatedAt: new Date()
+          }
+        }
+      );
+
+      const waivedFee = lateFees.find(item => item._id?.toString() === String(feeId));
+      if (record.wing && record.flatNumber) {
+        await this.ledger.postLateFeeWaiver(record, waivedFee, waivedBy);
+      }
+
+      const updatedRecord = await this.collection.findOne({ _id: record._id });
+
+      return {
+        success: true,
+        data: updatedRecord,
+        waivedFee
+      };
+    } catch (error) {
+      console.error('Error waiving late fee:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
 }
 
 module.exports = MaintenanceService;
\ No newline at end of file
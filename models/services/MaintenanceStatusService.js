@@ -0,0 +1,189 @@
+const BaseService = require('./BaseService');
+const { planTransition } = require('../../utils/maintenanceStatus');
+const { sendInAppNotification } = require('../../utils/notifications');
+
+const SYSTEM_ACTOR = { clerkUserId: 'system', name: 'System', role: 'system' };
+
+/**
+ * Maintenance Status Service
+ * Moves maintenance records through the lifecycle in utils/maintenanceStatus.
+ * Each move is checked against the record's current status, stored only if
+ * nobody changed the status in the meantime, logged in the record's
+ * statusHistory and then followed by its hooks: a websocket event for the
+ * admin panel, an audit log entry and a notification to the resident.
+ * A hook that fails is logged and never undoes the move.
+ */
+class MaintenanceStatusService extends BaseService {
+  constructor(db) {
+    super(db, 'maintenance');
+  }
+
+  /**
+   * History entry for a move
+   */
+  historyEntry(step, options, at) {
+    const actor = options.actor || SYSTEM_ACTOR;
+    return {
+      from: step.from,
+      to: step.to,
+      event: step.event,
+      at,
+      by: actor.clerkUserId,
+      ...(options.reason && { reason: options.reason }),
+      ...(options.cause && { cause: options.cause })
+    };
+  }
+
+  /**
+   * Status fields for a record that is about to be inserted. Used where
+   * records are inserted in bulk (billing runs, levies); the events used
+   * there have no hooks.
+   * @param {string} event - Creating event, e.g. 'bill'
+   * @param {object} options - { actor, reason, screenshot, at }
+   * @returns {{status: string, statusHistory: Array}}
+   */
+  initialFields(event, options = {}) {
+    const step = planTransition(null, event, options);
+    return {
+      status: step.to,
+      statusHistory: [this.historyEntry(step, options, options.at || new Date())]
+    };
+  }
+
+  /**
+   * Insert a new record through a creating event and run its hooks
+   * @param {object} data - Record fields (without status)
+   * @param {string} event - Creating event
+   * @param {object} options - { actor, reason, screenshot, cause, at }
+   * @returns {Promise<Object>} The stored record
+   */
+  async createRecord(data, event, options = {}) {
+    const at = options.at || new Date();
+    const step = planTransition(null, event, options);
+    const record = {
+      ...data,
+      status: step.to,
+      statusHistory: [this.historyEntry(step, options, at)],
+      createdAt: data.createdAt || at,
+      updatedAt: at
+    };
+
+    const result = await this.collection.insertOne(record);
+    const stored = { ...record, _id: result.insertedId };
+    await this.runHooks(step, stored, options);
+    return stored;
+  }
+
+  /**
+   * Move an existing record through a lifecycle event. The extra fields are
+   * written in the same update as the status.
+   * @param {object} record - Record as last read
+   * @param {string} event - Key of MAINTENANCE_TRANSITIONS
+   * @param {object} options - { set, unset, push, actor, reason, screenshot, cause, at }
+   * @returns {Promise<Object>} The updated record
+   * @throws {Error} When the move is not allowed or the status changed since the record was read
+   */
+  async transition(record, event, options = {}) {
+    const at = options.at || new Date();
+    const step = planTransition(record, event, options);
+
+    const update = {
+      $set: { ...options.set, status: step.to, updatedAt: at },
+      $push: { ...options.push, statusHistory: this.historyEntry(step, options, at) }
+    };
+    if (options.unset) update.$unset = options.unset;
+
+    const updated = await this.collection.findOneAndUpdate(
+      { _id: record._id, status: record.status },
+      update,
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      throw new Error('The maintenance record changed while it was being updated; reload it and try again');
+    }
+
+    await this.runHooks(step, updated, options);
+    return updated;
+  }
+
+  /**
+   * Run the hooks of a stored move
+   */
+  async runHooks(step, record, options) {
+    const actor = options.actor || SYSTEM_ACTOR;
+    for (const hook of step.definition.hooks) {
+      try {
+        if (hook === 'emit') this.emitChange(step, record, actor, options);
+        if (hook === 'audit') await this.auditChange(step, record, actor, options);
+        if (hook === 'notify') await this.notifyResident(step, record, options);
+      } catch (error) {
+        console.error(`Error running maintenance status hook ${hook}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Tell the society's admins about the move
+   */
+  emitChange(step, record, actor, options) {
+    const { emitMaintenanceStatusChange } = require('../../middleware/websocketEvents');
+    emitMaintenanceStatusChange(record.societyId.toString(), {
+      paymentId: record._id,
+      userId: record.clerkUserId,
+      status: step.to,
+      previousStatus: step.from,
+      event: step.event,
+      approvedBy: actor.clerkUserId,
+      reason: options.reason
+    });
+  }
+
+  /**
+   * Record the move in the admin audit log
+   */
+  async auditChange(step, record, actor, options) {
+    // middleware/adminAuth can't be required at load time
+    const { logAdminAction } = require('../../middleware/adminAuth');
+    await logAdminAction(
+      { ...actor, role: actor.role || null, societyId: record.societyId },
+      'maintenance_status_change',
+      'maintenance',
+      {
+        recordId: record._id,
+        wing: record.wing,
+        flatNumber: record.flatNumber,
+        month: record.month,
+        year: record.year,
+        from: step.from,
+        to: step.to,
+        event: step.event,
+        reason: options.reason || null,
+        cause: options.cause || null
+      }
+    );
+  }
+
+  /**
+   * Send the move's notice to the resident the record belongs to
+   */
+  async notifyResident(step, record, options) {
+    if (!record.clerkUserId || !step.definition.notice) return;
+
+    const { title, message, priority } = step.definition.notice(record, options);
+    await sendInAppNotification(this.db, {
+      societyId: record.societyId,
+      recipientId: record.clerkUserId,
+      recipientWing: record.wing || null,
+      senderName: 'Maintenance',
+      title,
+      message,
+      priority,
+      category: 'maintenance_status',
+      links: { maintenanceIds: [record._id] },
+      event: 'maintenance_status_change',
+      data: { recordId: record._id, status: step.to }
+    });
+  }
+}
+
+module.exports = MaintenanceStatusService;
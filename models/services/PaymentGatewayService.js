@@ -0,0 +1,312 @@
+const BaseService = require('./BaseService');
+const MaintenanceService = require('./MaintenanceService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const { ObjectId } = require('mongodb');
+const { getActiveProvider, getProvider } = require('../../payments');
+const { roundAmount } = require('../../utils/ledger');
+
+const isDuplicateKeyError = (error) => error?.code === 11000;
+
+/**
+ * Payment Gateway Service
+ * Creates payment orders for outstanding maintenance dues and applies
+ * verified provider webhooks. Orders, webhook events and idempotency keys
+ * are persisted so a retried request or replayed webhook is applied once.
+ */
+class PaymentGatewayService extends BaseService {
+  constructor(db) {
+    super(db, 'payment_orders');
+    this.webhookEvents = db.collection('payment_webhook_events');
+    this.idempotencyKeys = db.collection('payment_idempotency_keys');
+  }
+
+  /**
+   * Outstanding dues of a resident's flat, per maintenance record
+   * @param {object} user - Resident (needs societyId, wing, flatNumber)
+   * @param {Array<string>} recordIds - Optional subset of records to pay
+   * @returns {Promise<Array<{recordId: ObjectId, month: string, year: number, amount: number}>>}
+   */
+  async getOutstandingDues(user, recordIds = null) {
+    const ledgerService = new MaintenanceLedgerService(this.db);
+    const dues = await ledgerService.getOutstandingRecords(user.societyId, user.wing, user.flatNumber, { recordIds });
+
+    return dues.map(({ recordId, month, year, amount }) => ({ recordId, month, year, amount }));
+  }
+
+  /**
+   * Create a payment order for a resident's outstanding dues
+   * @param {object} user - Resident creating the order
+   * @param {object} options - { recordIds, idempotencyKey }
+   * @returns {Promise<{success: boolean, data: Object|null, replayed?: boolean}>}
+   */
+  async createOrder(user, options = {}) {
+    try {
+      if (!user?.societyId || !user.wing || !user.flatNumber) {
+        throw new Error('A flat is required to pay maintenance online');
+      }
+
+      const idempotencyKey = options.idempotencyKey ? String(options.idempotencyKey).trim() : null;
+      if (idempotencyKey) {
+        const existingKey = await this.idempotencyKeys.findOne({ scope: user.clerkUserId, key: idempotencyKey });
+        if (existingKey) {
+          const existingOrder = await this.collection.findOne({ _id: existingKey.orderId });
+          return {
+            success: true,
+            data: existingOrder,
+            replayed: true
+          };
+        }
+      }
+
+      if (options.recordIds && options.recordIds.some(id => !ObjectId.isValid(id))) {
+        throw new Error('Invalid maintenance record ID');
+      }
+
+      const dues = await this.getOutstandingDues(user, options.recordIds || null);
+      if (dues.length === 0) {
+        throw new Error('There are no outstanding dues to pay');
+      }
+
+      const provider = getActiveProvider();
+      const now = new Date();
+      const orderId = new ObjectId();
+      const amount = roundAmount(dues.reduce((sum, due) => sum + due.amount, 0));
+
+      const providerOrder = await provider.createOrder({
+        orderId: orderId.toString(),
+        amount,
+        currency: 'INR',
+        description: `Maintenance for ${dues.map(due => `${due.month} ${due.year}`).join(', ')}`
+      });
+
+      const order = {
+        _id: orderId,
+        societyId: new ObjectId(user.societyId),
+        clerkUserId: user.clerkUserId,
+        wing: user.wing,
+        flatNumber: user.flatNumber,
+        provider: provider.name,
+        providerOrderId: providerOrder.providerOrderId,
+        checkoutUrl: providerOrder.checkoutUrl || null,
+        amount,
+        currency: 'INR',
+        records: dues,
+        status: 'created',
+        idempotencyKey,
+        createdAt: now,
+        updatedAt: now
+      };
+
+      await this.collection.insertOne(order);
+
+      if (idempotencyKey) {
+        try {
+          await this.idempotencyKeys.insertOne({
+            scope: user.clerkUserId,
+            key: idempotencyKey,
+            orderId,
+            createdAt: now
+          });
+        } catch (error) {
+          if (!isDuplicateKeyError(error)) throw error;
+
+          // A concurrent request with the same key won: drop this order, return theirs
+          await this.collection.deleteOne({ _id: orderId });
+          const winningKey = await this.idempotencyKeys.findOne({ scope: user.clerkUserId, key: idempotencyKey });
+          return {
+            success: true,
+            data: await this.collection.findOne({ _id: winningKey.orderId }),
+            replayed: true
+          };
+        }
+      }
+
+      return {
+        success: true,
+        data: order
+      };
+    } catch (error) {
+      console.error('Error creating payment order:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Verify and apply a provider webhook
+   * @param {string} providerName - Provider the webhook was sent to
+   * @param {Buffer|string} rawBody - Unparsed request body
+   * @param {object} headers - Request headers
+   * @returns {Promise<{success: boolean, data: Object|null, status?: number}>}
+   */
+  async handleWebhook(providerName, rawBody, headers = {}) {
+    try {
+      const provider = getProvider(providerName);
+      if (!provider) {
+        return { success: false, status: 404, error: 'Unknown payment provider' };
+      }
+
+      if (!provider.verifyWebhook(rawBody, headers)) {
+        return { success: false, status: 401, error: 'Invalid webhook signature' };
+      }
+
+      let body;
+      try {
+        body = JSON.parse(Buffer.isBuffer(rawBody) ? rawBody.toString('utf8') : rawBody);
+      } catch (error) {
+        return { success: false, status: 400, error: 'Webhook body is not valid JSON' };
+      }
+
+      const event = provider.parseWebhook(body);
+      if (!event.eventId) {
+        return { success: false, status: 400, error: 'Webhook event has no ID' };
+      }
+
+      const now = new Date();
+      try {
+        await this.webhookEvents.insertOne({
+          provider: provider.name,
+          eventId: event.eventId,
+          type: event.type,
+          providerOrderId: event.providerOrderId,
+          providerPaymentId: event.providerPaymentId,
+          amount: event.amount,
+          payload: body,
+          status: 'received',
+          receivedAt: now
+        });
+      } catch (error) {
+        if (!isDuplicateKeyError(error)) throw error;
+
+        // Replayed delivery: acknowledge without applying it again, unless
+        // the earlier attempt failed part-way and needs to be resumed
+        const recorded = await this.webhookEvents.findOne({ provider: provider.name, eventId: event.eventId });
+        if (recorded?.status !== 'error') {
+          return {
+            success: true,
+            data: { eventId: event.eventId, duplicate: true }
+          };
+        }
+      }
+
+      let outcome;
+      try {
+        outcome = await this.applyEvent(provider, event);
+      } catch (error) {
+        await this.webhookEvents.updateOne(
+          { provider: provider.name, eventId: event.eventId },
+          { $set: { status: 'error', error: error.message, processedAt: new Date() } }
+        );
+        throw error;
+      }
+
+      await this.webhookEvents.updateOne(
+        { provider: provider.name, eventId: event.eventId },
+        { $set: { status: outcome.status, result: outcome, processedAt: new Date() } }
+      );
+
+      return {
+        success: true,
+        data: { eventId: event.eventId, ...outcome }
+      };
+    } catch (error) {
+      console.error('Error handling payment webhook:', error);
+      return {
+        success: false,
+        status: 500,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Apply a verified gateway event to its order and maintenance records
+   * @param {object} provider - Provider implementation
+   * @param {object} event - Normalized event from provider.parseWebhook
+   * @returns {Promise<object>} Outcome stored on the webhook event
+   */
+  async applyEvent(provider, event) {
+    const order = await this.collection.findOne({ provider: provider.name, providerOrderId: event.providerOrderId });
+    if (!order) {
+      return { status: 'ignored', reason: 'Order not found' };
+    }
+
+    if (event.type === 'payment.failed') {
+      await this.collection.updateOne(
+        { _id: order._id, status: 'created' },
+        { $set: { status: 'failed', failureReason: event.failureReason, updatedAt: new Date() } }
+      );
+      return { status: 'processed', orderId: order._id, orderStatus: 'failed' };
+    }
+
+    if (event.type !== 'payment.captured') {
+      return { status: 'ignored', reason: `Unhandled event type ${event.type}` };
+    }
+
+    if (roundAmount(event.amount) !== roundAmount(order.amount)) {
+      await this.collection.updateOne(
+        { _id: order._id },
+        { $set: { status: 'amount_mismatch', capturedAmount: event.amount, updatedAt: new Date() } }
+      );
+      return { status: 'failed', reason: 'Captured amount does not match the order', orderId: order._id };
+    }
+
+    // Claim the order atomically so two different events for it cannot both credit it
+    const claimed = await this.collection.findOneAndUpdate(
+      { _id: order._id, status: { $in: ['created', 'failed'] } },
+      {
+        $set: {
+          status: 'paid',
+          providerPaymentId: event.providerPaymentId,
+          paidAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: 'after' }
+    );
+
+    // A retried event for the payment that already claimed the order resumes applying it
+    const resuming = !claimed && order.status === 'paid' && order.providerPaymentId === event.providerPaymentId;
+    if (!claimed && !resuming) {
+      return { status: 'ignored', reason: `Order already ${order.status}`, orderId: order._id };
+    }
+
+    const paidOrder = claimed || order;
+    const maintenanceService = new MaintenanceService(this.db);
+    const applied = [];
+    for (const due of paidOrder.records) {
+      const result = await maintenanceService.recordOnlinePayment(due.recordId, { amount: due.amount, order: paidOrder });
+      if (!result.success) throw new Error(`Failed to apply payment to record ${due.recordId}: ${result.error}`);
+      applied.push(due.recordId);
+    }
+
+    return { status: 'processed', orderId: order._id, orderStatus: 'paid', records: applied };
+  }
+
+  /**
+   * Get an order belonging to a resident
+   * @param {string} orderId - Order ID
+   * @param {string} clerkUserId - Resident's Clerk user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async findUserOrder(orderId, clerkUserId) {
+    try {
+      const order = await this.collection.findOne({ _id: new ObjectId(orderId), clerkUserId });
+
+      return {
+        success: true,
+        data: order
+      };
+    } catch (error) {
+      console.error('Error finding payment order:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = PaymentGatewayService;
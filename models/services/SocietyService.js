@@ -1,5 +1,13 @@
 const BaseService = require('./BaseService');
-const { validateSociety } = require('../schemas');
+const { validateSociety, validateMaintenanceRates } = require('../schemas');
+const { validateUpiSettings } = require('../../utils/upi');
+const { validateReminderPolicy } = require('../../utils/reminders');
+const { validateLateFeeSettings } = require('../../utils/lateFees');
+const { validateApprovalPolicy } = require('../../utils/approvals');
+const { validateUtilitySettings } = require('../../utils/meters');
+const { validateUnitNumbering } = require('../../utils/units');
+const { validateJoinRequestSettings } = require('../../utils/joinRequests');
+const { validateWingFlatProfiles, normalizeWingFlats } = require('../../utils/flats');
 const { ObjectId } = require('mongodb');
 
 /**
@@ -98,6 +106,72 @@ class SocietyService extends BaseService {
         throw new Error('Society not found');
       }
 
+      // UPI payee details are replaced as a whole; null removes them
+      if (settings.upi !== undefined && settings.upi !== null) {
+        const upiErrors = validateUpiSettings(settings.upi);
+        if (upiErrors.length > 0) {
+          throw new Error(`Validation failed: ${upiErrors.join(', ')}`);
+        }
+        settings.upi = {
+          vpa: settings.upi.vpa.trim(),
+          payeeName: settings.upi.payeeName.trim(),
+          ...(settings.upi.merchantCode && { merchantCode: String(settings.upi.merchantCode) })
+        };
+      }
+
+      if (Array.isArray(settings.maintenance?.rates)) {
+        const rateErrors = validateMaintenanceRates(settings.maintenance.rates);
+        if (rateErrors.length > 0) {
+          throw new Error(`Validation failed: ${rateErrors.join(', ')}`);
+        }
+      }
+
+      if (settings.maintenance) {
+        const lateFeeErrors = validateLateFeeSettings(settings.maintenance);
+        if (lateFeeErrors.length > 0) {
+          throw new Error(`Validation failed: ${lateFeeErrors.join(', ')}`);
+        }
+      }
+
+      if (settings.maintenance?.reminders !== undefined && settings.maintenance?.reminders !== null) {
+        const reminderErrors = validateReminderPolicy(settings.maintenance.reminders);
+        if (reminderErrors.length > 0) {
+          throw new Error(`Validation failed: ${reminderErrors.join(', ')}`);
+        }
+      }
+
+      // The maker-checker policy is replaced as a whole
+      if (settings.approvals !== undefined && settings.approvals !== null) {
+        const approvalErrors = validateApprovalPolicy(settings.approvals);
+        if (approvalErrors.length > 0) {
+          throw new Error(`Validation failed: ${approvalErrors.join(', ')}`);
+        }
+      }
+
+      // Utility tariffs and anomaly thresholds are replaced as a whole
+      if (settings.utilities !== undefined && settings.utilities !== null) {
+        const utilityErrors = validateUtilitySettings(settings.utilities);
+        if (utilityErrors.length > 0) {
+          throw new Error(`Validation failed: ${utilityErrors.join(', ')}`);
+        }
+      }
+
+      // Unit numbering is replaced as a whole; units are renumbered below
+      if (settings.units !== undefined && settings.units !== null) {
+        const unitErrors = validateUnitNumbering(settings.units);
+        if (unitErrors.length > 0) {
+          throw new Error(`Validation failed: ${unitErrors.join(', ')}`);
+        }
+      }
+
+      // Join request settings (required documents) are replaced as a whole
+      if (settings.joinRequests !== undefined && settings.joinRequests !== null) {
+        const joinRequestErrors = validateJoinRequestSettings(settings.joinRequests);
+        if (joinRequestErrors.length > 0) {
+          throw new Error(`Validation failed: ${joinRequestErrors.join(', ')}`);
+        }
+      }
+
       // Deep merge settings, especially for nested objects like maintenance
       const existingSettings = society.data.settings || {};
       const updatedSettings = {
@@ -177,6 +251,10 @@ class SocietyService extends BaseService {
         throw new Error('Society not found');
       }
 
+      if (settings.units !== undefined) {
+        await this.syncUnits(societyId);
+      }
+
       // Verify what was actually saved
       const verify = await this.findById(societyId);
       const savedRates = verify.data?.settings?.maintenance?.rates || [];
@@ -313,11 +391,20 @@ class SocietyService extends BaseService {
       if (!ObjectId.isValid(societyId)) throw new Error('Valid societyId is required');
       if (!wing?.name) throw new Error('Wing name is required');
 
+      const profileErrors = validateWingFlatProfiles(wing);
+      if (profileErrors.length > 0) {
+        throw new Error(`Validation failed: ${profileErrors.join(', ')}`);
+      }
+
       const payload = {
         _id: new ObjectId(),
         name: String(wing.name).trim(),
         floors: typeof wing.floors === 'number' ? wing.floors : undefined,
         flatsPerFloor: typeof wing.flatsPerFloor === 'number' ? wing.flatsPerFloor : undefined,
+        ...(typeof wing.defaultFlatType === 'string' && { defaultFlatType: wing.defaultFlatType.trim() }),
+        ...(typeof wing.defaultArea === 'number' && { defaultArea: wing.defaultArea }),
+        ...(Number.isInteger(wing.defaultParkingSlots) && { defaultParkingSlots: wing.defaultParkingSlots }),
+        ...(Array.isArray(wing.flats) && { flats: normalizeWingFlats(wing.flats) }),
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -326,6 +413,7 @@ class SocietyService extends BaseService {
         { _id: new ObjectId(societyId) },
         { $push: { wings: payload }, $set: { updatedAt: new Date() } }
       );
+      await this.syncUnits(societyId);
 
       return { success: true, data: payload, result };
     } catch (error) {
@@ -339,16 +427,26 @@ class SocietyService extends BaseService {
       if (!ObjectId.isValid(societyId)) throw new Error('Valid societyId is required');
       if (!ObjectId.isValid(wingId)) throw new Error('Valid wingId is required');
 
+      const profileErrors = validateWingFlatProfiles(updates || {});
+      if (profileErrors.length > 0) {
+        throw new Error(`Validation failed: ${profileErrors.join(', ')}`);
+      }
+
       const updateDoc = {};
       if (typeof updates?.name === 'string') updateDoc['wings.$.name'] = updates.name.trim();
       if (typeof updates?.floors === 'number') updateDoc['wings.$.floors'] = updates.floors;
       if (typeof updates?.flatsPerFloor === 'number') updateDoc['wings.$.flatsPerFloor'] = updates.flatsPerFloor;
+      if (updates?.defaultFlatType !== undefined) updateDoc['wings.$.defaultFlatType'] = updates.defaultFlatType ? updates.defaultFlatType.trim() : null;
+      if (updates?.defaultArea !== undefined) updateDoc['wings.$.defaultArea'] = updates.defaultArea || null;
+      if (updates?.defaultParkingSlots !== undefined) updateDoc['wings.$.defaultParkingSlots'] = updates.defaultParkingSlots;
+      if (Array.isArray(updates?.flats)) updateDoc['wings.$.flats'] = normalizeWingFlats(updates.flats);
       updateDoc['wings.$.updatedAt'] = new Date();
 
       const result = await this.collection.updateOne(
         { _id: new ObjectId(societyId), 'wings._id': new ObjectId(wingId) },
         { $set: updateDoc }
       );
+      await this.syncUnits(societyId);
 
       return { success: true, result };
     } catch (error) {
@@ -366,6 +464,7 @@ class SocietyService extends BaseService {
         { _id: new ObjectId(societyId) },
         { $pull: { wings: { _id: new ObjectId(wingId) } }, $set: { updatedAt: new Date() } }
       );
+      await this.syncUnits(societyId);
 
       return { success: true, result };
     } catch (error) {
@@ -373,6 +472,27 @@ class SocietyService extends BaseService {
       throw error;
     }
   }
+
+  /**
+   * Regenerate the unit registry after the wing layout or numbering changed.
+   * Failures are logged; the wing change itself has already been saved.
+   */
+  async syncUnits(societyId) {
+    try {
+      const UnitService = require('./UnitService');
+      const result = await new UnitService(this.db).syncFromWings(societyId);
+      if (!result.success) {
+        console.error('❌ Error syncing units:', result.error);
+      } else if (result.data.conflicts.length > 0) {
+        console.warn(`⚠️ ${result.data.conflicts.length} unit(s) not created because their number is already taken`);
+      }
+      return result;
+    } catch (error) {
+      console.error('❌ Error syncing units:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
   /**
    * Add admin user to society
    */
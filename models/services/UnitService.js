@@ -0,0 +1,497 @@
+const BaseService = require('./BaseService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const { ObjectId } = require('mongodb');
+const { getFlatProfile, normalizeWingFlats } = require('../../utils/flats');
+const {
+  getUnitNumbering,
+  generateWingUnits,
+  planUnitSync,
+  deriveOccupancy,
+  validateUnitUpdate,
+  normalizeOccupant,
+} = require('../../utils/units');
+
+/**
+ * Unit Service
+ * The society's flats as first-class records. Units are generated from each
+ * wing's floors and flatsPerFloor using the society's numbering pattern and
+ * follow later changes to the wing layout. Each unit tracks its owner,
+ * tenants and occupancy; users, join requests and maintenance records point
+ * at it through `unitId` alongside the wing / flatNumber strings they carry.
+ */
+class UnitService extends BaseService {
+  constructor(db) {
+    super(db, 'units');
+    this.societies = db.collection('societies');
+    this.users = db.collection('users');
+    this.maintenance = db.collection('maintenance');
+  }
+
+  /**
+   * List a society's units
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { wing, wings, floor, occupancy, status, search, ids }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listUnits(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.wings) query.wing = { $in: filters.wings };
+      if (filters.wing) query.wing = filters.wing;
+      if (filters.floor !== undefined && filters.floor !== '') query.floor = Number(filters.floor);
+      if (filters.occupancy) query.occupancy = filters.occupancy;
+      query.status = filters.status || 'active';
+      if (filters.status === 'all') delete query.status;
+      if (Array.isArray(filters.ids)) {
+        query._id = { $in: filters.ids.filter(id => ObjectId.isValid(id)).map(id => new ObjectId(id)) };
+      }
+      if (filters.search) {
+        const search = new RegExp(String(filters.search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+        query.$or = [{ label: search }, { flatNumber: search }, { 'owner.name': search }, { 'tenants.name': search }];
+      }
+
+      const units = await this.collection.find(query).sort({ wing: 1, floor: 1, position: 1, flatNumber: 1 }).toArray();
+
+      return {
+        success: true,
+        data: units
+      };
+    } catch (error) {
+      console.error('Error listing units:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get one of a society's units
+   * @param {string} societyId - Society ID
+   * @param {string} unitId - Unit ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getUnit(societyId, unitId) {
+    try {
+      const unit = await this.collection.findOne({
+        _id: new ObjectId(unitId),
+        societyId: new ObjectId(societyId)
+      });
+
+      return {
+        success: true,
+        data: unit
+      };
+    } catch (error) {
+      console.error('Error getting unit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Active unit for a wing and flat number, if the registry has one
+   * @param {string} societyId - Society ID
+   * @param {string} wing - Wing name
+   * @param {string} flatNumber - Flat number
+   * @returns {Promise<Object|null>}
+   */
+  async findUnit(societyId, wing, flatNumber) {
+    if (!wing || !flatNumber) return null;
+    return this.collection.findOne({
+      societyId: new ObjectId(societyId),
+      wing: String(wing).trim(),
+      flatNumber: String(flatNumber).trim(),
+      status: 'active'
+    });
+  }
+
+  /**
+   * A unit with the residents linked to it and its flat ledger balance
+   * @param {string} societyId - Society ID
+   * @param {string} unitId - Unit ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getUnitDetails(societyId, unitId) {
+    try {
+      const unitResult = await this.getUnit(societyId, unitId);
+      if (!unitResult.success) {
+        throw new Error(unitResult.error);
+      }
+      const unit = unitResult.data;
+      if (!unit) {
+        throw new Error('Unit not found');
+      }
+
+      const [residents, records, ledger] = await Promise.all([
+        this.users
+          .find({ societyId: unit.societyId, unitId: unit._id }, {
+            projection: { clerkUserId: 1, name: 1, residentType: 1, contactNumber: 1, isActive: 1, isApproved: 1 }
+          })
+          .toArray(),
+        this.maintenance
+          .find({ societyId: unit.societyId, unitId: unit._id })
+          .sort({ dueDate: -1 })
+          .limit(12)
+          .toArray(),
+        new MaintenanceLedgerService(this.db).getFlatLedger(societyId, unit.wing, unit.flatNumber)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          ...unit,
+          residents,
+          recentCharges: records,
+          balance: ledger.success ? ledger.data.balance : null,
+          outstanding: ledger.success ? ledger.data.outstanding : null
+        }
+      };
+    } catch (error) {
+      console.error('Error getting unit details:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Bring the registry in line with the society's wings and numbering.
+   * New slots become units, removed slots are retired, and units with
+   * residents or bills keep their number when the pattern changes.
+   * @param {string} societyId - Society ID
+   * @returns {Promise<{success: boolean, data: {created, updated, retired, conflicts}}>}
+   */
+  async syncFromWings(societyId) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const society = await this.societies.findOne(
+        { _id: societyObjectId },
+        { projection: { wings: 1, settings: 1 } }
+      );
+      if (!society) {
+        throw new Error('Society not found');
+      }
+
+      const numbering = getUnitNumbering(society.settings);
+      const wings = (society.wings || []).filter(wing => wing && typeof wing === 'object');
+      const generated = wings.flatMap(wing => generateWingUnits(wing, numbering));
+      const existing = await this.collection.find({ societyId: societyObjectId }).toArray();
+
+      // Renumbering a unit people already live in or were billed for would
+      // orphan the wing / flatNumber strings stored on those documents
+      const [linkedUnitIds, billedUnitIds] = await Promise.all([
+        this.users.distinct('unitId', { societyId: societyObjectId, unitId: { $ne: null } }),
+        this.maintenance.distinct('unitId', { societyId: societyObjectId, unitId: { $ne: null } })
+      ]);
+      const inUse = new Set([...linkedUnitIds, ...billedUnitIds].map(id => id.toString()));
+
+      const plan = planUnitSync(existing, generated, {
+        keepNumber: unit => unit.customNumber === true || inUse.has(unit._id.toString()),
+        profileOf: (wingName, flatNumber) => getFlatProfile(wings, wingName, flatNumber)
+      });
+
+      const now = new Date();
+      if (plan.insert.length > 0) {
+        await this.collection.insertMany(plan.insert.map(unit => ({
+          societyId: societyObjectId,
+          ...unit,
+          status: 'active',
+          occupancy: 'vacant',
+          owner: null,
+          tenants: [],
+          customNumber: false,
+          notes: '',
+          createdAt: now,
+          updatedAt: now
+        })));
+      }
+      for (const { _id, set } of plan.update) {
+        await this.collection.updateOne({ _id }, { $set: { ...set, updatedAt: now } });
+      }
+      if (plan.retire.length > 0) {
+        await this.collection.updateMany(
+          { _id: { $in: plan.retire } },
+          { $set: { status: 'retired', retiredAt: now, updatedAt: now } }
+        );
+      }
+
+      return {
+        success: true,
+        data: {
+          created: plan.insert.length,
+          updated: plan.update.length,
+          retired: plan.retire.length,
+          conflicts: plan.conflicts
+        }
+      };
+    } catch (error) {
+      console.error('Error syncing units from wings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Edit a unit. Profile fields are written back to the wing's flat
+   * profiles so billing sees the same flat type, area and parking.
+   * @param {string} societyId - Society ID
+   * @param {string} unitId - Unit ID
+   * @param {object} updates - { flatNumber, label, flatType, area, parkingSlots, owner, tenants, occupancy, status, notes }
+   * @param {string} updatedBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateUnit(societyId, unitId, updates, updatedBy) {
+    try {
+      const errors = validateUnitUpdate(updates);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const unitResult = await this.getUnit(societyId, unitId);
+      if (!unitResult.success) {
+        throw new Error(unitResult.error);
+      }
+      const unit = unitResult.data;
+      if (!unit) {
+        throw new Error('Unit not found');
+      }
+
+      const set = {};
+      const flatNumber = updates.flatNumber !== undefined ? updates.flatNumber.trim() : unit.flatNumber;
+      if (flatNumber !== unit.flatNumber) {
+        const billed = await this.maintenance.findOne({ societyId: unit.societyId, unitId: unit._id }, { projection: { _id: 1 } });
+        if (billed) {
+          throw new Error('Cannot renumber a unit that already has maintenance records');
+        }
+        set.flatNumber = flatNumber;
+        set.customNumber = true;
+      }
+      if (updates.label !== undefined && updates.label.trim() !== unit.label) {
+        set.label = updates.label.trim();
+        set.customNumber = true;
+      }
+      if (set.flatNumber || set.label) {
+        const label = set.label || unit.label;
+        const clash = await this.collection.findOne({
+          societyId: unit.societyId,
+          _id: { $ne: unit._id },
+          status: 'active',
+          $or: [{ label }, { wing: unit.wing, flatNumber }]
+        });
+        if (clash) {
+          throw new Error(`Unit ${clash.label} already uses that number`);
+        }
+      }
+
+      ['flatType', 'area', 'parkingSlots'].forEach((field) => {
+        if (updates[field] !== undefined) set[field] = updates[field] ?? null;
+      });
+      if (updates.owner !== undefined) set.owner = updates.owner ? normalizeOccupant(updates.owner) : null;
+      if (updates.tenants !== undefined) set.tenants = updates.tenants.map(normalizeOccupant);
+      if (updates.status !== undefined) set.status = updates.status;
+      if (updates.notes !== undefined) set.notes = updates.notes || '';
+      if (updates.occupancy !== undefined) {
+        set.occupancy = updates.occupancy;
+      } else if (set.owner !== undefined || set.tenants !== undefined) {
+        set.occupancy = deriveOccupancy({ ...unit, ...set });
+      }
+
+      const now = new Date();
+      const updated = await this.collection.findOneAndUpdate(
+        { _id: unit._id },
+        { $set: { ...set, updatedBy, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+
+      if (set.flatNumber) {
+        await this.users.updateMany(
+          { societyId: unit.societyId, unitId: unit._id },
+          { $set: { flatNumber: set.flatNumber, updatedAt: now } }
+        );
+      }
+      if (['flatType', 'area', 'parkingSlots'].some(field => updates[field] !== undefined) || set.flatNumber) {
+        await this.writeFlatProfile(updated, unit.flatNumber);
+      }
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      console.error('Error updating unit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Store a unit's flat type, area and parking in its wing's flat profiles
+   * @param {object} unit - Unit document after the edit
+   * @param {string} previousFlatNumber - Number before the edit, whose entry is replaced
+   */
+  async writeFlatProfile(unit, previousFlatNumber) {
+    if (!unit.wingId) return;
+    const society = await this.societies.findOne(
+      { _id: unit.societyId, 'wings._id': unit.wingId },
+      { projection: { 'wings.$': 1 } }
+    );
+    const wing = society?.wings?.[0];
+    if (!wing) return;
+
+    const flats = (wing.flats || []).filter(flat =>
+      ![unit.flatNumber, previousFlatNumber].includes(String(flat.flatNumber))
+    );
+    flats.push({
+      flatNumber: unit.flatNumber,
+      flatType: unit.flatType ?? undefined,
+      area: unit.area ?? undefined,
+      parkingSlots: unit.parkingSlots ?? undefined
+    });
+
+    await this.societies.updateOne(
+      { _id: unit.societyId, 'wings._id': unit.wingId },
+      { $set: { 'wings.$.flats': normalizeWingFlats(flats), 'wings.$.updatedAt': new Date(), updatedAt: new Date() } }
+    );
+  }
+
+  /**
+   * Record a resident against a unit: owners become the unit's owner,
+   * tenants are added to its tenants, and the user document gets the
+   * unitId. A user moving from another unit is taken off that one first.
+   * @param {string} societyId - Society ID
+   * @param {string} unitId - Unit ID
+   * @param {object} resident - { clerkUserId, name, contactNumber, residentType }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async linkResident(societyId, unitId, resident) {
+    try {
+      const unitResult = await this.getUnit(societyId, unitId);
+      if (!unitResult.success) {
+        throw new Error(unitResult.error);
+      }
+      const unit = unitResult.data;
+      if (!unit) {
+        throw new Error('Unit not found');
+      }
+
+      await this.unlinkResident(societyId, resident.clerkUserId, { exceptUnitId: unit._id });
+
+      const occupant = normalizeOccupant({ ...resident, name: resident.name || 'Resident' });
+      const set = {};
+      if (resident.residentType === 'Owner') {
+        set.owner = occupant;
+      } else if (resident.residentType === 'Tenant') {
+        set.tenants = [
+          ...(unit.tenants || []).filter(tenant => tenant.clerkUserId !== occupant.clerkUserId),
+          occupant
+        ];
+      }
+      set.occupancy = deriveOccupancy({ ...unit, ...set });
+
+      const now = new Date();
+      const updated = await this.collection.findOneAndUpdate(
+        { _id: unit._id },
+        { $set: { ...set, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      await this.users.updateOne(
+        { clerkUserId: resident.clerkUserId },
+        { $set: { unitId: unit._id, updatedAt: now } }
+      );
+
+      return {
+        success: true,
+        data: updated
+      };
+    } catch (error) {
+      console.error('Error linking resident to unit:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Take a resident off whichever units list them as owner or tenant
+   * @param {string} societyId - Society ID
+   * @param {string} clerkUserId - Resident's Clerk user ID
+   * @param {object} options - { exceptUnitId }
+   */
+  async unlinkResident(societyId, clerkUserId, options = {}) {
+    const query = {
+      societyId: new ObjectId(societyId),
+      $or: [{ 'owner.clerkUserId': clerkUserId }, { 'tenants.clerkUserId': clerkUserId }]
+    };
+    if (options.exceptUnitId) query._id = { $ne: options.exceptUnitId };
+
+    const units = await this.collection.find(query).toArray();
+    for (const unit of units) {
+      const set = {
+        owner: unit.owner?.clerkUserId === clerkUserId ? null : unit.owner,
+        tenants: (unit.tenants || []).filter(tenant => tenant.clerkUserId !== clerkUserId)
+      };
+      set.occupancy = deriveOccupancy(set);
+      await this.collection.updateOne({ _id: unit._id }, { $set: { ...set, updatedAt: new Date() } });
+    }
+    return units.length;
+  }
+
+  /**
+   * Point existing users and maintenance records at their units by wing
+   * and flat number, and record approved owners and tenants on the units
+   * @param {string} societyId - Society ID
+   * @returns {Promise<{success: boolean, data: {users, maintenance, unmatched}}>}
+   */
+  async linkExistingRecords(societyId) {
+    try {
+      const societyObjectId = new ObjectId(societyId);
+      const units = await this.collection.find({ societyId: societyObjectId, status: 'active' }).toArray();
+      const byFlat = new Map(units.map(unit => [`${unit.wing}::${unit.flatNumber}`, unit]));
+      const summary = { users: 0, maintenance: 0, unmatched: [] };
+
+      const users = await this.users
+        .find({ societyId: societyObjectId, isActive: { $ne: false }, wing: { $ne: null }, flatNumber: { $ne: null } })
+        .toArray();
+      for (const user of users) {
+        const unit = byFlat.get(`${String(user.wing).trim()}::${String(user.flatNumber).trim()}`);
+        if (!unit) {
+          summary.unmatched.push({ clerkUserId: user.clerkUserId, wing: user.wing, flatNumber: user.flatNumber });
+          continue;
+        }
+        if (user.isApproved === false) continue;
+        const linked = await this.linkResident(societyId, unit._id, user);
+        if (linked.success) summary.users += 1;
+      }
+
+      for (const unit of units) {
+        const result = await this.maintenance.updateMany(
+          { societyId: societyObjectId, wing: unit.wing, flatNumber: unit.flatNumber, unitId: { $exists: false } },
+          { $set: { unitId: unit._id } }
+        );
+        summary.maintenance += result.modifiedCount;
+      }
+
+      return {
+        success: true,
+        data: summary
+      };
+    } catch (error) {
+      console.error('Error linking records to units:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = UnitService;
@@ -124,6 +124,9 @@ class UserService extends BaseService {
       if (filters.residentType) {
         query.residentType = filters.residentType;
       }
+      if (filters.unitId) {
+        query.unitId = new ObjectId(filters.unitId);
+      }
       if (filters.search) {
         // Search in email, contactNumber, wing, flatNumber
         query.$or = [
@@ -0,0 +1,702 @@
+const BaseService = require('./BaseService');
+const MaintenanceLedgerService = require('./MaintenanceLedgerService');
+const MaintenanceStatusService = require('./MaintenanceStatusService');
+const { ObjectId } = require('mongodb');
+const { parseBillingPeriod, computeDueDate, selectBillableFlats } = require('../../utils/billing');
+const {
+  UTILITY_TYPES,
+  BILLABLE_READING_STATUSES,
+  getUtilitySettings,
+  computeSlabCharge,
+  validateMeter,
+  validateReading,
+  checkReading,
+  parseReadingsCsv,
+} = require('../../utils/meters');
+
+/**
+ * Utility Service
+ * Sub-meters (water, electricity) attached to flats, the readings staff take
+ * from them each month and the consumption-based charges billed from those
+ * readings. A flat's utility charges for a month are stored as one
+ * maintenance record with chargeType 'utility', so they are posted to the
+ * flat ledger and show up in the resident's dues like any other charge.
+ */
+class UtilityService extends BaseService {
+  constructor(db) {
+    super(db, 'utility_meters');
+    this.readings = db.collection('meter_readings');
+    this.maintenance = db.collection('maintenance');
+    this.ledger = new MaintenanceLedgerService(db);
+    this.lifecycle = new MaintenanceStatusService(db);
+  }
+
+  /**
+   * List a society's meters
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { wing, wings, flatNumber, utilityType, status }
+   * @returns {Promise<{success: boolean, data: Array}>}
+   */
+  async listMeters(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.wings) query.wing = { $in: filters.wings };
+      if (filters.wing) query.wing = filters.wing;
+      if (filters.flatNumber) query.flatNumber = filters.flatNumber;
+      if (filters.utilityType) query.utilityType = filters.utilityType;
+      if (filters.status) query.status = filters.status;
+
+      const meters = await this.collection.find(query).sort({ wing: 1, flatNumber: 1, utilityType: 1 }).toArray();
+
+      return {
+        success: true,
+        data: meters
+      };
+    } catch (error) {
+      console.error('Error listing utility meters:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get one of a society's meters
+   * @param {string} societyId - Society ID
+   * @param {string} meterId - Meter ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getMeter(societyId, meterId) {
+    try {
+      const meter = await this.collection.findOne({
+        _id: new ObjectId(meterId),
+        societyId: new ObjectId(societyId)
+      });
+
+      return {
+        success: true,
+        data: meter
+      };
+    } catch (error) {
+      console.error('Error getting utility meter:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Attach a meter to a flat. Serial numbers are unique within a society.
+   * @param {string} societyId - Society ID
+   * @param {object} input - { wing, flatNumber, utilityType, serialNumber, initialReading, installedAt }
+   * @param {string} createdBy - Admin user ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async createMeter(societyId, input, createdBy) {
+    try {
+      const errors = validateMeter(input);
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const society = await this.db.collection('societies').findOne(
+        { _id: societyObjectId },
+        { projection: { wings: 1 } }
+      );
+      const wing = input.wing.trim();
+      const wingNames = (society?.wings || []).map(item => (typeof item === 'string' ? item : item?.name));
+      if (wingNames.length > 0 && !wingNames.includes(wing)) {
+        throw new Error(`Wing ${wing} is not configured for this society`);
+      }
+
+      const serialNumber = input.serialNumber.trim();
+      const duplicate = await this.collection.findOne({ societyId: societyObjectId, serialNumber });
+      if (duplicate) {
+        throw new Error(`Meter ${serialNumber} is already attached to ${duplicate.wing}-${duplicate.flatNumber}`);
+      }
+
+      const now = new Date();
+      const installedAt = input.installedAt ? new Date(input.installedAt) : now;
+      const initialReading = input.initialReading ?? 0;
+      const meter = {
+        societyId: societyObjectId,
+        wing,
+        flatNumber: input.flatNumber.trim(),
+        utilityType: input.utilityType,
+        unit: UTILITY_TYPES[input.utilityType].unit,
+        serialNumber,
+        initialReading,
+        installedAt,
+        lastReading: { value: initialReading, readAt: installedAt, period: null, readingId: null },
+        status: 'active',
+        createdBy,
+        createdAt: now,
+        updatedAt: now
+      };
+      const result = await this.collection.insertOne(meter);
+
+      return {
+        success: true,
+        data: { _id: result.insertedId, ...meter }
+      };
+    } catch (error) {
+      console.error('Error creating utility meter:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Update a meter's serial number (after a replacement), status or notes
+   * @param {string} societyId - Society ID
+   * @param {string} meterId - Meter ID
+   * @param {object} input - { serialNumber, status, notes }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async updateMeter(societyId, meterId, input) {
+    try {
+      const errors = validateMeter(input, { partial: true });
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const update = { updatedAt: new Date() };
+      if (input.serialNumber !== undefined) {
+        update.serialNumber = input.serialNumber.trim();
+        const duplicate = await this.collection.findOne({
+          societyId: societyObjectId,
+          serialNumber: update.serialNumber,
+          _id: { $ne: new ObjectId(meterId) }
+        });
+        if (duplicate) {
+          throw new Error(`Meter ${update.serialNumber} is already attached to ${duplicate.wing}-${duplicate.flatNumber}`);
+        }
+      }
+      if (input.status !== undefined) update.status = input.status;
+      if (typeof input.notes === 'string') update.notes = input.notes.trim();
+
+      const meter = await this.collection.findOneAndUpdate(
+        { _id: new ObjectId(meterId), societyId: societyObjectId },
+        { $set: update },
+        { returnDocument: 'after' }
+      );
+      if (!meter) {
+        throw new Error('Meter not found');
+      }
+
+      return {
+        success: true,
+        data: meter
+      };
+    } catch (error) {
+      console.error('Error updating utility meter:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Find the meter a reading is for, by ID, serial number or flat and utility
+   */
+  async resolveMeter(societyObjectId, input) {
+    if (input.meterId) {
+      if (!ObjectId.isValid(input.meterId)) throw new Error('Invalid meter ID');
+      return this.collection.findOne({ _id: new ObjectId(input.meterId), societyId: societyObjectId });
+    }
+    if (input.serialNumber) {
+      return this.collection.findOne({ societyId: societyObjectId, serialNumber: String(input.serialNumber).trim() });
+    }
+    if (input.wing && input.flatNumber && input.utilityType) {
+      const meters = await this.collection.find({
+        societyId: societyObjectId,
+        wing: input.wing,
+        flatNumber: input.flatNumber,
+        utilityType: input.utilityType,
+        status: 'active'
+      }).toArray();
+      if (meters.length > 1) {
+        throw new Error(`${input.wing}-${input.flatNumber} has more than one ${input.utilityType} meter; give the serial number`);
+      }
+      return meters[0] || null;
+    }
+    throw new Error('A meter ID, serial number, or wing, flat and utility type is required');
+  }
+
+  /**
+   * Record a meter's reading for a billing period and check it for
+   * anomalies. A reading for a period that is not billed yet can be
+   * corrected by recording it again.
+   * @param {string} societyId - Society ID
+   * @param {object} input - { meterId | serialNumber | (wing, flatNumber, utilityType), period, value, readAt, notes }
+   * @param {object} options - { enteredBy, source, importId, wings, settings }; wings limits a wing
+   *   chairman to their wings, settings is society.settings when the caller already has it
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async recordReading(societyId, input, options = {}) {
+    try {
+      const value = typeof input.value === 'string' ? Number(input.value) : input.value;
+      const errors = validateReading({ ...input, value });
+      if (errors.length > 0) {
+        throw new Error(`Validation failed: ${errors.join(', ')}`);
+      }
+
+      const societyObjectId = new ObjectId(societyId);
+      const meter = await this.resolveMeter(societyObjectId, input);
+      if (!meter) {
+        throw new Error('Meter not found');
+      }
+      if (options.wings && !options.wings.includes(meter.wing)) {
+        throw new Error('Access denied to this wing');
+      }
+      if (meter.status !== 'active') {
+        throw new Error(`Meter ${meter.serialNumber} is not active`);
+      }
+
+      const { period } = parseBillingPeriod(input.period);
+      const existing = await this.readings.findOne({ meterId: meter._id, period });
+      if (existing?.billing) {
+        throw new Error(`The ${period} reading of meter ${meter.serialNumber} is already billed`);
+      }
+
+      let settings = options.settings;
+      if (!settings) {
+        const society = await this.db.collection('societies').findOne(
+          { _id: societyObjectId },
+          { projection: { settings: 1 } }
+        );
+        settings = society?.settings;
+      }
+      const { anomalies: policy } = getUtilitySettings(settings);
+
+      // Earlier readings of the meter, newest first; the first one is the previous reading
+      const earlier = await this.readings
+        .find({ meterId: meter._id, period: { $lt: period } })
+        .sort({ period: -1 })
+        .limit(policy.historyPeriods + 1)
+        .toArray();
+      const previous = earlier[0]
+        ? { value: earlier[0].value, readAt: earlier[0].readAt }
+        : { value: meter.initialReading ?? 0, readAt: meter.installedAt };
+
+      const now = new Date();
+      const readAt = input.readAt ? new Date(input.readAt) : now;
+      const { consumption, anomalies } = checkReading(
+        { value, readAt },
+        previous,
+        earlier.map(reading => reading.consumption),
+        policy,
+        meter.utilityType
+      );
+
+      const reading = {
+        societyId: societyObjectId,
+        meterId: meter._id,
+        serialNumber: meter.serialNumber,
+        wing: meter.wing,
+        flatNumber: meter.flatNumber,
+        utilityType: meter.utilityType,
+        unit: meter.unit,
+        period,
+        value,
+        readAt,
+        previousValue: previous.value,
+        consumption,
+        anomalies,
+        status: anomalies.some(anomaly => anomaly.blocking) ? 'flagged' : 'recorded',
+        source: options.source || 'manual',
+        importId: options.importId || null,
+        notes: typeof input.notes === 'string' ? input.notes.trim() : '',
+        enteredBy: options.enteredBy || null,
+        updatedAt: now
+      };
+
+      const stored = await this.readings.findOneAndUpdate(
+        { meterId: meter._id, period, billing: { $exists: false } },
+        { $set: reading, $setOnInsert: { createdAt: now } },
+        { upsert: true, returnDocument: 'after' }
+      );
+
+      if (!meter.lastReading?.period || meter.lastReading.period <= period) {
+        await this.collection.updateOne(
+          { _id: meter._id },
+          { $set: { lastReading: { value, readAt, period, readingId: stored._id }, updatedAt: now } }
+        );
+      }
+
+      return {
+        success: true,
+        data: stored,
+        replaced: !!existing
+      };
+    } catch (error) {
+      console.error('Error recording meter reading:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Record readings from a CSV upload. Each row is checked on its own; rows
+   * that fail are reported without stopping the rest.
+   * @param {string} societyId - Society ID
+   * @param {string} text - CSV content
+   * @param {object} options - { period (for rows without one), enteredBy, wings }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async importReadings(societyId, text, options = {}) {
+    try {
+      const { rows, errors } = parseReadingsCsv(text, { period: options.period });
+      const society = await this.db.collection('societies').findOne(
+        { _id: new ObjectId(societyId) },
+        { projection: { settings: 1 } }
+      );
+
+      const importId = new ObjectId();
+      const summary = {
+        importId,
+        rows: rows.length + errors.length,
+        recorded: 0,
+        flagged: [],
+        failed: [...errors]
+      };
+
+      for (const row of rows) {
+        const result = await this.recordReading(societyId, row, {
+          enteredBy: options.enteredBy,
+          source: 'csv',
+          wings: options.wings,
+          importId,
+          settings: society?.settings
+        });
+        if (!result.success) {
+          summary.failed.push({ row: row.row, error: result.error });
+        } else if (result.data.status === 'flagged') {
+          summary.flagged.push({
+            row: row.row,
+            readingId: result.data._id,
+            serialNumber: result.data.serialNumber,
+            anomalies: result.data.anomalies.filter(anomaly => anomaly.blocking).map(anomaly => anomaly.message)
+          });
+        } else {
+          summary.recorded += 1;
+        }
+      }
+
+      summary.failed.sort((a, b) => a.row - b.row);
+
+      return {
+        success: true,
+        data: summary
+      };
+    } catch (error) {
+      console.error('Error importing meter readings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * List readings
+   * @param {string} societyId - Society ID
+   * @param {object} filters - { period, status, meterId, wing, wings, utilityType, page, limit }
+   * @returns {Promise<{success: boolean, data: Object}>}
+   */
+  async listReadings(societyId, filters = {}) {
+    try {
+      const query = { societyId: new ObjectId(societyId) };
+      if (filters.period) query.period = filters.period;
+      if (filters.status) query.status = filters.status;
+      if (filters.meterId) query.meterId = new ObjectId(filters.meterId);
+      if (filters.wings) query.wing = { $in: filters.wings };
+      if (filters.wing) query.wing = filters.wing;
+      if (filters.utilityType) query.utilityType = filters.utilityType;
+      if (filters.billed === 'true') query.billing = { $exists: true };
+      if (filters.billed === 'false') query.billing = { $exists: false };
+
+      const page = Math.max(parseInt(filters.page, 10) || 1, 1);
+      const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 50, 1), 200);
+
+      const [readings, total] = await Promise.all([
+        this.readings.find(query).sort({ period: -1, wing: 1, flatNumber: 1 }).skip((page - 1) * limit).limit(limit).toArray(),
+        this.readings.countDocuments(query)
+      ]);
+
+      return {
+        success: true,
+        data: {
+          readings,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      };
+    } catch (error) {
+      console.error('Error listing meter readings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get one of a society's readings
+   * @param {string} societyId - Society ID
+   * @param {string} readingId - Reading ID
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async getReading(societyId, readingId) {
+    try {
+      const reading = await this.readings.findOne({
+        _id: new ObjectId(readingId),
+        societyId: new ObjectId(societyId)
+      });
+
+      return {
+        success: true,
+        data: reading
+      };
+    } catch (error) {
+      console.error('Error getting meter reading:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Confirm a flagged reading so it is billed as entered, e.g. a genuine
+   * spike or a meter that rolled over
+   * @param {string} societyId - Society ID
+   * @param {string} readingId - Reading ID
+   * @param {object} acceptance - { acceptedBy, note }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async acceptReading(societyId, readingId, acceptance) {
+    try {
+      const note = String(acceptance.note || '').trim();
+      if (!note) {
+        throw new Error('A note is required to accept a flagged reading');
+      }
+
+      const reading = await this.readings.findOneAndUpdate(
+        { _id: new ObjectId(readingId), societyId: new ObjectId(societyId), status: 'flagged' },
+        {
+          $set: {
+            status: 'accepted',
+            acceptedBy: acceptance.acceptedBy,
+            acceptedAt: new Date(),
+            acceptanceNote: note,
+            updatedAt: new Date()
+          }
+        },
+        { returnDocument: 'after' }
+      );
+      if (!reading) {
+        throw new Error('Flagged reading not found');
+      }
+
+      return {
+        success: true,
+        data: reading
+      };
+    } catch (error) {
+      console.error('Error accepting meter reading:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Bill a period's readings: price each meter's consumption with the
+   * society's slab tariff and add one utility charge per flat to its dues
+   * for that month. Flats with a flagged reading are held back and flats
+   * already billed for the period are skipped, so the run can be repeated
+   * once flagged readings are resolved.
+   * @param {string} societyId - Society ID
+   * @param {string} period - Billing period in YYYY-MM format
+   * @param {object} options - { triggeredBy }
+   * @returns {Promise<{success: boolean, data: Object|null}>}
+   */
+  async billPeriod(societyId, period, options = {}) {
+    try {
+      const billingPeriod = parseBillingPeriod(period);
+      const societyObjectId = new ObjectId(societyId);
+      const society = await this.db.collection('societies').findOne({ _id: societyObjectId });
+      if (!society) {
+        throw new Error('Society not found');
+      }
+
+      const { tariffs } = getUtilitySettings(society.settings);
+      const readings = await this.readings.find({
+        societyId: societyObjectId,
+        period: billingPeriod.period,
+        billing: { $exists: false }
+      }).toArray();
+
+      const users = await this.db.collection('users').find({ societyId: societyObjectId, isActive: true }).toArray();
+      const billableFlats = new Map(selectBillableFlats(users).map(flat => [`${flat.wing}::${flat.flatNumber}`, flat]));
+
+      const byFlat = new Map();
+      const heldBack = [];
+      readings.forEach((reading) => {
+        if (!BILLABLE_READING_STATUSES.includes(reading.status)) {
+          heldBack.push({ readingId: reading._id, wing: reading.wing, flatNumber: reading.flatNumber, serialNumber: reading.serialNumber });
+          return;
+        }
+        const key = `${reading.wing}::${reading.flatNumber}`;
+        if (!byFlat.has(key)) byFlat.set(key, []);
+        byFlat.get(key).push(reading);
+      });
+
+      const now = new Date();
+      const dueDate = computeDueDate(society.settings, billingPeriod.period);
+      const createdBy = options.triggeredBy || 'system';
+      const created = [];
+      const skipped = [];
+
+      // A flat is billed once per period, so it waits until all its readings can be billed
+      const heldFlats = new Set(heldBack.map(reading => `${reading.wing}::${reading.flatNumber}`));
+
+      for (const [key, flatReadings] of byFlat) {
+        const { wing, flatNumber } = flatReadings[0];
+        if (heldFlats.has(key)) {
+          skipped.push({ wing, flatNumber, reason: 'reading_flagged' });
+          continue;
+        }
+
+        const { resident, unitId } = billableFlats.get(key) || {};
+        if (!resident) {
+          skipped.push({ wing, flatNumber, reason: 'no_resident' });
+          continue;
+        }
+
+        const alreadyBilled = await this.maintenance.findOne({
+          societyId: societyObjectId,
+          wing,
+          flatNumber,
+          billingPeriod: billingPeriod.period,
+          chargeType: 'utility'
+        });
+        if (alreadyBilled) {
+          skipped.push({ wing, flatNumber, reason: 'already_billed', recordId: alreadyBilled._id });
+          continue;
+        }
+
+        const lines = [];
+        const untariffed = [];
+        flatReadings.forEach((reading) => {
+          const tariff = tariffs[reading.utilityType];
+          if (!tariff) {
+            untariffed.push(reading.utilityType);
+            return;
+          }
+          // A meter's first reading only sets its baseline
+          if (reading.consumption === null) return;
+
+          const charge = computeSlabCharge(reading.consumption, tariff);
+          lines.push({ reading, charge });
+        });
+
+        if (untariffed.length > 0) {
+          skipped.push({ wing, flatNumber, reason: 'no_tariff', utilityTypes: Array.from(new Set(untariffed)) });
+          continue;
+        }
+
+        const amount = Math.round(lines.reduce((sum, line) => sum + line.charge.amount * 100, 0)) / 100;
+        if (amount <= 0) {
+          skipped.push({ wing, flatNumber, reason: 'nothing_to_bill' });
+          continue;
+        }
+
+        const record = {
+          clerkUserId: resident.clerkUserId,
+          societyId: societyObjectId,
+          societyName: society.name,
+          wing,
+          flatNumber,
+          ...(unitId && { unitId }),
+          residentType: resident.residentType,
+          month: billingPeriod.monthName,
+          year: billingPeriod.year,
+          billingPeriod: billingPeriod.period,
+          amount,
+          monthsCount: 1,
+          dueDate,
+          ...this.lifecycle.initialFields('bill', { actor: { clerkUserId: createdBy }, at: now }),
+          source: 'utility_billing',
+          chargeType: 'utility',
+          chargeBreakdown: lines.map(({ reading, charge }) => ({
+            name: `${UTILITY_TYPES[reading.utilityType].label} (${charge.consumption} ${reading.unit})`,
+            type: 'metered',
+            quantity: charge.consumption,
+            unit: reading.unit,
+            amount: charge.amount
+          })),
+          utility: {
+            readings: lines.map(({ reading, charge }) => ({
+              readingId: reading._id,
+              meterId: reading.meterId,
+              serialNumber: reading.serialNumber,
+              utilityType: reading.utilityType,
+              previousValue: reading.previousValue,
+              value: reading.value,
+              ...charge
+            }))
+          },
+          notes: '',
+          createdAt: now,
+          updatedAt: now
+        };
+
+        const insertResult = await this.maintenance.insertOne(record);
+        const chargeResult = await this.ledger.postRecordCharge({ ...record, _id: insertResult.insertedId }, { createdBy });
+        if (!chargeResult.success) throw new Error(chargeResult.error);
+
+        await this.readings.updateMany(
+          { _id: { $in: flatReadings.map(reading => reading._id) } },
+          { $set: { billing: { recordId: insertResult.insertedId, billedAt: now, billedBy: createdBy }, updatedAt: now } }
+        );
+
+        created.push({ _id: insertResult.insertedId, wing, flatNumber, amount });
+      }
+
+      return {
+        success: true,
+        data: {
+          period: billingPeriod.period,
+          created,
+          skipped,
+          heldBack,
+          totalAmount: Math.round(created.reduce((sum, record) => sum + record.amount * 100, 0)) / 100
+        }
+      };
+    } catch (error) {
+      console.error('Error billing utility readings:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+}
+
+module.exports = UtilityService;
@@ -1,9 +1,23 @@
 const UserService = require("./UserService");
 const SocietyService = require("./SocietyService");
 const MaintenanceService = require("./MaintenanceService");
+const MaintenanceLedgerService = require("./MaintenanceLedgerService");
+const MaintenanceReceiptService = require("./MaintenanceReceiptService");
+const MaintenanceReminderService = require("./MaintenanceReminderService");
+const MaintenanceStatusService = require("./MaintenanceStatusService");
+const BankReconciliationService = require("./BankReconciliationService");
+const PaymentGatewayService = require("./PaymentGatewayService");
+const LevyService = require("./LevyService");
+const ExpenseService = require("./ExpenseService");
+const ApprovalService = require("./ApprovalService");
+const UtilityService = require("./UtilityService");
+const GeneralLedgerService = require("./GeneralLedgerService");
+const UnitService = require("./UnitService");
+const InviteService = require("./InviteService");
 const ForumService = require("./ForumService");
 const ContactService = require("./ContactService");
 const JoinRequestService = require("./JoinRequestService");
+const JoinRequestSlaService = require("./JoinRequestSlaService");
 const EventService = require("./EventService");
 
 /**
@@ -47,6 +61,136 @@ class ServiceFactory {
     return this._services.maintenance;
   }
 
+  /**
+   * Get Maintenance Ledger Service instance
+   */
+  getMaintenanceLedgerService() {
+    if (!this._services.maintenanceLedger) {
+      this._services.maintenanceLedger = new MaintenanceLedgerService(this.db);
+    }
+    return this._services.maintenanceLedger;
+  }
+
+  /**
+   * Get Maintenance Receipt Service instance
+   */
+  getMaintenanceReceiptService() {
+    if (!this._services.maintenanceReceipt) {
+      this._services.maintenanceReceipt = new MaintenanceReceiptService(this.db);
+    }
+    return this._services.maintenanceReceipt;
+  }
+
+  /**
+   * Get Maintenance Status Service instance
+   */
+  getMaintenanceStatusService() {
+    if (!this._services.maintenanceStatus) {
+      this._services.maintenanceStatus = new MaintenanceStatusService(this.db);
+    }
+    return this._services.maintenanceStatus;
+  }
+
+  /**
+   * Get Maintenance Reminder Service instance
+   */
+  getMaintenanceReminderService() {
+    if (!this._services.maintenanceReminder) {
+      this._services.maintenanceReminder = new MaintenanceReminderService(this.db);
+    }
+    return this._services.maintenanceReminder;
+  }
+
+  /**
+   * Get Bank Reconciliation Service instance
+   */
+  getBankReconciliationService() {
+    if (!this._services.bankReconciliation) {
+      this._services.bankReconciliation = new BankReconciliationService(this.db);
+    }
+    return this._services.bankReconciliation;
+  }
+
+  /**
+   * Get Payment Gateway Service instance
+   */
+  getPaymentGatewayService() {
+    if (!this._services.paymentGateway) {
+      this._services.paymentGateway = new PaymentGatewayService(this.db);
+    }
+    return this._services.paymentGateway;
+  }
+
+  /**
+   * Get Levy Service instance
+   */
+  getLevyService() {
+    if (!this._services.levy) {
+      this._services.levy = new LevyService(this.db);
+    }
+    return this._services.levy;
+  }
+
+  /**
+   * Get Expense Service instance
+   */
+  getExpenseService() {
+    if (!this._services.expense) {
+      this._services.expense = new ExpenseService(this.db);
+    }
+    return this._services.expense;
+  }
+
+  /**
+   * Get Approval Service instance
+   */
+  getApprovalService() {
+    if (!this._services.approval) {
+      this._services.approval = new ApprovalService(this.db);
+    }
+    return this._services.approval;
+  }
+
+  /**
+   * Get Utility Service instance
+   */
+  getUtilityService() {
+    if (!this._services.utility) {
+      this._services.utility = new UtilityService(this.db);
+    }
+    return this._services.utility;
+  }
+
+  /**
+   * Get General Ledger Service instance
+   */
+  getGeneralLedgerService() {
+    if (!this._services.generalLedger) {
+      this._services.generalLedger = new GeneralLedgerService(this.db);
+    }
+    return this._services.generalLedger;
+  }
+
+  /**
+   * Get Unit Service instance
+   */
+  getUnitService() {
+    if (!this._services.unit) {
+      this._services.unit = new UnitService(this.db);
+    }
+    return this._services.unit;
+  }
+
+  /**
+   * Get Invite Service instance
+   */
+  getInviteService() {
+    if (!this._services.invite) {
+      this._services.invite = new InviteService(this.db);
+    }
+    return this._services.invite;
+  }
+
   /**
    * Get Forum Service instance
    */
@@ -77,6 +221,16 @@ class ServiceFactory {
     return this._services.joinRequest;
   }
 
+  /**
+   * Get Join Request SLA Service instance
+   */
+  getJoinRequestSlaService() {
+    if (!this._services.joinRequestSla) {
+      this._services.joinRequestSla = new JoinRequestSlaService(this.db);
+    }
+    return this._services.joinRequestSla;
+  }
+
   /**
    * Get Event Service instance
    */
@@ -95,9 +249,23 @@ class ServiceFactory {
       user: this.getUserService(),
       society: this.getSocietyService(),
       maintenance: this.getMaintenanceService(),
+      maintenanceLedger: this.getMaintenanceLedgerService(),
+      maintenanceReceipt: this.getMaintenanceReceiptService(),
+      maintenanceReminder: this.getMaintenanceReminderService(),
+      maintenanceStatus: this.getMaintenanceStatusService(),
+      bankReconciliation: this.getBankReconciliationService(),
+      paymentGateway: this.getPaymentGatewayService(),
+      levy: this.getLevyService(),
+      expense: this.getExpenseService(),
+      approval: this.getApprovalService(),
+      utility: this.getUtilityService(),
+      generalLedger: this.getGeneralLedgerService(),
+      unit: this.getUnitService(),
+      invite: this.getInviteService(),
       forum: this.getForumService(),
       contact: this.getContactService(),
       joinRequest: this.getJoinRequestService(),
+      joinRequestSla: this.getJoinRequestSlaService(),
       event: this.getEventService(),
     };
   }
@@ -116,8 +284,22 @@ module.exports = {
   UserService,
   SocietyService,
   MaintenanceService,
+  MaintenanceLedgerService,
+  MaintenanceReceiptService,
+  MaintenanceReminderService,
+  MaintenanceStatusService,
+  BankReconciliationService,
+  PaymentGatewayService,
+  LevyService,
+  ExpenseService,
+  ApprovalService,
+  UtilityService,
+  GeneralLedgerService,
+  UnitService,
+  InviteService,
   ForumService,
   ContactService,
   JoinRequestService,
+  JoinRequestSlaService,
   EventService,
 };
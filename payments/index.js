@@ -0,0 +1,55 @@
+const mockProvider = require("./providers/mock");
+
+/**
+ * Payment provider registry
+ * Providers implement createOrder(order), verifyWebhook(rawBody, headers)
+ * and parseWebhook(body); the active one is chosen with PAYMENT_PROVIDER.
+ */
+
+const providers = new Map();
+
+/**
+ * Register a payment provider
+ * @param {object} provider - Provider implementation with a unique name
+ */
+function registerProvider(provider) {
+  const required = ["name", "createOrder", "verifyWebhook", "parseWebhook"];
+  const missing = required.filter((key) => !provider?.[key]);
+  if (missing.length > 0) {
+    throw new Error(`Payment provider is missing: ${missing.join(", ")}`);
+  }
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Look up a provider by name
+ * @param {string} name - Provider name
+ * @returns {object|null}
+ */
+function getProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Provider used for new orders
+ * @returns {object}
+ */
+function getActiveProvider() {
+  const name = process.env.PAYMENT_PROVIDER || "mock";
+  const provider = getProvider(name);
+  if (!provider) {
+    throw new Error(`Payment provider "${name}" is not registered`);
+  }
+  if (name === "mock" && process.env.NODE_ENV === "production") {
+    throw new Error("The mock payment provider cannot be used in production");
+  }
+  return provider;
+}
+
+registerProvider(mockProvider);
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getActiveProvider,
+};
@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const { signPayload, verifySignature } = require("../signature");
+
+/**
+ * Mock payment provider
+ * Behaves like a hosted-checkout gateway without leaving the server:
+ * orders get a local checkout URL and payments are simulated by building
+ * a signed webhook with simulateWebhook().
+ */
+
+const SIGNATURE_HEADER = "x-mock-signature";
+
+const getSecret = () => process.env.PAYMENT_WEBHOOK_SECRET || "mock_webhook_secret";
+
+const mockProvider = {
+  name: "mock",
+  signatureHeader: SIGNATURE_HEADER,
+
+  /**
+   * Create an order with the provider
+   * @param {object} order - { orderId, amount, currency, description }
+   * @returns {Promise<{providerOrderId: string, checkoutUrl: string}>}
+   */
+  async createOrder(order) {
+    const providerOrderId = `mock_order_${crypto.randomBytes(8).toString("hex")}`;
+    return {
+      providerOrderId,
+      checkoutUrl: `/api/payments/mock/orders/${order.orderId}/complete`,
+    };
+  },
+
+  /**
+   * Verify the webhook signature header against the raw body
+   */
+  verifyWebhook(rawBody, headers = {}) {
+    // The default secret is public, so mock webhooks are never trusted in production
+    if (process.env.NODE_ENV === "production") return false;
+    return verifySignature(rawBody, headers[SIGNATURE_HEADER], getSecret());
+  },
+
+  /**
+   * Normalize a webhook body into a gateway event
+   * @returns {{eventId: string, type: string, providerOrderId: string, providerPaymentId: string, amount: number, currency: string}}
+   */
+  parseWebhook(body) {
+    const payment = body.payload?.payment || {};
+    return {
+      eventId: body.id,
+      type: body.event,
+      providerOrderId: payment.order_id,
+      providerPaymentId: payment.id,
+      amount: Number(payment.amount) / 100,
+      currency: payment.currency || "INR",
+      failureReason: payment.error_description || null,
+    };
+  },
+
+  /**
+   * Build the webhook the mock gateway would send for an order
+   * @param {object} order - Stored payment order
+   * @param {string} outcome - 'captured' or 'failed'
+   * @returns {{rawBody: string, headers: object}}
+   */
+  simulateWebhook(order, outcome = "captured") {
+    const body = {
+      id: `evt_${crypto.randomBytes(8).toString("hex")}`,
+      event: outcome === "failed" ? "payment.failed" : "payment.captured",
+      created_at: Math.floor(Date.now() / 1000),
+      payload: {
+        payment: {
+          id: `mock_pay_${crypto.randomBytes(8).toString("hex")}`,
+          order_id: order.providerOrderId,
+          amount: Math.round(order.amount * 100),
+          currency: order.currency,
+          ...(outcome === "failed" && { error_description: "Payment declined by mock provider" }),
+        },
+      },
+    };
+
+    const rawBody = JSON.stringify(body);
+    return {
+      rawBody,
+      headers: { [SIGNATURE_HEADER]: signPayload(rawBody, getSecret()) },
+    };
+  },
+};
+
+module.exports = mockProvider;
@@ -0,0 +1,37 @@
+const crypto = require("crypto");
+
+/**
+ * Webhook signature helpers
+ * HMAC-SHA256 over the raw request body, hex encoded
+ */
+
+/**
+ * Sign a payload with a shared secret
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} secret - Webhook secret
+ * @returns {string} Hex digest
+ */
+function signPayload(payload, secret) {
+  return crypto.createHmac("sha256", secret).update(payload).digest("hex");
+}
+
+/**
+ * Check a signature in constant time
+ * @param {string|Buffer} payload - Raw request body
+ * @param {string} signature - Signature sent by the provider
+ * @param {string} secret - Webhook secret
+ * @returns {boolean}
+ */
+function verifySignature(payload, signature, secret) {
+  if (!payload || !signature || !secret) return false;
+
+  const expected = Buffer.from(signPayload(payload, secret), "hex");
+  const received = Buffer.from(String(signature).trim().toLowerCase(), "hex");
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+  signPayload,
+  verifySignature,
+};
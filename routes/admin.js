@@ -577,11 +577,23 @@ router.get(
 const userRoutes = require("./admin/users");
 const joinRequestRoutes = require("./admin/joinRequests");
 const communicationRoutes = require("./admin/communication");
+const expenseRoutes = require("./admin/expenses");
+const approvalRoutes = require("./admin/approvals");
+const utilityRoutes = require("./admin/utilities");
+const accountRoutes = require("./admin/accounts");
+const unitRoutes = require("./admin/units");
+const inviteRoutes = require("./admin/invites");
 
 router.use("/maintenance", maintenanceRoutes);
 router.use("/users", userRoutes);
 router.use("/join-requests", joinRequestRoutes);
 router.use("/communication", communicationRoutes);
+router.use("/expenses", expenseRoutes);
+router.use("/approvals", approvalRoutes);
+router.use("/utilities", utilityRoutes);
+router.use("/accounts", accountRoutes);
+router.use("/units", unitRoutes);
+router.use("/invites", inviteRoutes);
 router.use("/dashboard", dashboardRoutes);
 router.use("/society", societyRoutes);
 
@@ -593,6 +605,11 @@ function getAdminCapabilities(role) {
     [ADMIN_ROLES.SUPER_ADMIN]: {
       userManagement: ["read", "write", "delete", "assign_roles"],
       maintenance: ["read", "write", "approve", "reject", "bulk_operations"],
+      expenses: ["read", "write", "approve"],
+      utilities: ["read", "write", "manage"],
+      accounts: ["read", "write"],
+      units: ["read", "write", "manage"],
+      invites: ["read", "write"],
       announcements: ["read", "write", "delete", "target_all"],
       society: ["read", "write", "settings", "audit"],
       forum: ["read", "write", "moderate", "delete"],
@@ -602,6 +619,11 @@ function getAdminCapabilities(role) {
     [ADMIN_ROLES.ADMIN]: {
       userManagement: ["read", "write", "deactivate"],
       maintenance: ["read", "write", "approve", "reject", "bulk_operations"],
+      expenses: ["read", "write", "approve"],
+      utilities: ["read", "write", "manage"],
+      accounts: ["read", "write"],
+      units: ["read", "write", "manage"],
+      invites: ["read", "write"],
       announcements: ["read", "write", "target_all"],
       society: ["read", "write"],
       forum: ["read", "moderate"],
@@ -610,6 +632,9 @@ function getAdminCapabilities(role) {
     [ADMIN_ROLES.WING_CHAIRMAN]: {
       userManagement: ["read", "wing_only"],
       maintenance: ["read", "approve", "wing_only"],
+      utilities: ["read", "write", "wing_only"],
+      units: ["read", "wing_only"],
+      invites: ["read", "wing_only"],
       announcements: ["read", "write", "wing_only"],
       society: ["read"],
       forum: ["read"],
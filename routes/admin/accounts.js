@@ -0,0 +1,421 @@
+const express = require('express');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { verifyAdminAuth, requirePermission, logAdminAction } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validateObjectIds } = require('../../middleware/validation');
+const { ObjectId } = require('mongodb');
+const dbConnection = require('../../config/database');
+const GeneralLedgerService = require('../../models/services/GeneralLedgerService');
+const { parseFinancialYear, financialYearOf } = require('../../utils/statements');
+const { toCsv } = require('../../utils/export');
+const {
+  ACCOUNT_TYPES,
+  VOUCHER_TYPES,
+  VOUCHER_CSV_COLUMNS,
+  vouchersToCsvRows,
+  toTallyMastersXml,
+  toTallyVouchersXml,
+} = require('../../utils/accounting');
+
+const router = express.Router();
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const errorStatus = (error) => (/not found/i.test(error || '') ? 404 : 400);
+
+// Start of a calendar day (YYYY-MM-DD) on Indian time
+const startOfDay = value => (DATE_PATTERN.test(String(value || '')) ? new Date(`${value}T00:00:00+05:30`) : null);
+
+// Date range of a report: ?from=&to= (inclusive dates) or ?fy=2025-26, default the current financial year
+const parseRange = (query) => {
+  if (query.from || query.to) {
+    const from = startOfDay(query.from);
+    const toDay = startOfDay(query.to);
+    if (!from || !toDay || toDay < from) {
+      return { error: 'from and to must be dates (YYYY-MM-DD) with to on or after from' };
+    }
+    return { from, to: new Date(toDay.getTime() + DAY_MS), label: `${query.from}-to-${query.to}` };
+  }
+
+  const fy = parseFinancialYear(query.fy || financialYearOf());
+  if (!fy) {
+    return { error: 'fy must be a financial year such as 2025-26' };
+  }
+  return { from: fy.start, to: fy.end, label: fy.label };
+};
+
+// Exclusive end of a balance report: the day after ?asOf=, the end of ?fy=, or now
+const parseUntil = (query) => {
+  if (query.asOf) {
+    const day = startOfDay(query.asOf);
+    return day ? { until: new Date(day.getTime() + DAY_MS), label: query.asOf } : { error: 'asOf must be a date (YYYY-MM-DD)' };
+  }
+  if (query.fy) {
+    const fy = parseFinancialYear(query.fy);
+    return fy ? { until: fy.end, label: fy.label } : { error: 'fy must be a financial year such as 2025-26' };
+  }
+  return { until: new Date(), label: new Date().toISOString().slice(0, 10) };
+};
+
+const sendCsv = (res, fileName, columns, rows) => {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  res.send(toCsv(columns, rows));
+};
+
+const checkFormat = (res, format, allowed) => {
+  if (allowed.includes(format)) return true;
+  res.status(400).json({
+    success: false,
+    message: `format must be one of: ${allowed.join(', ')}`
+  });
+  return false;
+};
+
+// Chart of accounts
+router.get('/', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  if (req.query.type && !ACCOUNT_TYPES[req.query.type]) {
+    return res.status(400).json({
+      success: false,
+      message: `type must be one of: ${Object.keys(ACCOUNT_TYPES).join(', ')}`
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const accountsResult = await ledgerService.listAccounts(req.adminUser.societyId, {
+    activeOnly: req.query.activeOnly === 'true',
+    type: req.query.type
+  });
+
+  if (!accountsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chart of accounts'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: accountsResult.data
+  });
+}));
+
+// Add an account
+router.post('/', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'write'), asyncHandler(async (req, res) => {
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const accountResult = await ledgerService.createAccount(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!accountResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: accountResult.error || 'Failed to create account'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'create_account', 'accounts', {
+    accountId: accountResult.data._id,
+    code: accountResult.data.code,
+    name: accountResult.data.name,
+    type: accountResult.data.type,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Account created',
+    data: accountResult.data
+  });
+}));
+
+// Every voucher, by date, as a Tally import file or CSV
+router.get('/vouchers/export', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  const { format = 'tally' } = req.query;
+  if (!checkFormat(res, format, ['tally', 'csv'])) return;
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      message: range.error
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const exportResult = await ledgerService.exportVouchers(req.adminUser.societyId, range);
+
+  if (!exportResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: exportResult.error || 'Failed to export vouchers'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'export_vouchers', 'accounts', {
+    format,
+    range: range.label,
+    vouchers: exportResult.data.vouchers.length,
+    ipAddress: req.ip
+  });
+
+  const fileName = `vouchers-${range.label}`;
+  if (format === 'csv') {
+    return sendCsv(res, fileName, VOUCHER_CSV_COLUMNS, vouchersToCsvRows(exportResult.data.vouchers));
+  }
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xml"`);
+  res.send(toTallyVouchersXml(exportResult.data.vouchers, { companyName: req.query.company || exportResult.data.societyName }));
+}));
+
+// The chart of accounts as a Tally ledger masters import file
+router.get('/tally-masters', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const ledgerService = new GeneralLedgerService(db);
+  const accountsResult = await ledgerService.listAccounts(req.adminUser.societyId);
+
+  if (!accountsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch chart of accounts'
+    });
+  }
+
+  const society = await db.collection('societies').findOne(
+    { _id: new ObjectId(req.adminUser.societyId) },
+    { projection: { name: 1 } }
+  );
+
+  res.setHeader('Content-Type', 'application/xml; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="ledger-masters.xml"');
+  res.send(toTallyMastersXml(accountsResult.data, { companyName: req.query.company || society?.name }));
+}));
+
+// List vouchers
+router.get('/vouchers', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      message: range.error
+    });
+  }
+  if (req.query.voucherType && !VOUCHER_TYPES[req.query.voucherType]) {
+    return res.status(400).json({
+      success: false,
+      message: `voucherType must be one of: ${Object.keys(VOUCHER_TYPES).join(', ')}`
+    });
+  }
+  if (req.query.accountId && !ObjectId.isValid(req.query.accountId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid accountId'
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const vouchersResult = await ledgerService.listVouchers(req.adminUser.societyId, {
+    from: range.from,
+    to: range.to,
+    voucherType: req.query.voucherType,
+    accountId: req.query.accountId,
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  if (!vouchersResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vouchers'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: vouchersResult.data
+  });
+}));
+
+// Post a manual journal voucher (opening balances, corrections)
+router.post('/vouchers', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'write'), asyncHandler(async (req, res) => {
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const voucherResult = await ledgerService.createJournalVoucher(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!voucherResult.success) {
+    return res.status(errorStatus(voucherResult.error)).json({
+      success: false,
+      message: voucherResult.error || 'Failed to post journal voucher'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'create_journal_voucher', 'accounts', {
+    voucherId: voucherResult.data._id,
+    voucherNumber: voucherResult.data.voucherNumber,
+    amount: voucherResult.data.amount,
+    narration: voucherResult.data.narration,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Journal voucher posted',
+    data: voucherResult.data
+  });
+}));
+
+// Trial balance as of a date
+router.get('/reports/trial-balance', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!checkFormat(res, format, ['json', 'csv'])) return;
+
+  const { until, label, error } = parseUntil(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const reportResult = await ledgerService.getTrialBalance(req.adminUser.societyId, until);
+
+  if (!reportResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: reportResult.error || 'Failed to build trial balance'
+    });
+  }
+
+  if (format === 'csv') {
+    const report = reportResult.data;
+    return sendCsv(res, `trial-balance-${label}`, [
+      { key: 'code', header: 'Code' },
+      { key: 'name', header: 'Account' },
+      { key: 'type', header: 'Type' },
+      { key: 'debit', header: 'Debit' },
+      { key: 'credit', header: 'Credit' }
+    ], [...report.rows, { code: '', name: 'Total', type: '', ...report.totals }]);
+  }
+
+  res.json({
+    success: true,
+    data: reportResult.data
+  });
+}));
+
+// Balance sheet as of a date
+router.get('/reports/balance-sheet', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!checkFormat(res, format, ['json', 'csv'])) return;
+
+  const { until, label, error } = parseUntil(req.query);
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      message: error
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const reportResult = await ledgerService.getBalanceSheet(req.adminUser.societyId, until);
+
+  if (!reportResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: reportResult.error || 'Failed to build balance sheet'
+    });
+  }
+
+  if (format === 'csv') {
+    const sheet = reportResult.data;
+    const rows = [];
+    [['Liabilities', sheet.liabilities], ['Funds', sheet.funds], ['Assets', sheet.assets]].forEach(([section, part]) => {
+      part.accounts.forEach(account => rows.push({ section, code: account.code, name: account.name, amount: account.amount }));
+      rows.push({ section, code: '', name: `Total ${section.toLowerCase()}`, amount: part.total });
+    });
+    return sendCsv(res, `balance-sheet-${label}`, [
+      { key: 'section', header: 'Section' },
+      { key: 'code', header: 'Code' },
+      { key: 'name', header: 'Account' },
+      { key: 'amount', header: 'Amount' }
+    ], rows);
+  }
+
+  res.json({
+    success: true,
+    data: reportResult.data
+  });
+}));
+
+// Ledger of one account over a date range
+router.get('/:accountId/ledger', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'read'), validateObjectIds('accountId'), asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!checkFormat(res, format, ['json', 'csv'])) return;
+
+  const range = parseRange(req.query);
+  if (range.error) {
+    return res.status(400).json({
+      success: false,
+      message: range.error
+    });
+  }
+
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const ledgerResult = await ledgerService.getAccountLedger(req.adminUser.societyId, req.params.accountId, range);
+
+  if (!ledgerResult.success) {
+    return res.status(errorStatus(ledgerResult.error)).json({
+      success: false,
+      message: ledgerResult.error || 'Failed to build account ledger'
+    });
+  }
+
+  if (format === 'csv') {
+    const ledger = ledgerResult.data;
+    return sendCsv(res, `ledger-${ledger.account.code}-${range.label}`, [
+      { key: 'date', header: 'Date' },
+      { key: 'voucherNumber', header: 'Voucher' },
+      { key: 'narration', header: 'Narration' },
+      { key: 'flat', header: 'Flat' },
+      { key: 'debit', header: 'Debit' },
+      { key: 'credit', header: 'Credit' },
+      { key: 'balance', header: 'Balance' }
+    ], [
+      { narration: 'Opening balance', balance: ledger.openingBalance },
+      ...ledger.lines,
+      { narration: 'Closing balance', debit: ledger.totals.debit, credit: ledger.totals.credit, balance: ledger.closingBalance }
+    ]);
+  }
+
+  res.json({
+    success: true,
+    data: ledgerResult.data
+  });
+}));
+
+// Renumber, rename, regroup or (de)activate an account
+router.put('/:accountId', verifyClerkToken, verifyAdminAuth, requirePermission('accounts', 'write'), validateObjectIds('accountId'), asyncHandler(async (req, res) => {
+  const ledgerService = new GeneralLedgerService(dbConnection.getDb());
+  const accountResult = await ledgerService.updateAccount(req.adminUser.societyId, req.params.accountId, req.body || {});
+
+  if (!accountResult.success) {
+    return res.status(errorStatus(accountResult.error)).json({
+      success: false,
+      message: accountResult.error || 'Failed to update account'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_account', 'accounts', {
+    accountId: accountResult.data._id,
+    changes: req.body,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Account updated',
+    data: accountResult.data
+  });
+}));
+
+module.exports = router;
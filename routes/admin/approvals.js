@@ -0,0 +1,237 @@
+const express = require('express');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { hasPermission, verifyAdminAuth, logAdminAction, getAllowedWings } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { ObjectId } = require('mongodb');
+const dbConnection = require('../../config/database');
+const ApprovalService = require('../../models/services/ApprovalService');
+const { APPROVAL_ACTIONS, APPROVAL_STATUSES, getApprovalPolicy, checkerError } = require('../../utils/approvals');
+
+const router = express.Router();
+
+// Action types whose resource the admin can read
+const visibleActionTypes = adminUser => Object.keys(APPROVAL_ACTIONS)
+  .filter(actionType => hasPermission(adminUser.role, APPROVAL_ACTIONS[actionType].resource, 'read'));
+
+// Tell the admin whether they can confirm each approval
+const withCheckerFlags = (approvalService, adminUser, approval) => {
+  const refusal = checkerError(approval, adminUser.clerkUserId) ||
+    (approvalService.isEligibleChecker(adminUser, approval) ? null : 'Your role cannot confirm this action');
+  return {
+    ...approval,
+    label: APPROVAL_ACTIONS[approval.actionType]?.label,
+    canConfirm: !refusal,
+    cannotConfirmReason: refusal
+  };
+};
+
+// Load an approval the admin can see, or send the error response
+const loadApproval = async (req, res, approvalService) => {
+  const { approvalId } = req.params;
+  if (!ObjectId.isValid(approvalId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid approval ID'
+    });
+    return null;
+  }
+
+  const approvalResult = await approvalService.getApproval(req.adminUser.societyId, approvalId);
+  const approval = approvalResult.success ? approvalResult.data : null;
+  const wings = getAllowedWings(req.adminUser);
+  if (
+    !approval ||
+    !visibleActionTypes(req.adminUser).includes(approval.actionType) ||
+    (wings && !wings.includes(approval.wing))
+  ) {
+    res.status(404).json({
+      success: false,
+      message: 'Approval not found'
+    });
+    return null;
+  }
+
+  return approval;
+};
+
+// The society's approval policy and the actions it can cover
+router.get('/policy', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      policy: getApprovalPolicy(req.society?.settings),
+      actions: Object.entries(APPROVAL_ACTIONS).map(([actionType, definition]) => ({
+        actionType,
+        label: definition.label
+      }))
+    }
+  });
+}));
+
+// List approvals; pending ones by default
+router.get('/', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+  const { status = 'pending', actionType, mine, page, limit } = req.query;
+
+  if (status !== 'all' && !APPROVAL_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be all or one of: ${APPROVAL_STATUSES.join(', ')}`
+    });
+  }
+
+  const actionTypes = visibleActionTypes(req.adminUser);
+  if (actionType && !actionTypes.includes(actionType)) {
+    return res.status(400).json({
+      success: false,
+      message: `actionType must be one of: ${actionTypes.join(', ')}`
+    });
+  }
+
+  const approvalService = new ApprovalService(dbConnection.getDb());
+  const approvalsResult = await approvalService.listApprovals(req.adminUser.societyId, {
+    status: status === 'all' ? null : status,
+    actionType,
+    actionTypes,
+    requestedBy: mine === 'true' ? req.adminUser.clerkUserId : null,
+    wings: getAllowedWings(req.adminUser),
+    page,
+    limit
+  });
+
+  if (!approvalsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch approvals'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      ...approvalsResult.data,
+      approvals: approvalsResult.data.approvals.map(approval => withCheckerFlags(approvalService, req.adminUser, approval))
+    }
+  });
+}));
+
+// Approval details
+router.get('/:approvalId', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+  const approvalService = new ApprovalService(dbConnection.getDb());
+  const approval = await loadApproval(req, res, approvalService);
+  if (!approval) return;
+
+  res.json({
+    success: true,
+    data: withCheckerFlags(approvalService, req.adminUser, approval)
+  });
+}));
+
+// Confirm a pending action as the second admin; it is carried out immediately
+router.post('/:approvalId/approve', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+  const approvalService = new ApprovalService(dbConnection.getDb());
+  const approval = await loadApproval(req, res, approvalService);
+  if (!approval) return;
+
+  if (!approvalService.isEligibleChecker(req.adminUser, approval)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Your role cannot confirm this action'
+    });
+  }
+
+  const confirmResult = await approvalService.confirmApproval(req.adminUser.societyId, approval._id, {
+    clerkUserId: req.adminUser.clerkUserId,
+    name: req.adminUser.name
+  });
+
+  if (!confirmResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: confirmResult.error || 'Failed to confirm action'
+    });
+  }
+
+  const confirmed = confirmResult.data;
+  const definition = APPROVAL_ACTIONS[confirmed.actionType];
+  await logAdminAction(req.adminUser, confirmed.status === 'approved' ? definition.auditAction : 'approval_failed', definition.resource, {
+    approvalId: confirmed._id,
+    actionType: confirmed.actionType,
+    ...confirmed.params,
+    amount: confirmed.amount,
+    requestedBy: confirmed.requestedBy,
+    error: confirmed.error,
+    ipAddress: req.ip
+  });
+
+  if (confirmed.status !== 'approved') {
+    return res.status(422).json({
+      success: false,
+      message: `Confirmed, but the action could not be carried out: ${confirmed.error}`,
+      data: confirmed
+    });
+  }
+
+  res.json({
+    success: true,
+    message: `${definition.label}: done`,
+    data: {
+      approval: confirmed,
+      result: confirmResult.result
+    }
+  });
+}));
+
+// Reject (checker) or withdraw (requester) a pending action; a reason is required
+['reject', 'cancel'].forEach((action) => {
+  router.post(`/:approvalId/${action}`, verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+    const reason = req.body?.reason && String(req.body.reason).trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required'
+      });
+    }
+
+    const approvalService = new ApprovalService(dbConnection.getDb());
+    const approval = await loadApproval(req, res, approvalService);
+    if (!approval) return;
+
+    if (action === 'reject' && !approvalService.isEligibleChecker(req.adminUser, approval)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Your role cannot reject this action'
+      });
+    }
+
+    const closeResult = await approvalService.closeApproval(
+      req.adminUser.societyId,
+      approval._id,
+      action === 'reject' ? 'rejected' : 'cancelled',
+      { clerkUserId: req.adminUser.clerkUserId, name: req.adminUser.name },
+      reason
+    );
+
+    if (!closeResult.success) {
+      return res.status(400).json({
+        success: false,
+        message: closeResult.error || `Failed to ${action} action`
+      });
+    }
+
+    await logAdminAction(req.adminUser, action === 'reject' ? 'reject_approval' : 'withdraw_approval', APPROVAL_ACTIONS[approval.actionType].resource, {
+      approvalId: approval._id,
+      actionType: approval.actionType,
+      amount: approval.amount,
+      reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: action === 'reject' ? 'Action rejected' : 'Request withdrawn',
+      data: closeResult.data
+    });
+  }));
+});
+
+module.exports = router;
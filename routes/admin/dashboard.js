@@ -8,6 +8,9 @@ const {
 const { UserService, SocietyService } = require("../../models/services");
 const MaintenanceService = require("../../models/services/MaintenanceService");
 const JoinRequestService = require("../../models/services/JoinRequestService");
+const ExpenseService = require("../../models/services/ExpenseService");
+const { financialYearOf } = require("../../utils/statements");
+const { toCsv } = require("../../utils/export");
 const dbConnection = require("../../config/database");
 
 /**
@@ -237,6 +240,96 @@ router.get(
   })
 );
 
-module.exports = router;
+/**
+ * @route   GET /api/admin/dashboard/pnl
+ * @desc    Income vs expense (P&L) for a financial year (?fy=2025-26, default current)
+ *          or a single month (?month=2025-04); ?format=csv downloads the monthly rows
+ * @access  Admin
+ */
+router.get(
+  "/pnl",
+  verifyAdminAuth,
+  requirePermission("expenses", "read"),
+  asyncHandler(async (req, res) => {
+    const { adminUser } = req;
+    const { month, format = "json" } = req.query;
+    const fy = req.query.fy || financialYearOf();
+    const db = dbConnection.getDb();
+
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid format",
+        message: "format must be json or csv",
+      });
+    }
+
+    try {
+      const expenseService = new ExpenseService(db);
+      const result = await expenseService.getProfitAndLoss(
+        adminUser.societyId,
+        month ? { period: month } : { financialYear: fy }
+      );
 
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          error: "Failed to build profit and loss report",
+          message: result.error,
+        });
+      }
+
+      if (format === "csv") {
+        const rows = result.data.months.map((item) => ({
+          period: item.period,
+          collections: item.income.collections,
+          refunds: item.income.refunds,
+          netIncome: item.income.net,
+          expenses: item.expenses.total,
+          surplus: item.surplus,
+        }));
+        rows.push({
+          period: "Total",
+          collections: result.data.totals.income.collections,
+          refunds: result.data.totals.income.refunds,
+          netIncome: result.data.totals.income.net,
+          expenses: result.data.totals.expenses.total,
+          surplus: result.data.totals.surplus,
+        });
 
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="pnl-${month || fy}.csv"`
+        );
+        return res.send(
+          toCsv(
+            [
+              { key: "period", header: "Month" },
+              { key: "collections", header: "Collections" },
+              { key: "refunds", header: "Refunds" },
+              { key: "netIncome", header: "Net Income" },
+              { key: "expenses", header: "Expenses" },
+              { key: "surplus", header: "Surplus" },
+            ],
+            rows
+          )
+        );
+      }
+
+      res.json({
+        success: true,
+        data: result.data,
+      });
+    } catch (error) {
+      console.error("Dashboard P&L error:", error);
+      res.status(500).json({
+        success: false,
+        error: "Failed to fetch profit and loss report",
+        message: error.message,
+      });
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,443 @@
+const express = require('express');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { verifyAdminAuth, requirePermission, logAdminAction } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validateObjectIds } = require('../../middleware/validation');
+const { ObjectId } = require('mongodb');
+const dbConnection = require('../../config/database');
+const ExpenseService = require('../../models/services/ExpenseService');
+const { EXPENSE_STATUSES } = require('../../utils/expenses');
+const { createDiskUpload, publishUpload } = require('../../utils/uploads');
+const { holdForSecondAdmin, formatRupees } = require('../../middleware/makerChecker');
+
+const router = express.Router();
+
+// Bills and invoices go through the same upload pipeline as payment screenshots
+const billUpload = createDiskUpload('expenses', {
+  allowedTypes: ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'],
+  maxFileSize: 8 * 1024 * 1024,
+  typeError: 'Only JPG, PNG, WEBP and PDF bills are allowed'
+});
+
+const errorStatus = (error) => (/not found/i.test(error || '') ? 404 : 400);
+
+// List expense categories
+router.get('/categories', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'read'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const categoriesResult = await expenseService.listCategories(req.adminUser.societyId, {
+    activeOnly: req.query.activeOnly === 'true'
+  });
+
+  if (!categoriesResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expense categories'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: categoriesResult.data
+  });
+}));
+
+// Add an expense category
+router.post('/categories', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const categoryResult = await expenseService.createCategory(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!categoryResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: categoryResult.error || 'Failed to create expense category'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'create_expense_category', 'expenses', {
+    categoryId: categoryResult.data._id,
+    name: categoryResult.data.name,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Expense category created',
+    data: categoryResult.data
+  });
+}));
+
+// Rename or (de)activate an expense category
+router.put('/categories/:categoryId', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('categoryId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const categoryResult = await expenseService.updateCategory(req.adminUser.societyId, req.params.categoryId, req.body || {});
+
+  if (!categoryResult.success) {
+    return res.status(errorStatus(categoryResult.error)).json({
+      success: false,
+      message: categoryResult.error || 'Failed to update expense category'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_expense_category', 'expenses', {
+    categoryId: req.params.categoryId,
+    changes: req.body,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Expense category updated',
+    data: categoryResult.data
+  });
+}));
+
+// List vendors
+router.get('/vendors', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'read'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const vendorsResult = await expenseService.listVendors(req.adminUser.societyId, {
+    activeOnly: req.query.activeOnly === 'true',
+    search: req.query.search
+  });
+
+  if (!vendorsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch vendors'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: vendorsResult.data
+  });
+}));
+
+// Add a vendor
+router.post('/vendors', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const vendorResult = await expenseService.createVendor(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!vendorResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: vendorResult.error || 'Failed to create vendor'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'create_vendor', 'expenses', {
+    vendorId: vendorResult.data._id,
+    name: vendorResult.data.name,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Vendor created',
+    data: vendorResult.data
+  });
+}));
+
+// Update a vendor
+router.put('/vendors/:vendorId', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('vendorId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const vendorResult = await expenseService.updateVendor(req.adminUser.societyId, req.params.vendorId, req.body || {});
+
+  if (!vendorResult.success) {
+    return res.status(errorStatus(vendorResult.error)).json({
+      success: false,
+      message: vendorResult.error || 'Failed to update vendor'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_vendor', 'expenses', {
+    vendorId: req.params.vendorId,
+    changes: req.body,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Vendor updated',
+    data: vendorResult.data
+  });
+}));
+
+// List expenses
+router.get('/', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'read'), asyncHandler(async (req, res) => {
+  const { status, categoryId, vendorId, period, from, to, page, limit } = req.query;
+
+  if (status && !EXPENSE_STATUSES.includes(status)) {
+    return res.status(400).json({
+      success: false,
+      message: `status must be one of: ${EXPENSE_STATUSES.join(', ')}`
+    });
+  }
+  if ((categoryId && !ObjectId.isValid(categoryId)) || (vendorId && !ObjectId.isValid(vendorId))) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid category or vendor ID'
+    });
+  }
+
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const expensesResult = await expenseService.listExpenses(req.adminUser.societyId, {
+    status, categoryId, vendorId, period, from, to, page, limit
+  });
+
+  if (!expensesResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expenses'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: expensesResult.data
+  });
+}));
+
+// Record an expense; it waits for approval by a different admin
+router.post('/', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const expenseResult = await expenseService.createExpense(req.adminUser.societyId, req.body || {}, {
+    clerkUserId: req.adminUser.clerkUserId,
+    name: req.adminUser.name
+  });
+
+  if (!expenseResult.success) {
+    return res.status(errorStatus(expenseResult.error)).json({
+      success: false,
+      message: expenseResult.error || 'Failed to record expense'
+    });
+  }
+
+  const expense = expenseResult.data;
+  await logAdminAction(req.adminUser, 'create_expense', 'expenses', {
+    expenseId: expense._id,
+    title: expense.title,
+    amount: expense.amount,
+    categoryName: expense.categoryName,
+    vendorName: expense.vendorName,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Expense recorded and waiting for approval',
+    data: expense
+  });
+}));
+
+// Expense details
+router.get('/:expenseId', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'read'), validateObjectIds('expenseId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const expenseResult = await expenseService.getExpense(req.adminUser.societyId, req.params.expenseId);
+
+  if (!expenseResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch expense'
+    });
+  }
+  if (!expenseResult.data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Expense not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: expenseResult.data
+  });
+}));
+
+// Edit an expense that is still waiting for approval
+router.put('/:expenseId', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('expenseId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const expenseResult = await expenseService.updateExpense(req.adminUser.societyId, req.params.expenseId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!expenseResult.success) {
+    return res.status(errorStatus(expenseResult.error)).json({
+      success: false,
+      message: expenseResult.error || 'Failed to update expense'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_expense', 'expenses', {
+    expenseId: req.params.expenseId,
+    changes: req.body,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Expense updated',
+    data: expenseResult.data
+  });
+}));
+
+// Attach a bill or invoice (image or PDF)
+router.post('/:expenseId/bills', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('expenseId'), billUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A bill file is required'
+    });
+  }
+
+  const file = await publishUpload(req, 'expenses');
+
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const billResult = await expenseService.addBill(req.adminUser.societyId, req.params.expenseId, file, req.adminUser.clerkUserId);
+
+  if (!billResult.success) {
+    return res.status(errorStatus(billResult.error)).json({
+      success: false,
+      message: billResult.error || 'Failed to attach bill'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'attach_expense_bill', 'expenses', {
+    expenseId: req.params.expenseId,
+    billId: billResult.bill._id,
+    fileName: file.originalName,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Bill attached',
+    data: billResult.data
+  });
+}));
+
+// Remove a bill from an expense waiting for approval
+router.delete('/:expenseId/bills/:billId', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('expenseId', 'billId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+  const billResult = await expenseService.removeBill(req.adminUser.societyId, req.params.expenseId, req.params.billId);
+
+  if (!billResult.success) {
+    return res.status(errorStatus(billResult.error)).json({
+      success: false,
+      message: billResult.error || 'Failed to remove bill'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'remove_expense_bill', 'expenses', {
+    expenseId: req.params.expenseId,
+    billId: req.params.billId,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Bill removed',
+    data: billResult.data
+  });
+}));
+
+// Approve an expense recorded by another admin
+router.post('/:expenseId/approve', verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('expenseId'), asyncHandler(async (req, res) => {
+  const expenseService = new ExpenseService(dbConnection.getDb());
+
+  const existingResult = await expenseService.getExpense(req.adminUser.societyId, req.params.expenseId);
+  const existing = existingResult.data;
+  if (!existing) {
+    return res.status(existingResult.success ? 404 : 500).json({
+      success: false,
+      message: existingResult.success ? 'Expense not found' : 'Failed to fetch expense'
+    });
+  }
+  if (existing.status !== 'pending_approval') {
+    return res.status(400).json({
+      success: false,
+      message: `Expense is ${existing.status} and can't be approved`
+    });
+  }
+  const makers = [existing.createdBy, ...(existing.editedBy || [])];
+  if (makers.includes(req.adminUser.clerkUserId)) {
+    return res.status(403).json({
+      success: false,
+      message: 'An expense must be approved by an admin other than the one who recorded or edited it'
+    });
+  }
+
+  // Large payouts can need yet another admin under the society's approval policy
+  const held = await holdForSecondAdmin(req, res, {
+    actionType: 'expense_approval',
+    amount: existing.amount,
+    targetKey: `expense_approval:${existing._id}`,
+    params: { expenseId: existing._id.toString(), notes: req.body?.notes },
+    summary: `Approve ${formatRupees(existing.amount)} expense "${existing.title}"${existing.vendorName ? ` to ${existing.vendorName}` : ''}`,
+    excludedCheckers: makers
+  });
+  if (held) return;
+
+  const expenseResult = await expenseService.approveExpense(req.adminUser.societyId, req.params.expenseId, {
+    clerkUserId: req.adminUser.clerkUserId,
+    name: req.adminUser.name
+  }, req.body?.notes);
+
+  if (!expenseResult.success) {
+    const status = /other than/.test(expenseResult.error || '') ? 403 : errorStatus(expenseResult.error);
+    return res.status(status).json({
+      success: false,
+      message: expenseResult.error || 'Failed to approve expense'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'approve_expense', 'expenses', {
+    expenseId: req.params.expenseId,
+    amount: expenseResult.data.amount,
+    recordedBy: expenseResult.data.createdBy,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Expense approved',
+    data: expenseResult.data
+  });
+}));
+
+// Reject or cancel an expense; both need a reason
+['reject', 'cancel'].forEach((action) => {
+  router.post(`/:expenseId/${action}`, verifyClerkToken, verifyAdminAuth, requirePermission('expenses', 'write'), validateObjectIds('expenseId'), asyncHandler(async (req, res) => {
+    const reason = req.body?.reason && String(req.body.reason).trim();
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        message: `A reason is required to ${action} an expense`
+      });
+    }
+
+    const expenseService = new ExpenseService(dbConnection.getDb());
+    const admin = { clerkUserId: req.adminUser.clerkUserId, name: req.adminUser.name };
+    const expenseResult = action === 'reject'
+      ? await expenseService.rejectExpense(req.adminUser.societyId, req.params.expenseId, admin, reason)
+      : await expenseService.cancelExpense(req.adminUser.societyId, req.params.expenseId, admin, reason);
+
+    if (!expenseResult.success) {
+      return res.status(errorStatus(expenseResult.error)).json({
+        success: false,
+        message: expenseResult.error || `Failed to ${action} expense`
+      });
+    }
+
+    await logAdminAction(req.adminUser, `${action}_expense`, 'expenses', {
+      expenseId: req.params.expenseId,
+      reason,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: action === 'reject' ? 'Expense rejected' : 'Expense cancelled',
+      data: expenseResult.data
+    });
+  }));
+});
+
+module.exports = router;
@@ -0,0 +1,186 @@
+const express = require('express');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { verifyAdminAuth, requirePermission, logAdminAction, getAllowedWings } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validateObjectIds } = require('../../middleware/validation');
+const dbConnection = require('../../config/database');
+const InviteService = require('../../models/services/InviteService');
+const { formatInviteCode, buildInviteLink, renderInviteQr } = require('../../utils/invites');
+
+const router = express.Router();
+
+const errorStatus = (error) => {
+  if (/not found/i.test(error || '')) return 404;
+  if (/already been revoked/i.test(error || '')) return 409;
+  return 400;
+};
+
+// Invite with the code as people read it and the link its QR code encodes
+const serializeInvite = (invite) => ({
+  ...invite,
+  displayCode: formatInviteCode(invite.code),
+  link: buildInviteLink(invite.code)
+});
+
+// Fetch an invite the admin may see, answering the request if they can't
+const loadInvite = async (req, res) => {
+  const inviteService = new InviteService(dbConnection.getDb());
+  const inviteResult = await inviteService.getInvite(req.adminUser.societyId, req.params.inviteId);
+
+  if (!inviteResult.success) {
+    res.status(errorStatus(inviteResult.error)).json({
+      success: false,
+      message: inviteResult.error || 'Failed to fetch invite'
+    });
+    return null;
+  }
+
+  const wings = getAllowedWings(req.adminUser);
+  if (wings && !wings.includes(inviteResult.data.wing)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+    return null;
+  }
+
+  return inviteResult.data;
+};
+
+// List invites
+router.get('/', verifyClerkToken, verifyAdminAuth, requirePermission('join_requests', 'read'), asyncHandler(async (req, res) => {
+  const inviteService = new InviteService(dbConnection.getDb());
+  const invitesResult = await inviteService.listInvites(req.adminUser.societyId, {
+    state: req.query.state,
+    wings: getAllowedWings(req.adminUser)
+  });
+
+  if (!invitesResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invites'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: invitesResult.data.map(serializeInvite)
+  });
+}));
+
+// Issue an invite for a wing, flat and resident type
+router.post('/', verifyClerkToken, verifyAdminAuth, requirePermission('join_requests', 'write'), asyncHandler(async (req, res) => {
+  const { wing, flatNumber, residentType, expiresInDays, expiresAt, maxUses, note } = req.body || {};
+
+  const inviteService = new InviteService(dbConnection.getDb());
+  const inviteResult = await inviteService.createInvite(
+    req.adminUser.societyId,
+    { wing, flatNumber, residentType, expiresInDays, expiresAt, maxUses, note },
+    req.adminUser.clerkUserId
+  );
+
+  if (!inviteResult.success) {
+    return res.status(errorStatus(inviteResult.error)).json({
+      success: false,
+      message: inviteResult.error || 'Failed to create invite'
+    });
+  }
+
+  const invite = inviteResult.data;
+  await logAdminAction(req.adminUser, 'create_invite', 'join_requests', {
+    inviteId: invite._id,
+    code: invite.code,
+    wing: invite.wing,
+    flatNumber: invite.flatNumber,
+    residentType: invite.residentType,
+    maxUses: invite.maxUses,
+    expiresAt: invite.expiresAt,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Invite created',
+    data: serializeInvite(invite)
+  });
+}));
+
+// Invite with its redemptions
+router.get('/:inviteId', verifyClerkToken, verifyAdminAuth, requirePermission('join_requests', 'read'), validateObjectIds('inviteId'), asyncHandler(async (req, res) => {
+  const invite = await loadInvite(req, res);
+  if (!invite) return;
+
+  res.json({
+    success: true,
+    data: serializeInvite(invite)
+  });
+}));
+
+// Invite link as a QR code: format=json (both images), png or svg
+router.get('/:inviteId/qr', verifyClerkToken, verifyAdminAuth, requirePermission('join_requests', 'read'), validateObjectIds('inviteId'), asyncHandler(async (req, res) => {
+  const { format = 'json' } = req.query;
+  if (!['json', 'png', 'svg'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be one of: json, png, svg'
+    });
+  }
+
+  const invite = await loadInvite(req, res);
+  if (!invite) return;
+
+  const link = buildInviteLink(invite.code);
+
+  if (format === 'png') {
+    res.setHeader('Content-Type', 'image/png');
+    return res.send(await renderInviteQr(link, 'png'));
+  }
+  if (format === 'svg') {
+    res.setHeader('Content-Type', 'image/svg+xml');
+    return res.send(await renderInviteQr(link, 'svg'));
+  }
+
+  const png = await renderInviteQr(link, 'png');
+
+  res.json({
+    success: true,
+    data: {
+      code: formatInviteCode(invite.code),
+      link,
+      state: invite.state,
+      expiresAt: invite.expiresAt,
+      qrCode: {
+        png: `data:image/png;base64,${png.toString('base64')}`,
+        svg: await renderInviteQr(link, 'svg')
+      }
+    }
+  });
+}));
+
+// Revoke an invite
+router.post('/:inviteId/revoke', verifyClerkToken, verifyAdminAuth, requirePermission('join_requests', 'write'), validateObjectIds('inviteId'), asyncHandler(async (req, res) => {
+  const inviteService = new InviteService(dbConnection.getDb());
+  const inviteResult = await inviteService.revokeInvite(req.adminUser.societyId, req.params.inviteId, req.adminUser.clerkUserId);
+
+  if (!inviteResult.success) {
+    return res.status(errorStatus(inviteResult.error)).json({
+      success: false,
+      message: inviteResult.error || 'Failed to revoke invite'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'revoke_invite', 'join_requests', {
+    inviteId: inviteResult.data._id,
+    code: inviteResult.data.code,
+    usedCount: inviteResult.data.usedCount,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Invite revoked',
+    data: serializeInvite(inviteResult.data)
+  });
+}));
+
+module.exports = router;
@@ -3,6 +3,9 @@ const router = express.Router();
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { verifyAdminAuth, requirePermission, logAdminAction } = require('../../middleware/adminAuth');
 const dbConnection = require('../../config/database');
+const JoinRequestService = require('../../models/services/JoinRequestService');
+const JoinRequestSlaService = require('../../models/services/JoinRequestSlaService');
+const { getJoinRequestSla, getRequiredDocuments, describeSla, summarizeDecisionTimes } = require('../../utils/joinRequests');
 const { ObjectId } = require('mongodb');
 
 /**
@@ -110,6 +113,8 @@ router.get('/', verifyAdminAuth, requirePermission('join_requests', 'read'), asy
             rejectionReason: request.rejectionReason,
             requestedData: request.requestedData,
             documents: request.documents || [],
+            conflicts: request.conflicts || [],
+            invite: request.invite || null,
             // Enriched user data
             user: {
               name: clerkData.first_name && clerkData.last_name 
@@ -133,6 +138,8 @@ router.get('/', verifyAdminAuth, requirePermission('join_requests', 'read'), asy
             rejectionReason: request.rejectionReason,
             requestedData: request.requestedData,
             documents: request.documents || [],
+            conflicts: request.conflicts || [],
+            invite: request.invite || null,
             user: {
               name: 'Unknown User',
               email: '',
@@ -177,12 +184,11 @@ router.get('/stats', verifyAdminAuth, requirePermission('join_requests', 'read')
     const societiesCollection = db.collection('societies');
 
     // For super admins, get all societies; for regular admins, validate societyId
-    let requests = [];
+    let societies = [];
 
     if (adminUser.role === 'super_admin') {
       // Super admin can see all join requests from all societies
-      const allSocieties = await societiesCollection.find({}).toArray();
-      requests = allSocieties.flatMap(soc => soc.requests || []);
+      societies = await societiesCollection.find({}).toArray();
     } else {
       // Regular admin needs a specific society
       if (!adminUser.societyId) {
@@ -215,14 +221,26 @@ router.get('/stats', verifyAdminAuth, requirePermission('join_requests', 'read')
         });
       }
 
-      requests = society.requests || [];
+      societies = [society];
     }
-    
+
+    const requests = societies.flatMap(soc => soc.requests || []);
+
     // Calculate statistics
     const total = requests.length;
     const pending = requests.filter(req => req.status === 'pending').length;
     const approved = requests.filter(req => req.status === 'approved').length;
     const rejected = requests.filter(req => req.status === 'rejected').length;
+    const expired = requests.filter(req => req.status === 'expired').length;
+
+    // Pending requests past their society's review SLA, and the ones waiting on applicants
+    const now = new Date();
+    const slaStates = societies.flatMap(soc => {
+      const sla = getJoinRequestSla(soc.settings);
+      return (soc.requests || [])
+        .filter(req => req.status === 'pending')
+        .map(req => describeSla(req, sla, getRequiredDocuments(soc.settings, req.requestedData?.residentType), now));
+    });
     
     // This month's requests
     const thisMonthStart = new Date();
@@ -239,7 +257,11 @@ router.get('/stats', verifyAdminAuth, requirePermission('join_requests', 'read')
         pending,
         approved,
         rejected,
-        thisMonth
+        expired,
+        thisMonth,
+        overdue: slaStates.filter(state => state.overdue).length,
+        awaitingApplicant: slaStates.filter(state => state.awaitingApplicant).length,
+        timeToDecision: summarizeDecisionTimes(requests)
       }
     });
   } catch (error) {
@@ -251,6 +273,47 @@ router.get('/stats', verifyAdminAuth, requirePermission('join_requests', 'read')
   }
 }));
 
+/**
+ * @route   POST /api/admin/join-requests/sla/run
+ * @desc    Send due SLA reminders and expire stale requests now, or preview with dryRun
+ * @access  Admin
+ */
+router.post('/sla/run', verifyAdminAuth, requirePermission('join_requests', 'write'), asyncHandler(async (req, res) => {
+  const { adminUser } = req;
+  const dryRun = req.body?.dryRun === true;
+
+  if (!adminUser.societyId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Admin user does not have a society assigned'
+    });
+  }
+
+  const slaService = new JoinRequestSlaService(dbConnection.getDb());
+  const runResult = await slaService.runDueSla({ societyId: adminUser.societyId, dryRun });
+
+  if (!runResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to apply the join request SLA'
+    });
+  }
+
+  if (!dryRun) {
+    await logAdminAction(adminUser, 'run_join_request_sla', 'join_requests', {
+      reminded: runResult.data.reminded,
+      escalated: runResult.data.escalated,
+      expired: runResult.data.expired,
+      ipAddress: req.ip
+    });
+  }
+
+  res.json({
+    success: true,
+    data: runResult.data.results[0] || null
+  });
+}));
+
 /**
  * @route   POST /api/admin/join-requests/:id/approve
  * @desc    Approve a join request
@@ -261,7 +324,6 @@ router.post('/:id/approve', verifyAdminAuth, requirePermission('join_requests',
     const { id } = req.params;
     const { adminUser } = req;
     const db = dbConnection.getDb();
-    const societiesCollection = db.collection('societies');
 
     // Validate societyId
     if (!adminUser.societyId) {
@@ -282,92 +344,21 @@ router.post('/:id/approve', verifyAdminAuth, requirePermission('join_requests',
       });
     }
 
-    // Get the society with its requests
-    const society = await societiesCollection.findOne({
-      _id: societyId
-    });
-
-    if (!society) {
-      return res.status(404).json({
-        success: false,
-        message: 'Society not found'
-      });
-    }
-
-    // Find the specific request
-    const requestIndex = society.requests.findIndex(req => 
-      req.requestId.toString() === id
-    );
-
-    if (requestIndex === -1) {
-      return res.status(404).json({
-        success: false,
-        message: 'Join request not found'
-      });
-    }
-
-    const joinRequest = society.requests[requestIndex];
-
-    if (joinRequest.status !== 'pending') {
-      return res.status(400).json({
-        success: false,
-        message: 'Join request is not pending'
-      });
-    }
-
-    // Update join request status in society
-    society.requests[requestIndex] = {
-      ...joinRequest,
-      status: 'approved',
-      reviewedBy: adminUser.clerkUserId,
-      reviewedAt: new Date(),
-      updatedAt: new Date()
-    };
-
-    await societiesCollection.updateOne(
-      { _id: new ObjectId(adminUser.societyId) },
-      {
-        $set: {
-          requests: society.requests,
-          updatedAt: new Date()
-        }
-      }
-    );
-
-    // Upsert user document with approved membership
-    const usersCollection = db.collection('users');
-    await usersCollection.updateOne(
-      { clerkUserId: joinRequest.clerkUserId },
-      {
-        $setOnInsert: {
-          clerkUserId: joinRequest.clerkUserId,
-          isActive: true,
-          createdAt: new Date(),
-        },
-        $set: {
-          societyId: new ObjectId(adminUser.societyId),
-          societyName: society.name,
-          wing: joinRequest.requestedData.wing,
-          flatNumber: joinRequest.requestedData.flatNumber,
-          residentType: joinRequest.requestedData.residentType,
-          contactNumber: joinRequest.requestedData.contactNumber,
-          isApproved: true,
-          approvedAt: new Date(),
-          updatedAt: new Date(),
-          joinRequestId: null,
-        }
-      },
-      { upsert: true }
-    );
-
-    // Add user to society's residents array
-    await societiesCollection.updateOne(
-      { _id: new ObjectId(adminUser.societyId) },
-      {
-        $addToSet: { residents: joinRequest.clerkUserId },
-        $set: { updatedAt: new Date() }
+    // Approve and onboard the applicant; a request reviewed meanwhile is no
+    // longer pending, and required documents must all be verified
+    const joinRequestService = new JoinRequestService(db);
+    let joinRequest;
+    try {
+      ({ data: joinRequest } = await joinRequestService.approveJoinRequest(id, adminUser.clerkUserId, { societyId }));
+    } catch (error) {
+      if (/not found|not pending|not verified|valid requestId/i.test(error.message)) {
+        return res.status(/not found/i.test(error.message) ? 404 : 400).json({
+          success: false,
+          message: error.message
+        });
       }
-    );
+      throw error;
+    }
 
     // Log admin action
     await logAdminAction(adminUser, 'approve_join_request', 'join_requests', {
@@ -529,6 +520,91 @@ router.post('/:id/reject', verifyAdminAuth, requirePermission('join_requests', '
   }
 }));
 
+// Record a decision on one document of a pending request
+const reviewDocument = (decision, action) => asyncHandler(async (req, res) => {
+  const { id, type } = req.params;
+  const { reason } = req.body || {};
+  const { adminUser } = req;
+
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid join request ID'
+    });
+  }
+
+  const joinRequestService = new JoinRequestService(dbConnection.getDb());
+  let review;
+  try {
+    ({ data: review } = await joinRequestService.reviewDocument(
+      adminUser.societyId,
+      id,
+      type,
+      { decision, reason },
+      adminUser.clerkUserId
+    ));
+  } catch (error) {
+    if (/not found|not pending|has been uploaded|validation failed/i.test(error.message)) {
+      return res.status(/not found|has been uploaded/i.test(error.message) ? 404 : 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    throw error;
+  }
+
+  await logAdminAction(adminUser, action, 'join_requests', {
+    requestId: id,
+    userId: review.joinRequest.clerkUserId,
+    documentType: type,
+    reason: review.document.rejectionReason,
+    ipAddress: req.ip
+  });
+
+  // Tell the applicant, especially when they need to upload again
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`user_${review.joinRequest.clerkUserId}`).emit('join_request_document_reviewed', {
+      requestId: id,
+      documentType: type,
+      status: review.document.status,
+      reason: review.document.rejectionReason,
+      reviewedAt: review.document.reviewedAt
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Document review recorded',
+    data: {
+      requestId: id,
+      document: review.document,
+      documentChecklist: review.checklist
+    }
+  });
+});
+
+/**
+ * @route   POST /api/admin/join-requests/:id/documents/:type/verify
+ * @desc    Mark a document as verified
+ * @access  Admin
+ */
+router.post('/:id/documents/:type/verify', verifyAdminAuth, requirePermission('join_requests', 'write'), reviewDocument('verified', 'verify_join_request_document'));
+
+/**
+ * @route   POST /api/admin/join-requests/:id/documents/:type/reject
+ * @desc    Reject a document (reason required); the request stays pending
+ * @access  Admin
+ */
+router.post('/:id/documents/:type/reject', verifyAdminAuth, requirePermission('join_requests', 'write'), reviewDocument('rejected', 'reject_join_request_document'));
+
+/**
+ * @route   POST /api/admin/join-requests/:id/documents/:type/request-reupload
+ * @desc    Ask the applicant to upload a document again (reason required)
+ * @access  Admin
+ */
+router.post('/:id/documents/:type/request-reupload', verifyAdminAuth, requirePermission('join_requests', 'write'), reviewDocument('reupload_requested', 'request_join_request_document_reupload'));
+
 /**
  * @route   GET /api/admin/join-requests/:id
  * @desc    Get detailed join request information
@@ -539,12 +615,21 @@ router.get('/:id', verifyAdminAuth, requirePermission('join_requests', 'read'),
     const { id } = req.params;
     const { adminUser } = req;
     const db = dbConnection.getDb();
-    const joinRequestsCollection = db.collection('joinRequests');
 
-    const joinRequest = await joinRequestsCollection.findOne({
-      _id: new ObjectId(id),
-      societyId: new ObjectId(adminUser.societyId)
-    });
+    if (!ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid join request ID'
+      });
+    }
+
+    // Requests are kept on the society document; older ones in joinRequests
+    const society = await db.collection('societies').findOne({ _id: new ObjectId(adminUser.societyId) });
+    const joinRequest = (society?.requests || []).find(request => request.requestId?.toString() === id)
+      || await db.collection('joinRequests').findOne({
+        _id: new ObjectId(id),
+        societyId: new ObjectId(adminUser.societyId)
+      });
 
     if (!joinRequest) {
       return res.status(404).json({
@@ -570,10 +655,25 @@ router.get('/:id', verifyAdminAuth, requirePermission('join_requests', 'read'),
       console.warn(`Failed to fetch Clerk data for user ${joinRequest.clerkUserId}:`, error);
     }
 
+    // Residents may have joined or left since the request was made
+    let currentConflicts = null;
+    if (joinRequest.status === 'pending' && joinRequest.requestedData?.wing) {
+      try {
+        const assessment = await new JoinRequestService(db).assessRequestedFlat(society, {
+          wing: joinRequest.requestedData.wing,
+          flatNumber: joinRequest.requestedData.flatNumber,
+          residentType: joinRequest.requestedData.residentType
+        }, joinRequest.clerkUserId);
+        currentConflicts = assessment.data.conflicts;
+      } catch (error) {
+        currentConflicts = [{ type: 'invalid_flat', message: error.message, source: null, clerkUserId: null, residentType: null }];
+      }
+    }
+
     const enrichedRequest = {
-      id: joinRequest._id.toString(),
+      id: (joinRequest.requestId || joinRequest._id).toString(),
       clerkUserId: joinRequest.clerkUserId,
-      societyName: joinRequest.societyName,
+      societyName: joinRequest.societyName || society?.name,
       status: joinRequest.status,
       submittedAt: joinRequest.submittedAt,
       reviewedAt: joinRequest.reviewedAt,
@@ -581,6 +681,20 @@ router.get('/:id', verifyAdminAuth, requirePermission('join_requests', 'read'),
       rejectionReason: joinRequest.rejectionReason,
       requestedData: joinRequest.requestedData,
       documents: joinRequest.documents || [],
+      // Warnings recorded when the request was made, and as of now while pending
+      conflicts: joinRequest.conflicts || [],
+      invite: joinRequest.invite || null,
+      currentConflicts,
+      // Documents the society requires for this resident type and where each stands
+      documentChecklist: society && joinRequest.requestId
+        ? new JoinRequestService(db).getDocumentChecklist(society, joinRequest)
+        : null,
+      // Review deadline, and whether the request is waiting on the applicant
+      sla: society && joinRequest.requestId
+        ? describeSla(joinRequest, getJoinRequestSla(society.settings), getRequiredDocuments(society.settings, joinRequest.requestedData?.residentType))
+        : null,
+      expiredAt: joinRequest.expiredAt || null,
+      expiryReason: joinRequest.expiryReason || null,
       user: {
         name: clerkData.first_name && clerkData.last_name 
           ? `${clerkData.first_name} ${clerkData.last_name}` 
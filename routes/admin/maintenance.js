@@ -1,15 +1,81 @@
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const { verifyClerkToken, getUserDetails, clerkClient } = require('../../middleware/auth');
-const { verifyAdminAuth } = require('../../middleware/adminAuth');
+const { verifyAdminAuth, requirePermission, logAdminAction, getAllowedWings } = require('../../middleware/adminAuth');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { ObjectId } = require('mongodb');
 const dbConnection = require('../../config/database');
 const UserService = require('../../models/services/UserService');
 const MaintenanceService = require('../../models/services/MaintenanceService');
+const MaintenanceLedgerService = require('../../models/services/MaintenanceLedgerService');
+const MaintenanceReceiptService = require('../../models/services/MaintenanceReceiptService');
+const BankReconciliationService = require('../../models/services/BankReconciliationService');
 const SocietyService = require('../../models/services/SocietyService');
+const LevyService = require('../../models/services/LevyService');
+const MaintenanceReminderService = require('../../models/services/MaintenanceReminderService');
+const ApprovalService = require('../../models/services/ApprovalService');
+const UnitService = require('../../models/services/UnitService');
+const { AGING_BUCKETS } = require('../../utils/aging');
+const { toCsv, toXlsx } = require('../../utils/export');
+const { parseFinancialYear } = require('../../utils/statements');
+const { renderStatementsPdf } = require('../../utils/statementPdf');
+const { holdForSecondAdmin, formatRupees } = require('../../middleware/makerChecker');
+const { canTransition, isTransitionError } = require('../../utils/maintenanceStatus');
 
 const router = express.Router();
 
+// Bank statements are parsed in memory and never written to disk
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = ['.csv', '.ofx', '.qfx', '.txt'];
+    if (allowed.includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    cb(new Error('Only CSV and OFX bank statements are allowed'));
+  }
+});
+
+// Load a record of the admin's society for a payment correction, or send the error response
+const loadCorrectableRecord = async (req, res, maintenanceService) => {
+  const { recordId } = req.params;
+  if (!ObjectId.isValid(recordId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Invalid record ID'
+    });
+    return null;
+  }
+  if (!req.body.reason || !String(req.body.reason).trim()) {
+    res.status(400).json({
+      success: false,
+      message: 'A reason is required'
+    });
+    return null;
+  }
+
+  const recordResult = await maintenanceService.findById(recordId);
+  const record = recordResult.success ? recordResult.data : null;
+  if (!record || record.societyId?.toString() !== req.adminUser.societyId?.toString()) {
+    res.status(404).json({
+      success: false,
+      message: 'Record not found'
+    });
+    return null;
+  }
+
+  const wings = getAllowedWings(req.adminUser);
+  if (wings && !wings.includes(record.wing)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+    return null;
+  }
+
+  return record;
+};
+
 // Get maintenance records for a specific month
 router.get('/records', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
   const { month } = req.query;
@@ -69,13 +135,20 @@ router.get('/records', verifyClerkToken, verifyAdminAuth, asyncHandler(async (re
 
     // Create a map of existing records by clerkUserId
     const recordsMap = new Map();
+    // Records are per flat, so months settled by another resident's advance
+    // payment are found through the flat as well
+    const flatRecordsMap = new Map();
     records.forEach(record => {
       recordsMap.set(record.clerkUserId, record);
+      if (record.coveredBy && record.wing && record.flatNumber) {
+        flatRecordsMap.set(`${record.wing}|${record.flatNumber}`, record);
+      }
     });
 
     // Create records for all users, including those without maintenance records
     const allRecords = await Promise.all(users.map(async (user) => {
-      const existingRecord = recordsMap.get(user.clerkUserId);
+      const existingRecord = recordsMap.get(user.clerkUserId) ||
+        flatRecordsMap.get(`${user.wing}|${user.flatNumber}`);
       
       // Fetch user name from Clerk
       let userName = 'Unknown';
@@ -163,6 +236,16 @@ router.get('/records', verifyClerkToken, verifyAdminAuth, asyncHandler(async (re
           amount: existingRecord.amount || 0,
           monthsCount: existingRecord.monthsCount || 1,
           status: existingRecord.status || 'pending',
+          settlement: existingRecord.settlement || null,
+          coveredBy: existingRecord.coveredBy || null,
+          coverage: existingRecord.coverage || null,
+          receipt: existingRecord.receipt || null,
+          transactionId: existingRecord.transactionId || null,
+          reconciliation: existingRecord.reconciliation || null,
+          upiIntent: existingRecord.upiIntent || null,
+          // Same screenshot or transaction ID already submitted for another record
+          suspectedDuplicate: existingRecord.duplicateCheck?.suspected || false,
+          duplicateCheck: existingRecord.duplicateCheck || null,
           paymentScreenshot: screenshotSource, // base64 for local files, URL for remote
           paymentScreenshotUrl: screenshotUrl, // Always the URL (UploadThing or local public URL)
           notes: existingRecord.notes,
@@ -175,6 +258,7 @@ router.get('/records', verifyClerkToken, verifyAdminAuth, asyncHandler(async (re
             approvalStatus: existingRecord.paymentProof?.approvalStatus || 'pending',
             ...(existingRecord.paymentProof?.approvedAt && { approvedAt: existingRecord.paymentProof.approvedAt }),
             ...(existingRecord.paymentProof?.approvedBy && { approvedBy: existingRecord.paymentProof.approvedBy }),
+            ...(existingRecord.paymentProof?.approvedAmount !== undefined && { approvedAmount: existingRecord.paymentProof.approvedAmount }),
             ...(existingRecord.paymentProof?.rejectionReason && { rejectionReason: existingRecord.paymentProof.rejectionReason }),
           }
         };
@@ -219,6 +303,7 @@ router.get('/records', verifyClerkToken, verifyAdminAuth, asyncHandler(async (re
       paidUsers: allRecords.filter(r => r.status === 'paid' || r.status === 'approved').length,
       pendingUsers: allRecords.filter(r => r.status === 'pending').length,
       requestSentUsers: allRecords.filter(r => r.status === 'request_sent').length,
+      suspectedDuplicates: allRecords.filter(r => r.suspectedDuplicate).length,
       totalAmount: allRecords.reduce((sum, r) => sum + (r.amount || 0), 0),
       collectedAmount: allRecords
         .filter(r => r.status === 'paid' || r.status === 'approved')
@@ -255,14 +340,17 @@ router.post('/notify/:recordId', verifyClerkToken, verifyAdminAuth, asyncHandler
     const maintenanceService = new MaintenanceService(db);
 
   try {
-    // Update record status to request_sent
-    const updateResult = await maintenanceService.updateRecord(recordId, {
-      status: 'request_sent',
-      updatedAt: new Date()
+    // A reminder leaves the record's status alone; only a payment proof moves it to request_sent
+    const reminderResult = await maintenanceService.logReminder(recordId, {
+      sentBy: req.adminUser.clerkUserId,
+      channel: 'manual'
     });
 
-    if (!updateResult.success) {
-      throw new Error('Failed to update record status');
+    if (!reminderResult.success) {
+      return res.status(404).json({
+        success: false,
+        message: 'Record not found'
+      });
     }
 
     // TODO: Send actual notification (email, SMS, push notification)
@@ -308,18 +396,42 @@ router.post('/approve/:recordId', verifyClerkToken, verifyAdminAuth, asyncHandle
     }
 
     const record = recordResult.data;
-    const approvalAmount = amount ? parseFloat(amount) : (record.amount || 0);
+    if (!canTransition(record, 'approve')) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot approve a maintenance record that is ${record.status}`
+      });
+    }
+
+    const approvalAmount = amount ? parseFloat(amount) : (record.paymentProof?.claimedAmount ?? record.amount ?? 0);
     const approvalMonths = approvedForMonths ? parseInt(approvedForMonths) : (record.monthsCount || 1);
 
+    const held = await holdForSecondAdmin(req, res, {
+      actionType: 'payment_approval',
+      amount: approvalAmount,
+      targetKey: `payment_approval:${record._id}`,
+      wing: record.wing,
+      params: { recordId: record._id.toString(), amount: approvalAmount, months: approvalMonths },
+      summary: `Approve ${formatRupees(approvalAmount)} paid for ${record.wing}-${record.flatNumber} (${record.month}/${record.year})`
+    });
+    if (held) return;
+
     // Use the approvePayment method which updates both status and approvalStatus
     const updateResult = await maintenanceService.approvePayment(
       recordId,
       req.adminUser.clerkUserId,
       approvalAmount,
-      approvalMonths
+      approvalMonths,
+      { approverName: req.adminUser.name }
     );
 
     if (!updateResult.success) {
+      if (isTransitionError(updateResult.error)) {
+        return res.status(409).json({
+          success: false,
+          message: updateResult.error
+        });
+      }
       throw new Error(updateResult.error || 'Failed to approve payment');
     }
 
@@ -363,6 +475,12 @@ router.post('/reject/:recordId', verifyClerkToken, verifyAdminAuth, asyncHandler
     );
 
     if (!updateResult.success) {
+      if (isTransitionError(updateResult.error)) {
+        return res.status(409).json({
+          success: false,
+          message: updateResult.error
+        });
+      }
       throw new Error(updateResult.error || 'Failed to reject payment');
     }
 
@@ -381,4 +499,1128 @@ router.post('/reject/:recordId', verifyClerkToken, verifyAdminAuth, asyncHandler
   }
 }));
 
+// Generate monthly maintenance bills for every active flat
+router.post('/billing-runs', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { month } = req.body;
+
+  if (!month || !/^\d{4}-\d{2}$/.test(month)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Month is required (format: YYYY-MM)'
+    });
+  }
+
+  if (!req.adminUser.societyId) {
+    return res.status(400).json({
+      success: false,
+      message: 'Society ID is required'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  try {
+    const runResult = await maintenanceService.generateMonthlyBills(
+      req.adminUser.societyId,
+      month,
+      { triggeredBy: req.adminUser.clerkUserId }
+    );
+
+    if (!runResult.success) {
+      throw new Error(runResult.error || 'Failed to generate maintenance bills');
+    }
+
+    await logAdminAction(req.adminUser, 'generate_maintenance_bills', 'maintenance', {
+      month,
+      createdCount: runResult.data.createdCount,
+      skippedCount: runResult.data.skippedCount,
+      totalAmount: runResult.data.totalAmount,
+      ipAddress: req.ip
+    });
+
+    res.json({
+      success: true,
+      message: `Generated ${runResult.data.createdCount} maintenance bills for ${month}`,
+      data: runResult.data
+    });
+
+  } catch (error) {
+    console.error('Error generating maintenance bills:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to generate maintenance bills'
+    });
+  }
+}));
+
+// Get billing run history
+router.get('/billing-runs', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  const runsResult = await maintenanceService.getBillingRuns(req.adminUser.societyId, req.query.limit || 12);
+
+  if (!runsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch billing runs'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: runsResult.data
+  });
+}));
+
+// Run the overdue / late fee sweep for the admin's society
+router.post('/late-fees/sweep', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  const sweepResult = await maintenanceService.applyLateFees({ societyId: req.adminUser.societyId });
+
+  if (!sweepResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: sweepResult.error || 'Failed to apply late fees'
+    });
+  }
+
+  res.json({
+    success: true,
+    message: 'Late fee sweep completed',
+    data: sweepResult.data
+  });
+}));
+
+// Send the reminders the society's policy calls for now (dryRun lists them without sending)
+router.post('/reminders/run', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const dryRun = req.body?.dryRun === true;
+  const db = dbConnection.getDb();
+  const reminderService = new MaintenanceReminderService(db);
+
+  const runResult = await reminderService.sendDueReminders({ societyId: req.adminUser.societyId, dryRun });
+
+  if (!runResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: runResult.error || 'Failed to send reminders'
+    });
+  }
+
+  const [societyResult] = runResult.data.results;
+  if (!dryRun && societyResult?.records > 0) {
+    await logAdminAction(req.adminUser, 'send_maintenance_reminders', 'maintenance', {
+      records: societyResult.records,
+      notifications: societyResult.notifications,
+      ipAddress: req.ip
+    });
+  }
+
+  const skippedMessages = {
+    disabled: 'Automatic reminders are disabled for this society',
+    quiet_hours: 'Reminders are held during quiet hours'
+  };
+
+  res.json({
+    success: true,
+    message: skippedMessages[societyResult?.skipped] || (dryRun ? 'Reminders that would be sent now' : 'Reminders sent'),
+    data: societyResult || null
+  });
+}));
+
+// Reverse a mistakenly approved payment (reason required)
+router.post('/:recordId/reverse', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  const record = await loadCorrectableRecord(req, res, maintenanceService);
+  if (!record) return;
+
+  const reason = String(req.body.reason).trim();
+  const paidAmount = await new MaintenanceLedgerService(db).getRecordPaidAmount(record);
+  const held = await holdForSecondAdmin(req, res, {
+    actionType: 'payment_reversal',
+    amount: paidAmount,
+    targetKey: `payment_reversal:${record._id}`,
+    wing: record.wing,
+    params: { recordId: record._id.toString(), reason },
+    summary: `Reverse ${formatRupees(paidAmount)} paid for ${record.wing}-${record.flatNumber} (${record.month}/${record.year})`
+  });
+  if (held) return;
+
+  const reverseResult = await maintenanceService.reversePayment(record._id, {
+    reason,
+    reversedBy: req.adminUser.clerkUserId,
+    reversedByName: req.adminUser.name
+  });
+
+  if (!reverseResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: reverseResult.error || 'Failed to reverse payment'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'reverse_payment', 'maintenance', {
+    recordId: record._id,
+    wing: record.wing,
+    flatNumber: record.flatNumber,
+    previousStatus: record.status,
+    amount: reverseResult.reversal.amount,
+    reopenedRecords: reverseResult.reversal.reopenedRecords,
+    reason,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Payment reversed successfully',
+    data: reverseResult.data
+  });
+}));
+
+// Refund all or part of what was paid against a record (reason required)
+router.post('/:recordId/refund', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { amount, method, reference } = req.body;
+
+  if (amount !== undefined && amount !== null && !(Number(amount) > 0)) {
+    return res.status(400).json({
+      success: false,
+      message: 'amount must be a positive number'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  const record = await loadCorrectableRecord(req, res, maintenanceService);
+  if (!record) return;
+
+  const reason = String(req.body.reason).trim();
+  const refund = {
+    amount: amount === undefined || amount === null ? null : Number(amount),
+    reason,
+    method: method ? String(method).trim() : null,
+    reference: reference ? String(reference).trim() : null
+  };
+  const refundAmount = refund.amount ?? await new MaintenanceLedgerService(db).getRecordPaidAmount(record);
+  const held = await holdForSecondAdmin(req, res, {
+    actionType: 'payment_refund',
+    amount: refundAmount,
+    targetKey: `payment_refund:${record._id}`,
+    wing: record.wing,
+    params: { recordId: record._id.toString(), ...refund },
+    summary: `Refund ${formatRupees(refundAmount)} to ${record.wing}-${record.flatNumber} (${record.month}/${record.year})`
+  });
+  if (held) return;
+
+  const refundResult = await maintenanceService.refundPayment(record._id, {
+    ...refund,
+    refundedBy: req.adminUser.clerkUserId,
+    refundedByName: req.adminUser.name
+  });
+
+  if (!refundResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: refundResult.error || 'Failed to refund payment'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'refund_payment', 'maintenance', {
+    recordId: record._id,
+    wing: record.wing,
+    flatNumber: record.flatNumber,
+    previousStatus: record.status,
+    amount: refundResult.refund.amount,
+    method: refundResult.refund.method,
+    reference: refundResult.refund.reference,
+    reopenedRecords: refundResult.refund.reopenedRecords,
+    reason,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Refund recorded successfully',
+    data: refundResult.data
+  });
+}));
+
+// Waive a late fee on a maintenance record
+router.post('/:recordId/late-fees/:feeId/waive', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { recordId, feeId } = req.params;
+  const { reason } = req.body;
+
+  if (!ObjectId.isValid(recordId) || !ObjectId.isValid(feeId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid record or late fee ID'
+    });
+  }
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to waive a late fee'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+
+  const recordResult = await maintenanceService.findById(recordId);
+  const record = recordResult.success ? recordResult.data : null;
+  const fee = (record?.lateFees || []).find(item => item._id?.toString() === feeId);
+  if (!record || !fee || record.societyId?.toString() !== req.adminUser.societyId?.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Late fee not found'
+    });
+  }
+
+  const held = await holdForSecondAdmin(req, res, {
+    actionType: 'late_fee_waiver',
+    amount: fee.amount,
+    targetKey: `late_fee_waiver:${feeId}`,
+    wing: record.wing,
+    params: { recordId, feeId, reason: reason.trim() },
+    summary: `Waive ${formatRupees(fee.amount)} late fee for ${record.wing}-${record.flatNumber} (${record.month}/${record.year})`
+  });
+  if (held) return;
+
+  const waiveResult = await maintenanceService.waiveLateFee(
+    recordId,
+    feeId,
+    req.adminUser.clerkUserId,
+    reason.trim()
+  );
+
+  if (!waiveResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: waiveResult.error || 'Failed to waive late fee'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'waive_late_fee', 'maintenance', {
+    recordId,
+    feeId,
+    amount: waiveResult.waivedFee.amount,
+    reason: reason.trim(),
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Late fee waived successfully',
+    data: waiveResult.data
+  });
+}));
+
+// Get a flat's ledger with running balance, by unitId or wing and flatNumber
+router.get('/ledger', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { unitId } = req.query;
+  let { wing, flatNumber } = req.query;
+  const db = dbConnection.getDb();
+
+  if (unitId) {
+    const unitResult = ObjectId.isValid(unitId)
+      ? await new UnitService(db).getUnit(req.adminUser.societyId, unitId)
+      : { data: null };
+    if (!unitResult.data) {
+      return res.status(404).json({
+        success: false,
+        message: 'Unit not found'
+      });
+    }
+    ({ wing, flatNumber } = unitResult.data);
+  }
+
+  if (!wing || !flatNumber) {
+    return res.status(400).json({
+      success: false,
+      message: 'unitId, or wing and flatNumber query parameters are required'
+    });
+  }
+
+  const ledgerService = new MaintenanceLedgerService(db);
+  const ledgerResult = await ledgerService.getFlatLedger(req.adminUser.societyId, wing, flatNumber);
+
+  if (!ledgerResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: ledgerResult.error || 'Failed to fetch flat ledger'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: ledgerResult.data
+  });
+}));
+
+// Annual statements for every flat (or one wing) for a financial year, as
+// JSON, a summary CSV or one PDF with a page per flat
+router.get('/statements', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { fy, wing, format = 'json' } = req.query;
+
+  if (!parseFinancialYear(fy)) {
+    return res.status(400).json({
+      success: false,
+      message: 'fy must be a financial year such as 2025-26'
+    });
+  }
+  if (!['json', 'csv', 'pdf'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be one of: json, csv, pdf'
+    });
+  }
+
+  let wings = getAllowedWings(req.adminUser);
+  if (wing) {
+    if (wings && !wings.includes(wing)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this wing'
+      });
+    }
+    wings = [wing];
+  }
+
+  const db = dbConnection.getDb();
+  const ledgerService = new MaintenanceLedgerService(db);
+  const statementsResult = await ledgerService.getSocietyStatements(req.adminUser.societyId, fy, { wings });
+
+  if (!statementsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: statementsResult.error || 'Failed to build maintenance statements'
+    });
+  }
+
+  const result = statementsResult.data;
+
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: result
+    });
+  }
+
+  const fileName = `statements_${result.financialYear}${wing ? `_${wing}` : ''}`;
+
+  if (format === 'pdf') {
+    if (result.count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'No ledger activity found for this financial year'
+      });
+    }
+    const pdf = await renderStatementsPdf(result.statements, `Maintenance Statements FY ${result.financialYear}`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.pdf"`);
+    return res.send(pdf);
+  }
+
+  const columns = [
+    { key: 'wing', header: 'Wing' },
+    { key: 'flatNumber', header: 'Flat' },
+    { key: 'residents', header: 'Residents' },
+    { key: 'openingBalance', header: 'Opening Balance' },
+    { key: 'charges', header: 'Charges' },
+    { key: 'lateFees', header: 'Late Fees' },
+    { key: 'payments', header: 'Payments' },
+    { key: 'waivers', header: 'Waivers' },
+    { key: 'adjustments', header: 'Adjustments' },
+    { key: 'closingBalance', header: 'Closing Balance' }
+  ];
+  const rows = result.statements.map(statement => ({
+    wing: statement.wing,
+    flatNumber: statement.flatNumber,
+    residents: statement.residents.map(resident => resident.name).filter(Boolean).join('; '),
+    openingBalance: statement.openingBalance,
+    ...statement.totals,
+    closingBalance: statement.closingBalance
+  }));
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+  res.send(toCsv(columns, rows));
+}));
+
+// Defaulter report with aging buckets, as JSON, CSV or XLSX
+router.get('/reports/defaulters', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { wing, asOf, format = 'json' } = req.query;
+
+  if (!['json', 'csv', 'xlsx'].includes(format)) {
+    return res.status(400).json({
+      success: false,
+      message: 'format must be one of: json, csv, xlsx'
+    });
+  }
+  if (asOf && Number.isNaN(new Date(asOf).getTime())) {
+    return res.status(400).json({
+      success: false,
+      message: 'asOf must be a valid date'
+    });
+  }
+
+  let wings = getAllowedWings(req.adminUser);
+  if (wing) {
+    if (wings && !wings.includes(wing)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied to this wing'
+      });
+    }
+    wings = [wing];
+  }
+
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+  const reportResult = await maintenanceService.getDefaulterReport(req.adminUser.societyId, { wings, asOf });
+
+  if (!reportResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: reportResult.error || 'Failed to build defaulter report'
+    });
+  }
+
+  const report = reportResult.data;
+  if (format === 'json') {
+    return res.json({
+      success: true,
+      data: report
+    });
+  }
+
+  const date = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+  const bucketColumns = AGING_BUCKETS.map(bucket => ({ key: `bucket_${bucket.key}`, header: `${bucket.key} days` }));
+  const bucketValues = buckets => AGING_BUCKETS.reduce((row, bucket) => ({ ...row, [`bucket_${bucket.key}`]: buckets[bucket.key] }), {});
+
+  const flatColumns = [
+    { key: 'wing', header: 'Wing' },
+    { key: 'flatNumber', header: 'Flat' },
+    { key: 'residents', header: 'Residents', width: 30 },
+    { key: 'outstanding', header: 'Outstanding' },
+    { key: 'oldestUnpaid', header: 'Oldest Unpaid Month' },
+    { key: 'daysOverdue', header: 'Days Overdue' },
+    ...bucketColumns,
+    { key: 'remindersSent', header: 'Reminders Sent' },
+    { key: 'lastReminderAt', header: 'Last Reminder' }
+  ];
+  const flatRows = report.flats.map(flat => ({
+    wing: flat.wing,
+    flatNumber: flat.flatNumber,
+    residents: flat.residents.map(resident => resident.name).filter(Boolean).join('; '),
+    outstanding: flat.outstanding,
+    oldestUnpaid: `${flat.oldestUnpaid.month} ${flat.oldestUnpaid.year}`,
+    daysOverdue: flat.daysOverdue,
+    ...bucketValues(flat.buckets),
+    remindersSent: flat.remindersSent,
+    lastReminderAt: date(flat.lastReminderAt)
+  }));
+  const fileName = `defaulters_${date(report.asOf)}`;
+
+  if (format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    return res.send(toCsv(flatColumns, flatRows));
+  }
+
+  const workbook = await toXlsx([
+    { name: 'Defaulters', columns: flatColumns, rows: flatRows },
+    {
+      name: 'Wings',
+      columns: [
+        { key: 'wing', header: 'Wing' },
+        { key: 'flats', header: 'Flats' },
+        { key: 'outstanding', header: 'Outstanding' },
+        ...bucketColumns
+      ],
+      rows: report.wings.map(item => ({ wing: item.wing, flats: item.flats, outstanding: item.outstanding, ...bucketValues(item.buckets) }))
+    },
+    {
+      name: 'Unpaid Months',
+      columns: [
+        { key: 'wing', header: 'Wing' },
+        { key: 'flatNumber', header: 'Flat' },
+        { key: 'month', header: 'Month' },
+        { key: 'charge', header: 'Charge', width: 30 },
+        { key: 'dueDate', header: 'Due Date' },
+        { key: 'outstanding', header: 'Outstanding' },
+        { key: 'daysOverdue', header: 'Days Overdue' },
+        { key: 'bucket', header: 'Bucket' },
+        { key: 'status', header: 'Status' }
+      ],
+      rows: report.flats.flatMap(flat => flat.records.map(record => ({
+        wing: flat.wing,
+        flatNumber: flat.flatNumber,
+        month: `${record.month} ${record.year}`,
+        charge: record.description || 'Maintenance',
+        dueDate: date(record.dueDate),
+        outstanding: record.outstanding,
+        daysOverdue: record.daysOverdue,
+        bucket: record.bucket,
+        status: record.status
+      })))
+    },
+    {
+      name: 'Reminders',
+      columns: [
+        { key: 'wing', header: 'Wing' },
+        { key: 'flatNumber', header: 'Flat' },
+        { key: 'month', header: 'Month' },
+        { key: 'sentAt', header: 'Sent At', width: 22 },
+        { key: 'channel', header: 'Channel' },
+        { key: 'sentBy', header: 'Sent By', width: 30 }
+      ],
+      rows: report.flats.flatMap(flat => flat.reminderHistory.map(reminder => ({
+        wing: flat.wing,
+        flatNumber: flat.flatNumber,
+        month: `${reminder.month} ${reminder.year}`,
+        sentAt: new Date(reminder.sentAt).toISOString(),
+        channel: reminder.channel,
+        sentBy: reminder.sentBy
+      })))
+    }
+  ]);
+
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`);
+  res.send(workbook);
+}));
+
+// Post a manual adjustment to a flat's ledger
+router.post('/ledger/adjustments', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { wing, flatNumber, amount, direction, reason, maintenanceId } = req.body;
+  const parsedAmount = parseFloat(amount);
+
+  if (!wing || !flatNumber) {
+    return res.status(400).json({
+      success: false,
+      message: 'wing and flatNumber are required'
+    });
+  }
+
+  if (Number.isNaN(parsedAmount) || parsedAmount <= 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'amount must be a positive number'
+    });
+  }
+
+  if (!['debit', 'credit'].includes(direction)) {
+    return res.status(400).json({
+      success: false,
+      message: 'direction must be debit (amount owed) or credit (amount given back)'
+    });
+  }
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required for ledger adjustments'
+    });
+  }
+
+  if (maintenanceId && !ObjectId.isValid(maintenanceId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid maintenance record ID'
+    });
+  }
+
+  const held = await holdForSecondAdmin(req, res, {
+    actionType: 'ledger_adjustment',
+    amount: parsedAmount,
+    targetKey: `ledger_adjustment:${wing}::${flatNumber}:${direction}:${parsedAmount}`,
+    wing,
+    params: { wing, flatNumber, amount: parsedAmount, direction, reason: reason.trim(), maintenanceId: maintenanceId || null },
+    summary: `${direction === 'debit' ? 'Charge' : 'Credit'} ${formatRupees(parsedAmount)} to ${wing}-${flatNumber}: ${reason.trim()}`
+  });
+  if (held) return;
+
+  const db = dbConnection.getDb();
+  const ledgerService = new MaintenanceLedgerService(db);
+
+  const adjustmentResult = await ledgerService.createAdjustment({
+    societyId: req.adminUser.societyId,
+    wing,
+    flatNumber,
+    amount: parsedAmount,
+    direction,
+    reason: reason.trim(),
+    maintenanceId: maintenanceId || null,
+    createdBy: req.adminUser.clerkUserId
+  });
+
+  if (!adjustmentResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: adjustmentResult.error || 'Failed to post ledger adjustment'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'ledger_adjustment', 'maintenance', {
+    entryId: adjustmentResult.data._id,
+    wing,
+    flatNumber,
+    amount: parsedAmount,
+    direction,
+    reason: reason.trim(),
+    ipAddress: req.ip
+  });
+
+  const ledgerResult = await ledgerService.getFlatLedger(req.adminUser.societyId, wing, flatNumber);
+
+  res.status(201).json({
+    success: true,
+    message: 'Ledger adjustment posted successfully',
+    data: {
+      entry: adjustmentResult.data,
+      balance: ledgerResult.data?.balance ?? null
+    }
+  });
+}));
+
+// Define a special assessment and bill its installments to every flat
+router.post('/levies', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const levyService = new LevyService(db);
+
+  const levyResult = await levyService.createLevy(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!levyResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: levyResult.error || 'Failed to create levy'
+    });
+  }
+
+  const levy = levyResult.data;
+  await logAdminAction(req.adminUser, 'create_levy', 'maintenance', {
+    levyId: levy._id,
+    title: levy.title,
+    totalAmount: levy.totalAmount,
+    flatCount: levy.flatCount,
+    installments: levy.installments.length,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Levy billed to ${levy.flatCount} flats`,
+    data: levy
+  });
+}));
+
+// List levies
+router.get('/levies', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const levyService = new LevyService(db);
+
+  const leviesResult = await levyService.listLevies(req.adminUser.societyId);
+  if (!leviesResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch levies'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: leviesResult.data
+  });
+}));
+
+// Levy details with each flat's installments and collection summary
+router.get('/levies/:levyId', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { levyId } = req.params;
+
+  if (!ObjectId.isValid(levyId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid levy ID'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const levyService = new LevyService(db);
+
+  const levyResult = await levyService.getLevy(req.adminUser.societyId, levyId, {
+    wings: getAllowedWings(req.adminUser)
+  });
+  if (!levyResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch levy'
+    });
+  }
+  if (!levyResult.data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Levy not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: levyResult.data
+  });
+}));
+
+// Cancel a levy, removing installments nothing has been paid against
+router.post('/levies/:levyId/cancel', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { levyId } = req.params;
+  const { reason } = req.body || {};
+
+  if (!ObjectId.isValid(levyId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid levy ID'
+    });
+  }
+
+  if (!reason || !reason.trim()) {
+    return res.status(400).json({
+      success: false,
+      message: 'A reason is required to cancel a levy'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const levyService = new LevyService(db);
+
+  const cancelResult = await levyService.cancelLevy(req.adminUser.societyId, levyId, {
+    cancelledBy: req.adminUser.clerkUserId,
+    reason: reason.trim()
+  });
+
+  if (!cancelResult.success) {
+    return res.status(cancelResult.error === 'Levy not found' ? 404 : 400).json({
+      success: false,
+      message: cancelResult.error || 'Failed to cancel levy'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'cancel_levy', 'maintenance', {
+    levyId,
+    reason: reason.trim(),
+    cancelledRecordCount: cancelResult.data.cancelledRecordCount,
+    retainedRecordCount: cancelResult.data.retainedRecordCount,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Levy cancelled',
+    data: cancelResult.data
+  });
+}));
+
+// Download the PDF receipt of an approved payment
+router.get('/receipts/:recordId', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+
+  if (!ObjectId.isValid(recordId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid record ID'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const receiptService = new MaintenanceReceiptService(db);
+  const receiptResult = await receiptService.findByRecord(recordId);
+
+  if (!receiptResult.success || !receiptResult.data ||
+      receiptResult.data.societyId.toString() !== req.adminUser.societyId?.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Receipt not found'
+    });
+  }
+
+  const pdf = await receiptService.renderPdf(receiptResult.data);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${receiptResult.data.receiptNumber}.pdf"`);
+  res.send(pdf);
+}));
+
+// Regenerate a receipt from the current record, keeping its receipt number
+router.post('/receipts/:recordId/regenerate', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+
+  if (!ObjectId.isValid(recordId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid record ID'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const maintenanceService = new MaintenanceService(db);
+  const receiptService = new MaintenanceReceiptService(db);
+
+  const recordResult = await maintenanceService.findById(recordId);
+  if (!recordResult.success || !recordResult.data ||
+      recordResult.data.societyId?.toString() !== req.adminUser.societyId?.toString()) {
+    return res.status(404).json({
+      success: false,
+      message: 'Record not found'
+    });
+  }
+
+  const receiptResult = await receiptService.regenerateReceipt(recordId, req.adminUser.clerkUserId);
+  if (!receiptResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: receiptResult.error || 'Failed to regenerate receipt'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'regenerate_receipt', 'maintenance', {
+    recordId,
+    receiptNumber: receiptResult.data.receiptNumber,
+    version: receiptResult.data.version,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Receipt regenerated successfully',
+    data: receiptResult.data
+  });
+}));
+
+// Import a bank statement (CSV/OFX) and propose matches for payments awaiting approval
+router.post('/reconciliation/imports', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), statementUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A bank statement file is required'
+    });
+  }
+
+  const dateWindowDays = req.body.dateWindowDays !== undefined ? parseInt(req.body.dateWindowDays, 10) : undefined;
+
+  const db = dbConnection.getDb();
+  const reconciliationService = new BankReconciliationService(db);
+
+  const importResult = await reconciliationService.importStatement(req.adminUser.societyId, {
+    fileName: req.file.originalname,
+    content: req.file.buffer.toString('utf8'),
+    uploadedBy: req.adminUser.clerkUserId,
+    dateWindowDays
+  });
+
+  if (!importResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: importResult.error || 'Failed to import bank statement'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'import_bank_statement', 'maintenance', {
+    importId: importResult.data._id,
+    fileName: req.file.originalname,
+    summary: importResult.data.summary,
+    ipAddress: req.ip
+  });
+
+  const detailResult = await reconciliationService.getImport(req.adminUser.societyId, importResult.data._id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Bank statement imported successfully',
+    data: detailResult.data
+  });
+}));
+
+// List bank statement imports
+router.get('/reconciliation/imports', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const reconciliationService = new BankReconciliationService(db);
+  const importsResult = await reconciliationService.getImports(req.adminUser.societyId, req.query.limit || 20);
+
+  if (!importsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: importsResult.error || 'Failed to fetch bank statement imports'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: importsResult.data
+  });
+}));
+
+// Get proposed matches plus unmatched credits and records for manual review
+router.get('/reconciliation/imports/:importId', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'read'), asyncHandler(async (req, res) => {
+  const { importId } = req.params;
+
+  if (!ObjectId.isValid(importId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid import ID'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const reconciliationService = new BankReconciliationService(db);
+  const importResult = await reconciliationService.getImport(req.adminUser.societyId, importId);
+
+  if (!importResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: importResult.error || 'Failed to fetch bank statement import'
+    });
+  }
+
+  if (!importResult.data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Statement import not found'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: importResult.data
+  });
+}));
+
+// Confirm matches in bulk, approving each payment for the credited amount
+router.post('/reconciliation/imports/:importId/confirm', verifyClerkToken, verifyAdminAuth, requirePermission('maintenance', 'write'), asyncHandler(async (req, res) => {
+  const { importId } = req.params;
+  const { matches, minConfidence } = req.body;
+
+  if (!ObjectId.isValid(importId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid import ID'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  const reconciliationService = new BankReconciliationService(db);
+
+  const importResult = await reconciliationService.getImport(req.adminUser.societyId, importId);
+  if (!importResult.success || !importResult.data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Statement import not found'
+    });
+  }
+
+  let selections = Array.isArray(matches) ? matches : null;
+
+  // Without explicit matches, confirm every proposal at or above minConfidence
+  if (!selections && minConfidence !== undefined) {
+    const threshold = parseFloat(minConfidence);
+    if (Number.isNaN(threshold) || threshold < 0 || threshold > 1) {
+      return res.status(400).json({
+        success: false,
+        message: 'minConfidence must be between 0 and 1'
+      });
+    }
+
+    selections = importResult.data.proposals
+      .filter(proposal => proposal.match.confidence >= threshold)
+      .map(proposal => ({ transactionId: proposal._id.toString() }));
+  }
+
+  if (!selections || selections.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'Provide matches [{ transactionId, recordId? }] or a minConfidence to confirm'
+    });
+  }
+
+  // Credits the approval policy holds for a second admin are queued instead of approved now
+  const approvalService = new ApprovalService(db);
+  const maintenanceService = new MaintenanceService(db);
+  const immediate = [];
+  const queued = [];
+  const holdFailures = [];
+  for (const selection of selections) {
+    const transaction = importResult.data.transactions.find(
+      item => item._id.toString() === String(selection.transactionId)
+    );
+    const recordId = selection.recordId || transaction?.match?.recordId?.toString();
+    if (!transaction || !['proposed', 'unmatched'].includes(transaction.status) || !recordId || !ObjectId.isValid(recordId)) {
+      // confirmMatches reports why this selection can't be confirmed
+      immediate.push(selection);
+      continue;
+    }
+
+    const record = transaction.match?.recordId?.toString() === recordId
+      ? transaction.match
+      : (await maintenanceService.findById(recordId)).data;
+    const holdResult = await approvalService.holdIfRequired(req.adminUser.societyId, {
+      actionType: 'payment_approval',
+      amount: transaction.amount,
+      targetKey: `payment_approval:${recordId}`,
+      wing: record?.wing,
+      params: { importId, transactionId: transaction._id.toString(), recordId },
+      summary: `Approve ${formatRupees(transaction.amount)} bank credit${transaction.reference ? ` (${transaction.reference})` : ''} for ${record?.wing}-${record?.flatNumber} (${record?.month}/${record?.year})`,
+      requestedBy: req.adminUser.clerkUserId,
+      requestedByName: req.adminUser.name
+    });
+
+    if (!holdResult.success) {
+      holdFailures.push({ transactionId: selection.transactionId, recordId, error: holdResult.error });
+    } else if (holdResult.data.required) {
+      queued.push({ transactionId: transaction._id, recordId, amount: transaction.amount, approvalId: holdResult.data.approval._id });
+    } else {
+      immediate.push(selection);
+    }
+  }
+
+  const confirmResult = await reconciliationService.confirmMatches(
+    req.adminUser.societyId,
+    importId,
+    immediate,
+    { clerkUserId: req.adminUser.clerkUserId, name: req.adminUser.name }
+  );
+
+  if (!confirmResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: confirmResult.error || 'Failed to confirm matches'
+    });
+  }
+
+  const data = {
+    ...confirmResult.data,
+    failed: [...confirmResult.data.failed, ...holdFailures],
+    queuedForApproval: queued
+  };
+
+  await logAdminAction(req.adminUser, 'confirm_bank_reconciliation', 'maintenance', {
+    importId,
+    confirmed: data.confirmed.length,
+    queuedForApproval: queued.length,
+    failed: data.failed.length,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: queued.length > 0
+      ? `${data.confirmed.length} payment(s) approved from the bank statement, ${queued.length} waiting for a second admin`
+      : `${data.confirmed.length} payment(s) approved from the bank statement`,
+    data
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
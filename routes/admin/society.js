@@ -5,7 +5,7 @@ const dbConnection = require('../../config/database');
 const SocietyService = require('../../models/services/SocietyService');
 const { asyncHandler } = require('../../middleware/errorHandler');
 const { verifyClerkToken } = require('../../middleware/auth');
-const { verifyAdminAuth } = require('../../middleware/adminAuth');
+const { ADMIN_ROLES, verifyAdminAuth } = require('../../middleware/adminAuth');
 
 // Get society details (for current admin's society)
 router.get('/', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
@@ -63,6 +63,14 @@ router.get('/settings', verifyClerkToken, verifyAdminAuth, asyncHandler(async (r
 
 // Update society settings (maintenance etc.)
 router.put('/settings', verifyClerkToken, verifyAdminAuth, asyncHandler(async (req, res) => {
+  // Only a super admin may change who has to confirm whose actions
+  if (req.body?.approvals !== undefined && req.adminUser.role !== ADMIN_ROLES.SUPER_ADMIN) {
+    return res.status(403).json({
+      success: false,
+      message: 'Only a super admin can change the approval policy'
+    });
+  }
+
   try {
     const db = dbConnection.getDb();
     const societyService = new SocietyService(db);
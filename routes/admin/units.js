@@ -0,0 +1,153 @@
+const express = require('express');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { verifyAdminAuth, requirePermission, logAdminAction, getAllowedWings } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validateObjectIds } = require('../../middleware/validation');
+const { ObjectId } = require('mongodb');
+const dbConnection = require('../../config/database');
+const UnitService = require('../../models/services/UnitService');
+const { OCCUPANCY_STATES, UNIT_STATUSES, getUnitNumbering } = require('../../utils/units');
+
+const router = express.Router();
+
+const errorStatus = (error) => {
+  if (/not found/i.test(error || '')) return 404;
+  if (/already uses|cannot renumber/i.test(error || '')) return 409;
+  return 400;
+};
+
+// Occupancy states, unit statuses and the society's numbering pattern
+router.get('/config', verifyClerkToken, verifyAdminAuth, requirePermission('units', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const society = await db.collection('societies').findOne(
+    { _id: new ObjectId(req.adminUser.societyId) },
+    { projection: { 'settings.units': 1 } }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      occupancyStates: OCCUPANCY_STATES,
+      unitStatuses: UNIT_STATUSES,
+      numbering: getUnitNumbering(society?.settings)
+    }
+  });
+}));
+
+// List units
+router.get('/', verifyClerkToken, verifyAdminAuth, requirePermission('units', 'read'), asyncHandler(async (req, res) => {
+  const wings = getAllowedWings(req.adminUser);
+  const { wing } = req.query;
+  if (wing && wings && !wings.includes(wing)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+  }
+
+  const unitService = new UnitService(dbConnection.getDb());
+  const unitsResult = await unitService.listUnits(req.adminUser.societyId, {
+    wing,
+    wings,
+    floor: req.query.floor,
+    occupancy: req.query.occupancy,
+    status: req.query.status,
+    search: req.query.search
+  });
+
+  if (!unitsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch units'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: unitsResult.data
+  });
+}));
+
+// Regenerate units from the wing layout
+router.post('/sync', verifyClerkToken, verifyAdminAuth, requirePermission('units', 'manage'), asyncHandler(async (req, res) => {
+  const unitService = new UnitService(dbConnection.getDb());
+  const syncResult = await unitService.syncFromWings(req.adminUser.societyId);
+
+  if (!syncResult.success) {
+    return res.status(errorStatus(syncResult.error)).json({
+      success: false,
+      message: syncResult.error || 'Failed to sync units'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'sync_units', 'units', {
+    created: syncResult.data.created,
+    updated: syncResult.data.updated,
+    retired: syncResult.data.retired,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Units synced with the wing layout',
+    data: syncResult.data
+  });
+}));
+
+// Unit with its residents, recent charges and balance
+router.get('/:unitId', verifyClerkToken, verifyAdminAuth, requirePermission('units', 'read'), validateObjectIds('unitId'), asyncHandler(async (req, res) => {
+  const unitService = new UnitService(dbConnection.getDb());
+  const unitResult = await unitService.getUnitDetails(req.adminUser.societyId, req.params.unitId);
+
+  if (!unitResult.success) {
+    return res.status(errorStatus(unitResult.error)).json({
+      success: false,
+      message: unitResult.error || 'Failed to fetch unit'
+    });
+  }
+
+  const wings = getAllowedWings(req.adminUser);
+  if (wings && !wings.includes(unitResult.data.wing)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: unitResult.data
+  });
+}));
+
+// Edit a unit's number, profile, owner, tenants or occupancy
+router.put('/:unitId', verifyClerkToken, verifyAdminAuth, requirePermission('units', 'write'), validateObjectIds('unitId'), asyncHandler(async (req, res) => {
+  const { flatNumber, label, flatType, area, parkingSlots, owner, tenants, occupancy, status, notes } = req.body || {};
+  const updates = { flatNumber, label, flatType, area, parkingSlots, owner, tenants, occupancy, status, notes };
+  Object.keys(updates).forEach(key => updates[key] === undefined && delete updates[key]);
+
+  const unitService = new UnitService(dbConnection.getDb());
+  const unitResult = await unitService.updateUnit(req.adminUser.societyId, req.params.unitId, updates, req.adminUser.clerkUserId);
+
+  if (!unitResult.success) {
+    return res.status(errorStatus(unitResult.error)).json({
+      success: false,
+      message: unitResult.error || 'Failed to update unit'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_unit', 'units', {
+    unitId: unitResult.data._id,
+    label: unitResult.data.label,
+    updatedFields: Object.keys(updates),
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Unit updated',
+    data: unitResult.data
+  });
+}));
+
+module.exports = router;
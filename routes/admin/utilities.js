@@ -0,0 +1,364 @@
+const express = require('express');
+const multer = require('multer');
+const path = require('path');
+const { verifyClerkToken } = require('../../middleware/auth');
+const { verifyAdminAuth, requirePermission, logAdminAction, getAllowedWings } = require('../../middleware/adminAuth');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const { validateObjectIds } = require('../../middleware/validation');
+const { ObjectId } = require('mongodb');
+const dbConnection = require('../../config/database');
+const UtilityService = require('../../models/services/UtilityService');
+const { UTILITY_TYPES, METER_STATUSES, READING_STATUSES } = require('../../utils/meters');
+
+const router = express.Router();
+
+// Reading sheets are parsed in memory and never written to disk
+const readingsUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 2 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    const allowed = ['.csv', '.txt'];
+    if (allowed.includes(path.extname(file.originalname).toLowerCase())) return cb(null, true);
+    cb(new Error('Only CSV reading sheets are allowed'));
+  }
+});
+
+const errorStatus = (error) => {
+  if (/not found/i.test(error || '')) return 404;
+  if (/access denied/i.test(error || '')) return 403;
+  if (/already billed|already attached/i.test(error || '')) return 409;
+  return 400;
+};
+
+// Narrow a wing filter to the wings the admin may see, or send a 403
+const resolveWings = (req, res) => {
+  const wings = getAllowedWings(req.adminUser);
+  const { wing } = req.query;
+  if (wing && wings && !wings.includes(wing)) {
+    res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+    return false;
+  }
+  return { wing, wings };
+};
+
+// Utility types, meter and reading statuses, and the society's tariffs
+router.get('/config', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'read'), asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const society = await db.collection('societies').findOne(
+    { _id: new ObjectId(req.adminUser.societyId) },
+    { projection: { 'settings.utilities': 1 } }
+  );
+
+  res.json({
+    success: true,
+    data: {
+      utilityTypes: UTILITY_TYPES,
+      meterStatuses: METER_STATUSES,
+      readingStatuses: READING_STATUSES,
+      utilities: society?.settings?.utilities || null
+    }
+  });
+}));
+
+// List meters
+router.get('/meters', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'read'), asyncHandler(async (req, res) => {
+  const scope = resolveWings(req, res);
+  if (!scope) return;
+
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const metersResult = await utilityService.listMeters(req.adminUser.societyId, {
+    ...scope,
+    flatNumber: req.query.flatNumber,
+    utilityType: req.query.utilityType,
+    status: req.query.status
+  });
+
+  if (!metersResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch meters'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: metersResult.data
+  });
+}));
+
+// Attach a meter to a flat
+router.post('/meters', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'manage'), asyncHandler(async (req, res) => {
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const meterResult = await utilityService.createMeter(req.adminUser.societyId, req.body || {}, req.adminUser.clerkUserId);
+
+  if (!meterResult.success) {
+    return res.status(errorStatus(meterResult.error)).json({
+      success: false,
+      message: meterResult.error || 'Failed to add meter'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'create_utility_meter', 'utilities', {
+    meterId: meterResult.data._id,
+    serialNumber: meterResult.data.serialNumber,
+    wing: meterResult.data.wing,
+    flatNumber: meterResult.data.flatNumber,
+    utilityType: meterResult.data.utilityType,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: 'Meter added',
+    data: meterResult.data
+  });
+}));
+
+// Replace a meter's serial number, or (de)activate it
+router.put('/meters/:meterId', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'manage'), validateObjectIds('meterId'), asyncHandler(async (req, res) => {
+  const { serialNumber, status, notes } = req.body || {};
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const meterResult = await utilityService.updateMeter(req.adminUser.societyId, req.params.meterId, { serialNumber, status, notes });
+
+  if (!meterResult.success) {
+    return res.status(errorStatus(meterResult.error)).json({
+      success: false,
+      message: meterResult.error || 'Failed to update meter'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'update_utility_meter', 'utilities', {
+    meterId: meterResult.data._id,
+    changes: { serialNumber, status, notes },
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Meter updated',
+    data: meterResult.data
+  });
+}));
+
+// Reading history of a meter
+router.get('/meters/:meterId/readings', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'read'), validateObjectIds('meterId'), asyncHandler(async (req, res) => {
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const meterResult = await utilityService.getMeter(req.adminUser.societyId, req.params.meterId);
+
+  if (!meterResult.success || !meterResult.data) {
+    return res.status(404).json({
+      success: false,
+      message: 'Meter not found'
+    });
+  }
+
+  const wings = getAllowedWings(req.adminUser);
+  if (wings && !wings.includes(meterResult.data.wing)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Access denied to this wing'
+    });
+  }
+
+  const readingsResult = await utilityService.listReadings(req.adminUser.societyId, {
+    meterId: req.params.meterId,
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  if (!readingsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch readings'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      meter: meterResult.data,
+      ...readingsResult.data
+    }
+  });
+}));
+
+// List readings, e.g. the flagged readings of a period
+router.get('/readings', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'read'), asyncHandler(async (req, res) => {
+  const scope = resolveWings(req, res);
+  if (!scope) return;
+
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const readingsResult = await utilityService.listReadings(req.adminUser.societyId, {
+    ...scope,
+    period: req.query.period,
+    status: req.query.status,
+    utilityType: req.query.utilityType,
+    billed: req.query.billed,
+    page: req.query.page,
+    limit: req.query.limit
+  });
+
+  if (!readingsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch readings'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: readingsResult.data
+  });
+}));
+
+// Enter a single reading
+router.post('/readings', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'write'), asyncHandler(async (req, res) => {
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const readingResult = await utilityService.recordReading(req.adminUser.societyId, req.body || {}, {
+    enteredBy: req.adminUser.clerkUserId,
+    source: 'manual',
+    wings: getAllowedWings(req.adminUser)
+  });
+
+  if (!readingResult.success) {
+    return res.status(errorStatus(readingResult.error)).json({
+      success: false,
+      message: readingResult.error || 'Failed to record reading'
+    });
+  }
+
+  const reading = readingResult.data;
+  await logAdminAction(req.adminUser, 'record_meter_reading', 'utilities', {
+    readingId: reading._id,
+    meterId: reading.meterId,
+    period: reading.period,
+    value: reading.value,
+    status: reading.status,
+    replaced: readingResult.replaced,
+    ipAddress: req.ip
+  });
+
+  res.status(readingResult.replaced ? 200 : 201).json({
+    success: true,
+    message: reading.status === 'flagged'
+      ? 'Reading recorded but flagged for review; it will not be billed until accepted or corrected'
+      : 'Reading recorded',
+    data: reading
+  });
+}));
+
+// Bulk upload a CSV of readings
+router.post('/readings/import', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'write'), readingsUpload.single('file'), asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'A CSV file of readings is required'
+    });
+  }
+
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const importResult = await utilityService.importReadings(req.adminUser.societyId, req.file.buffer.toString('utf8'), {
+    period: req.body.period,
+    enteredBy: req.adminUser.clerkUserId,
+    wings: getAllowedWings(req.adminUser)
+  });
+
+  if (!importResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: importResult.error || 'Failed to import readings'
+    });
+  }
+
+  const summary = importResult.data;
+  await logAdminAction(req.adminUser, 'import_meter_readings', 'utilities', {
+    importId: summary.importId,
+    fileName: req.file.originalname,
+    rows: summary.rows,
+    recorded: summary.recorded,
+    flagged: summary.flagged.length,
+    failed: summary.failed.length,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${summary.recorded} readings recorded, ${summary.flagged.length} flagged, ${summary.failed.length} failed`,
+    data: summary
+  });
+}));
+
+// Accept a flagged reading as correct
+router.post('/readings/:readingId/accept', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'manage'), validateObjectIds('readingId'), asyncHandler(async (req, res) => {
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const readingResult = await utilityService.acceptReading(req.adminUser.societyId, req.params.readingId, {
+    acceptedBy: req.adminUser.clerkUserId,
+    note: req.body?.note
+  });
+
+  if (!readingResult.success) {
+    return res.status(errorStatus(readingResult.error)).json({
+      success: false,
+      message: readingResult.error || 'Failed to accept reading'
+    });
+  }
+
+  await logAdminAction(req.adminUser, 'accept_meter_reading', 'utilities', {
+    readingId: readingResult.data._id,
+    meterId: readingResult.data.meterId,
+    period: readingResult.data.period,
+    anomalies: readingResult.data.anomalies.map(anomaly => anomaly.code),
+    note: readingResult.data.acceptanceNote,
+    ipAddress: req.ip
+  });
+
+  res.json({
+    success: true,
+    message: 'Reading accepted',
+    data: readingResult.data
+  });
+}));
+
+// Bill a period's readings into the flats' maintenance dues
+router.post('/billing-runs', verifyClerkToken, verifyAdminAuth, requirePermission('utilities', 'manage'), asyncHandler(async (req, res) => {
+  const { period } = req.body || {};
+  if (!period) {
+    return res.status(400).json({
+      success: false,
+      message: 'period (YYYY-MM) is required'
+    });
+  }
+
+  const utilityService = new UtilityService(dbConnection.getDb());
+  const runResult = await utilityService.billPeriod(req.adminUser.societyId, period, {
+    triggeredBy: req.adminUser.clerkUserId
+  });
+
+  if (!runResult.success) {
+    return res.status(errorStatus(runResult.error)).json({
+      success: false,
+      message: runResult.error || 'Failed to bill utility readings'
+    });
+  }
+
+  const run = runResult.data;
+  await logAdminAction(req.adminUser, 'bill_utility_readings', 'utilities', {
+    period: run.period,
+    created: run.created.length,
+    skipped: run.skipped.length,
+    heldBack: run.heldBack.length,
+    totalAmount: run.totalAmount,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `Billed ${run.created.length} flats for ${run.period}`,
+    data: run
+  });
+}));
+
+module.exports = router;
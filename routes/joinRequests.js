@@ -4,6 +4,10 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const { verifyClerkToken, getUserDetails } = require('../middleware/auth');
 const { ensureUserDocument } = require('../middleware/userDocumentMiddleware');
 const dbConnection = require('../config/database');
+const UnitService = require('../models/services/UnitService');
+const JoinRequestService = require('../models/services/JoinRequestService');
+const InviteService = require('../models/services/InviteService');
+const { getJoinRequestSla, getRequiredDocuments, describeSla } = require('../utils/joinRequests');
 const { ObjectId } = require('mongodb');
 
 /**
@@ -51,6 +55,42 @@ router.get('/societies', verifyClerkToken, getUserDetails, ensureUserDocument, a
   }
 }));
 
+/**
+ * @route   GET /api/join-requests/societies/:societyId/units
+ * @desc    Get the units of a society an applicant can choose from
+ * @access  Public (authenticated users)
+ */
+router.get('/societies/:societyId/units', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHandler(async (req, res) => {
+  const { societyId } = req.params;
+  if (!ObjectId.isValid(societyId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid societyId'
+    });
+  }
+
+  const unitService = new UnitService(dbConnection.getDb());
+  const unitsResult = await unitService.listUnits(societyId, { wing: req.query.wing });
+
+  if (!unitsResult.success) {
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to fetch units'
+    });
+  }
+
+  res.json({
+    success: true,
+    data: unitsResult.data.map(unit => ({
+      id: unit._id.toString(),
+      wing: unit.wing,
+      flatNumber: unit.flatNumber,
+      label: unit.label,
+      floor: unit.floor
+    }))
+  });
+}));
+
 /**
  * @route   POST /api/join-requests
  * @desc    Submit a join request for a society
@@ -58,15 +98,16 @@ router.get('/societies', verifyClerkToken, getUserDetails, ensureUserDocument, a
  */
 router.post('/', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHandler(async (req, res) => {
   try {
-    const { societyId, wing, flatNumber, residentType, contactNumber, emergencyContact } = req.body;
+    const { societyId, unitId, residentType, contactNumber, emergencyContact } = req.body;
+    let { wing, flatNumber } = req.body;
     const clerkUserId = req.userId;
     const user = req.userDocument;
 
     // Validation
-    if (!societyId || !wing || !residentType) {
+    if (!societyId || (!wing && !unitId) || !residentType) {
       return res.status(400).json({
         success: false,
-        message: 'Society ID, wing, and resident type are required'
+        message: 'Society ID, wing (or unit), and resident type are required'
       });
     }
 
@@ -105,6 +146,20 @@ router.post('/', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHand
       });
     }
 
+    // The flat must exist; residents already on it become warnings for the admin
+    const joinRequestService = new JoinRequestService(db);
+    let assessment;
+    try {
+      assessment = await joinRequestService.assessRequestedFlat(society, { wing, flatNumber, unitId, residentType }, clerkUserId);
+    } catch (error) {
+      return res.status(/not found/i.test(error.message) ? 404 : 400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    const { unit, conflicts } = assessment.data;
+    ({ wing, flatNumber } = assessment.data);
+
     // Create or upsert minimal user document if missing (no approval yet)
     const usersCollection = db.collection('users');
 
@@ -156,11 +211,14 @@ router.post('/', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHand
       requestedData: {
         wing,
         flatNumber: flatNumber || null,
+        unitId: unit ? unit._id : null,
         residentType,
         contactNumber: contactNumber || (user ? user.contactNumber : null),
         emergencyContact: emergencyContact || null
       },
       documents: [], // Will be populated when user uploads documents
+      // Residents or applicants already on the flat, for the admin to review
+      conflicts,
       status: 'pending',
       submittedAt: new Date(),
       reviewedBy: null,
@@ -207,7 +265,9 @@ router.post('/', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHand
         userName: user ? user.name : 'New User',
         wing,
         flatNumber,
+        unitId: unit ? unit._id.toString() : null,
         residentType,
+        conflictCount: conflicts.length,
         societyName: society.name,
         submittedAt: joinRequest.submittedAt
       });
@@ -231,6 +291,119 @@ router.post('/', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHand
   }
 }));
 
+/**
+ * @route   GET /api/join-requests/invites/:code
+ * @desc    Show the society and flat an invite code is for
+ * @access  Authenticated users
+ */
+router.get('/invites/:code', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHandler(async (req, res) => {
+  const inviteService = new InviteService(dbConnection.getDb());
+  const inviteResult = await inviteService.previewInvite(req.params.code);
+
+  if (!inviteResult.success) {
+    return res.status(/not found/i.test(inviteResult.error) ? 404 : 410).json({
+      success: false,
+      message: inviteResult.error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: inviteResult.data
+  });
+}));
+
+/**
+ * @route   POST /api/join-requests/invites/redeem
+ * @desc    Join a society with an invite code; the request is approved immediately
+ * @access  Authenticated users
+ */
+router.post('/invites/redeem', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHandler(async (req, res) => {
+  const { code, contactNumber, emergencyContact } = req.body || {};
+  const clerkUserId = req.userId;
+  const user = req.userDocument;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invite code is required'
+    });
+  }
+
+  if (user && user.societyId) {
+    return res.status(400).json({
+      success: false,
+      message: 'User is already a member of a society'
+    });
+  }
+
+  const db = dbConnection.getDb();
+  if (user && user.joinRequestId) {
+    const pendingRequest = await db.collection('societies').findOne({
+      requests: { $elemMatch: { requestId: new ObjectId(user.joinRequestId), status: 'pending' } }
+    }, { projection: { _id: 1 } });
+    if (pendingRequest) {
+      return res.status(400).json({
+        success: false,
+        message: 'User already has a pending join request; withdraw it before using an invite'
+      });
+    }
+  }
+
+  const inviteService = new InviteService(db);
+  const redeemResult = await inviteService.redeemInvite(code, {
+    clerkUserId,
+    contactNumber: contactNumber || (user ? user.contactNumber : null),
+    emergencyContact
+  });
+
+  if (!redeemResult.success) {
+    const status = /not found/i.test(redeemResult.error)
+      ? 404
+      : /revoked|expired|already been used/i.test(redeemResult.error) ? 410 : 400;
+    return res.status(status).json({
+      success: false,
+      message: redeemResult.error
+    });
+  }
+
+  const joinRequest = redeemResult.data;
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`society_${joinRequest.societyId}`).emit('invite_redeemed', {
+      requestId: joinRequest.requestId.toString(),
+      inviteId: joinRequest.inviteId.toString(),
+      userName: user ? user.name : 'New User',
+      wing: joinRequest.requestedData.wing,
+      flatNumber: joinRequest.requestedData.flatNumber,
+      residentType: joinRequest.requestedData.residentType,
+      conflictCount: joinRequest.conflicts.length,
+      societyName: joinRequest.societyName,
+      approvedAt: joinRequest.reviewedAt
+    });
+    io.to(`user_${clerkUserId}`).emit('join_request_approved', {
+      requestId: joinRequest.requestId.toString(),
+      societyName: joinRequest.societyName,
+      approvedAt: joinRequest.reviewedAt
+    });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: 'Invite redeemed; you are now a member of the society',
+    data: {
+      requestId: joinRequest.requestId.toString(),
+      status: 'approved',
+      societyId: joinRequest.societyId.toString(),
+      societyName: joinRequest.societyName,
+      wing: joinRequest.requestedData.wing,
+      flatNumber: joinRequest.requestedData.flatNumber,
+      residentType: joinRequest.requestedData.residentType,
+      approvedAt: joinRequest.reviewedAt
+    }
+  });
+}));
+
 /**
  * @route   GET /api/join-requests/my-request
  * @desc    Get user's current join request status
@@ -285,7 +458,14 @@ router.get('/my-request', verifyClerkToken, getUserDetails, ensureUserDocument,
         submittedAt: joinRequest.submittedAt,
         reviewedAt: joinRequest.reviewedAt,
         rejectionReason: joinRequest.rejectionReason,
-        requestedData: joinRequest.requestedData
+        requestedData: joinRequest.requestedData,
+        documents: joinRequest.documents || [],
+        // Which documents are still needed, and any sent back with a reason
+        documentChecklist: new JoinRequestService(db).getDocumentChecklist(society, joinRequest),
+        // When to expect a decision, or when the request expires without the documents
+        sla: describeSla(joinRequest, getJoinRequestSla(society.settings), getRequiredDocuments(society.settings, joinRequest.requestedData?.residentType)),
+        expiredAt: joinRequest.expiredAt || null,
+        expiryReason: joinRequest.expiryReason || null
       }
     });
   } catch (error) {
@@ -303,68 +483,57 @@ router.get('/my-request', verifyClerkToken, getUserDetails, ensureUserDocument,
  * @access  Authenticated users
  */
 router.post('/:id/documents', verifyClerkToken, getUserDetails, ensureUserDocument, asyncHandler(async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { documentType, documentUrl } = req.body;
-    const clerkUserId = req.userId;
+  const { id } = req.params;
+  const { documentType, documentUrl } = req.body || {};
 
-    if (!documentType || !documentUrl) {
-      return res.status(400).json({
-        success: false,
-        message: 'Document type and URL are required'
-      });
-    }
-
-    const db = dbConnection.getDb();
-    const joinRequestsCollection = db.collection('joinRequests');
-
-    // Verify join request belongs to user
-    const joinRequest = await joinRequestsCollection.findOne({
-      _id: new ObjectId(id),
-      clerkUserId
+  if (!documentType || !documentUrl) {
+    return res.status(400).json({
+      success: false,
+      message: 'Document type and URL are required'
     });
+  }
+  if (!ObjectId.isValid(id)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Invalid join request ID'
+    });
+  }
 
-    if (!joinRequest) {
-      return res.status(404).json({
-        success: false,
-        message: 'Join request not found'
-      });
-    }
-
-    if (joinRequest.status !== 'pending') {
-      return res.status(400).json({
+  // A new upload of a type replaces one that was rejected or sent back for re-upload
+  const db = dbConnection.getDb();
+  const joinRequestService = new JoinRequestService(db);
+  let document;
+  try {
+    ({ data: document } = await joinRequestService.addDocument(id, req.userId, { type: documentType, url: documentUrl }));
+  } catch (error) {
+    if (/not found|non-pending|already verified|validation failed|valid requestId/i.test(error.message)) {
+      return res.status(/not found/i.test(error.message) ? 404 : 400).json({
         success: false,
-        message: 'Cannot upload documents for non-pending requests'
+        message: error.message
       });
     }
+    throw error;
+  }
 
-    // Add document to join request
-    const document = {
-      type: documentType,
-      url: documentUrl,
-      uploadedAt: new Date()
-    };
-
-    await joinRequestsCollection.updateOne(
-      { _id: new ObjectId(id) },
-      { 
-        $push: { documents: document },
-        $set: { updatedAt: new Date() }
-      }
+  // Notify admins via WebSocket
+  const io = req.app.get('io');
+  if (io) {
+    const society = await db.collection('societies').findOne(
+      { 'requests.requestId': new ObjectId(id) },
+      { projection: { _id: 1 } }
     );
-
-    res.json({
-      success: true,
-      message: 'Document uploaded successfully',
-      data: document
-    });
-  } catch (error) {
-    console.error('Error uploading document:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to upload document'
+    io.to(`society_${society._id}`).emit('join_request_document_uploaded', {
+      requestId: id,
+      documentType: document.type,
+      uploadedAt: document.uploadedAt
     });
   }
+
+  res.json({
+    success: true,
+    message: 'Document uploaded successfully',
+    data: document
+  });
 }));
 
 /**
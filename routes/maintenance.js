@@ -1,56 +1,83 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const multer = require('multer');
 const { verifyClerkToken, clerkClient } = require('../middleware/auth');
 const { UserService } = require('../models/services');
 const MaintenanceService = require('../models/services/MaintenanceService');
+const MaintenanceLedgerService = require('../models/services/MaintenanceLedgerService');
+const MaintenanceReceiptService = require('../models/services/MaintenanceReceiptService');
 const SocietyService = require('../models/services/SocietyService');
 const dbConnection = require('../config/database');
 const { ObjectId } = require('mongodb');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { renderUpiQr } = require('../utils/upi');
+const { parseFinancialYear, financialYearOf } = require('../utils/statements');
+const { renderStatementsPdf } = require('../utils/statementPdf');
+const { fingerprintImage, localProofFileName } = require('../utils/imageHash');
+const { uploadsDirFor, createDiskUpload, publishUpload } = require('../utils/uploads');
+const { isTransitionError } = require('../utils/maintenanceStatus');
 const { ValidationError, NotFoundError, ConflictError, DatabaseError } = require('../middleware/errors');
 
 const router = express.Router();
 
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, '..', 'uploads', 'maintenance');
-fs.mkdirSync(uploadsDir, { recursive: true });
-
-// Multer storage config
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, uploadsDir);
-  },
-  filename: function (req, file, cb) {
-    const ext = path.extname(file.originalname);
-    const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, '');
-    cb(null, `${Date.now()}_${base}${ext}`);
+const uploadsDir = uploadsDirFor('maintenance');
+const upload = createDiskUpload('maintenance');
+
+/**
+ * Load the ledger of the flat a user lives in, or null when the user has
+ * no flat on record
+ */
+const loadFlatLedger = async (db, user) => {
+  if (!user?.societyId || !user.wing || !user.flatNumber) return null;
+
+  const ledgerService = new MaintenanceLedgerService(db);
+  const result = await ledgerService.getFlatLedger(user.societyId, user.wing, user.flatNumber);
+  if (!result.success) {
+    throw new DatabaseError('Failed to retrieve flat ledger');
   }
-});
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 4 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/jpeg', 'image/png', 'image/webp'];
-    if (allowed.includes(file.mimetype)) return cb(null, true);
-    cb(new Error('Only JPG, PNG, WEBP are allowed'));
+  return result.data;
+};
+
+/**
+ * Fingerprint a screenshot stored under uploads/maintenance. Returns an empty
+ * fingerprint when the file can't be read, so the duplicate check still
+ * compares transaction IDs.
+ */
+const fingerprintProofFile = async (fileName) => {
+  if (!fileName) return {};
+  try {
+    return fingerprintImage(await fs.promises.readFile(path.join(uploadsDir, path.basename(fileName))));
+  } catch (error) {
+    console.warn('Failed to fingerprint payment screenshot:', error.message);
+    return {};
   }
-});
-
-let utapi = null;
-try {
-  const { UTApi } = require('uploadthing/server');
-  if (process.env.UPLOADTHING_SECRET) {
-    utapi = new UTApi({
-      apiKey: process.env.UPLOADTHING_SECRET
-    });
+};
+
+/**
+ * Flag a record whose payment proof was already submitted for another record
+ */
+const checkDuplicateProof = async (maintenanceService, recordId, fingerprint) => {
+  const result = await maintenanceService.checkDuplicateProof(recordId, fingerprint);
+  if (!result.success) {
+    console.warn('Duplicate payment proof check failed:', result.error);
   }
-} catch (error) {
-  console.warn('UploadThing not configured or failed to initialize:', error.message);
-}
+};
 
+/**
+ * Find the record a screenshot upload belongs to: the record named by a UPI
+ * transaction reference if one was sent, otherwise the user's record for
+ * the given month
+ */
+const findUploadRecord = async (maintenanceService, user, { transactionRef, month, year }) => {
+  if (transactionRef) {
+    const referenced = await maintenanceService.findByTransactionRef(transactionRef, user);
+    if (referenced.success && referenced.data) return referenced;
+  }
+  if (!month || !year) {
+    return { success: true, data: null };
+  }
+  return maintenanceService.findByUserAndMonth(user.clerkUserId, month, parseInt(year));
+};
 
 /**
  * POST /api/maintenance/upload
@@ -59,11 +86,11 @@ try {
  */
 router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
   try {
-    const { screenshotUrl, month, year, amount, monthsCount, notes } = req.body;
+    const { screenshotUrl, month, year, amount, monthsCount, notes, transactionId, transactionRef } = req.body;
     const clerkUserId = req.userId;
 
-    // Validate required fields
-    if (!screenshotUrl || !month || !year) {
+    // Validate required fields; a UPI transaction reference identifies the month by itself
+    if (!screenshotUrl || (!transactionRef && (!month || !year))) {
       return res.status(400).json({
         success: false,
         message: 'Screenshot URL, month, and year are required'
@@ -100,12 +127,10 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
     const normalizedMonths =
       parsedMonths !== undefined && !Number.isNaN(parsedMonths) ? parsedMonths : undefined;
 
-    // Check if payment already exists for this month/year
-    const existingPayment = await maintenanceService.findByUserAndMonth(
-      clerkUserId,
-      month,
-      year
-    );
+    const fingerprint = await fingerprintProofFile(localProofFileName(screenshotUrl));
+
+    // Check if payment already exists for the referenced record or this month/year
+    const existingPayment = await findUploadRecord(maintenanceService, user, { transactionRef, month, year });
 
     if (existingPayment.success && existingPayment.data) {
       // Update existing payment
@@ -116,21 +141,29 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
           amount: normalizedAmount,
           monthsCount: normalizedMonths,
           notes,
+          transactionId,
+          transactionRef,
         }
       );
 
       if (!updateResult.success) {
+        // e.g. the month was already approved
+        if (isTransitionError(updateResult.error)) {
+          return res.status(409).json({ success: false, message: updateResult.error });
+        }
         throw new DatabaseError('Failed to update payment screenshot');
       }
 
+      await checkDuplicateProof(maintenanceService, updateResult.data._id, fingerprint);
+
       // Notify admins via WebSocket
       const io = req.app.get('io');
       if (io) {
         io.to(`society_${user.societyId}`).emit('maintenance_payment_updated', {
           userId: clerkUserId,
           userName: user.name || 'User',
-          month,
-          year,
+          month: updateResult.data.month,
+          year: updateResult.data.year,
           screenshotUrl,
           updatedAt: new Date()
         });
@@ -142,6 +175,13 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
         data: updateResult.data
       });
     } else {
+      if (!month || !year) {
+        return res.status(400).json({
+          success: false,
+          message: 'Month and year are required'
+        });
+      }
+
       // Ensure societyId is ObjectId
       const societyObjectId = ObjectId.isValid(user.societyId) 
         ? (user.societyId instanceof ObjectId ? user.societyId : new ObjectId(user.societyId))
@@ -158,12 +198,13 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
         year: parseInt(year),
         amount: normalizedAmount ?? 0,
         monthsCount: normalizedMonths ?? 1,
+        transactionId: typeof transactionId === 'string' && transactionId.trim() ? transactionId.trim() : null,
         paymentProof: {
           screenshot: screenshotUrl,
           uploadedAt: new Date(),
-          approvalStatus: 'pending'
+          approvalStatus: 'pending',
+          ...(normalizedAmount !== undefined && { claimedAmount: normalizedAmount })
         },
-        status: 'request_sent',
         notes: notes || '',
         createdAt: new Date(),
         updatedAt: new Date()
@@ -175,6 +216,8 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
         throw new DatabaseError('Failed to create payment record');
       }
 
+      await checkDuplicateProof(maintenanceService, createResult.data._id, fingerprint);
+
       // Notify admins via WebSocket
       const io = req.app.get('io');
       if (io) {
@@ -211,13 +254,13 @@ router.post('/upload', verifyClerkToken, asyncHandler(async (req, res) => {
  */
 router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandler(async (req, res) => {
   try {
-    const { month, year } = req.body;
+    const { month, year, transactionRef } = req.body;
     const clerkUserId = req.userId;
 
     if (!req.file) {
       return res.status(400).json({ success: false, message: 'File is required' });
     }
-    if (!month || !year) {
+    if (!transactionRef && (!month || !year)) {
       return res.status(400).json({ success: false, message: 'Month and year are required' });
     }
 
@@ -239,44 +282,9 @@ router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandle
       return res.status(400).json({ success: false, message: 'User must be a member of a society' });
     }
 
-    const filePath = path.join(uploadsDir, req.file.filename);
-    const publicUrl = `${req.protocol}://${req.get('host')}/uploads/maintenance/${req.file.filename}`;
-
-    let uploadthingUrl = null;
-    if (utapi) {
-      try {
-        const fileBuffer = await fs.promises.readFile(filePath);
-        const fileName = req.file.originalname || `maintenance_${Date.now()}.png`;
-        const uploadResponse = await utapi.uploadFiles([
-          new File([fileBuffer], fileName, {
-            type: req.file.mimetype || 'image/png',
-          }),
-        ]);
-
-        const uploadedFile = Array.isArray(uploadResponse)
-          ? uploadResponse[0]
-          : uploadResponse;
-
-        const remoteUrl =
-          uploadedFile?.data?.url ||
-          uploadedFile?.url ||
-          uploadedFile?.data?.[0]?.url;
-
-        if (remoteUrl) {
-          uploadthingUrl = remoteUrl;
-          // remove local file copy once uploaded successfully
-          fs.unlink(filePath, (err) => {
-            if (err) {
-              console.warn('Failed to remove local maintenance upload file:', err.message);
-            }
-          });
-        }
-      } catch (error) {
-        console.error('UploadThing upload failed:', error.message);
-      }
-    }
-
-    const screenshotUrl = uploadthingUrl || publicUrl;
+    // Fingerprint before the local copy may be removed after uploading to UploadThing
+    const fingerprint = await fingerprintProofFile(req.file.filename);
+    const { url: screenshotUrl } = await publishUpload(req, 'maintenance');
 
     const maintenanceService = new MaintenanceService(db);
     const amountValue = req.body.amount;
@@ -288,8 +296,9 @@ router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandle
     const normalizedMonths =
       parsedMonths !== undefined && !Number.isNaN(parsedMonths) ? parsedMonths : undefined;
     const notes = req.body.notes;
+    const transactionId = req.body.transactionId;
 
-    const existing = await maintenanceService.findByUserAndMonth(clerkUserId, month, parseInt(year));
+    const existing = await findUploadRecord(maintenanceService, user, { transactionRef, month, year });
 
     if (existing.success && existing.data) {
       const updateResult = await maintenanceService.updatePaymentScreenshot(
@@ -299,12 +308,24 @@ router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandle
           amount: normalizedAmount,
           monthsCount: normalizedMonths,
           notes,
+          transactionId,
+          transactionRef,
         }
       );
-      if (!updateResult.success) throw new DatabaseError('Failed to update payment screenshot');
+      if (!updateResult.success) {
+        if (isTransitionError(updateResult.error)) {
+          return res.status(409).json({ success: false, message: updateResult.error });
+        }
+        throw new DatabaseError('Failed to update payment screenshot');
+      }
+      await checkDuplicateProof(maintenanceService, updateResult.data._id, fingerprint);
       return res.json({ success: true, message: 'Payment screenshot updated', data: updateResult.data });
     }
 
+    if (!month || !year) {
+      return res.status(400).json({ success: false, message: 'Month and year are required' });
+    }
+
     // Ensure societyId is ObjectId
     const societyObjectId = ObjectId.isValid(user.societyId) 
       ? (user.societyId instanceof ObjectId ? user.societyId : new ObjectId(user.societyId))
@@ -320,12 +341,13 @@ router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandle
       year: parseInt(year),
       amount: normalizedAmount ?? 0,
       monthsCount: normalizedMonths ?? 1,
+      transactionId: typeof transactionId === 'string' && transactionId.trim() ? transactionId.trim() : null,
       paymentProof: {
         screenshot: screenshotUrl,
         uploadedAt: new Date(),
-        approvalStatus: 'pending'
+        approvalStatus: 'pending',
+        ...(normalizedAmount !== undefined && { claimedAmount: normalizedAmount })
       },
-      status: 'request_sent',
       notes: notes || '',
       createdAt: new Date(),
       updatedAt: new Date()
@@ -333,6 +355,7 @@ router.post('/upload-file', verifyClerkToken, upload.single('file'), asyncHandle
 
     const createResult = await maintenanceService.create(paymentData);
     if (!createResult.success) throw new DatabaseError('Failed to create payment record');
+    await checkDuplicateProof(maintenanceService, createResult.data._id, fingerprint);
 
     res.json({ success: true, message: 'Payment screenshot uploaded', data: createResult.data });
   } catch (error) {
@@ -376,6 +399,8 @@ router.get('/calendar', verifyClerkToken, asyncHandler(async (req, res) => {
       throw new DatabaseError('Failed to retrieve maintenance records');
     }
 
+    const ledger = await loadFlatLedger(db, userResult.data);
+
     // Format the response for calendar view
     const calendarData = result.data.map(record => ({
       _id: record._id,
@@ -383,6 +408,7 @@ router.get('/calendar', verifyClerkToken, asyncHandler(async (req, res) => {
       year: record.year,
       amount: record.amount || 0,
       monthsCount: record.monthsCount || 1,
+      transactionId: record.transactionId || null,
       paymentProof: {
         screenshot: record.paymentProof?.screenshot || null,
         uploadedAt: record.paymentProof?.uploadedAt || null,
@@ -392,6 +418,19 @@ router.get('/calendar', verifyClerkToken, asyncHandler(async (req, res) => {
         rejectionReason: record.paymentProof?.rejectionReason || null
       },
       status: record.status || 'pending',
+      dueDate: record.dueDate || null,
+      // 'levy' for special assessment installments and 'utility' for metered
+      // water/electricity charges, both billed alongside maintenance
+      chargeType: record.chargeType || 'maintenance',
+      levy: record.levy || null,
+      utility: record.utility || null,
+      unitId: record.unitId || null,
+      lateFees: record.lateFees || [],
+      lateFeeTotal: record.lateFeeTotal || 0,
+      settlement: ledger?.allocations[record._id.toString()] || record.settlement || null,
+      coveredBy: record.coveredBy || null,
+      coverage: record.coverage || null,
+      receipt: record.receipt || null,
       notes: record.notes || '',
       createdAt: record.createdAt,
       updatedAt: record.updatedAt
@@ -399,7 +438,10 @@ router.get('/calendar', verifyClerkToken, asyncHandler(async (req, res) => {
 
     res.json({
       success: true,
-      data: calendarData
+      data: calendarData,
+      balance: ledger
+        ? { balance: ledger.balance, outstanding: ledger.outstanding, creditBalance: ledger.creditBalance }
+        : null
     });
   } catch (error) {
     console.error('Error fetching maintenance calendar:', error);
@@ -526,6 +568,7 @@ router.get('/history', verifyClerkToken, asyncHandler(async (req, res) => {
       year: record.year,
       amount: record.amount || 0,
       monthsCount: record.monthsCount || 1,
+      transactionId: record.transactionId || null,
       paymentProof: {
         screenshot: record.paymentProof?.screenshot || null,
         uploadedAt: record.paymentProof?.uploadedAt || null,
@@ -535,6 +578,17 @@ router.get('/history', verifyClerkToken, asyncHandler(async (req, res) => {
         rejectionReason: record.paymentProof?.rejectionReason || null
       },
       status: record.status || 'pending',
+      dueDate: record.dueDate || null,
+      chargeType: record.chargeType || 'maintenance',
+      levy: record.levy || null,
+      utility: record.utility || null,
+      unitId: record.unitId || null,
+      lateFees: record.lateFees || [],
+      lateFeeTotal: record.lateFeeTotal || 0,
+      // Reversals and refunds of earlier payments on this record
+      corrections: (record.paymentHistory || []).map(({ type, amount, reason, method, reference, at }) => ({
+        type, amount, reason, method, reference, at
+      })),
       notes: record.notes || '',
       createdAt: record.createdAt,
       updatedAt: record.updatedAt
@@ -658,48 +712,75 @@ router.get('/summary', verifyClerkToken, asyncHandler(async (req, res) => {
     
     const overdue = records.filter(r => (r.status || '') === 'overdue').length;
     
-    // Calculate amounts - sum all amounts regardless of status
-    const totalAmount = records.reduce((sum, r) => {
-      const amount = parseFloat(r.amount) || 0;
-      return sum + amount;
-    }, 0);
-    
-    // Calculate paid amount - only from approved/paid records
-    const paidAmount = records
-      .filter(r => {
-        const status = r.status || '';
-        const approvalStatus = r.paymentProof?.approvalStatus || '';
-        return status === 'paid' || 
-               status === 'approved' || 
-               approvalStatus === 'approved';
-      })
-      .reduce((sum, r) => {
-        const amount = parseFloat(r.amount) || 0;
-        return sum + amount;
-      }, 0);
-    
-    // Calculate pending amount
-    const pendingAmount = records
-      .filter(r => {
-        const status = r.status || '';
-        const approvalStatus = r.paymentProof?.approvalStatus || '';
-        return (status === 'pending' || 
-                status === 'request_sent' || 
-                approvalStatus === 'pending') &&
-               approvalStatus !== 'approved';
-      })
-      .reduce((sum, r) => {
-        const amount = parseFloat(r.amount) || 0;
-        return sum + amount;
-      }, 0);
-    
-    // Calculate overdue amount
-    const overdueAmount = records
-      .filter(r => (r.status || '') === 'overdue')
-      .reduce((sum, r) => {
+    // Amounts come from the flat ledger, so partial payments, carried-forward
+    // credit, late fees and adjustments are all reflected
+    const ledger = await loadFlatLedger(db, userResult.data);
+    const hasLedger = Boolean(ledger && ledger.entries.length > 0);
+
+    let totalAmount;
+    let paidAmount;
+    let pendingAmount;
+    let overdueAmount;
+
+    if (hasLedger) {
+      const sumEntries = (predicate) => ledger.entries
+        .filter(predicate)
+        .reduce((sum, entry) => sum + (Number(entry.amount) || 0), 0);
+
+      const outstandingFor = (predicate) => records
+        .filter(predicate)
+        .reduce((sum, r) => sum + (ledger.allocations[r._id.toString()]?.outstanding || 0), 0);
+
+      // Reversals and refunds are payments posted as debits
+      const reversedAmount = sumEntries(entry => entry.entryType === 'payment' && entry.direction === 'debit');
+      paidAmount = sumEntries(entry => entry.entryType === 'payment' && entry.direction === 'credit') - reversedAmount;
+      totalAmount = ledger.totalDebits - reversedAmount - sumEntries(entry => entry.direction === 'credit' && entry.entryType !== 'payment');
+      overdueAmount = outstandingFor(r => (r.status || '') === 'overdue');
+      pendingAmount = Math.max(ledger.outstanding - overdueAmount, 0);
+    } else {
+      // Calculate amounts - sum all amounts regardless of status
+      totalAmount = records.reduce((sum, r) => {
         const amount = parseFloat(r.amount) || 0;
         return sum + amount;
       }, 0);
+
+      // Calculate paid amount - only from approved/paid records
+      paidAmount = records
+        .filter(r => {
+          const status = r.status || '';
+          const approvalStatus = r.paymentProof?.approvalStatus || '';
+          return status === 'paid' || 
+                 status === 'approved' || 
+                 approvalStatus === 'approved';
+        })
+        .reduce((sum, r) => {
+          const amount = parseFloat(r.amount) || 0;
+          return sum + amount;
+        }, 0);
+
+      // Calculate pending amount
+      pendingAmount = records
+        .filter(r => {
+          const status = r.status || '';
+          const approvalStatus = r.paymentProof?.approvalStatus || '';
+          return (status === 'pending' || 
+                  status === 'request_sent' || 
+                  approvalStatus === 'pending') &&
+                 approvalStatus !== 'approved';
+        })
+        .reduce((sum, r) => {
+          const amount = parseFloat(r.amount) || 0;
+          return sum + amount;
+        }, 0);
+
+      // Calculate overdue amount
+      overdueAmount = records
+        .filter(r => (r.status || '') === 'overdue')
+        .reduce((sum, r) => {
+          const amount = parseFloat(r.amount) || 0;
+          return sum + amount;
+        }, 0);
+    }
     
     // Debug logging
     console.log('Maintenance Summary Calculation:', {
@@ -736,6 +817,8 @@ router.get('/summary', verifyClerkToken, asyncHandler(async (req, res) => {
       paidAmount,
       pendingAmount,
       overdueAmount,
+      balance: hasLedger ? ledger.balance : pendingAmount + overdueAmount,
+      creditBalance: hasLedger ? ledger.creditBalance : 0,
       recentRecords: records.slice(0, 12), // Last 12 months
       // Legacy fields for backward compatibility
       totalPaid: paidAmount,
@@ -757,4 +840,162 @@ router.get('/summary', verifyClerkToken, asyncHandler(async (req, res) => {
   }
 }));
 
+/**
+ * GET /api/maintenance/statement
+ * Statement of the current user's flat for an Indian financial year: every
+ * charge, payment, late fee and waiver with opening and closing balances
+ * Query: fy (e.g. 2025-26, defaults to the current financial year), format (json or pdf)
+ * Requires authentication
+ */
+router.get('/statement', verifyClerkToken, asyncHandler(async (req, res) => {
+  const { fy = financialYearOf(new Date()), format = 'json' } = req.query;
+
+  if (!parseFinancialYear(fy)) {
+    throw new ValidationError('fy must be a financial year such as 2025-26');
+  }
+  if (!['json', 'pdf'].includes(format)) {
+    throw new ValidationError('format must be one of: json, pdf');
+  }
+
+  const db = dbConnection.getDb();
+  const userService = new UserService(db);
+  const ledgerService = new MaintenanceLedgerService(db);
+
+  const userResult = await userService.findByClerkUserId(req.userId);
+  const user = userResult.success ? userResult.data : null;
+  if (!user?.societyId || !user.wing || !user.flatNumber) {
+    throw new NotFoundError('User profile not found. Please complete society registration first.');
+  }
+
+  const statementResult = await ledgerService.getFlatStatement(user.societyId, user.wing, user.flatNumber, fy);
+  if (!statementResult.success) {
+    throw new DatabaseError('Failed to build maintenance statement');
+  }
+
+  const statement = statementResult.data;
+
+  if (format === 'pdf') {
+    const pdf = await renderStatementsPdf([statement], `Maintenance Statement FY ${statement.financialYear}`);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="statement_${statement.financialYear}_${statement.wing}-${statement.flatNumber}.pdf"`
+    );
+    return res.send(pdf);
+  }
+
+  res.json({
+    success: true,
+    data: statement
+  });
+}));
+
+/**
+ * GET /api/maintenance/receipts/:recordId
+ * Download the PDF receipt for an approved payment of the current user's flat
+ * Requires authentication
+ */
+router.get('/receipts/:recordId', verifyClerkToken, asyncHandler(async (req, res) => {
+  const { recordId } = req.params;
+
+  if (!ObjectId.isValid(recordId)) {
+    throw new ValidationError('Invalid record ID');
+  }
+
+  const db = dbConnection.getDb();
+  const userService = new UserService(db);
+  const maintenanceService = new MaintenanceService(db);
+  const receiptService = new MaintenanceReceiptService(db);
+
+  const userResult = await userService.findByClerkUserId(req.userId);
+  const user = userResult.success ? userResult.data : null;
+
+  const recordResult = await maintenanceService.findById(recordId);
+  const record = recordResult.success ? recordResult.data : null;
+
+  // Residents may download receipts for their own payments or their flat's
+  const ownsRecord = record && (
+    record.clerkUserId === req.userId ||
+    (user?.societyId && record.societyId?.toString() === user.societyId.toString() &&
+      record.wing === user.wing && record.flatNumber === user.flatNumber)
+  );
+
+  if (!ownsRecord) {
+    throw new NotFoundError('Maintenance record not found');
+  }
+
+  const receiptResult = await receiptService.findByRecord(recordId);
+  if (!receiptResult.success) {
+    throw new DatabaseError('Failed to retrieve receipt');
+  }
+  if (!receiptResult.data) {
+    throw new NotFoundError('No receipt has been issued for this payment yet');
+  }
+
+  const pdf = await receiptService.renderPdf(receiptResult.data);
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${receiptResult.data.receiptNumber}.pdf"`);
+  res.send(pdf);
+}));
+
+/**
+ * GET /api/maintenance/upi-intent
+ * UPI payment intent for the exact amount outstanding on a record of the
+ * current user's flat, as a `upi://pay` URI and QR code
+ * Query: recordId (defaults to the oldest outstanding record), format (json, png or svg)
+ * Requires authentication
+ */
+router.get('/upi-intent', verifyClerkToken, asyncHandler(async (req, res) => {
+  const { recordId, format = 'json' } = req.query;
+
+  if (recordId !== undefined && !ObjectId.isValid(recordId)) {
+    throw new ValidationError('Invalid record ID');
+  }
+  if (!['json', 'png', 'svg'].includes(format)) {
+    throw new ValidationError('format must be one of: json, png, svg');
+  }
+
+  const db = dbConnection.getDb();
+  const userService = new UserService(db);
+  const maintenanceService = new MaintenanceService(db);
+
+  const userResult = await userService.findByClerkUserId(req.userId);
+  if (!userResult.success || !userResult.data) {
+    throw new NotFoundError('User profile not found. Please complete society registration first.');
+  }
+
+  const intentResult = await maintenanceService.createUpiIntent(userResult.data, recordId || null);
+  if (!intentResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: intentResult.error || 'Failed to create UPI payment intent'
+    });
+  }
+
+  const intent = intentResult.data;
+
+  if (format === 'png') {
+    res.setHeader('Content-Type', 'image/png');
+    return res.send(await renderUpiQr(intent.uri, 'png'));
+  }
+  if (format === 'svg') {
+    res.setHeader('Content-Type', 'image/svg+xml');
+    return res.send(await renderUpiQr(intent.uri, 'svg'));
+  }
+
+  const png = await renderUpiQr(intent.uri, 'png');
+
+  res.json({
+    success: true,
+    data: {
+      ...intent,
+      qrCode: {
+        png: `data:image/png;base64,${png.toString('base64')}`,
+        svg: await renderUpiQr(intent.uri, 'svg')
+      }
+    }
+  });
+}));
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,146 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { verifyClerkToken } = require('../middleware/auth');
+const { UserService } = require('../models/services');
+const PaymentGatewayService = require('../models/services/PaymentGatewayService');
+const dbConnection = require('../config/database');
+const { asyncHandler } = require('../middleware/errorHandler');
+const { ValidationError, NotFoundError, AuthorizationError } = require('../middleware/errors');
+const { getProvider } = require('../payments');
+
+const router = express.Router();
+
+/**
+ * POST /api/payments/orders
+ * Create a payment order for the current user's outstanding maintenance dues
+ * Optional body: { recordIds: [] } to pay specific months
+ * Optional header: Idempotency-Key, so retried requests return the same order
+ * Requires authentication
+ */
+router.post('/orders', verifyClerkToken, asyncHandler(async (req, res) => {
+  const { recordIds } = req.body;
+
+  if (recordIds !== undefined && (!Array.isArray(recordIds) || recordIds.length === 0)) {
+    throw new ValidationError('recordIds must be a non-empty array');
+  }
+
+  const db = dbConnection.getDb();
+  const userService = new UserService(db);
+  const paymentService = new PaymentGatewayService(db);
+
+  const userResult = await userService.findByClerkUserId(req.userId);
+  if (!userResult.success || !userResult.data) {
+    throw new NotFoundError('User profile not found. Please complete society registration first.');
+  }
+
+  const orderResult = await paymentService.createOrder(userResult.data, {
+    recordIds,
+    idempotencyKey: req.get('Idempotency-Key')
+  });
+
+  if (!orderResult.success) {
+    return res.status(400).json({
+      success: false,
+      message: orderResult.error || 'Failed to create payment order'
+    });
+  }
+
+  res.status(orderResult.replayed ? 200 : 201).json({
+    success: true,
+    message: orderResult.replayed ? 'Existing payment order returned' : 'Payment order created',
+    data: orderResult.data
+  });
+}));
+
+/**
+ * GET /api/payments/orders/:orderId
+ * Get the status of one of the current user's payment orders
+ * Requires authentication
+ */
+router.get('/orders/:orderId', verifyClerkToken, asyncHandler(async (req, res) => {
+  const { orderId } = req.params;
+
+  if (!ObjectId.isValid(orderId)) {
+    throw new ValidationError('Invalid order ID');
+  }
+
+  const db = dbConnection.getDb();
+  const paymentService = new PaymentGatewayService(db);
+  const orderResult = await paymentService.findUserOrder(orderId, req.userId);
+
+  if (!orderResult.success || !orderResult.data) {
+    throw new NotFoundError('Payment order not found');
+  }
+
+  res.json({
+    success: true,
+    data: orderResult.data
+  });
+}));
+
+/**
+ * POST /api/payments/webhooks/:provider
+ * Provider webhook. Authenticated by the provider's HMAC signature over the
+ * raw request body rather than by a user token.
+ */
+router.post('/webhooks/:provider', asyncHandler(async (req, res) => {
+  const db = dbConnection.getDb();
+  const paymentService = new PaymentGatewayService(db);
+
+  const result = await paymentService.handleWebhook(req.params.provider, req.rawBody, req.headers);
+
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result.data
+  });
+}));
+
+/**
+ * POST /api/payments/mock/orders/:orderId/complete
+ * Development checkout for the mock provider: sends the signed webhook the
+ * provider would send, through the same webhook handling as real providers.
+ * Body: { outcome: 'captured' | 'failed' }
+ * Requires authentication; disabled in production
+ */
+router.post('/mock/orders/:orderId/complete', verifyClerkToken, asyncHandler(async (req, res) => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new AuthorizationError('The mock payment provider is disabled in production');
+  }
+
+  const { orderId } = req.params;
+  if (!ObjectId.isValid(orderId)) {
+    throw new ValidationError('Invalid order ID');
+  }
+
+  const db = dbConnection.getDb();
+  const paymentService = new PaymentGatewayService(db);
+  const orderResult = await paymentService.findUserOrder(orderId, req.userId);
+
+  if (!orderResult.success || !orderResult.data || orderResult.data.provider !== 'mock') {
+    throw new NotFoundError('Mock payment order not found');
+  }
+
+  const { rawBody, headers } = getProvider('mock').simulateWebhook(orderResult.data, req.body.outcome);
+  const result = await paymentService.handleWebhook('mock', rawBody, headers);
+
+  if (!result.success) {
+    return res.status(result.status || 500).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  res.json({
+    success: true,
+    data: result.data
+  });
+}));
+
+module.exports = router;
@@ -1,6 +1,6 @@
 const express = require('express');
 const { verifyClerkToken, getUserDetails, clerkClient } = require('../middleware/auth');
-const { UserService, SocietyService } = require('../models/services');
+const { UserService, SocietyService, UnitService } = require('../models/services');
 const dbConnection = require('../config/database');
 const { ObjectId } = require('mongodb');
 const { asyncHandler } = require('../middleware/errorHandler');
@@ -370,7 +370,11 @@ router.post('/verify-society',
  * Requires authentication
  */
 router.get('/society/members', verifyClerkToken, asyncHandler(async (req, res) => {
-  const { wing, residentType, search } = req.query;
+  const { wing, residentType, search, unitId } = req.query;
+
+  if (unitId && !ObjectId.isValid(unitId)) {
+    throw new ValidationError('Invalid unitId');
+  }
 
   const db = dbConnection.getDb();
   const userService = new UserService(db);
@@ -399,13 +403,21 @@ router.get('/society/members', verifyClerkToken, asyncHandler(async (req, res) =
   const result = await userService.getSocietyMembers(currentUser.societyId, {
     wing,
     residentType,
-    search
+    search,
+    unitId
   });
 
   if (!result.success) {
     throw new DatabaseError('Unable to retrieve society members');
   }
 
+  // Unit labels for members linked to the unit registry
+  const unitIds = [...new Set(result.data.filter(member => member.unitId).map(member => member.unitId.toString()))];
+  const unitsResult = unitIds.length > 0
+    ? await new UnitService(db).listUnits(currentUser.societyId, { ids: unitIds, status: 'all' })
+    : { data: [] };
+  const unitLabels = new Map((unitsResult.data || []).map(unit => [unit._id.toString(), unit.label]));
+
   // Format the response data - fetch names from Clerk since name field doesn't exist in DB
   const members = await Promise.all(result.data.map(async (member) => {
     let memberName = 'Unknown';
@@ -443,6 +455,8 @@ router.get('/society/members', verifyClerkToken, asyncHandler(async (req, res) =
       name: memberName,
       wing: member.wing || 'N/A',
       flatNumber: member.flatNumber || 'N/A',
+      unitId: member.unitId ? member.unitId.toString() : null,
+      unitLabel: member.unitId ? unitLabels.get(member.unitId.toString()) || null : null,
       phone: member.contactNumber || 'N/A',
       residentType: member.residentType || 'Unknown',
       isOnline: false, // TODO: Implement actual online status tracking
@@ -0,0 +1,88 @@
+const dbConnection = require('../config/database');
+const GeneralLedgerService = require('../models/services/GeneralLedgerService');
+
+/**
+ * General Ledger Backfill Script
+ * Posts vouchers for flat ledger entries and approved expenses recorded
+ * before the general ledger existed, or whose posting failed. Vouchers are
+ * keyed by what they were posted for, so re-running is safe.
+ *
+ * Usage: node scripts/backfillGeneralLedger.js [societyId]
+ */
+
+async function backfillGeneralLedger(societyId = null) {
+  try {
+    console.log('📚 Backfilling general ledger...');
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const ledgerService = new GeneralLedgerService(db);
+    const query = {};
+    if (societyId) {
+      const { ObjectId } = require('mongodb');
+      query.societyId = new ObjectId(societyId);
+    }
+
+    const summary = { ledgerEntries: 0, expenses: 0, failed: 0 };
+
+    const entries = db.collection('maintenance_ledger').find(query).sort({ postedAt: 1 });
+    for await (const entry of entries) {
+      const result = await ledgerService.postFlatLedgerEntry(entry);
+      if (result.success) {
+        summary.ledgerEntries += 1;
+      } else {
+        summary.failed += 1;
+        console.log(`  ❌ Ledger entry ${entry._id}: ${result.error}`);
+      }
+    }
+
+    const expenses = db.collection('expenses').find({ ...query, status: 'approved' }).sort({ expenseDate: 1 });
+    for await (const expense of expenses) {
+      const result = await ledgerService.postExpense(expense);
+      if (result.success) {
+        summary.expenses += 1;
+      } else {
+        summary.failed += 1;
+        console.log(`  ❌ Expense ${expense._id}: ${result.error}`);
+      }
+    }
+
+    console.log(`  ✓ ${summary.ledgerEntries} flat ledger entries and ${summary.expenses} expenses posted`);
+
+    return {
+      success: summary.failed === 0,
+      data: summary
+    };
+  } catch (error) {
+    console.error('❌ General ledger backfill failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run backfill if this script is executed directly
+if (require.main === module) {
+  const [societyId] = process.argv.slice(2);
+
+  backfillGeneralLedger(societyId || null)
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ General ledger backfill completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ General ledger backfill completed with errors');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillGeneralLedger };
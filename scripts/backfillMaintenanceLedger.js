@@ -0,0 +1,101 @@
+const dbConnection = require('../config/database');
+const MaintenanceLedgerService = require('../models/services/MaintenanceLedgerService');
+
+/**
+ * Maintenance Ledger Backfill Script
+ * Posts ledger entries for maintenance records created before the flat
+ * ledger existed. Entries are keyed by record, so re-running is safe.
+ *
+ * Usage: node scripts/backfillMaintenanceLedger.js [societyId]
+ */
+
+const PAID_STATUSES = ['approved', 'paid'];
+
+async function backfillMaintenanceLedger(societyId = null) {
+  try {
+    console.log('📒 Backfilling maintenance ledger...');
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const ledgerService = new MaintenanceLedgerService(db);
+    const query = {
+      wing: { $exists: true, $nin: [null, ''] },
+      flatNumber: { $exists: true, $nin: [null, ''] }
+    };
+    if (societyId) {
+      const { ObjectId } = require('mongodb');
+      query.societyId = new ObjectId(societyId);
+    }
+
+    const records = await db.collection('maintenance').find(query).toArray();
+    const summary = { records: records.length, charges: 0, payments: 0, lateFees: 0, failed: 0 };
+
+    for (const record of records) {
+      const results = [];
+
+      if ((Number(record.amount) || 0) > 0) {
+        results.push(['charges', await ledgerService.postRecordCharge(record)]);
+      }
+
+      for (const fee of record.lateFees || []) {
+        if (!fee._id) continue;
+        results.push(['lateFees', await ledgerService.postLateFee(record, fee)]);
+        if (fee.waived) {
+          results.push(['lateFees', await ledgerService.postLateFeeWaiver(record, fee, fee.waivedBy)]);
+        }
+      }
+
+      const paidAmount = record.paymentProof?.approvedAmount ?? record.amount;
+      if (PAID_STATUSES.includes(record.status) && (Number(paidAmount) || 0) > 0) {
+        results.push(['payments', await ledgerService.postRecordPayment(record, paidAmount, record.paymentProof?.approvedBy)]);
+      }
+
+      results.forEach(([key, result]) => {
+        if (result.success) {
+          summary[key] += 1;
+        } else {
+          summary.failed += 1;
+          console.log(`  ❌ ${record._id}: ${result.error}`);
+        }
+      });
+    }
+
+    console.log(`  ✓ ${summary.records} records: ${summary.charges} charges, ${summary.payments} payments, ${summary.lateFees} late fee entries`);
+
+    return {
+      success: summary.failed === 0,
+      data: summary
+    };
+  } catch (error) {
+    console.error('❌ Ledger backfill failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run backfill if this script is executed directly
+if (require.main === module) {
+  const [societyId] = process.argv.slice(2);
+
+  backfillMaintenanceLedger(societyId || null)
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ Ledger backfill completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Ledger backfill completed with errors');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { backfillMaintenanceLedger };
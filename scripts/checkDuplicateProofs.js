@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+const dbConnection = require('../config/database');
+const MaintenanceService = require('../models/services/MaintenanceService');
+const { fingerprintImage, localProofFileName } = require('../utils/imageHash');
+
+/**
+ * Duplicate Payment Proof Check Script
+ * Fingerprints screenshots uploaded before duplicate detection existed and
+ * flags records whose screenshot or transaction ID was also submitted for
+ * another record. Re-running recomputes the flags.
+ *
+ * Usage: node scripts/checkDuplicateProofs.js [societyId]
+ */
+
+const uploadsDir = path.join(__dirname, '..', 'uploads', 'maintenance');
+
+async function checkDuplicateProofs(societyId = null) {
+  try {
+    console.log('🔍 Checking payment proofs for duplicates...');
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const maintenanceService = new MaintenanceService(db);
+    const query = {
+      $or: [
+        { 'paymentProof.screenshot': { $exists: true, $nin: [null, ''] } },
+        { transactionId: { $exists: true, $nin: [null, ''] } }
+      ]
+    };
+    if (societyId) {
+      const { ObjectId } = require('mongodb');
+      query.societyId = new ObjectId(societyId);
+    }
+
+    const records = await db.collection('maintenance').find(query).toArray();
+    const summary = { records: records.length, fingerprinted: 0, flagged: 0, failed: 0 };
+
+    // Fingerprint every local screenshot first so each check sees all of them
+    for (const record of records) {
+      if (record.paymentProof?.contentHash) continue;
+
+      const fileName = localProofFileName(record.paymentProof?.screenshot);
+      if (!fileName) continue;
+
+      try {
+        const buffer = await fs.promises.readFile(path.join(uploadsDir, path.basename(fileName)));
+        const { contentHash, perceptualHash } = fingerprintImage(buffer);
+        await db.collection('maintenance').updateOne(
+          { _id: record._id },
+          { $set: { 'paymentProof.contentHash': contentHash, 'paymentProof.perceptualHash': perceptualHash } }
+        );
+        summary.fingerprinted += 1;
+      } catch (error) {
+        console.log(`  ⚠️  ${record._id}: screenshot not readable (${error.message})`);
+      }
+    }
+
+    for (const record of records) {
+      const result = await maintenanceService.checkDuplicateProof(record._id);
+      if (!result.success) {
+        summary.failed += 1;
+        console.log(`  ❌ ${record._id}: ${result.error}`);
+      } else if (result.data.suspected) {
+        summary.flagged += 1;
+      }
+    }
+
+    console.log(`  ✓ ${summary.records} records: ${summary.fingerprinted} screenshots fingerprinted, ${summary.flagged} suspected duplicates`);
+
+    return {
+      success: summary.failed === 0,
+      data: summary
+    };
+  } catch (error) {
+    console.error('❌ Duplicate proof check failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run check if this script is executed directly
+if (require.main === module) {
+  const [societyId] = process.argv.slice(2);
+
+  checkDuplicateProofs(societyId || null)
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ Duplicate proof check completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Duplicate proof check completed with errors');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { checkDuplicateProofs };
@@ -0,0 +1,74 @@
+const dbConnection = require('../config/database');
+const MaintenanceService = require('../models/services/MaintenanceService');
+
+/**
+ * Monthly Maintenance Billing Script
+ * Creates pending maintenance records for every active flat
+ *
+ * Usage: node scripts/generateMaintenanceBills.js [YYYY-MM] [societyId]
+ * Defaults to the current month across all societies.
+ */
+
+const currentPeriod = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+};
+
+async function generateMaintenanceBills(period = currentPeriod(), societyId = null) {
+  try {
+    console.log(`🧾 Generating maintenance bills for ${period}...`);
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const maintenanceService = new MaintenanceService(db);
+    const options = { triggeredBy: 'script' };
+
+    const result = societyId
+      ? await maintenanceService.generateMonthlyBills(societyId, period, options)
+      : await maintenanceService.generateMonthlyBillsForAllSocieties(period, options);
+
+    if (!societyId && Array.isArray(result.data)) {
+      result.data.forEach(run => {
+        const status = run.success ? '✓' : '❌';
+        console.log(`  ${status} ${run.societyName}: ${run.createdCount} created, ${run.skippedCount} skipped${run.error ? ` (${run.error})` : ''}`);
+      });
+    } else if (result.success) {
+      console.log(`  ✓ ${result.data.createdCount} created, ${result.data.skippedCount} skipped`);
+    } else {
+      console.log(`  ❌ ${result.error}`);
+    }
+
+    return result;
+  } catch (error) {
+    console.error('❌ Maintenance billing failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run billing if this script is executed directly
+if (require.main === module) {
+  const [period, societyId] = process.argv.slice(2);
+
+  generateMaintenanceBills(period || currentPeriod(), societyId || null)
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ Maintenance billing completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Maintenance billing completed with errors');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { generateMaintenanceBills };
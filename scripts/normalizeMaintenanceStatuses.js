@@ -0,0 +1,148 @@
+const dbConnection = require('../config/database');
+const { normalizeLegacyStatus } = require('../utils/maintenanceStatus');
+
+/**
+ * Maintenance Status Migration Script
+ * Maps every maintenance record onto the status lifecycle in
+ * utils/maintenanceStatus: old spellings are normalised, records without a
+ * known status get one from their payment proof, and records marked as
+ * submitted without a screenshot go back to pending. Each change is logged
+ * in the record's statusHistory. Records already on the lifecycle are left
+ * alone, so re-running is safe.
+ *
+ * Monthly bills from before chargeType was stored are then tagged
+ * chargeType 'maintenance' so the monthly_bill_per_flat unique index covers
+ * them. Flats billed more than once for a month are listed and left untagged
+ * until the extra records are removed or merged.
+ *
+ * Usage: node scripts/normalizeMaintenanceStatuses.js [societyId] [--dry-run]
+ */
+
+/**
+ * Flat-months with more than one monthly bill (levies and utility charges
+ * don't count)
+ * @param {Db} db - Database
+ * @param {object} query - Extra filter, e.g. { societyId }
+ * @returns {Promise<Array<{societyId, wing, flatNumber, year, month, recordIds: Array}>>}
+ */
+async function findDuplicateMonthlyBills(db, query = {}) {
+  const groups = await db.collection('maintenance').aggregate([
+    { $match: { ...query, chargeType: { $nin: ['levy', 'utility'] } } },
+    {
+      $group: {
+        _id: { societyId: '$societyId', wing: '$wing', flatNumber: '$flatNumber', year: '$year', month: '$month' },
+        recordIds: { $push: '$_id' },
+        count: { $sum: 1 }
+      }
+    },
+    { $match: { count: { $gt: 1 } } },
+    { $sort: { '_id.societyId': 1, '_id.wing': 1, '_id.flatNumber': 1, '_id.year': 1 } }
+  ]).toArray();
+
+  return groups.map(group => ({ ...group._id, recordIds: group.recordIds }));
+}
+
+async function normalizeMaintenanceStatuses(societyId = null, options = {}) {
+  try {
+    console.log(`🔧 Normalizing maintenance statuses${options.dryRun ? ' (dry run)' : ''}...`);
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const query = {};
+    if (societyId) {
+      const { ObjectId } = require('mongodb');
+      query.societyId = new ObjectId(societyId);
+    }
+
+    const records = await db.collection('maintenance')
+      .find(query, { projection: { status: 1, paidDate: 1, paymentProof: 1 } })
+      .toArray();
+    const summary = { records: records.length, updated: 0, changes: {} };
+    const now = new Date();
+
+    for (const record of records) {
+      const status = normalizeLegacyStatus(record);
+      if (status === record.status) continue;
+
+      const key = `${record.status ?? 'missing'} → ${status}`;
+      summary.changes[key] = (summary.changes[key] || 0) + 1;
+      summary.updated += 1;
+      if (options.dryRun) continue;
+
+      await db.collection('maintenance').updateOne(
+        { _id: record._id, status: record.status },
+        {
+          $set: { status, updatedAt: now },
+          $push: {
+            statusHistory: {
+              from: record.status ?? null,
+              to: status,
+              event: 'migrate',
+              at: now,
+              by: 'migration'
+            }
+          }
+        }
+      );
+    }
+
+    Object.entries(summary.changes).forEach(([change, count]) => {
+      console.log(`  ✓ ${change}: ${count}`);
+    });
+    console.log(`  ✓ ${summary.updated} of ${summary.records} records ${options.dryRun ? 'would change' : 'updated'}`);
+
+    const duplicates = await findDuplicateMonthlyBills(db, query);
+    summary.duplicates = duplicates;
+    duplicates.forEach(group => {
+      console.log(`  ⚠️ ${group.wing}-${group.flatNumber} ${group.month} ${group.year} has ${group.recordIds.length} bills: ${group.recordIds.join(', ')}`);
+    });
+
+    const duplicateIds = duplicates.flatMap(group => group.recordIds);
+    const untaggedQuery = { ...query, chargeType: { $exists: false }, _id: { $nin: duplicateIds } };
+    summary.tagged = options.dryRun
+      ? await db.collection('maintenance').countDocuments(untaggedQuery)
+      : (await db.collection('maintenance').updateMany(untaggedQuery, { $set: { chargeType: 'maintenance' } })).modifiedCount;
+    console.log(`  ✓ ${summary.tagged} monthly bills ${options.dryRun ? 'would be tagged' : 'tagged'}`);
+    if (duplicates.length > 0) {
+      console.log(`  ⚠️ ${duplicates.length} flat-months billed more than once; resolve them and re-run to tag their bills`);
+    }
+
+    return {
+      success: true,
+      data: summary
+    };
+  } catch (error) {
+    console.error('❌ Status migration failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run migration if this script is executed directly
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const dryRun = args.includes('--dry-run');
+  const [societyId] = args.filter(arg => arg !== '--dry-run');
+
+  normalizeMaintenanceStatuses(societyId || null, { dryRun })
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ Status migration completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Status migration failed');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { normalizeMaintenanceStatuses, findDuplicateMonthlyBills };
@@ -0,0 +1,96 @@
+const dbConnection = require('../config/database');
+const UnitService = require('../models/services/UnitService');
+
+/**
+ * Unit Registry Sync Script
+ * Generates units from each society's wing layout, then links existing
+ * residents and maintenance records to them by wing and flat number.
+ * Units are matched by their slot in the layout, so re-running is safe.
+ *
+ * Usage: node scripts/syncUnits.js [societyId]
+ */
+
+async function syncUnits(societyId = null) {
+  try {
+    console.log('🏢 Syncing unit registry...');
+
+    const db = await dbConnection.connect();
+    console.log('✅ Connected to database');
+
+    const unitService = new UnitService(db);
+    const query = {};
+    if (societyId) {
+      const { ObjectId } = require('mongodb');
+      query._id = new ObjectId(societyId);
+    }
+
+    const summary = { societies: 0, units: 0, users: 0, maintenance: 0, unmatched: 0, failed: 0 };
+
+    const societies = db.collection('societies').find(query, { projection: { name: 1 } });
+    for await (const society of societies) {
+      const syncResult = await unitService.syncFromWings(society._id);
+      if (!syncResult.success) {
+        summary.failed += 1;
+        console.log(`  ❌ ${society.name}: ${syncResult.error}`);
+        continue;
+      }
+      syncResult.data.conflicts.forEach(conflict =>
+        console.log(`  ⚠️ ${society.name}: ${conflict.label} is already taken, slot ${conflict.wing}/${conflict.floor}/${conflict.position} skipped`)
+      );
+
+      const linkResult = await unitService.linkExistingRecords(society._id);
+      if (!linkResult.success) {
+        summary.failed += 1;
+        console.log(`  ❌ ${society.name}: ${linkResult.error}`);
+        continue;
+      }
+      linkResult.data.unmatched.forEach(user =>
+        console.log(`  ⚠️ ${society.name}: no unit for ${user.wing}-${user.flatNumber} (${user.clerkUserId})`)
+      );
+
+      summary.societies += 1;
+      summary.units += syncResult.data.created;
+      summary.users += linkResult.data.users;
+      summary.maintenance += linkResult.data.maintenance;
+      summary.unmatched += linkResult.data.unmatched.length;
+    }
+
+    console.log(`  ✓ ${summary.units} units created in ${summary.societies} societies`);
+    console.log(`  ✓ ${summary.users} residents and ${summary.maintenance} maintenance records linked`);
+
+    return {
+      success: summary.failed === 0,
+      data: summary
+    };
+  } catch (error) {
+    console.error('❌ Unit sync failed:', error.message);
+    return {
+      success: false,
+      error: error.message
+    };
+  } finally {
+    await dbConnection.disconnect();
+  }
+}
+
+// Run sync if this script is executed directly
+if (require.main === module) {
+  const [societyId] = process.argv.slice(2);
+
+  syncUnits(societyId || null)
+    .then(result => {
+      if (result.success) {
+        console.log('\n✅ Unit sync completed successfully');
+        process.exit(0);
+      } else {
+        console.log('\n❌ Unit sync completed with errors');
+        process.exit(1);
+      }
+    })
+    .catch(error => {
+      console.error('❌ Unexpected error:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = { syncUnits };
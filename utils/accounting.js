@@ -0,0 +1,431 @@
+/**
+ * General ledger helpers
+ * Pure functions for the society's double-entry books: the default chart of
+ * accounts, the vouchers posted for flat ledger entries and expenses, trial
+ * balance, account ledger and balance sheet reports, and the Tally XML and
+ * CSV voucher exports
+ */
+
+const { roundAmount } = require('./ledger');
+const { localDateOf } = require('./statements');
+
+// Account types and the side their balance normally sits on
+const ACCOUNT_TYPES = {
+  asset: { normalBalance: 'debit', label: 'Assets' },
+  liability: { normalBalance: 'credit', label: 'Liabilities' },
+  equity: { normalBalance: 'credit', label: 'Funds' },
+  income: { normalBalance: 'credit', label: 'Income' },
+  expense: { normalBalance: 'debit', label: 'Expenditure' }
+};
+
+// Tally group an account is exported under when it doesn't name its own
+const DEFAULT_TALLY_GROUPS = {
+  asset: 'Current Assets',
+  liability: 'Current Liabilities',
+  equity: 'Capital Account',
+  income: 'Indirect Incomes',
+  expense: 'Indirect Expenses'
+};
+
+// Voucher types, named as in Tally, and the prefix of their numbers
+const VOUCHER_TYPES = {
+  Journal: 'JV',
+  Receipt: 'RV',
+  Payment: 'PV'
+};
+
+// Accounts every society starts with. Postings find them by systemKey, so
+// admins may rename them or change their codes.
+const DEFAULT_ACCOUNTS = [
+  { systemKey: 'bank', code: '1100', name: 'Bank Account', type: 'asset', group: 'Bank Accounts' },
+  { systemKey: 'cash', code: '1110', name: 'Cash in Hand', type: 'asset', group: 'Cash-in-Hand' },
+  { systemKey: 'member_receivable', code: '1200', name: "Members' Dues Receivable", type: 'asset', group: 'Sundry Debtors' },
+  { systemKey: 'gst_input', code: '1300', name: 'GST Input Credit', type: 'asset', group: 'Duties & Taxes' },
+  { systemKey: 'general_fund', code: '3000', name: 'General Fund', type: 'equity', group: 'Capital Account' },
+  { systemKey: 'maintenance_income', code: '4000', name: 'Maintenance Charges', type: 'income', group: 'Direct Incomes' },
+  { systemKey: 'levy_income', code: '4100', name: 'Special Levies', type: 'income', group: 'Direct Incomes' },
+  { systemKey: 'utility_income', code: '4200', name: 'Utility Charges Recovered', type: 'income', group: 'Direct Incomes' },
+  { systemKey: 'late_fee_income', code: '4300', name: 'Interest on Late Payments', type: 'income', group: 'Indirect Incomes' },
+  { systemKey: 'member_adjustments', code: '4900', name: 'Member Adjustments and Waivers', type: 'income', group: 'Indirect Incomes' }
+];
+
+// Expense category accounts are numbered from here
+const EXPENSE_ACCOUNT_CODE_START = 5000;
+
+const ACCOUNT_CODE_PATTERN = /^[A-Za-z0-9.-]{1,12}$/;
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Validate an account of the chart
+ * @param {object} account - { code, name, type, group }
+ * @param {object} options - { partial } to validate only the fields present (updates)
+ * @returns {Array<string>} Validation errors
+ */
+const validateAccount = (account = {}, options = {}) => {
+  const errors = [];
+  const has = field => !options.partial || account[field] !== undefined;
+
+  if (has('code') && (isBlank(account.code) || !ACCOUNT_CODE_PATTERN.test(String(account.code).trim()))) {
+    errors.push('code must be 1-12 letters, digits, dots or dashes');
+  }
+  if (has('name') && (typeof account.name !== 'string' || !account.name.trim())) {
+    errors.push('name is required');
+  }
+  if (has('type') && !ACCOUNT_TYPES[account.type]) {
+    errors.push(`type must be one of: ${Object.keys(ACCOUNT_TYPES).join(', ')}`);
+  }
+  if (account.group !== undefined && account.group !== null && typeof account.group !== 'string') {
+    errors.push('group must be a string');
+  }
+
+  return errors;
+};
+
+/**
+ * Validate the lines of a manual journal voucher: at least two lines, each
+ * either a debit or a credit, with debits equal to credits
+ * @param {Array<{accountId: string, debit: number, credit: number}>} lines
+ * @returns {Array<string>} Validation errors
+ */
+const validateJournalLines = (lines) => {
+  if (!Array.isArray(lines) || lines.length < 2) {
+    return ['lines must have at least two entries'];
+  }
+
+  const errors = [];
+  let debits = 0;
+  let credits = 0;
+  lines.forEach((line, index) => {
+    const debit = Number(line?.debit) || 0;
+    const credit = Number(line?.credit) || 0;
+    if (isBlank(line?.accountId)) {
+      errors.push(`lines[${index}].accountId is required`);
+    }
+    if (debit < 0 || credit < 0 || (debit > 0) === (credit > 0)) {
+      errors.push(`lines[${index}] must have either a debit or a credit amount`);
+    }
+    debits = roundAmount(debits + debit);
+    credits = roundAmount(credits + credit);
+  });
+
+  if (errors.length === 0 && debits !== credits) {
+    errors.push(`Debits (${debits}) must equal credits (${credits})`);
+  }
+
+  return errors;
+};
+
+/**
+ * Income account a flat charge is credited to
+ */
+const chargeIncomeAccount = (entry) => {
+  if (entry.category === 'levy') return 'levy_income';
+  if (entry.category === 'utility') return 'utility_income';
+  if (entry.category === 'late_fee') return 'late_fee_income';
+  return 'maintenance_income';
+};
+
+/**
+ * Voucher for a flat ledger entry. The flat side always goes to members'
+ * dues receivable; the other side depends on what the entry is:
+ * charges to income, payments to the bank (reversals and refunds pay it
+ * back out) and adjustments, waivers and credits to member adjustments.
+ * @param {object} entry - Flat ledger entry
+ * @returns {{voucherType: string, date: Date, narration: string, lines: Array<{account: string, debit: number, credit: number}>}}
+ *   Lines name accounts by systemKey
+ */
+const planFlatLedgerVoucher = (entry) => {
+  const amount = roundAmount(entry.amount);
+  let counterAccount;
+  let voucherType = 'Journal';
+
+  if (entry.entryType === 'charge') {
+    counterAccount = chargeIncomeAccount(entry);
+  } else if (entry.entryType === 'payment') {
+    counterAccount = 'bank';
+    voucherType = entry.direction === 'credit' ? 'Receipt' : 'Payment';
+  } else {
+    counterAccount = 'member_adjustments';
+  }
+
+  const flatLine = { account: 'member_receivable', wing: entry.wing, flatNumber: entry.flatNumber };
+  const lines = entry.direction === 'credit'
+    ? [
+        { account: counterAccount, debit: amount, credit: 0 },
+        { ...flatLine, debit: 0, credit: amount }
+      ]
+    : [
+        { ...flatLine, debit: amount, credit: 0 },
+        { account: counterAccount, debit: 0, credit: amount }
+      ];
+
+  return {
+    voucherType,
+    date: entry.postedAt,
+    narration: `${entry.wing}-${entry.flatNumber}: ${entry.description || entry.category}`,
+    lines
+  };
+};
+
+/**
+ * Voucher for an approved expense: the expense (less any GST, which is
+ * claimed as input credit) paid out of cash or the bank
+ * @param {object} expense - Approved expense
+ * @param {string} expenseAccount - systemKey or ID of the category's account
+ * @returns {{voucherType: string, date: Date, narration: string, lines: Array}}
+ */
+const planExpenseVoucher = (expense, expenseAccount) => {
+  const amount = roundAmount(expense.amount);
+  const tax = roundAmount(expense.taxAmount || 0);
+  const lines = [{ account: expenseAccount, debit: roundAmount(amount - tax), credit: 0 }];
+  if (tax > 0) {
+    lines.push({ account: 'gst_input', debit: tax, credit: 0 });
+  }
+  lines.push({ account: expense.paymentMode === 'cash' ? 'cash' : 'bank', debit: 0, credit: amount });
+
+  const reference = [expense.vendorName, expense.invoiceNumber && `invoice ${expense.invoiceNumber}`]
+    .filter(Boolean)
+    .join(', ');
+
+  return {
+    voucherType: 'Payment',
+    date: expense.expenseDate,
+    narration: `${expense.title}${reference ? ` (${reference})` : ''}`,
+    lines
+  };
+};
+
+/**
+ * Signed balance of an account with debits positive
+ */
+const debitBalance = totals => roundAmount((totals?.debit || 0) - (totals?.credit || 0));
+
+/**
+ * Trial balance: each account's closing balance on the debit or credit side
+ * @param {Array} accounts - Chart of accounts
+ * @param {Map<string, {debit: number, credit: number}>} movements - Totals per account ID
+ * @returns {{rows: Array, totals: {debit: number, credit: number}, balanced: boolean}}
+ */
+const buildTrialBalance = (accounts, movements) => {
+  const totals = { debit: 0, credit: 0 };
+  const rows = [...accounts]
+    .sort((a, b) => String(a.code).localeCompare(String(b.code), undefined, { numeric: true }))
+    .map((account) => {
+      const balance = debitBalance(movements.get(account._id.toString()));
+      const row = {
+        accountId: account._id,
+        code: account.code,
+        name: account.name,
+        type: account.type,
+        debit: balance > 0 ? balance : 0,
+        credit: balance < 0 ? -balance : 0
+      };
+      totals.debit = roundAmount(totals.debit + row.debit);
+      totals.credit = roundAmount(totals.credit + row.credit);
+      return row;
+    })
+    .filter(row => row.debit !== 0 || row.credit !== 0);
+
+  return { rows, totals, balanced: totals.debit === totals.credit };
+};
+
+/**
+ * Ledger of one account over a date range with a running balance. Balances
+ * are shown on the account's normal side, so a bank account with money in
+ * it and an income account that has earned both show positive balances.
+ * @param {object} account - Account
+ * @param {number} opening - Debit-positive balance before the range
+ * @param {Array<{date: Date, voucherNumber: string, voucherType: string, narration: string, debit: number, credit: number}>} lines
+ * @returns {{openingBalance: number, closingBalance: number, totals: {debit: number, credit: number}, lines: Array}}
+ */
+const buildAccountLedger = (account, opening, lines = []) => {
+  const sign = ACCOUNT_TYPES[account.type]?.normalBalance === 'credit' ? -1 : 1;
+  const totals = { debit: 0, credit: 0 };
+  let balance = roundAmount(opening);
+
+  const ordered = [...lines]
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map((line) => {
+      totals.debit = roundAmount(totals.debit + line.debit);
+      totals.credit = roundAmount(totals.credit + line.credit);
+      balance = roundAmount(balance + line.debit - line.credit);
+      return { ...line, balance: roundAmount(sign * balance) };
+    });
+
+  return {
+    openingBalance: roundAmount(sign * opening),
+    closingBalance: roundAmount(sign * balance),
+    totals,
+    lines: ordered
+  };
+};
+
+/**
+ * Balance sheet as of a date. Income less expenditure to date is carried
+ * into the funds side as the surplus (or deficit).
+ * @param {Array} accounts - Chart of accounts
+ * @param {Map<string, {debit: number, credit: number}>} movements - Totals per account ID up to the date
+ * @returns {{assets: Object, liabilities: Object, funds: Object, totals: Object, balanced: boolean}}
+ */
+const buildBalanceSheet = (accounts, movements) => {
+  const section = () => ({ accounts: [], total: 0 });
+  const sheet = { assets: section(), liabilities: section(), funds: section() };
+  let surplus = 0;
+
+  accounts.forEach((account) => {
+    const balance = debitBalance(movements.get(account._id.toString()));
+    if (account.type === 'income' || account.type === 'expense') {
+      surplus = roundAmount(surplus - balance);
+      return;
+    }
+    if (balance === 0) return;
+
+    const target = account.type === 'asset' ? sheet.assets : account.type === 'liability' ? sheet.liabilities : sheet.funds;
+    const amount = account.type === 'asset' ? balance : -balance;
+    target.accounts.push({ accountId: account._id, code: account.code, name: account.name, amount });
+    target.total = roundAmount(target.total + amount);
+  });
+
+  sheet.funds.accounts.push({ accountId: null, code: null, name: 'Surplus / (Deficit) of income over expenditure', amount: surplus });
+  sheet.funds.total = roundAmount(sheet.funds.total + surplus);
+
+  const byCode = (a, b) => String(a.code || '~').localeCompare(String(b.code || '~'), undefined, { numeric: true });
+  Object.values(sheet).forEach(item => item.accounts.sort(byCode));
+
+  const totals = {
+    assets: sheet.assets.total,
+    liabilitiesAndFunds: roundAmount(sheet.liabilities.total + sheet.funds.total)
+  };
+
+  return { ...sheet, surplus, totals, balanced: totals.assets === totals.liabilitiesAndFunds };
+};
+
+// Columns of the voucher CSV export, one row per voucher line
+const VOUCHER_CSV_COLUMNS = [
+  { key: 'date', header: 'Date' },
+  { key: 'voucherType', header: 'Voucher Type' },
+  { key: 'voucherNumber', header: 'Voucher Number' },
+  { key: 'accountCode', header: 'Account Code' },
+  { key: 'accountName', header: 'Account' },
+  { key: 'debit', header: 'Debit' },
+  { key: 'credit', header: 'Credit' },
+  { key: 'flat', header: 'Flat' },
+  { key: 'narration', header: 'Narration' }
+];
+
+/**
+ * Rows of the voucher CSV export
+ * @param {Array} vouchers - Stored vouchers
+ * @returns {Array<object>} Rows keyed by VOUCHER_CSV_COLUMNS
+ */
+const vouchersToCsvRows = vouchers => vouchers.flatMap(voucher => voucher.lines.map(line => ({
+  date: localDateOf(voucher.date),
+  voucherType: voucher.voucherType,
+  voucherNumber: voucher.voucherNumber,
+  accountCode: line.accountCode,
+  accountName: line.accountName,
+  debit: line.debit || '',
+  credit: line.credit || '',
+  flat: line.wing && line.flatNumber ? `${line.wing}-${line.flatNumber}` : '',
+  narration: voucher.narration
+})));
+
+const xmlEscape = value => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+const tallyEnvelope = (reportName, companyName, messages) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<ENVELOPE>',
+  '  <HEADER>',
+  '    <TALLYREQUEST>Import Data</TALLYREQUEST>',
+  '  </HEADER>',
+  '  <BODY>',
+  '    <IMPORTDATA>',
+  '      <REQUESTDESC>',
+  `        <REPORTNAME>${reportName}</REPORTNAME>`,
+  ...(companyName
+    ? ['        <STATICVARIABLES>', `          <SVCURRENTCOMPANY>${xmlEscape(companyName)}</SVCURRENTCOMPANY>`, '        </STATICVARIABLES>']
+    : []),
+  '      </REQUESTDESC>',
+  '      <REQUESTDATA>',
+  ...messages,
+  '      </REQUESTDATA>',
+  '    </IMPORTDATA>',
+  '  </BODY>',
+  '</ENVELOPE>',
+  ''
+].join('\n');
+
+/**
+ * Tally import file that creates the chart of accounts as ledgers
+ * @param {Array} accounts - Chart of accounts
+ * @param {object} options - { companyName } as the company is named in Tally
+ * @returns {string} XML
+ */
+const toTallyMastersXml = (accounts, options = {}) => tallyEnvelope(
+  'All Masters',
+  options.companyName,
+  accounts.map(account => [
+    '        <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+    `          <LEDGER NAME="${xmlEscape(account.name)}" ACTION="Create">`,
+    '            <NAME.LIST>',
+    `              <NAME>${xmlEscape(account.name)}</NAME>`,
+    '            </NAME.LIST>',
+    `            <PARENT>${xmlEscape(account.group || DEFAULT_TALLY_GROUPS[account.type])}</PARENT>`,
+    '          </LEDGER>',
+    '        </TALLYMESSAGE>'
+  ].join('\n'))
+);
+
+/**
+ * Tally import file of vouchers. Tally stores debits as negative amounts
+ * marked ISDEEMEDPOSITIVE and credits as positive amounts.
+ * @param {Array} vouchers - Stored vouchers
+ * @param {object} options - { companyName } as the company is named in Tally
+ * @returns {string} XML
+ */
+const toTallyVouchersXml = (vouchers, options = {}) => tallyEnvelope(
+  'Vouchers',
+  options.companyName,
+  vouchers.map(voucher => [
+    '        <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+    `          <VOUCHER VCHTYPE="${xmlEscape(voucher.voucherType)}" ACTION="Create">`,
+    `            <DATE>${localDateOf(voucher.date).replace(/-/g, '')}</DATE>`,
+    `            <VOUCHERTYPENAME>${xmlEscape(voucher.voucherType)}</VOUCHERTYPENAME>`,
+    `            <VOUCHERNUMBER>${xmlEscape(voucher.voucherNumber)}</VOUCHERNUMBER>`,
+    `            <NARRATION>${xmlEscape(voucher.narration)}</NARRATION>`,
+    ...voucher.lines.map(line => [
+      '            <ALLLEDGERENTRIES.LIST>',
+      `              <LEDGERNAME>${xmlEscape(line.accountName)}</LEDGERNAME>`,
+      `              <ISDEEMEDPOSITIVE>${line.debit > 0 ? 'Yes' : 'No'}</ISDEEMEDPOSITIVE>`,
+      `              <AMOUNT>${(line.debit > 0 ? -line.debit : line.credit).toFixed(2)}</AMOUNT>`,
+      '            </ALLLEDGERENTRIES.LIST>'
+    ].join('\n')),
+    '          </VOUCHER>',
+    '        </TALLYMESSAGE>'
+  ].join('\n'))
+);
+
+module.exports = {
+  ACCOUNT_TYPES,
+  DEFAULT_TALLY_GROUPS,
+  VOUCHER_TYPES,
+  DEFAULT_ACCOUNTS,
+  EXPENSE_ACCOUNT_CODE_START,
+  VOUCHER_CSV_COLUMNS,
+  validateAccount,
+  validateJournalLines,
+  planFlatLedgerVoucher,
+  planExpenseVoucher,
+  buildTrialBalance,
+  buildAccountLedger,
+  buildBalanceSheet,
+  vouchersToCsvRows,
+  toTallyMastersXml,
+  toTallyVouchersXml,
+};
@@ -0,0 +1,133 @@
+/**
+ * Dues aging helpers
+ * Pure functions that group outstanding maintenance into a per-flat
+ * defaulter report with 0-30/31-60/61-90/90+ day aging buckets
+ */
+
+const { roundAmount } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const AGING_BUCKETS = [
+  { key: '0-30', min: 0, max: 30 },
+  { key: '31-60', min: 31, max: 60 },
+  { key: '61-90', min: 61, max: 90 },
+  { key: '90+', min: 91, max: Infinity }
+];
+
+const emptyBuckets = () => AGING_BUCKETS.reduce((buckets, bucket) => ({ ...buckets, [bucket.key]: 0 }), {});
+
+/**
+ * Whole days a due date lies in the past
+ * @param {Date} dueDate - Due date
+ * @param {Date} asOf - Reference date
+ * @returns {number} Negative when not yet due
+ */
+const daysPastDue = (dueDate, asOf = new Date()) =>
+  Math.floor((new Date(asOf).getTime() - new Date(dueDate).getTime()) / DAY_MS);
+
+/**
+ * Aging bucket key for a number of days past due
+ * @param {number} days - Days past due (>= 0)
+ * @returns {string}
+ */
+const agingBucket = (days) => AGING_BUCKETS.find(bucket => days >= bucket.min && days <= bucket.max).key;
+
+/**
+ * Build the defaulter report. Only amounts already past their due date are
+ * counted; dues that are not yet due are left out.
+ * @param {Array<object>} items - Outstanding records: { recordId, wing, flatNumber, month, year, period, dueDate, outstanding, status, chargeType, description, reminders }
+ * @param {Date} asOf - Date the report is aged against
+ * @returns {{asOf: Date, flats: Array, wings: Array, totals: Object}}
+ */
+const buildDefaulterReport = (items, asOf = new Date()) => {
+  const flats = new Map();
+
+  items.forEach((item) => {
+    const outstanding = roundAmount(item.outstanding);
+    if (outstanding <= 0 || !item.dueDate) return;
+
+    const days = daysPastDue(item.dueDate, asOf);
+    if (days < 0) return;
+
+    const key = `${item.wing}::${item.flatNumber}`;
+    if (!flats.has(key)) {
+      flats.set(key, {
+        wing: item.wing,
+        flatNumber: item.flatNumber,
+        outstanding: 0,
+        buckets: emptyBuckets(),
+        records: [],
+        reminderHistory: []
+      });
+    }
+
+    const flat = flats.get(key);
+    const bucket = agingBucket(days);
+    flat.outstanding = roundAmount(flat.outstanding + outstanding);
+    flat.buckets[bucket] = roundAmount(flat.buckets[bucket] + outstanding);
+    flat.records.push({
+      recordId: item.recordId,
+      month: item.month,
+      year: item.year,
+      period: item.period,
+      dueDate: item.dueDate,
+      outstanding,
+      daysOverdue: days,
+      bucket,
+      status: item.status,
+      chargeType: item.chargeType || 'maintenance',
+      description: item.description || null
+    });
+    (item.reminders || []).forEach((reminder) => {
+      flat.reminderHistory.push({ ...reminder, recordId: item.recordId, month: item.month, year: item.year });
+    });
+  });
+
+  const flatRows = Array.from(flats.values()).map((flat) => {
+    const records = flat.records.sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+    const oldest = records[0];
+    const reminderHistory = flat.reminderHistory.sort((a, b) => new Date(b.sentAt) - new Date(a.sentAt));
+
+    return {
+      ...flat,
+      records,
+      oldestUnpaid: { month: oldest.month, year: oldest.year, period: oldest.period, dueDate: oldest.dueDate },
+      daysOverdue: oldest.daysOverdue,
+      bucket: oldest.bucket,
+      reminderHistory,
+      remindersSent: reminderHistory.length,
+      lastReminderAt: reminderHistory[0]?.sentAt || null
+    };
+  }).sort((a, b) => b.daysOverdue - a.daysOverdue || b.outstanding - a.outstanding);
+
+  const wings = new Map();
+  const totals = { flats: flatRows.length, outstanding: 0, buckets: emptyBuckets() };
+  flatRows.forEach((flat) => {
+    if (!wings.has(flat.wing)) {
+      wings.set(flat.wing, { wing: flat.wing, flats: 0, outstanding: 0, buckets: emptyBuckets() });
+    }
+    const wing = wings.get(flat.wing);
+    wing.flats += 1;
+    wing.outstanding = roundAmount(wing.outstanding + flat.outstanding);
+    totals.outstanding = roundAmount(totals.outstanding + flat.outstanding);
+    AGING_BUCKETS.forEach(({ key }) => {
+      wing.buckets[key] = roundAmount(wing.buckets[key] + flat.buckets[key]);
+      totals.buckets[key] = roundAmount(totals.buckets[key] + flat.buckets[key]);
+    });
+  });
+
+  return {
+    asOf: new Date(asOf),
+    flats: flatRows,
+    wings: Array.from(wings.values()).sort((a, b) => String(a.wing).localeCompare(String(b.wing))),
+    totals
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  daysPastDue,
+  agingBucket,
+  buildDefaulterReport,
+};
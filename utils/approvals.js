@@ -0,0 +1,153 @@
+/**
+ * Maker-checker helpers
+ * Pure functions that read a society's approval policy and decide whether an
+ * admin action has to wait for a second admin before it takes effect
+ */
+
+const DAY_HOURS = 24;
+
+// Guarded actions, the permission a checker needs, and the audit action
+// written when the action is finally carried out
+const APPROVAL_ACTIONS = {
+  payment_approval: {
+    label: 'Approve a maintenance payment',
+    resource: 'maintenance',
+    permission: 'approve',
+    auditAction: 'approve_payment'
+  },
+  payment_reversal: {
+    label: 'Reverse an approved payment',
+    resource: 'maintenance',
+    permission: 'write',
+    auditAction: 'reverse_payment'
+  },
+  payment_refund: {
+    label: 'Refund a payment',
+    resource: 'maintenance',
+    permission: 'write',
+    auditAction: 'refund_payment'
+  },
+  late_fee_waiver: {
+    label: 'Waive a late fee',
+    resource: 'maintenance',
+    permission: 'write',
+    auditAction: 'waive_late_fee'
+  },
+  ledger_adjustment: {
+    label: 'Post a ledger adjustment',
+    resource: 'maintenance',
+    permission: 'write',
+    auditAction: 'ledger_adjustment'
+  },
+  expense_approval: {
+    label: 'Approve an expense for payout',
+    resource: 'expenses',
+    permission: 'write',
+    auditAction: 'approve_expense'
+  }
+};
+
+const APPROVAL_STATUSES = ['pending', 'executing', 'approved', 'rejected', 'cancelled', 'expired', 'failed'];
+
+const DEFAULT_APPROVAL_POLICY = {
+  enabled: false,
+  thresholdAmount: null,
+  actions: [],
+  expiryHours: 3 * DAY_HOURS
+};
+
+/**
+ * Validate `settings.approvals`
+ * @param {object} policy - Approval policy
+ * @returns {Array<string>} Validation errors
+ */
+const validateApprovalPolicy = (policy) => {
+  const path = 'settings.approvals';
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  if (policy.enabled !== undefined && typeof policy.enabled !== 'boolean') {
+    errors.push(`${path}.enabled must be a boolean`);
+  }
+  if (
+    policy.thresholdAmount !== undefined &&
+    policy.thresholdAmount !== null &&
+    !(typeof policy.thresholdAmount === 'number' && policy.thresholdAmount >= 0)
+  ) {
+    errors.push(`${path}.thresholdAmount must be a non-negative number or null`);
+  }
+  if (policy.actions !== undefined) {
+    if (!Array.isArray(policy.actions)) {
+      errors.push(`${path}.actions must be an array`);
+    } else {
+      const unknown = policy.actions.filter(action => !APPROVAL_ACTIONS[action]);
+      if (unknown.length > 0) {
+        errors.push(`${path}.actions must only contain: ${Object.keys(APPROVAL_ACTIONS).join(', ')}`);
+      }
+    }
+  }
+  if (policy.expiryHours !== undefined && !(Number.isInteger(policy.expiryHours) && policy.expiryHours > 0)) {
+    errors.push(`${path}.expiryHours must be a positive whole number`);
+  }
+
+  return errors;
+};
+
+/**
+ * Read the approval policy from society settings, filling in defaults
+ * @param {object} settings - society.settings
+ * @returns {object} Approval policy
+ */
+const getApprovalPolicy = (settings = {}) => {
+  const configured = settings?.approvals || {};
+  return {
+    ...DEFAULT_APPROVAL_POLICY,
+    ...configured,
+    enabled: configured.enabled === true,
+    actions: Array.isArray(configured.actions) ? configured.actions : []
+  };
+};
+
+/**
+ * Whether an action needs a second admin. Listed action types always do;
+ * any guarded action does once its amount is above the threshold.
+ * @param {object} policy - Approval policy
+ * @param {string} actionType - Key of APPROVAL_ACTIONS
+ * @param {number} amount - Amount the action moves
+ * @returns {boolean}
+ */
+const requiresSecondApproval = (policy, actionType, amount) => {
+  if (!policy?.enabled || !APPROVAL_ACTIONS[actionType]) return false;
+  if (policy.actions.includes(actionType)) return true;
+  return typeof policy.thresholdAmount === 'number' && Number(amount) > policy.thresholdAmount;
+};
+
+/**
+ * Why an admin may not confirm a pending action, or null if they may. The
+ * checker's role permission and wing are checked by the caller.
+ * @param {object} approval - Pending approval
+ * @param {string} clerkUserId - Would-be checker
+ * @param {Date} now - Current time
+ * @returns {string|null}
+ */
+const checkerError = (approval, clerkUserId, now = new Date()) => {
+  if (approval.status !== 'pending') return `This action is already ${approval.status}`;
+  if (approval.expiresAt && new Date(approval.expiresAt) <= now) return 'This action has expired';
+  if (approval.requestedBy === clerkUserId) return 'Another admin must confirm an action you requested';
+  if ((approval.excludedCheckers || []).includes(clerkUserId)) {
+    return 'You were involved in this item and cannot confirm the action';
+  }
+  return null;
+};
+
+module.exports = {
+  APPROVAL_ACTIONS,
+  APPROVAL_STATUSES,
+  DEFAULT_APPROVAL_POLICY,
+  validateApprovalPolicy,
+  getApprovalPolicy,
+  requiresSecondApproval,
+  checkerError,
+};
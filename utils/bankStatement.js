@@ -0,0 +1,382 @@
+/**
+ * Bank statement helpers
+ * Parse CSV/OFX statement exports and score statement credits against
+ * maintenance payment requests
+ */
+
+const { parseTransactionRef } = require('./upi');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Weights of each signal in the match confidence (sum to 1)
+const MATCH_WEIGHTS = {
+  reference: 0.6,
+  amount: 0.25,
+  date: 0.1,
+  flat: 0.05
+};
+
+const DEFAULT_DATE_WINDOW_DAYS = 5;
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Parse an amount as printed by banks ("1,23,456.00", "Rs 500", "500.00 CR")
+ */
+const parseAmount = (value) => {
+  if (value === undefined || value === null) return null;
+  const cleaned = String(value).replace(/[^0-9.-]/g, '');
+  if (!cleaned || cleaned === '-' || cleaned === '.') return null;
+  const amount = parseFloat(cleaned);
+  return Number.isNaN(amount) ? null : roundAmount(amount);
+};
+
+/**
+ * Parse the date formats Indian bank exports use: dd/mm/yyyy, dd-mm-yy,
+ * dd-MMM-yyyy, dd MMM yyyy, yyyy-mm-dd and OFX yyyymmdd[hhmmss]
+ * @returns {Date|null} Midnight UTC of the date
+ */
+const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let match = /^(\d{4})(\d{2})(\d{2})/.exec(text);
+  if (match && !/[-/]/.test(text.slice(0, 8))) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = /^(\d{4})-(\d{1,2})-(\d{1,2})/.exec(text);
+  if (match) {
+    return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  }
+
+  match = /^(\d{1,2})[/\-. ]([A-Za-z]{3,9}|\d{1,2})[/\-. ](\d{2,4})/.exec(text);
+  if (!match) return null;
+
+  const day = parseInt(match[1], 10);
+  const monthIndex = /^\d+$/.test(match[2])
+    ? parseInt(match[2], 10) - 1
+    : MONTHS.indexOf(match[2].slice(0, 3).toLowerCase());
+  let year = parseInt(match[3], 10);
+  if (year < 100) year += 2000;
+
+  if (monthIndex < 0 || monthIndex > 11 || day < 1 || day > 31) return null;
+  return new Date(Date.UTC(year, monthIndex, day));
+};
+
+/**
+ * Split CSV text into rows, honouring quoted fields
+ */
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field.trim());
+      if (row.some(cell => cell !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field.trim());
+  if (row.some(cell => cell !== '')) rows.push(row);
+  return rows;
+};
+
+const findColumn = (headers, patterns, exclude = []) => headers.findIndex(header =>
+  patterns.some(pattern => pattern.test(header)) && !exclude.some(pattern => pattern.test(header))
+);
+
+/**
+ * Work out which columns hold what from a header row
+ * @returns {object|null} Column indexes, or null if the row is not a header
+ */
+const detectCsvColumns = (row) => {
+  const headers = row.map(cell => cell.toLowerCase());
+
+  const columns = {
+    date: findColumn(headers, [/^(txn|transaction|tran|posting)?\s*date$/, /date/], [/value/]),
+    valueDate: findColumn(headers, [/value\s*date/]),
+    description: findColumn(headers, [/narration/, /description/, /particulars/, /remarks/, /details/]),
+    reference: findColumn(headers, [/utr/, /ref/, /chq/, /cheque/, /transaction\s*id/]),
+    credit: findColumn(headers, [/credit/, /deposit/, /cr\s*amount/], [/debit/, /dr\/cr/, /cr\/dr/]),
+    debit: findColumn(headers, [/debit/, /withdrawal/, /dr\s*amount/], [/credit/, /dr\/cr/, /cr\/dr/]),
+    amount: findColumn(headers, [/amount/], [/credit/, /debit/, /deposit/, /withdrawal/, /balance/, /cr\s*amount/, /dr\s*amount/]),
+    type: findColumn(headers, [/dr\s*\/\s*cr/, /cr\s*\/\s*dr/, /^type$/, /transaction\s*type/])
+  };
+
+  if (columns.date === -1 && columns.valueDate !== -1) columns.date = columns.valueDate;
+
+  const hasAmounts = columns.credit !== -1 || columns.amount !== -1;
+  return columns.date !== -1 && hasAmounts ? columns : null;
+};
+
+/**
+ * Parse a CSV bank statement. Banks prefix exports with account details, so
+ * the first row that looks like a header starts the transaction table.
+ * @param {string} text - CSV content
+ * @returns {Array<object>} Transactions
+ */
+const parseCsvStatement = (text) => {
+  const rows = parseCsvRows(text);
+  const headerIndex = rows.findIndex(row => detectCsvColumns(row));
+  if (headerIndex === -1) {
+    throw new Error('Could not find a transaction header row in the CSV statement');
+  }
+
+  const columns = detectCsvColumns(rows[headerIndex]);
+  const cell = (row, index) => (index === -1 ? '' : row[index] || '');
+  const transactions = [];
+
+  rows.slice(headerIndex + 1).forEach((row, offset) => {
+    const date = parseStatementDate(cell(row, columns.date));
+    if (!date) return;
+
+    let amount = null;
+    let direction = null;
+
+    const credit = parseAmount(cell(row, columns.credit));
+    const debit = parseAmount(cell(row, columns.debit));
+
+    if (credit) {
+      amount = Math.abs(credit);
+      direction = 'credit';
+    } else if (debit) {
+      amount = Math.abs(debit);
+      direction = 'debit';
+    } else if (columns.amount !== -1) {
+      const value = parseAmount(cell(row, columns.amount));
+      if (!value) return;
+      const typeText = `${cell(row, columns.type)} ${cell(row, columns.amount)}`.toLowerCase();
+      amount = Math.abs(value);
+      direction = /\b(dr|debit)\b/.test(typeText) || (value < 0 && !/\b(cr|credit)\b/.test(typeText))
+        ? 'debit'
+        : 'credit';
+    }
+
+    if (!amount) return;
+
+    transactions.push({
+      externalId: `row-${headerIndex + offset + 2}`,
+      date,
+      amount,
+      direction,
+      description: cell(row, columns.description),
+      reference: cell(row, columns.reference)
+    });
+  });
+
+  return transactions;
+};
+
+/**
+ * Parse an OFX/QFX statement (SGML or XML flavour)
+ * @param {string} text - OFX content
+ * @returns {Array<object>} Transactions
+ */
+const parseOfxStatement = (text) => {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?(?=<\/STMTTRN>|<STMTTRN>|<\/BANKTRANLIST>)/gi) || [];
+
+  const tag = (block, name) => {
+    const match = new RegExp(`<${name}>([^<\\r\\n]*)`, 'i').exec(block);
+    return match ? match[1].trim() : '';
+  };
+
+  return blocks.map((block, index) => {
+    const value = parseAmount(tag(block, 'TRNAMT'));
+    const type = tag(block, 'TRNTYPE').toUpperCase();
+
+    return {
+      externalId: tag(block, 'FITID') || `ofx-${index + 1}`,
+      date: parseStatementDate(tag(block, 'DTPOSTED')),
+      amount: Math.abs(value || 0),
+      direction: value < 0 || type === 'DEBIT' ? 'debit' : 'credit',
+      description: [tag(block, 'NAME'), tag(block, 'MEMO')].filter(Boolean).join(' '),
+      reference: tag(block, 'REFNUM') || tag(block, 'CHECKNUM')
+    };
+  }).filter(transaction => transaction.date && transaction.amount > 0);
+};
+
+/**
+ * Parse a statement, detecting the format from content and file name
+ * @param {string} text - File content
+ * @param {string} fileName - Original file name
+ * @returns {{format: string, transactions: Array<object>}}
+ */
+const parseStatement = (text, fileName = '') => {
+  const content = String(text || '').replace(/^\uFEFF/, '');
+  const isOfx = /\.(ofx|qfx)$/i.test(fileName) || /<OFX>|OFXHEADER/i.test(content.slice(0, 2000));
+
+  return isOfx
+    ? { format: 'ofx', transactions: parseOfxStatement(content) }
+    : { format: 'csv', transactions: parseCsvStatement(content) };
+};
+
+const normalizeReference = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Reference numbers a transaction carries: the reference column plus any
+ * UTR/RRN-looking token or UPI transaction reference in the narration
+ * (e.g. "UPI/412345678901/OS65F1...")
+ */
+const extractReferences = (transaction) => {
+  const tokens = `${transaction.reference || ''} ${transaction.description || ''}`
+    .toUpperCase()
+    .split(/[^A-Z0-9]+/)
+    .filter(token => (token.length >= 10 && /\d{6,}/.test(token)) || parseTransactionRef(token));
+
+  return Array.from(new Set([normalizeReference(transaction.reference), ...tokens].filter(Boolean)));
+};
+
+/**
+ * Score how well a statement credit matches a maintenance payment request
+ * @param {object} transaction - Parsed statement credit
+ * @param {object} record - Maintenance record awaiting approval or carrying a UPI intent
+ * @param {object} options - { dateWindowDays }
+ * @returns {{confidence: number, reasons: Array<string>}|null} null when not a candidate
+ */
+const scoreMatch = (transaction, record, options = {}) => {
+  const windowDays = options.dateWindowDays ?? DEFAULT_DATE_WINDOW_DAYS;
+  const reasons = [];
+  let confidence = 0;
+
+  const transactionReferences = extractReferences(transaction);
+  const recordReferences = [record.transactionId, record.upiIntent?.transactionRef]
+    .map(normalizeReference)
+    .filter(reference => reference.length >= 6);
+  const referenceMatch = recordReferences.some(recordReference =>
+    transactionReferences.some(reference => reference.includes(recordReference))
+  );
+  if (referenceMatch) {
+    confidence += MATCH_WEIGHTS.reference;
+    reasons.push('reference');
+  }
+
+  // Unpaid records without an uploaded proof can only be matched by reference
+  if (!referenceMatch && record.status && record.status !== 'request_sent') {
+    return null;
+  }
+
+  const expectedAmount = roundAmount(
+    record.paymentProof?.claimedAmount ?? record.upiIntent?.amount ?? record.amount
+  );
+  const amountMatch = expectedAmount > 0 && Math.abs(expectedAmount - transaction.amount) < 0.01;
+  if (amountMatch) {
+    confidence += MATCH_WEIGHTS.amount;
+    reasons.push('amount');
+  }
+
+  const paidOn = record.paymentProof?.uploadedAt || record.upiIntent?.createdAt || record.updatedAt || record.createdAt;
+  const daysApart = paidOn ? Math.abs(new Date(transaction.date) - new Date(paidOn)) / DAY_MS : Infinity;
+  const inWindow = daysApart <= windowDays + 1;
+  if (inWindow) {
+    confidence += MATCH_WEIGHTS.date * Math.max(1 - daysApart / (windowDays + 1), 0.2);
+    reasons.push('date');
+  }
+
+  // Without a reference both the amount and the date window must agree
+  if (!referenceMatch && !(amountMatch && inWindow)) {
+    return null;
+  }
+
+  const narration = String(transaction.description || '').toUpperCase();
+  const flat = String(record.flatNumber || '').toUpperCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (flat && new RegExp(`\\b${flat}\\b`).test(narration)) {
+    confidence += MATCH_WEIGHTS.flat;
+    reasons.push('flat');
+  }
+
+  return { confidence: roundAmount(Math.min(confidence, 1)), reasons };
+};
+
+/**
+ * Confidence band shown to the treasurer
+ */
+const confidenceLevel = (confidence) => {
+  if (confidence >= 0.8) return 'high';
+  if (confidence >= 0.5) return 'medium';
+  return 'low';
+};
+
+/**
+ * Pair statement credits with records, best scores first, each credit and
+ * each record used at most once
+ * @param {Array<object>} transactions - Parsed transactions (credits are considered)
+ * @param {Array<object>} records - Records awaiting approval
+ * @param {object} options - { dateWindowDays }
+ * @returns {{matches: Array, unmatchedTransactions: Array, unmatchedRecords: Array}}
+ */
+const matchTransactions = (transactions, records, options = {}) => {
+  const candidates = [];
+
+  transactions.forEach((transaction, transactionIndex) => {
+    if (transaction.direction !== 'credit') return;
+    records.forEach((record, recordIndex) => {
+      const score = scoreMatch(transaction, record, options);
+      if (score) candidates.push({ transactionIndex, recordIndex, ...score });
+    });
+  });
+
+  candidates.sort((a, b) => b.confidence - a.confidence);
+
+  const usedTransactions = new Set();
+  const usedRecords = new Set();
+  const matches = [];
+
+  candidates.forEach((candidate) => {
+    if (usedTransactions.has(candidate.transactionIndex) || usedRecords.has(candidate.recordIndex)) return;
+    usedTransactions.add(candidate.transactionIndex);
+    usedRecords.add(candidate.recordIndex);
+    matches.push({ ...candidate, level: confidenceLevel(candidate.confidence) });
+  });
+
+  return {
+    matches,
+    unmatchedTransactions: transactions
+      .map((transaction, index) => ({ transaction, index }))
+      .filter(({ transaction, index }) => transaction.direction === 'credit' && !usedTransactions.has(index))
+      .map(({ index }) => index),
+    unmatchedRecords: records
+      .map((record, index) => index)
+      .filter(index => !usedRecords.has(index))
+  };
+};
+
+module.exports = {
+  DEFAULT_DATE_WINDOW_DAYS,
+  parseAmount,
+  parseStatementDate,
+  parseCsvRows,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseStatement,
+  extractReferences,
+  scoreMatch,
+  confidenceLevel,
+  matchTransactions,
+};
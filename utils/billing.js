@@ -0,0 +1,304 @@
+/**
+ * Maintenance billing helpers
+ * Pure functions used to price a flat's monthly maintenance from society settings
+ */
+
+const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+const DEFAULT_DUE_DAY = 5;
+
+// Charge heads a rate can be composed of:
+//   fixed            - `amount` per flat
+//   per_sqft         - `rate` x the flat's area
+//   flat_type        - `amounts` keyed by flat type, e.g. { "2BHK": 2500 }
+//   per_parking_slot - `rate` x the flat's parking slots
+const CHARGE_HEAD_TYPES = ['fixed', 'per_sqft', 'flat_type', 'per_parking_slot'];
+
+// Who a charge head is billed to, e.g. non-occupancy charges only to tenants
+const CHARGE_HEAD_APPLIES_TO = ['all', 'owner', 'tenant'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Parse a billing period in YYYY-MM format
+ * @param {string} period - Billing period, e.g. '2025-04'
+ * @returns {{period: string, year: number, monthIndex: number, monthName: string, start: Date, end: Date}}
+ */
+const parseBillingPeriod = (period) => {
+  const match = /^(\d{4})-(\d{2})$/.exec(String(period || '').trim());
+  if (!match) {
+    throw new Error('Billing period must be in YYYY-MM format');
+  }
+
+  const year = parseInt(match[1], 10);
+  const monthIndex = parseInt(match[2], 10) - 1;
+  if (monthIndex < 0 || monthIndex > 11) {
+    throw new Error('Billing period month must be between 01 and 12');
+  }
+
+  return {
+    period: `${match[1]}-${match[2]}`,
+    year,
+    monthIndex,
+    monthName: MONTH_NAMES[monthIndex],
+    start: new Date(Date.UTC(year, monthIndex, 1)),
+    end: new Date(Date.UTC(year, monthIndex + 1, 0, 23, 59, 59, 999))
+  };
+};
+
+/**
+ * Shift a billing period by a number of months
+ * @param {string} period - Billing period in YYYY-MM format
+ * @param {number} months - Months to add (may be negative)
+ * @returns {string}
+ */
+const addBillingPeriods = (period, months) => {
+  const { year, monthIndex } = parseBillingPeriod(period);
+  const shifted = new Date(Date.UTC(year, monthIndex + months, 1));
+  return `${shifted.getUTCFullYear()}-${String(shifted.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Build a YYYY-MM period key from a record's month name/number and year
+ * @param {string|number} month - Month name ('January') or number (1-12)
+ * @param {number} year - Year
+ * @returns {string|null}
+ */
+const toBillingPeriod = (month, year) => {
+  const parsedYear = parseInt(year, 10);
+  if (Number.isNaN(parsedYear)) return null;
+
+  let monthIndex = MONTH_NAMES.indexOf(String(month).trim());
+  if (monthIndex === -1) {
+    const monthNum = parseInt(month, 10);
+    if (Number.isNaN(monthNum) || monthNum < 1 || monthNum > 12) return null;
+    monthIndex = monthNum - 1;
+  }
+
+  return `${parsedYear}-${String(monthIndex + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Find the maintenance rate in effect during a billing period.
+ * When several rates overlap the period, the one that started last wins.
+ * @param {object} maintenanceSettings - society.settings.maintenance
+ * @param {string} period - Billing period in YYYY-MM format
+ * @returns {object|null} The matching rate entry
+ */
+const resolveMaintenanceRate = (maintenanceSettings, period) => {
+  const rates = Array.isArray(maintenanceSettings?.rates) ? maintenanceSettings.rates : [];
+  const { start, end } = parseBillingPeriod(period);
+
+  const applicable = rates.filter((rate) => {
+    const fromDate = new Date(rate.fromDate);
+    if (Number.isNaN(fromDate.getTime()) || fromDate > end) return false;
+    if (rate.toDate === null || rate.toDate === undefined || rate.toDate === '') return true;
+    const toDate = new Date(rate.toDate);
+    return !Number.isNaN(toDate.getTime()) && toDate >= start;
+  });
+
+  if (applicable.length === 0) return null;
+
+  return applicable.sort((a, b) => new Date(b.fromDate) - new Date(a.fromDate))[0];
+};
+
+/**
+ * Validate the charge heads of a rate entry
+ * @param {Array} chargeHeads - rate.chargeHeads
+ * @param {string} path - Field path used in error messages
+ * @returns {Array<string>} Validation errors
+ */
+const validateChargeHeads = (chargeHeads, path = 'chargeHeads') => {
+  if (!Array.isArray(chargeHeads) || chargeHeads.length === 0) {
+    return [`${path} must be a non-empty array`];
+  }
+
+  const errors = [];
+  chargeHeads.forEach((head, index) => {
+    const headPath = `${path}[${index}]`;
+    if (!head || typeof head.name !== 'string' || !head.name.trim()) {
+      errors.push(`${headPath}.name is required`);
+    }
+    if (!CHARGE_HEAD_TYPES.includes(head?.type)) {
+      errors.push(`${headPath}.type must be one of: ${CHARGE_HEAD_TYPES.join(', ')}`);
+      return;
+    }
+    if (head.appliesTo !== undefined && !CHARGE_HEAD_APPLIES_TO.includes(head.appliesTo)) {
+      errors.push(`${headPath}.appliesTo must be one of: ${CHARGE_HEAD_APPLIES_TO.join(', ')}`);
+    }
+
+    if (head.type === 'fixed' && (typeof head.amount !== 'number' || head.amount < 0)) {
+      errors.push(`${headPath}.amount must be a non-negative number`);
+    }
+    if (['per_sqft', 'per_parking_slot'].includes(head.type) && (typeof head.rate !== 'number' || head.rate < 0)) {
+      errors.push(`${headPath}.rate must be a non-negative number`);
+    }
+    if (head.type === 'flat_type') {
+      const amounts = head.amounts;
+      if (!amounts || typeof amounts !== 'object' || Array.isArray(amounts) || Object.keys(amounts).length === 0) {
+        errors.push(`${headPath}.amounts must map flat types to amounts, e.g. { "2BHK": 2500 }`);
+      } else {
+        Object.entries(amounts).forEach(([flatType, amount]) => {
+          if (typeof amount !== 'number' || amount < 0) {
+            errors.push(`${headPath}.amounts.${flatType} must be a non-negative number`);
+          }
+        });
+      }
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Price a rate's charge heads for one flat
+ * @param {Array} chargeHeads - rate.chargeHeads
+ * @param {string} amountType - 'owner' or 'tenant', matched against appliesTo
+ * @param {object} flat - { flatType, area, parkingSlots } from the wing configuration
+ * @returns {{amount: number, breakdown: Array, missing: Array<string>}}
+ *   `missing` lists heads that need flat details which aren't configured
+ */
+const computeChargeHeads = (chargeHeads, amountType, flat = {}) => {
+  const breakdown = [];
+  const missing = [];
+
+  chargeHeads.forEach((head) => {
+    const appliesTo = head.appliesTo || 'all';
+    if (appliesTo !== 'all' && appliesTo !== amountType) return;
+
+    let line;
+    if (head.type === 'fixed') {
+      line = { amount: roundAmount(head.amount) };
+    } else if (head.type === 'per_sqft') {
+      if (!(flat.area > 0)) {
+        missing.push(`${head.name}: area not configured`);
+        return;
+      }
+      line = { quantity: flat.area, rate: head.rate, amount: roundAmount(head.rate * flat.area) };
+    } else if (head.type === 'flat_type') {
+      const amount = flat.flatType ? head.amounts?.[flat.flatType] : undefined;
+      if (amount === undefined) {
+        missing.push(`${head.name}: ${flat.flatType ? `no amount for flat type ${flat.flatType}` : 'flat type not configured'}`);
+        return;
+      }
+      line = { flatType: flat.flatType, amount: roundAmount(amount) };
+    } else if (head.type === 'per_parking_slot') {
+      const slots = Math.max(parseInt(flat.parkingSlots, 10) || 0, 0);
+      line = { quantity: slots, rate: head.rate, amount: roundAmount(head.rate * slots) };
+    } else {
+      return;
+    }
+
+    breakdown.push({ name: head.name, type: head.type, ...line });
+  });
+
+  return {
+    amount: roundAmount(breakdown.reduce((sum, line) => sum + line.amount, 0)),
+    breakdown,
+    missing
+  };
+};
+
+/**
+ * Compute the monthly maintenance due for a flat
+ * Rates made of charge heads are priced from the flat's area, type and
+ * parking slots; otherwise tenants are charged tenantAmount and everyone
+ * else ownerAmount. Falls back to the flat society amount when no rate
+ * covers the period. A rate that needs flat details which aren't configured
+ * yields an amount of 0 with the gaps listed in `missing`.
+ * @param {object} settings - society.settings
+ * @param {string} residentType - Owner, Tenant, Family Member or Caretaker
+ * @param {string} period - Billing period in YYYY-MM format
+ * @param {object} flat - { flatType, area, parkingSlots } (see utils/flats getFlatProfile)
+ * @returns {{amount: number, rate: object|null, amountType: string, breakdown?: Array, missing?: Array<string>}}
+ */
+const computeMonthlyDue = (settings = {}, residentType, period, flat = {}) => {
+  const rate = resolveMaintenanceRate(settings.maintenance, period);
+  const amountType = residentType === 'Tenant' ? 'tenant' : 'owner';
+
+  if (rate && Array.isArray(rate.chargeHeads)) {
+    const { amount, breakdown, missing } = computeChargeHeads(rate.chargeHeads, amountType, flat);
+    return { amount: missing.length > 0 ? 0 : amount, rate, amountType, breakdown, missing };
+  }
+
+  if (rate) {
+    const amount = amountType === 'tenant' ? rate.tenantAmount : rate.ownerAmount;
+    return { amount: Number(amount) || 0, rate, amountType };
+  }
+
+  const fallback = settings.maintenance?.amount ?? settings.maintenanceAmount ?? 0;
+  return { amount: Number(fallback) || 0, rate: null, amountType: 'flat' };
+};
+
+/**
+ * Compute the due date for a billing period from the society's due day
+ * @param {object} settings - society.settings
+ * @param {string} period - Billing period in YYYY-MM format
+ * @returns {Date}
+ */
+const computeDueDate = (settings = {}, period) => {
+  const { year, monthIndex } = parseBillingPeriod(period);
+  const configuredDay = parseInt(
+    settings.maintenance?.dueDate ?? settings.maintenanceDueDate ?? DEFAULT_DUE_DAY,
+    10
+  );
+  const daysInMonth = new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+  const day = Math.min(Math.max(Number.isNaN(configuredDay) ? DEFAULT_DUE_DAY : configuredDay, 1), daysInMonth);
+
+  return new Date(Date.UTC(year, monthIndex, day));
+};
+
+/**
+ * Group residents into flats and pick the resident each flat is billed to.
+ * A tenant in occupation is billed ahead of the owner; family members and
+ * caretakers are only billed when nobody else is registered for the flat.
+ * The flat's unitId is taken from whichever of its residents is linked to
+ * the unit registry.
+ * @param {Array} users - Active users of a society
+ * @returns {Array<{wing: string, flatNumber: string, unitId: ObjectId|null, resident: object}>}
+ */
+const selectBillableFlats = (users = []) => {
+  const priority = { Tenant: 0, Owner: 1 };
+  const flats = new Map();
+
+  users.forEach((user) => {
+    if (!user?.wing || !user?.flatNumber) return;
+
+    const key = `${String(user.wing).trim()}::${String(user.flatNumber).trim()}`;
+    const current = flats.get(key);
+    const rank = priority[user.residentType] ?? 2;
+
+    const unitId = current?.unitId || user.unitId || null;
+    if (!current || rank < current.rank) {
+      flats.set(key, {
+        wing: String(user.wing).trim(),
+        flatNumber: String(user.flatNumber).trim(),
+        unitId,
+        resident: user,
+        rank
+      });
+    } else {
+      current.unitId = unitId;
+    }
+  });
+
+  return Array.from(flats.values()).map(({ rank, ...flat }) => flat);
+};
+
+module.exports = {
+  MONTH_NAMES,
+  CHARGE_HEAD_TYPES,
+  CHARGE_HEAD_APPLIES_TO,
+  parseBillingPeriod,
+  addBillingPeriods,
+  toBillingPeriod,
+  resolveMaintenanceRate,
+  validateChargeHeads,
+  computeChargeHeads,
+  computeMonthlyDue,
+  computeDueDate,
+  selectBillableFlats,
+};
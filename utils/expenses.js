@@ -0,0 +1,161 @@
+/**
+ * Society expense helpers
+ * Validation for expenses and vendors, and the income-vs-expense (P&L)
+ * summary that combines maintenance collections with approved expenses
+ */
+
+const { roundAmount } = require('./ledger');
+
+const EXPENSE_STATUSES = ['pending_approval', 'approved', 'rejected', 'cancelled'];
+
+const PAYMENT_MODES = ['cash', 'bank_transfer', 'cheque', 'upi', 'card', 'other'];
+
+// Categories every society starts with; admins can add their own
+const DEFAULT_EXPENSE_CATEGORIES = [
+  'Security',
+  'Housekeeping',
+  'Electricity (common areas)',
+  'Water',
+  'Lift maintenance',
+  'Repairs and maintenance',
+  'Gardening',
+  'Staff salaries',
+  'Insurance',
+  'Office and administration',
+  'Other'
+];
+
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][0-9A-Z]Z[0-9A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+const isBlank = value => value === undefined || value === null || String(value).trim() === '';
+const isValidDate = value => !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Validate an expense. `amount` is the total paid, including any tax;
+ * `taxAmount` records the GST part of it.
+ * @param {object} expense - { title, categoryId, vendorId, amount, taxAmount, expenseDate, paymentMode, paymentReference }
+ * @param {object} options - { partial } to validate only the fields present (updates)
+ * @returns {Array<string>} Validation errors
+ */
+const validateExpense = (expense = {}, options = {}) => {
+  const errors = [];
+  const has = field => !options.partial || expense[field] !== undefined;
+
+  if (has('title') && (typeof expense.title !== 'string' || !expense.title.trim())) {
+    errors.push('title is required');
+  }
+  if (has('categoryId') && isBlank(expense.categoryId)) {
+    errors.push('categoryId is required');
+  }
+  if (has('amount') && !(typeof expense.amount === 'number' && expense.amount > 0)) {
+    errors.push('amount must be a positive number');
+  }
+  if (!isBlank(expense.taxAmount) && !(typeof expense.taxAmount === 'number' && expense.taxAmount >= 0)) {
+    errors.push('taxAmount must be a non-negative number');
+  } else if (typeof expense.amount === 'number' && expense.taxAmount > expense.amount) {
+    errors.push('taxAmount cannot be more than amount');
+  }
+  if (has('expenseDate') && (isBlank(expense.expenseDate) || !isValidDate(expense.expenseDate))) {
+    errors.push('expenseDate must be a valid date');
+  }
+  if (!isBlank(expense.paymentMode) && !PAYMENT_MODES.includes(expense.paymentMode)) {
+    errors.push(`paymentMode must be one of: ${PAYMENT_MODES.join(', ')}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a vendor
+ * @param {object} vendor - { name, phone, email, gstin, bankDetails }
+ * @param {object} options - { partial } to validate only the fields present (updates)
+ * @returns {Array<string>} Validation errors
+ */
+const validateVendor = (vendor = {}, options = {}) => {
+  const errors = [];
+
+  if ((!options.partial || vendor.name !== undefined) && (typeof vendor.name !== 'string' || !vendor.name.trim())) {
+    errors.push('name is required');
+  }
+  if (!isBlank(vendor.phone) && !/^[+]?[\d\s-]{7,15}$/.test(String(vendor.phone))) {
+    errors.push('phone must be a valid phone number');
+  }
+  if (!isBlank(vendor.email) && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(vendor.email))) {
+    errors.push('email must be a valid email address');
+  }
+  if (!isBlank(vendor.gstin) && !GSTIN_PATTERN.test(String(vendor.gstin).toUpperCase())) {
+    errors.push('gstin must be a valid 15 character GSTIN');
+  }
+  if (!isBlank(vendor.bankDetails?.ifsc) && !IFSC_PATTERN.test(String(vendor.bankDetails.ifsc).toUpperCase())) {
+    errors.push('bankDetails.ifsc must be a valid IFSC code');
+  }
+
+  return errors;
+};
+
+/**
+ * Income-vs-expense summary for a run of billing periods
+ * @param {Array<string>} periods - YYYY-MM periods, in order
+ * @param {Array<{period: string, amount: number}>} collections - Maintenance
+ *   payments received (positive) and refunded or reversed (negative) per period
+ * @param {Array<{period: string, category: string, amount: number}>} expenses - Approved expenses
+ * @returns {{months: Array, totals: Object}}
+ */
+const buildProfitAndLoss = (periods, collections = [], expenses = []) => {
+  const emptyMonth = period => ({
+    period,
+    income: { collections: 0, refunds: 0, net: 0 },
+    expenses: { total: 0, byCategory: {} },
+    surplus: 0
+  });
+  const months = new Map(periods.map(period => [period, emptyMonth(period)]));
+
+  collections.forEach((item) => {
+    const month = months.get(item.period);
+    if (!month) return;
+    const amount = roundAmount(item.amount);
+    if (amount >= 0) month.income.collections = roundAmount(month.income.collections + amount);
+    else month.income.refunds = roundAmount(month.income.refunds - amount);
+  });
+
+  expenses.forEach((item) => {
+    const month = months.get(item.period);
+    if (!month) return;
+    const category = item.category || 'Uncategorised';
+    month.expenses.byCategory[category] = roundAmount((month.expenses.byCategory[category] || 0) + roundAmount(item.amount));
+    month.expenses.total = roundAmount(month.expenses.total + roundAmount(item.amount));
+  });
+
+  const totals = {
+    income: { collections: 0, refunds: 0, net: 0 },
+    expenses: { total: 0, byCategory: {} },
+    surplus: 0
+  };
+
+  const list = Array.from(months.values()).map((month) => {
+    month.income.net = roundAmount(month.income.collections - month.income.refunds);
+    month.surplus = roundAmount(month.income.net - month.expenses.total);
+
+    totals.income.collections = roundAmount(totals.income.collections + month.income.collections);
+    totals.income.refunds = roundAmount(totals.income.refunds + month.income.refunds);
+    totals.income.net = roundAmount(totals.income.net + month.income.net);
+    totals.expenses.total = roundAmount(totals.expenses.total + month.expenses.total);
+    Object.entries(month.expenses.byCategory).forEach(([category, amount]) => {
+      totals.expenses.byCategory[category] = roundAmount((totals.expenses.byCategory[category] || 0) + amount);
+    });
+    totals.surplus = roundAmount(totals.surplus + month.surplus);
+    return month;
+  });
+
+  return { months: list, totals };
+};
+
+module.exports = {
+  EXPENSE_STATUSES,
+  PAYMENT_MODES,
+  DEFAULT_EXPENSE_CATEGORIES,
+  validateExpense,
+  validateVendor,
+  buildProfitAndLoss,
+};
@@ -0,0 +1,62 @@
+/**
+ * Report export helpers
+ * Turn report rows into CSV text or an XLSX workbook
+ */
+
+const ExcelJS = require('exceljs');
+
+/**
+ * Quote a CSV cell when it contains a delimiter, quote or line break.
+ * Cells starting with a formula character are prefixed so spreadsheet apps
+ * don't evaluate them.
+ */
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (/^[=+\-@\t\r]/.test(text) && typeof value === 'string') {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build CSV text
+ * @param {Array<{key: string, header: string}>} columns - Column keys and headings
+ * @param {Array<object>} rows - Rows keyed by column key
+ * @returns {string}
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => csvCell(column.header)).join(',')];
+  rows.forEach((row) => {
+    lines.push(columns.map(column => csvCell(row[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<{name: string, columns: Array<{key: string, header: string, width?: number}>, rows: Array<object>}>} sheets
+ * @returns {Promise<Buffer>}
+ */
+const toXlsx = async (sheets) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  sheets.forEach((sheet) => {
+    const worksheet = workbook.addWorksheet(sheet.name);
+    worksheet.columns = sheet.columns.map(column => ({
+      key: column.key,
+      header: column.header,
+      width: column.width || Math.max(12, column.header.length + 2)
+    }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.addRows(sheet.rows);
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+module.exports = {
+  toCsv,
+  toXlsx,
+};
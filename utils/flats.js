@@ -0,0 +1,107 @@
+/**
+ * Flat profile helpers
+ * Flat type (e.g. 2BHK), carpet area and parking slots per flat, read from
+ * the wing configuration: `wings[].flats[]` lists flats that differ from the
+ * wing's `defaultFlatType` / `defaultArea` / `defaultParkingSlots`.
+ */
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate the flat profile fields of a wing
+ * @param {object} wing - { defaultFlatType, defaultArea, defaultParkingSlots, flats }
+ * @returns {Array<string>} Validation errors
+ */
+const validateWingFlatProfiles = (wing = {}) => {
+  const errors = [];
+
+  if (
+    wing.defaultFlatType !== undefined &&
+    wing.defaultFlatType !== null &&
+    (typeof wing.defaultFlatType !== 'string' || !wing.defaultFlatType.trim())
+  ) {
+    errors.push('defaultFlatType must be a non-empty string');
+  }
+  if (
+    wing.defaultArea !== undefined &&
+    wing.defaultArea !== null &&
+    (typeof wing.defaultArea !== 'number' || !(wing.defaultArea > 0))
+  ) {
+    errors.push('defaultArea must be a positive number (sq ft)');
+  }
+  if (
+    wing.defaultParkingSlots !== undefined &&
+    wing.defaultParkingSlots !== null &&
+    !isNonNegativeInteger(wing.defaultParkingSlots)
+  ) {
+    errors.push('defaultParkingSlots must be a non-negative whole number');
+  }
+
+  if (wing.flats !== undefined) {
+    if (!Array.isArray(wing.flats)) {
+      return [...errors, 'flats must be an array'];
+    }
+
+    const seen = new Set();
+    wing.flats.forEach((flat, index) => {
+      const flatNumber = flat?.flatNumber === undefined || flat?.flatNumber === null ? '' : String(flat.flatNumber).trim();
+      if (!flatNumber) {
+        errors.push(`flats[${index}].flatNumber is required`);
+      } else if (seen.has(flatNumber)) {
+        errors.push(`flats[${index}].flatNumber ${flatNumber} is listed more than once`);
+      }
+      seen.add(flatNumber);
+
+      if (flat?.flatType !== undefined && flat?.flatType !== null && (typeof flat.flatType !== 'string' || !flat.flatType.trim())) {
+        errors.push(`flats[${index}].flatType must be a non-empty string`);
+      }
+      if (flat?.area !== undefined && flat?.area !== null && (typeof flat.area !== 'number' || !(flat.area > 0))) {
+        errors.push(`flats[${index}].area must be a positive number (sq ft)`);
+      }
+      if (flat?.parkingSlots !== undefined && flat?.parkingSlots !== null && !isNonNegativeInteger(flat.parkingSlots)) {
+        errors.push(`flats[${index}].parkingSlots must be a non-negative whole number`);
+      }
+    });
+  }
+
+  return errors;
+};
+
+/**
+ * Trimmed copy of a wing's flat list, dropping empty fields
+ * @param {Array} flats - wings[].flats as submitted
+ * @returns {Array<{flatNumber: string, flatType?: string, area?: number, parkingSlots?: number}>}
+ */
+const normalizeWingFlats = (flats = []) => flats.map(flat => ({
+  flatNumber: String(flat.flatNumber).trim(),
+  ...(typeof flat.flatType === 'string' && flat.flatType.trim() && { flatType: flat.flatType.trim() }),
+  ...(typeof flat.area === 'number' && flat.area > 0 && { area: flat.area }),
+  ...(isNonNegativeInteger(flat.parkingSlots) && { parkingSlots: flat.parkingSlots }),
+}));
+
+/**
+ * Flat type, area and parking slots of a flat
+ * @param {Array} wings - society.wings
+ * @param {string} wingName - Wing the flat is in
+ * @param {string} flatNumber - Flat number
+ * @returns {{flatType: string|null, area: number|null, parkingSlots: number}}
+ */
+const getFlatProfile = (wings, wingName, flatNumber) => {
+  const wing = (wings || []).find(item => item?.name === wingName);
+  if (!wing) {
+    return { flatType: null, area: null, parkingSlots: 0 };
+  }
+
+  const flat = (wing.flats || []).find(item => String(item.flatNumber) === String(flatNumber));
+  return {
+    flatType: flat?.flatType || wing.defaultFlatType || null,
+    area: flat?.area || wing.defaultArea || null,
+    parkingSlots: flat?.parkingSlots ?? wing.defaultParkingSlots ?? 0,
+  };
+};
+
+module.exports = {
+  validateWingFlatProfiles,
+  normalizeWingFlats,
+  getFlatProfile,
+};
@@ -0,0 +1,145 @@
+/**
+ * Payment proof fingerprint helpers
+ * Content and perceptual hashes of uploaded screenshots, used to spot the
+ * same proof being submitted for more than one maintenance record
+ */
+
+const crypto = require('crypto');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+
+// dHash bits that may differ for two screenshots to count as the same image
+// (re-compressed, resized or lightly cropped copies stay well under this)
+const PERCEPTUAL_MATCH_THRESHOLD = 6;
+
+/**
+ * SHA-256 of the file bytes
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string} Hex digest
+ */
+const contentHash = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+/**
+ * Decode a PNG or JPEG into RGBA pixels
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{width: number, height: number, data: Buffer}|null} null for other formats
+ */
+const decodeImage = (buffer) => {
+  if (buffer.length > 8 && buffer.readUInt32BE(0) === 0x89504e47) {
+    return PNG.sync.read(buffer);
+  }
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  }
+  return null;
+};
+
+/**
+ * Average brightness of each cell when the image is divided into a grid
+ * @returns {Array<Array<number>>} rows x columns
+ */
+const brightnessGrid = ({ width, height, data }, columns, rows) => {
+  const grid = [];
+  for (let row = 0; row < rows; row += 1) {
+    const top = Math.floor((row * height) / rows);
+    const bottom = Math.max(Math.floor(((row + 1) * height) / rows), top + 1);
+    const cells = [];
+    for (let column = 0; column < columns; column += 1) {
+      const left = Math.floor((column * width) / columns);
+      const right = Math.max(Math.floor(((column + 1) * width) / columns), left + 1);
+      let total = 0;
+      for (let y = top; y < bottom; y += 1) {
+        for (let x = left; x < right; x += 1) {
+          const idx = (y * width + x) * 4;
+          total += 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+        }
+      }
+      cells.push(total / ((bottom - top) * (right - left)));
+    }
+    grid.push(cells);
+  }
+  return grid;
+};
+
+/**
+ * 64-bit difference hash: the image is shrunk to 9x8 greyscale and each bit
+ * records whether a cell is brighter than its right-hand neighbour
+ * @param {Buffer} buffer - Image file contents
+ * @returns {string|null} 16 hex characters, or null when the format can't be decoded
+ */
+const perceptualHash = (buffer) => {
+  let image;
+  try {
+    image = decodeImage(buffer);
+  } catch (error) {
+    return null;
+  }
+  if (!image) return null;
+
+  const grid = brightnessGrid(image, 9, 8);
+  let bits = '';
+  grid.forEach((cells) => {
+    for (let x = 0; x < 8; x += 1) {
+      bits += cells[x] > cells[x + 1] ? '1' : '0';
+    }
+  });
+
+  return BigInt(`0b${bits}`).toString(16).padStart(16, '0');
+};
+
+/**
+ * Number of differing bits between two perceptual hashes
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number}
+ */
+const hammingDistance = (a, b) => {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff > 0n) {
+    count += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return count;
+};
+
+/**
+ * Both hashes of an image. The perceptual hash is null for formats that
+ * can't be decoded (e.g. WEBP), in which case only exact copies are detected.
+ * @param {Buffer} buffer - Image file contents
+ * @returns {{contentHash: string, perceptualHash: string|null}}
+ */
+const fingerprintImage = (buffer) => ({
+  contentHash: contentHash(buffer),
+  perceptualHash: perceptualHash(buffer),
+});
+
+/**
+ * File name of a screenshot stored under uploads/maintenance, from either
+ * its public URL or a bare file name
+ * @param {string} screenshot - paymentProof.screenshot
+ * @returns {string|null}
+ */
+const localProofFileName = (screenshot) => {
+  if (typeof screenshot !== 'string' || !screenshot) return null;
+
+  const match = screenshot.match(/\/uploads\/maintenance\/([^/?#]+)$/);
+  if (match) return decodeURIComponent(match[1]);
+  if (!/[/\\:]/.test(screenshot)) return screenshot;
+  return null;
+};
+
+/**
+ * Transaction IDs compared case- and punctuation-insensitively
+ */
+const normalizeTransactionId = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+module.exports = {
+  PERCEPTUAL_MATCH_THRESHOLD,
+  contentHash,
+  perceptualHash,
+  hammingDistance,
+  fingerprintImage,
+  localProofFileName,
+  normalizeTransactionId,
+};
@@ -0,0 +1,161 @@
+/**
+ * Society invite helpers
+ * Invite codes let an admin pre-approve one flat: whoever redeems a valid
+ * code joins as the wing / flat / resident type it is bound to, without
+ * waiting for a join request to be reviewed
+ */
+
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+
+const RESIDENT_TYPES = ['Owner', 'Tenant', 'Family Member', 'Caretaker'];
+
+// No 0/O or 1/I, so codes read out over the phone survive
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+const DEFAULT_EXPIRY_DAYS = 7;
+const MAX_EXPIRY_DAYS = 90;
+const MAX_USES = 20;
+
+// Where invite links point when INVITE_LINK_BASE_URL is not set
+const DEFAULT_LINK_BASE_URL = 'oursociety://join';
+
+/**
+ * Random invite code, e.g. 'K7QM4TZP'
+ * @returns {string}
+ */
+const generateInviteCode = () => {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  return Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+};
+
+/**
+ * Code as stored: upper case without spaces or dashes
+ * @param {string} code - As typed or scanned, e.g. 'k7qm-4tzp'
+ * @returns {string}
+ */
+const normalizeInviteCode = (code) => String(code ?? '').toUpperCase().replace(/[\s-]/g, '');
+
+/**
+ * Code as shown to people, e.g. 'K7QM-4TZP'
+ * @param {string} code - Stored code
+ * @returns {string}
+ */
+const formatInviteCode = (code) => {
+  const normalized = normalizeInviteCode(code);
+  return normalized.length === CODE_LENGTH ? `${normalized.slice(0, 4)}-${normalized.slice(4)}` : normalized;
+};
+
+/**
+ * Validate a new invite
+ * @param {object} input - { wing, flatNumber, residentType, expiresInDays, expiresAt, maxUses, note }
+ * @param {Date} now - Current time
+ * @returns {Array<string>} Validation errors
+ */
+const validateInvite = (input = {}, now = new Date()) => {
+  const errors = [];
+
+  if (typeof input.wing !== 'string' || !input.wing.trim()) {
+    errors.push('wing is required');
+  }
+  if (input.flatNumber === undefined || input.flatNumber === null || String(input.flatNumber).trim() === '') {
+    errors.push('flatNumber is required');
+  }
+  if (!RESIDENT_TYPES.includes(input.residentType)) {
+    errors.push(`residentType must be one of: ${RESIDENT_TYPES.join(', ')}`);
+  }
+
+  if (input.expiresAt !== undefined && input.expiresAt !== null) {
+    const expiresAt = new Date(input.expiresAt);
+    if (Number.isNaN(expiresAt.getTime()) || expiresAt <= now) {
+      errors.push('expiresAt must be a date in the future');
+    } else if (expiresAt - now > MAX_EXPIRY_DAYS * 24 * 60 * 60 * 1000) {
+      errors.push(`expiresAt must be within ${MAX_EXPIRY_DAYS} days`);
+    }
+  } else if (
+    input.expiresInDays !== undefined &&
+    input.expiresInDays !== null &&
+    !(Number.isInteger(input.expiresInDays) && input.expiresInDays >= 1 && input.expiresInDays <= MAX_EXPIRY_DAYS)
+  ) {
+    errors.push(`expiresInDays must be a whole number from 1 to ${MAX_EXPIRY_DAYS}`);
+  }
+
+  if (
+    input.maxUses !== undefined &&
+    input.maxUses !== null &&
+    !(Number.isInteger(input.maxUses) && input.maxUses >= 1 && input.maxUses <= MAX_USES)
+  ) {
+    errors.push(`maxUses must be a whole number from 1 to ${MAX_USES}`);
+  }
+  if (input.note !== undefined && input.note !== null && typeof input.note !== 'string') {
+    errors.push('note must be a string');
+  }
+
+  return errors;
+};
+
+/**
+ * When an invite stops working
+ * @param {object} input - { expiresAt, expiresInDays }
+ * @param {Date} now - Current time
+ * @returns {Date}
+ */
+const resolveInviteExpiry = (input = {}, now = new Date()) => {
+  if (input.expiresAt) return new Date(input.expiresAt);
+  const days = input.expiresInDays || DEFAULT_EXPIRY_DAYS;
+  return new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Whether an invite can still be redeemed
+ * @param {object} invite - { status, expiresAt, usedCount, maxUses }
+ * @param {Date} now - Current time
+ * @returns {string} 'active', 'revoked', 'expired' or 'used_up'
+ */
+const getInviteState = (invite, now = new Date()) => {
+  if (invite.status === 'revoked') return 'revoked';
+  if (new Date(invite.expiresAt) <= now) return 'expired';
+  if ((invite.usedCount || 0) >= invite.maxUses) return 'used_up';
+  return 'active';
+};
+
+/**
+ * Link that opens the app's join screen with the code filled in
+ * @param {string} code - Stored code
+ * @param {string} baseUrl - e.g. 'https://app.example.com/join'
+ * @returns {string}
+ */
+const buildInviteLink = (code, baseUrl = process.env.INVITE_LINK_BASE_URL || DEFAULT_LINK_BASE_URL) => {
+  const separator = baseUrl.includes('?') ? '&' : '?';
+  return `${baseUrl}${separator}code=${encodeURIComponent(formatInviteCode(code))}`;
+};
+
+/**
+ * Render an invite link as a QR code
+ * @param {string} link - From buildInviteLink
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+const renderInviteQr = (link, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+  if (format === 'svg') {
+    return QRCode.toString(link, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(link, { ...options, type: 'png', width: 320 });
+};
+
+module.exports = {
+  RESIDENT_TYPES,
+  DEFAULT_EXPIRY_DAYS,
+  MAX_USES,
+  generateInviteCode,
+  normalizeInviteCode,
+  formatInviteCode,
+  validateInvite,
+  resolveInviteExpiry,
+  getInviteState,
+  buildInviteLink,
+  renderInviteQr,
+};
@@ -0,0 +1,407 @@
+/**
+ * Join request helpers
+ * Check the wing and flat an applicant asks for against the society's wing
+ * configuration, warn admins when the flat already has residents that the
+ * applicant would clash with, track which supporting documents have been
+ * verified, and time requests against the society's review SLA
+ */
+
+const { generateWingUnits, getUnitNumbering } = require('./units');
+
+const RESIDENT_TYPES = ['Owner', 'Tenant', 'Family Member', 'Caretaker'];
+const DOCUMENT_TYPES = ['ownership_proof', 'id_proof', 'address_proof'];
+// 'replaced' marks an upload superseded by a newer one of the same type
+const DOCUMENT_STATUSES = ['pending', 'verified', 'rejected', 'reupload_requested', 'replaced'];
+// Decisions an admin can record on a document
+const DOCUMENT_DECISIONS = ['verified', 'rejected', 'reupload_requested'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Admins are reminded once a request waits reviewDays, then every
+// reminderIntervalDays; super admins hear about it at escalateAfterDays.
+// Requests waiting on the applicant expire after expireAfterDays.
+// Off until a society turns it on, since expiry changes request statuses.
+const DEFAULT_JOIN_REQUEST_SLA = {
+  enabled: false,
+  reviewDays: 3,
+  reminderIntervalDays: 1,
+  escalateAfterDays: 7,
+  expireAfterDays: 14
+};
+
+const sameText = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+/**
+ * Match the requested wing and flat against the society's wings. Wing names
+ * are matched ignoring case; flats against the unit registry when it has
+ * the wing, otherwise against the numbers the wing layout yields. Wings
+ * without a layout accept any flat number.
+ * @param {object} requested - { wing, flatNumber }
+ * @param {object} society - { wings, settings }
+ * @param {Array} units - Active units of the requested wing, if any
+ * @returns {{errors: Array<string>, wing: string, flatNumber: string|null}}
+ */
+const validateRequestedFlat = (requested, society, units = []) => {
+  const errors = [];
+  const wingName = String(requested.wing ?? '').trim();
+  let flatNumber = requested.flatNumber === undefined || requested.flatNumber === null || String(requested.flatNumber).trim() === ''
+    ? null
+    : String(requested.flatNumber).trim();
+
+  const wings = Array.isArray(society?.wings) ? society.wings : [];
+  // Societies that never configured wings can't be checked
+  if (wings.length === 0) {
+    return { errors, wing: wingName, flatNumber };
+  }
+
+  const wing = wings.find(item => sameText(typeof item === 'string' ? item : item?.name, wingName));
+  if (!wing) {
+    return { errors: [`Wing ${wingName} does not exist in this society`], wing: wingName, flatNumber };
+  }
+  const canonicalWing = typeof wing === 'string' ? wing : wing.name;
+
+  const flatNumbers = units.length > 0
+    ? units.map(unit => unit.flatNumber)
+    : (typeof wing === 'object' ? generateWingUnits(wing, getUnitNumbering(society.settings)).map(unit => unit.flatNumber) : []);
+
+  if (flatNumbers.length > 0) {
+    if (!flatNumber) {
+      errors.push(`Flat number is required for wing ${canonicalWing}`);
+    } else {
+      const match = flatNumbers.find(number => sameText(number, flatNumber));
+      if (match) {
+        flatNumber = match;
+      } else {
+        errors.push(`Flat ${flatNumber} does not exist in wing ${canonicalWing}`);
+      }
+    }
+  }
+
+  return { errors, wing: canonicalWing, flatNumber };
+};
+
+/**
+ * Warnings for an applicant whose flat already has residents on record.
+ * They don't block the request; the admin decides.
+ * @param {object} applicant - { clerkUserId, residentType }
+ * @param {Array} occupants - [{ clerkUserId, name, residentType, source, requestId }]
+ *   where source is 'member' (approved user), 'unit' (owner / tenant on the
+ *   unit record) or 'pending_request' (another applicant)
+ * @param {object} flat - { label, occupancy } of the unit; label (e.g. 'A-101') is used in messages
+ * @returns {Array<{type: string, message: string, source: string, clerkUserId: string|null, residentType: string|null}>}
+ */
+const detectFlatConflicts = (applicant, occupants = [], flat = {}) => {
+  const flatLabel = flat.label || 'this flat';
+  const others = occupants.filter(occupant => !occupant.clerkUserId || occupant.clerkUserId !== applicant.clerkUserId);
+  const residents = others.filter(occupant => occupant.source !== 'pending_request');
+  const pending = others.filter(occupant => occupant.source === 'pending_request');
+  const describe = occupant => occupant.name || occupant.clerkUserId || 'someone';
+  const warning = (type, message, occupant) => ({
+    type,
+    message,
+    source: occupant?.source || null,
+    clerkUserId: occupant?.clerkUserId || null,
+    residentType: occupant?.residentType || null,
+    ...(occupant?.requestId && { requestId: occupant.requestId })
+  });
+
+  const owner = residents.find(occupant => occupant.residentType === 'Owner');
+  const tenants = residents.filter(occupant => occupant.residentType === 'Tenant');
+  const conflicts = [];
+
+  if (applicant.residentType === 'Owner') {
+    if (owner) {
+      conflicts.push(warning('owner_exists', `${flatLabel} already has an active owner: ${describe(owner)}`, owner));
+    }
+    pending
+      .filter(occupant => occupant.residentType === 'Owner')
+      .forEach(occupant => conflicts.push(warning('pending_owner_request', `${describe(occupant)} has also asked to join ${flatLabel} as owner`, occupant)));
+  }
+
+  if (applicant.residentType === 'Tenant') {
+    tenants.forEach(tenant => conflicts.push(warning('tenant_exists', `${flatLabel} already has an active tenant: ${describe(tenant)}`, tenant)));
+    if (owner && tenants.length === 0 && flat.occupancy === 'owner_occupied') {
+      conflicts.push(warning('owner_occupied', `${flatLabel} is recorded as lived in by its owner, ${describe(owner)}`, owner));
+    }
+  }
+
+  if (['Family Member', 'Caretaker'].includes(applicant.residentType) && !owner && tenants.length === 0) {
+    conflicts.push(warning('no_primary_resident', `${flatLabel} has no owner or tenant on record for this ${applicant.residentType.toLowerCase()} to belong to`));
+  }
+
+  return conflicts;
+};
+
+/**
+ * Validate the society's join request settings
+ * @param {object} config - settings.joinRequests, e.g.
+ *   { requiredDocuments: { Owner: ['ownership_proof', 'id_proof'], Tenant: ['id_proof'] } }
+ * @returns {Array<string>} Validation errors
+ */
+const validateJoinRequestSettings = (config) => {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['joinRequests must be an object'];
+  }
+
+  const errors = [];
+  const { requiredDocuments } = config;
+  if (requiredDocuments !== undefined && requiredDocuments !== null) {
+    if (typeof requiredDocuments !== 'object' || Array.isArray(requiredDocuments)) {
+      errors.push('joinRequests.requiredDocuments must map resident types to document types');
+    } else {
+      Object.entries(requiredDocuments).forEach(([residentType, types]) => {
+        if (!RESIDENT_TYPES.includes(residentType)) {
+          errors.push(`joinRequests.requiredDocuments has unknown resident type: ${residentType}`);
+        } else if (!Array.isArray(types) || types.some(type => !DOCUMENT_TYPES.includes(type))) {
+          errors.push(`joinRequests.requiredDocuments.${residentType} must be a list of: ${DOCUMENT_TYPES.join(', ')}`);
+        }
+      });
+    }
+  }
+
+  const { sla } = config;
+  if (sla !== undefined && sla !== null) {
+    if (typeof sla !== 'object' || Array.isArray(sla)) {
+      errors.push('joinRequests.sla must be an object');
+    } else {
+      if (sla.enabled !== undefined && typeof sla.enabled !== 'boolean') {
+        errors.push('joinRequests.sla.enabled must be a boolean');
+      }
+      const periods = ['reviewDays', 'reminderIntervalDays', 'escalateAfterDays', 'expireAfterDays'];
+      const invalid = periods.filter(key => sla[key] !== undefined && !(Number.isInteger(sla[key]) && sla[key] >= 1));
+      invalid.forEach(key => errors.push(`joinRequests.sla.${key} must be a whole number of days, at least 1`));
+      const merged = { ...DEFAULT_JOIN_REQUEST_SLA, ...sla };
+      if (!invalid.includes('reviewDays') && !invalid.includes('escalateAfterDays') && merged.escalateAfterDays <= merged.reviewDays) {
+        errors.push('joinRequests.sla.escalateAfterDays must be more than reviewDays');
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * The society's join request SLA, filled in with the defaults
+ * @param {object} settings - Society settings
+ * @returns {object} { enabled, reviewDays, reminderIntervalDays, escalateAfterDays, expireAfterDays }
+ */
+const getJoinRequestSla = (settings) => ({
+  ...DEFAULT_JOIN_REQUEST_SLA,
+  ...(settings?.joinRequests?.sla || {})
+});
+
+/**
+ * Document types a resident type must have verified before approval.
+ * Nothing is required unless the society configures it.
+ * @param {object} settings - Society settings
+ * @param {string} residentType - Owner, Tenant, Family Member or Caretaker
+ * @returns {Array<string>}
+ */
+const getRequiredDocuments = (settings, residentType) => {
+  const types = settings?.joinRequests?.requiredDocuments?.[residentType];
+  return Array.isArray(types) ? [...new Set(types)] : [];
+};
+
+/**
+ * The latest upload of each document type. Uploads from before documents
+ * were reviewed individually have no status and count as pending.
+ * @param {Array} documents - The request's documents
+ * @returns {Array}
+ */
+const getCurrentDocuments = (documents = []) => documents
+  .filter(document => document.status !== 'replaced')
+  .map(document => ({ ...document, status: document.status || 'pending' }));
+
+/**
+ * Where each document of a request stands against what the society requires
+ * @param {Array} documents - The request's documents
+ * @param {Array<string>} requiredTypes - From getRequiredDocuments
+ * @returns {{items: Array, outstanding: Array<{type: string, status: string}>, complete: boolean}}
+ *   items are [{ type, required, status, document }] where status is 'missing'
+ *   when nothing of that type was uploaded
+ */
+const buildDocumentChecklist = (documents = [], requiredTypes = []) => {
+  const current = getCurrentDocuments(documents);
+  const items = DOCUMENT_TYPES
+    .filter(type => requiredTypes.includes(type) || current.some(document => document.type === type))
+    .map(type => {
+      // Legacy requests may hold several uploads of a type; the newest counts
+      const document = current.filter(item => item.type === type).pop() || null;
+      return {
+        type,
+        required: requiredTypes.includes(type),
+        status: document ? document.status : 'missing',
+        document
+      };
+    });
+  const outstanding = items
+    .filter(item => item.required && item.status !== 'verified')
+    .map(item => ({ type: item.type, status: item.status }));
+
+  return { items, outstanding, complete: outstanding.length === 0 };
+};
+
+/**
+ * Validate an admin's decision on a document
+ * @param {string} decision - verified, rejected or reupload_requested
+ * @param {string} reason - Required unless verifying
+ * @returns {Array<string>} Validation errors
+ */
+const validateDocumentReview = (decision, reason) => {
+  const errors = [];
+  if (!DOCUMENT_DECISIONS.includes(decision)) {
+    errors.push(`decision must be one of: ${DOCUMENT_DECISIONS.join(', ')}`);
+  } else if (decision !== 'verified' && (typeof reason !== 'string' || !reason.trim())) {
+    errors.push('reason is required');
+  }
+  return errors;
+};
+
+const submittedAt = joinRequest => joinRequest.submittedAt || joinRequest.createdAt;
+
+const latest = dates => dates
+  .filter(Boolean)
+  .map(date => new Date(date))
+  .reduce((max, date) => (!max || date > max ? date : max), null);
+
+/**
+ * Whether a pending request is waiting on the applicant: a required
+ * document is missing or was rejected, or an admin asked for a re-upload
+ * @param {object} joinRequest - Request from society.requests
+ * @param {Array<string>} requiredTypes - From getRequiredDocuments
+ * @returns {{awaiting: boolean, since: Date|null, outstanding: Array<{type: string, status: string}>}}
+ *   since is the applicant's last upload or the admin's last send-back,
+ *   whichever is later
+ */
+const getApplicantWait = (joinRequest, requiredTypes = []) => {
+  const documents = joinRequest.documents || [];
+  const checklist = buildDocumentChecklist(documents, requiredTypes);
+  const outstanding = checklist.items
+    .filter(item => (item.required && ['missing', 'rejected'].includes(item.status)) || item.status === 'reupload_requested')
+    .map(item => ({ type: item.type, status: item.status }));
+
+  if (outstanding.length === 0) {
+    return { awaiting: false, since: null, outstanding };
+  }
+
+  const sentBack = checklist.items
+    .filter(item => item.document && ['rejected', 'reupload_requested'].includes(item.status))
+    .map(item => item.document.reviewedAt);
+  const since = latest([submittedAt(joinRequest), ...documents.map(document => document.uploadedAt), ...sentBack]);
+
+  return { awaiting: true, since, outstanding };
+};
+
+/**
+ * What the SLA job should do about a request now
+ * @param {object} joinRequest - Request from society.requests
+ * @param {object} sla - From getJoinRequestSla
+ * @param {Array<string>} requiredTypes - From getRequiredDocuments
+ * @param {Date} now - Current time
+ * @returns {object|null} { action: 'expire', since, outstanding } or
+ *   { action: 'remind' | 'escalate', ageDays }, null when nothing is due
+ */
+const planSlaAction = (joinRequest, sla, requiredTypes = [], now = new Date()) => {
+  if (!sla.enabled || joinRequest.status !== 'pending') return null;
+
+  // While the applicant owes a document the admins aren't holding it up
+  const wait = getApplicantWait(joinRequest, requiredTypes);
+  if (wait.awaiting) {
+    return wait.since && now - wait.since >= sla.expireAfterDays * DAY_MS
+      ? { action: 'expire', since: wait.since, outstanding: wait.outstanding }
+      : null;
+  }
+
+  const age = now - new Date(submittedAt(joinRequest));
+  const ageDays = Math.floor(age / DAY_MS);
+  const reminders = joinRequest.slaReminders || [];
+
+  if (age >= sla.escalateAfterDays * DAY_MS && !reminders.some(reminder => reminder.stage === 'escalation')) {
+    return { action: 'escalate', ageDays };
+  }
+  if (age >= sla.reviewDays * DAY_MS) {
+    const lastReminder = latest(reminders.filter(reminder => reminder.stage === 'reminder').map(reminder => reminder.sentAt));
+    if (!lastReminder || now - lastReminder >= sla.reminderIntervalDays * DAY_MS) {
+      return { action: 'remind', ageDays };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Where a request stands against the SLA, for applicants and admins
+ * @param {object} joinRequest - Request from society.requests
+ * @param {object} sla - From getJoinRequestSla
+ * @param {Array<string>} requiredTypes - From getRequiredDocuments
+ * @param {Date} now - Current time
+ * @returns {object} { reviewDays, expectedDecisionBy, overdue, awaitingApplicant, outstanding, expiresAt }
+ */
+const describeSla = (joinRequest, sla, requiredTypes = [], now = new Date()) => {
+  const expectedDecisionBy = new Date(new Date(submittedAt(joinRequest)).getTime() + sla.reviewDays * DAY_MS);
+  const wait = joinRequest.status === 'pending'
+    ? getApplicantWait(joinRequest, requiredTypes)
+    : { awaiting: false, since: null, outstanding: [] };
+
+  return {
+    reviewDays: sla.reviewDays,
+    expectedDecisionBy,
+    overdue: sla.enabled && joinRequest.status === 'pending' && !wait.awaiting && now > expectedDecisionBy,
+    awaitingApplicant: wait.awaiting,
+    outstanding: wait.outstanding,
+    expiresAt: sla.enabled && wait.since ? new Date(wait.since.getTime() + sla.expireAfterDays * DAY_MS) : null
+  };
+};
+
+/**
+ * Average and median time from submission to an admin's decision. Requests
+ * approved through an invite are left out; nobody reviewed them.
+ * @param {Array} requests - Join requests
+ * @returns {object} { decided, averageHours, medianHours, approved: {count, averageHours}, rejected: {count, averageHours} }
+ */
+const summarizeDecisionTimes = (requests = []) => {
+  const decided = requests
+    .filter(request => ['approved', 'rejected'].includes(request.status) && !request.invite && request.submittedAt && request.reviewedAt)
+    .map(request => ({ status: request.status, hours: (new Date(request.reviewedAt) - new Date(request.submittedAt)) / HOUR_MS }))
+    .filter(item => item.hours >= 0);
+
+  const round = hours => Math.round(hours * 10) / 10;
+  const average = items => (items.length > 0 ? round(items.reduce((sum, item) => sum + item.hours, 0) / items.length) : null);
+  const sorted = decided.map(item => item.hours).sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length === 0
+    ? null
+    : round(sorted.length % 2 === 1 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2);
+  const byStatus = status => {
+    const items = decided.filter(item => item.status === status);
+    return { count: items.length, averageHours: average(items) };
+  };
+
+  return {
+    decided: decided.length,
+    averageHours: average(decided),
+    medianHours: median,
+    approved: byStatus('approved'),
+    rejected: byStatus('rejected')
+  };
+};
+
+module.exports = {
+  DOCUMENT_TYPES,
+  DOCUMENT_STATUSES,
+  DOCUMENT_DECISIONS,
+  validateRequestedFlat,
+  detectFlatConflicts,
+  DEFAULT_JOIN_REQUEST_SLA,
+  validateJoinRequestSettings,
+  getJoinRequestSla,
+  getRequiredDocuments,
+  getCurrentDocuments,
+  buildDocumentChecklist,
+  validateDocumentReview,
+  getApplicantWait,
+  planSlaAction,
+  describeSla,
+  summarizeDecisionTimes,
+};
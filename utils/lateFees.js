@@ -0,0 +1,157 @@
+/**
+ * Late fee helpers
+ * Pure functions that decide when a maintenance record becomes overdue
+ * and which late-fee line items it should carry
+ */
+
+const { UNPAID_STATUSES } = require('./maintenanceStatus');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const LATE_FEE_TYPES = ['flat', 'percentage'];
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Read the late fee policy from society settings
+ * @param {object} settings - society.settings
+ * @returns {{lateFee: number, lateFeeType: string, gracePeriod: number, compounding: boolean}}
+ */
+const getLateFeePolicy = (settings = {}) => {
+  const maintenance = settings.maintenance || {};
+  const lateFeeType = LATE_FEE_TYPES.includes(maintenance.lateFeeType) ? maintenance.lateFeeType : 'flat';
+
+  return {
+    lateFee: Math.max(Number(maintenance.lateFee) || 0, 0),
+    lateFeeType,
+    gracePeriod: Math.max(parseInt(maintenance.gracePeriod, 10) || 0, 0),
+    compounding: maintenance.lateFeeCompounding === true
+  };
+};
+
+/**
+ * Validate the late fee fields of `settings.maintenance`. Fields left out
+ * keep their current value, so only the ones given are checked.
+ * @param {object} maintenance - settings.maintenance
+ * @returns {Array<string>} Validation errors
+ */
+const validateLateFeeSettings = (maintenance = {}) => {
+  const path = 'settings.maintenance';
+  const errors = [];
+
+  if (maintenance.lateFee !== undefined && (typeof maintenance.lateFee !== 'number' || maintenance.lateFee < 0)) {
+    errors.push(`${path}.lateFee must be a non-negative number`);
+  }
+  if (maintenance.gracePeriod !== undefined && (!Number.isInteger(maintenance.gracePeriod) || maintenance.gracePeriod < 0)) {
+    errors.push(`${path}.gracePeriod must be a non-negative whole number of days`);
+  }
+  if (maintenance.lateFeeType !== undefined && !LATE_FEE_TYPES.includes(maintenance.lateFeeType)) {
+    errors.push(`${path}.lateFeeType must be one of: ${LATE_FEE_TYPES.join(', ')}`);
+  }
+  if (maintenance.lateFeeCompounding !== undefined && typeof maintenance.lateFeeCompounding !== 'boolean') {
+    errors.push(`${path}.lateFeeCompounding must be a boolean`);
+  }
+
+  return errors;
+};
+
+/**
+ * Date after which an unpaid record is overdue
+ * @param {Date} dueDate - Record due date
+ * @param {number} gracePeriod - Grace period in days
+ * @returns {Date}
+ */
+const getGraceEndDate = (dueDate, gracePeriod = 0) => {
+  return new Date(new Date(dueDate).getTime() + gracePeriod * DAY_MS);
+};
+
+/**
+ * Add whole calendar months to a date
+ */
+const addMonths = (date, months) => {
+  const result = new Date(date.getTime());
+  const day = result.getUTCDate();
+  result.setUTCDate(1);
+  result.setUTCMonth(result.getUTCMonth() + months);
+  const daysInMonth = new Date(Date.UTC(result.getUTCFullYear(), result.getUTCMonth() + 1, 0)).getUTCDate();
+  result.setUTCDate(Math.min(day, daysInMonth));
+  return result;
+};
+
+/**
+ * Sum of late fees that have not been waived
+ * @param {Array} lateFees - record.lateFees
+ * @returns {number}
+ */
+const getActiveLateFeeTotal = (lateFees = []) => {
+  return roundAmount(
+    lateFees.filter(fee => !fee.waived).reduce((sum, fee) => sum + (Number(fee.amount) || 0), 0)
+  );
+};
+
+/**
+ * Work out the late-fee line items a record is missing as of `now`.
+ * The first fee is assessed when the grace period ends; with compounding
+ * enabled another fee is assessed every month after that, and percentage
+ * fees are charged on the principal plus earlier unwaived fees.
+ * @param {object} record - Maintenance record
+ * @param {object} policy - Result of getLateFeePolicy
+ * @param {Date} now - Evaluation time
+ * @returns {{isOverdue: boolean, newFees: Array}}
+ */
+const computeLateFees = (record, policy, now = new Date()) => {
+  if (!record?.dueDate || !UNPAID_STATUSES.includes(record.status || 'pending')) {
+    return { isOverdue: false, newFees: [] };
+  }
+
+  const graceEnd = getGraceEndDate(record.dueDate, policy.gracePeriod);
+  if (now <= graceEnd) {
+    return { isOverdue: false, newFees: [] };
+  }
+
+  if (policy.lateFee <= 0) {
+    return { isOverdue: true, newFees: [] };
+  }
+
+  const existingFees = Array.isArray(record.lateFees) ? record.lateFees : [];
+  const principal = Number(record.amount) || 0;
+  let runningFees = getActiveLateFeeTotal(existingFees);
+  const newFees = [];
+
+  for (let installment = existingFees.length; ; installment++) {
+    if (installment > 0 && !policy.compounding) break;
+
+    const assessedFor = addMonths(graceEnd, installment);
+    if (assessedFor > now) break;
+
+    const basis = policy.lateFeeType === 'percentage'
+      ? roundAmount(policy.compounding ? principal + runningFees : principal)
+      : null;
+    const amount = policy.lateFeeType === 'percentage'
+      ? roundAmount((basis * policy.lateFee) / 100)
+      : roundAmount(policy.lateFee);
+
+    newFees.push({
+      installment: installment + 1,
+      type: policy.lateFeeType,
+      rate: policy.lateFee,
+      basis,
+      amount,
+      assessedFor,
+      waived: false
+    });
+    runningFees = roundAmount(runningFees + amount);
+  }
+
+  return { isOverdue: true, newFees };
+};
+
+module.exports = {
+  LATE_FEE_TYPES,
+  UNPAID_STATUSES,
+  getLateFeePolicy,
+  validateLateFeeSettings,
+  getGraceEndDate,
+  getActiveLateFeeTotal,
+  computeLateFees,
+};
@@ -0,0 +1,111 @@
+/**
+ * Flat ledger helpers
+ * Pure functions for running balances and allocation of payments to dues
+ */
+
+const ENTRY_TYPES = ['charge', 'payment', 'adjustment', 'credit'];
+const DIRECTIONS = ['debit', 'credit'];
+
+// Direction implied by each entry type; adjustments must state their own
+const DEFAULT_DIRECTIONS = {
+  charge: 'debit',
+  payment: 'credit',
+  credit: 'credit'
+};
+
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+
+/**
+ * Signed amount of an entry: debits increase what the flat owes, credits reduce it
+ */
+const signedAmount = (entry) => {
+  const amount = roundAmount(entry.amount);
+  return entry.direction === 'credit' ? -amount : amount;
+};
+
+const byPostingOrder = (a, b) => {
+  const postedDiff = new Date(a.postedAt) - new Date(b.postedAt);
+  if (postedDiff !== 0) return postedDiff;
+  return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+};
+
+/**
+ * Attach a running balance to each entry in posting order
+ * @param {Array} entries - Ledger entries for one flat
+ * @returns {{entries: Array, balance: number, totalDebits: number, totalCredits: number}}
+ */
+const computeRunningBalance = (entries = []) => {
+  let balance = 0;
+  let totalDebits = 0;
+  let totalCredits = 0;
+
+  const ordered = [...entries].sort(byPostingOrder).map((entry) => {
+    const signed = signedAmount(entry);
+    balance = roundAmount(balance + signed);
+    if (signed >= 0) totalDebits = roundAmount(totalDebits + signed);
+    else totalCredits = roundAmount(totalCredits - signed);
+    return { ...entry, runningBalance: balance };
+  });
+
+  return { entries: ordered, balance, totalDebits, totalCredits };
+};
+
+/**
+ * Whether an entry takes back an earlier payment (a reversal or refund):
+ * a payment posted as a debit
+ */
+const isPaymentReversal = (entry) => entry.entryType === 'payment' && entry.direction === 'debit';
+
+/**
+ * Allocate every credit on the ledger to debits, oldest billing period first.
+ * Partial payments leave the remainder outstanding on the oldest due, and
+ * excess payments sit as unallocated credit until later dues absorb them.
+ * Payment reversals and refunds shrink the credit instead of adding a due.
+ * @param {Array} entries - Ledger entries for one flat
+ * @returns {{byRecord: Object, unallocatedCredit: number}}
+ */
+const allocateCredits = (entries = []) => {
+  const sumOf = predicate => entries.filter(predicate).reduce((sum, entry) => sum + roundAmount(entry.amount), 0);
+  let pool = Math.max(roundAmount(sumOf(entry => entry.direction === 'credit') - sumOf(isPaymentReversal)), 0);
+
+  const debits = entries
+    .filter(entry => entry.direction !== 'credit' && !isPaymentReversal(entry))
+    .sort((a, b) => {
+      const periodDiff = String(a.period || '').localeCompare(String(b.period || ''));
+      return periodDiff !== 0 ? periodDiff : byPostingOrder(a, b);
+    });
+
+  const byRecord = {};
+  debits.forEach((entry) => {
+    const key = entry.maintenanceId ? entry.maintenanceId.toString() : 'unassigned';
+    const amount = roundAmount(entry.amount);
+    const applied = Math.min(pool, amount);
+    pool = roundAmount(pool - applied);
+
+    if (!byRecord[key]) {
+      byRecord[key] = { charged: 0, paid: 0, outstanding: 0, period: entry.period || null };
+    }
+    byRecord[key].charged = roundAmount(byRecord[key].charged + amount);
+    byRecord[key].paid = roundAmount(byRecord[key].paid + applied);
+    byRecord[key].outstanding = roundAmount(byRecord[key].charged - byRecord[key].paid);
+  });
+
+  Object.values(byRecord).forEach((allocation) => {
+    allocation.state = allocation.outstanding <= 0
+      ? 'settled'
+      : allocation.paid > 0 ? 'partially_paid' : 'unpaid';
+  });
+
+  return { byRecord, unallocatedCredit: pool };
+};
+
+module.exports = {
+  ENTRY_TYPES,
+  DIRECTIONS,
+  DEFAULT_DIRECTIONS,
+  roundAmount,
+  signedAmount,
+  isPaymentReversal,
+  computeRunningBalance,
+  allocateCredits,
+};
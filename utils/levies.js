@@ -0,0 +1,195 @@
+/**
+ * Special assessment (levy) helpers
+ * Pure functions that validate a levy, share it between flats and split each
+ * flat's share into installments. Amounts are worked out in paise so the
+ * shares always add up to the levy total.
+ */
+
+const AMOUNT_TYPES = ['total', 'per_flat'];
+const ALLOCATION_RULES = ['equal', 'flat_type', 'area'];
+const MAX_INSTALLMENTS = 24;
+
+const toPaise = (value) => Math.round((Number(value) || 0) * 100);
+const fromPaise = (paise) => paise / 100;
+
+const isValidDate = (value) => value !== undefined && value !== null && value !== '' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Validate a levy definition
+ * @param {object} levy - { title, amountType, amount, allocation, flatTypeRates, installments }
+ * @returns {Array<string>} Validation errors
+ */
+const validateLevy = (levy = {}) => {
+  const errors = [];
+
+  if (typeof levy.title !== 'string' || !levy.title.trim()) {
+    errors.push('title is required');
+  }
+  if (!AMOUNT_TYPES.includes(levy.amountType)) {
+    errors.push(`amountType must be one of: ${AMOUNT_TYPES.join(', ')}`);
+  }
+  if (!ALLOCATION_RULES.includes(levy.allocation)) {
+    errors.push(`allocation must be one of: ${ALLOCATION_RULES.join(', ')}`);
+  }
+
+  // Per-flat levies by flat type take their amounts from flatTypeRates
+  const amountFromRates = levy.amountType === 'per_flat' && levy.allocation === 'flat_type';
+  if (!amountFromRates && (typeof levy.amount !== 'number' || !(levy.amount > 0))) {
+    errors.push('amount must be a positive number');
+  }
+
+  if (levy.allocation === 'flat_type') {
+    const rates = levy.flatTypeRates;
+    if (!rates || typeof rates !== 'object' || Array.isArray(rates) || Object.keys(rates).length === 0) {
+      errors.push('flatTypeRates is required for flat_type allocation, e.g. { "2BHK": 1.5 }');
+    } else {
+      Object.entries(rates).forEach(([flatType, rate]) => {
+        if (typeof rate !== 'number' || rate < 0) {
+          errors.push(`flatTypeRates.${flatType} must be a non-negative number`);
+        }
+      });
+    }
+  }
+
+  if (!Array.isArray(levy.installments) || levy.installments.length === 0) {
+    errors.push('installments must list at least one { dueDate }');
+  } else if (levy.installments.length > MAX_INSTALLMENTS) {
+    errors.push(`installments can have at most ${MAX_INSTALLMENTS} entries`);
+  } else {
+    let previousDue = null;
+    levy.installments.forEach((installment, index) => {
+      if (!isValidDate(installment?.dueDate)) {
+        errors.push(`installments[${index}].dueDate must be a valid date`);
+        return;
+      }
+      const dueDate = new Date(installment.dueDate);
+      if (previousDue && dueDate <= previousDue) {
+        errors.push(`installments[${index}].dueDate must be after the previous installment`);
+      }
+      previousDue = dueDate;
+    });
+
+    const percentages = levy.installments.map(installment => installment?.percentage);
+    const given = percentages.filter(value => value !== undefined && value !== null);
+    if (given.length > 0) {
+      if (given.length !== percentages.length || given.some(value => typeof value !== 'number' || !(value > 0))) {
+        errors.push('installments[].percentage must be a positive number on every installment, or left out to split equally');
+      } else if (Math.abs(given.reduce((sum, value) => sum + value, 0) - 100) > 0.01) {
+        errors.push('installments[].percentage must add up to 100');
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Split an amount in paise by weights; leftover paise go to the largest
+ * remainders so the parts add up exactly
+ * @param {number} totalPaise - Amount to split
+ * @param {Array<number>} weights - Non-negative weights
+ * @returns {Array<number>} Paise per weight
+ */
+const splitByWeights = (totalPaise, weights) => {
+  const weightTotal = weights.reduce((sum, weight) => sum + weight, 0);
+  if (weightTotal <= 0) {
+    return weights.map(() => 0);
+  }
+
+  const exact = weights.map(weight => (totalPaise * weight) / weightTotal);
+  const parts = exact.map(Math.floor);
+  let leftover = totalPaise - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, remainder: value - parts[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index)
+    .forEach(({ index }) => {
+      if (leftover > 0) {
+        parts[index] += 1;
+        leftover -= 1;
+      }
+    });
+
+  return parts;
+};
+
+/**
+ * Share a levy between flats
+ * @param {Array<{wing: string, flatNumber: string, flatType: string|null, area: number|null}>} flats
+ * @param {object} levy - Validated levy definition
+ * @returns {{allocations: Array, missing: Array<{wing: string, flatNumber: string, reason: string}>}}
+ *   Flats without the flat type or area the rule needs are returned in `missing`
+ */
+const allocateLevy = (flats, levy) => {
+  const missing = [];
+  const weighted = [];
+
+  flats.forEach((flat) => {
+    let weight = 1;
+    if (levy.allocation === 'flat_type') {
+      const rate = flat.flatType ? levy.flatTypeRates[flat.flatType] : undefined;
+      if (rate === undefined) {
+        missing.push({
+          wing: flat.wing,
+          flatNumber: flat.flatNumber,
+          reason: flat.flatType ? `no rate for flat type ${flat.flatType}` : 'flat type not configured'
+        });
+        return;
+      }
+      weight = rate;
+    } else if (levy.allocation === 'area') {
+      if (!(flat.area > 0)) {
+        missing.push({ wing: flat.wing, flatNumber: flat.flatNumber, reason: 'area not configured' });
+        return;
+      }
+      weight = flat.area;
+    }
+    weighted.push({ flat, weight });
+  });
+
+  let shares;
+  if (levy.amountType === 'total') {
+    shares = splitByWeights(toPaise(levy.amount), weighted.map(item => item.weight));
+  } else if (levy.allocation === 'flat_type') {
+    shares = weighted.map(item => toPaise(item.weight));
+  } else {
+    // equal: the amount itself; area: the amount is a rate per sq ft
+    shares = weighted.map(item => Math.round(toPaise(levy.amount) * item.weight));
+  }
+
+  const allocations = weighted.map((item, index) => ({
+    wing: item.flat.wing,
+    flatNumber: item.flat.flatNumber,
+    flatType: item.flat.flatType || null,
+    area: item.flat.area || null,
+    amount: fromPaise(shares[index])
+  }));
+
+  return { allocations, missing };
+};
+
+/**
+ * Split one flat's share into installment amounts
+ * @param {number} amount - Flat's share of the levy
+ * @param {Array<{dueDate: string|Date, percentage?: number}>} installments
+ * @returns {Array<{number: number, dueDate: Date, amount: number}>}
+ */
+const splitInstallments = (amount, installments) => {
+  const weights = installments.map(installment => (installment.percentage > 0 ? installment.percentage : 1));
+  const parts = splitByWeights(toPaise(amount), weights);
+
+  return installments.map((installment, index) => ({
+    number: index + 1,
+    dueDate: new Date(installment.dueDate),
+    amount: fromPaise(parts[index])
+  }));
+};
+
+module.exports = {
+  AMOUNT_TYPES,
+  ALLOCATION_RULES,
+  validateLevy,
+  splitByWeights,
+  allocateLevy,
+  splitInstallments,
+};
@@ -0,0 +1,209 @@
+/**
+ * Maintenance status lifecycle
+ * The one definition of the statuses a maintenance record can be in, the
+ * events that move it between them, the conditions each move needs and the
+ * side effects (hooks) it triggers. MaintenanceStatusService applies it.
+ */
+
+const MAINTENANCE_STATUSES = ['pending', 'overdue', 'request_sent', 'approved', 'paid', 'rejected'];
+
+// Statuses that still owe money and have not been submitted for approval
+const UNPAID_STATUSES = ['pending', 'rejected', 'overdue'];
+
+// Statuses whose payment has been accepted
+const SETTLED_STATUSES = ['approved', 'paid'];
+
+// Hooks a transition can run once it is stored
+const TRANSITION_HOOKS = ['emit', 'audit', 'notify'];
+
+const formatPeriod = record => [record.month, record.year].filter(Boolean).join(' ');
+
+// `from: null` is a record that does not exist yet. Guards return the reason
+// a transition is refused, or null. Notices are sent to the resident by the
+// 'notify' hook.
+const MAINTENANCE_TRANSITIONS = {
+  bill: {
+    action: 'bill',
+    from: [null],
+    to: 'pending',
+    hooks: []
+  },
+  submit_proof: {
+    action: 'submit a payment proof for',
+    from: [null, 'pending', 'overdue', 'rejected', 'request_sent'],
+    to: 'request_sent',
+    hooks: [],
+    guard: (record, context) => (context.screenshot ? null : 'A payment screenshot is required')
+  },
+  approve: {
+    action: 'approve',
+    from: ['pending', 'overdue', 'rejected', 'request_sent'],
+    to: 'approved',
+    hooks: ['emit', 'audit', 'notify'],
+    notice: record => ({
+      title: 'Payment approved',
+      message: `Your maintenance payment for ${formatPeriod(record)} has been approved`
+    })
+  },
+  reject: {
+    action: 'reject',
+    from: ['request_sent'],
+    to: 'rejected',
+    hooks: ['emit', 'audit', 'notify'],
+    guard: (record, context) => (context.reason ? null : 'A reason is required to reject a payment'),
+    notice: (record, context) => ({
+      title: 'Payment proof rejected',
+      message: `Your payment proof for ${formatPeriod(record)} was rejected: ${context.reason}`,
+      priority: 'high'
+    })
+  },
+  pay_online: {
+    action: 'record an online payment on',
+    from: ['pending', 'overdue', 'rejected', 'request_sent'],
+    to: 'paid',
+    hooks: ['emit', 'notify'],
+    notice: record => ({
+      title: 'Payment received',
+      message: `Your online maintenance payment for ${formatPeriod(record)} has been received`
+    })
+  },
+  mark_overdue: {
+    action: 'mark overdue',
+    from: UNPAID_STATUSES,
+    to: 'overdue',
+    // Residents hear about overdue dues from the reminder schedule
+    hooks: ['emit']
+  },
+  reopen: {
+    action: 'reopen',
+    from: SETTLED_STATUSES,
+    to: 'pending',
+    hooks: ['audit', 'notify'],
+    guard: (record, context) => (context.reason ? null : 'A reason is required to reopen a paid record'),
+    notice: (record, context) => ({
+      title: 'Payment taken back',
+      message: `Your maintenance for ${formatPeriod(record)} is due again: ${context.reason}`,
+      priority: 'high'
+    })
+  },
+  cover_advance: {
+    action: 'cover with an advance payment',
+    from: [null, 'pending', 'overdue', 'rejected', 'request_sent', 'approved'],
+    to: 'approved',
+    hooks: ['audit'],
+    // A month paid on its own keeps its own payment
+    guard: record => (record?.status === 'approved' && !record.coveredBy ? 'This month is already paid on its own' : null)
+  }
+};
+
+/**
+ * Status a record is in; null for a record that does not exist yet
+ * @param {object|null} record - Maintenance record
+ * @returns {string|null}
+ */
+const currentStatus = record => (record ? record.status || null : null);
+
+/**
+ * Check a lifecycle event against a record and return the move it makes
+ * @param {object|null} record - Maintenance record (null when creating one)
+ * @param {string} event - Key of MAINTENANCE_TRANSITIONS
+ * @param {object} context - { reason, screenshot } read by guards
+ * @returns {{event: string, from: string|null, to: string, definition: object}}
+ * @throws {Error} When the event is unknown, not allowed from the record's status or refused by its guard
+ */
+const planTransition = (record, event, context = {}) => {
+  const definition = MAINTENANCE_TRANSITIONS[event];
+  if (!definition) {
+    throw new Error(`Unknown maintenance status event: ${event}`);
+  }
+
+  const from = currentStatus(record);
+  if (!definition.from.includes(from)) {
+    throw new Error(from
+      ? `Cannot ${definition.action} a maintenance record that is ${from}`
+      : `Cannot ${definition.action} a maintenance record that does not exist`);
+  }
+
+  const refusal = definition.guard ? definition.guard(record, context) : null;
+  if (refusal) {
+    throw new Error(refusal);
+  }
+
+  return { event, from, to: definition.to, definition };
+};
+
+/**
+ * Whether a lifecycle event is allowed on a record
+ * @param {object|null} record - Maintenance record
+ * @param {string} event - Key of MAINTENANCE_TRANSITIONS
+ * @param {object} context - { reason, screenshot }
+ * @returns {boolean}
+ */
+const canTransition = (record, event, context = {}) => {
+  try {
+    planTransition(record, event, context);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Whether an error came from a refused lifecycle move rather than a failure
+ * @param {string} message - Error message
+ * @returns {boolean}
+ */
+const isTransitionError = message => /^Cannot .+ a maintenance record that /.test(message || '');
+
+// Spellings found in older records, mapped onto the lifecycle
+const LEGACY_STATUS_ALIASES = {
+  unpaid: 'pending',
+  due: 'pending',
+  late: 'overdue',
+  submitted: 'request_sent',
+  requested: 'request_sent',
+  request_send: 'request_sent',
+  under_review: 'request_sent',
+  complete: 'paid',
+  completed: 'paid',
+  success: 'paid',
+  declined: 'rejected'
+};
+
+/**
+ * Map a stored record onto the lifecycle. Known spellings are normalised;
+ * a missing or unknown status is worked out from the payment proof. A
+ * record marked as submitted without a screenshot goes back to pending.
+ * @param {object} record - Maintenance record
+ * @returns {string} Lifecycle status
+ */
+const normalizeLegacyStatus = (record) => {
+  const raw = typeof record.status === 'string'
+    ? record.status.trim().toLowerCase().replace(/[\s-]+/g, '_')
+    : '';
+  const proof = record.paymentProof || {};
+  let status = MAINTENANCE_STATUSES.includes(raw) ? raw : LEGACY_STATUS_ALIASES[raw] || null;
+
+  if (!status) {
+    if (proof.approvalStatus === 'approved') status = 'approved';
+    else if (proof.approvalStatus === 'rejected') status = 'rejected';
+    else if (record.paidDate) status = 'paid';
+    else if (proof.screenshot) status = 'request_sent';
+    else status = 'pending';
+  }
+
+  if (status === 'request_sent' && !proof.screenshot) return 'pending';
+  return status;
+};
+
+module.exports = {
+  MAINTENANCE_STATUSES,
+  UNPAID_STATUSES,
+  SETTLED_STATUSES,
+  TRANSITION_HOOKS,
+  MAINTENANCE_TRANSITIONS,
+  planTransition,
+  canTransition,
+  isTransitionError,
+  normalizeLegacyStatus,
+};
@@ -0,0 +1,394 @@
+/**
+ * Utility meter helpers
+ * Pure functions that validate a society's utility tariffs, parse bulk
+ * reading uploads, check sub-meter readings for anomalies and turn
+ * consumption into slab-based charges
+ */
+
+const { parseCsvRows, parseStatementDate } = require('./bankStatement');
+const { parseBillingPeriod } = require('./billing');
+
+// Metered utilities, their display name and the unit readings are taken in
+const UTILITY_TYPES = {
+  water: { label: 'Water', unit: 'kL' },
+  electricity: { label: 'Electricity', unit: 'kWh' }
+};
+
+const METER_STATUSES = ['active', 'inactive'];
+
+// recorded - passed the anomaly checks and will be billed
+// flagged  - held back from billing until an admin accepts it or enters a corrected reading
+// accepted - flagged, then confirmed by an admin
+const READING_STATUSES = ['recorded', 'flagged', 'accepted'];
+const BILLABLE_READING_STATUSES = ['recorded', 'accepted'];
+
+const DEFAULT_ANOMALY_POLICY = {
+  // Consumption above this multiple of the recent average is flagged
+  spikeFactor: 3,
+  // Readings the recent average is taken over; fewer than 3 means no spike check
+  historyPeriods: 6,
+  // Hard ceiling per billing period for each utility; null for none
+  maxConsumption: { water: null, electricity: null }
+};
+
+const toPaise = (value) => Math.round((Number(value) || 0) * 100);
+const roundAmount = (value) => Math.round((Number(value) || 0) * 100) / 100;
+const roundUnits = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+const isNonNegative = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+/**
+ * Validate one utility tariff
+ * @param {object} tariff - { slabs: [{ upTo, rate }], fixedCharge, minimumCharge }
+ * @param {string} path - Field path used in messages
+ * @returns {Array<string>} Validation errors
+ */
+const validateTariff = (tariff, path) => {
+  if (!tariff || typeof tariff !== 'object' || Array.isArray(tariff)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  if (!Array.isArray(tariff.slabs) || tariff.slabs.length === 0) {
+    errors.push(`${path}.slabs must be a non-empty array`);
+  } else {
+    let previousUpTo = 0;
+    tariff.slabs.forEach((slab, index) => {
+      const slabPath = `${path}.slabs[${index}]`;
+      const isLast = index === tariff.slabs.length - 1;
+      if (!isNonNegative(slab?.rate)) {
+        errors.push(`${slabPath}.rate must be a non-negative number`);
+      }
+      if (isLast) {
+        if (slab?.upTo !== null && slab?.upTo !== undefined) {
+          errors.push(`${slabPath}.upTo must be null so the last slab covers all remaining consumption`);
+        }
+      } else if (!(typeof slab?.upTo === 'number' && slab.upTo > previousUpTo)) {
+        errors.push(`${slabPath}.upTo must be a number greater than the previous slab's upTo`);
+      } else {
+        previousUpTo = slab.upTo;
+      }
+    });
+  }
+
+  ['fixedCharge', 'minimumCharge'].forEach((field) => {
+    if (tariff[field] !== undefined && tariff[field] !== null && !isNonNegative(tariff[field])) {
+      errors.push(`${path}.${field} must be a non-negative number`);
+    }
+  });
+
+  return errors;
+};
+
+/**
+ * Validate `settings.utilities`
+ * @param {object} utilities - { tariffs: { water, electricity }, anomalies: { spikeFactor, historyPeriods, maxConsumption } }
+ * @returns {Array<string>} Validation errors
+ */
+const validateUtilitySettings = (utilities) => {
+  const path = 'settings.utilities';
+  if (!utilities || typeof utilities !== 'object' || Array.isArray(utilities)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  if (utilities.tariffs !== undefined) {
+    if (!utilities.tariffs || typeof utilities.tariffs !== 'object' || Array.isArray(utilities.tariffs)) {
+      errors.push(`${path}.tariffs must be an object`);
+    } else {
+      Object.entries(utilities.tariffs).forEach(([utilityType, tariff]) => {
+        if (!UTILITY_TYPES[utilityType]) {
+          errors.push(`${path}.tariffs may only contain: ${Object.keys(UTILITY_TYPES).join(', ')}`);
+        } else if (tariff !== null) {
+          errors.push(...validateTariff(tariff, `${path}.tariffs.${utilityType}`));
+        }
+      });
+    }
+  }
+
+  const anomalies = utilities.anomalies;
+  if (anomalies !== undefined) {
+    if (!anomalies || typeof anomalies !== 'object' || Array.isArray(anomalies)) {
+      errors.push(`${path}.anomalies must be an object`);
+    } else {
+      if (anomalies.spikeFactor !== undefined && !(typeof anomalies.spikeFactor === 'number' && anomalies.spikeFactor > 1)) {
+        errors.push(`${path}.anomalies.spikeFactor must be a number greater than 1`);
+      }
+      if (anomalies.historyPeriods !== undefined && !(Number.isInteger(anomalies.historyPeriods) && anomalies.historyPeriods > 0)) {
+        errors.push(`${path}.anomalies.historyPeriods must be a positive whole number`);
+      }
+      if (anomalies.maxConsumption !== undefined) {
+        const maxConsumption = anomalies.maxConsumption;
+        if (!maxConsumption || typeof maxConsumption !== 'object' || Array.isArray(maxConsumption)) {
+          errors.push(`${path}.anomalies.maxConsumption must be an object`);
+        } else {
+          Object.entries(maxConsumption).forEach(([utilityType, max]) => {
+            if (!UTILITY_TYPES[utilityType]) {
+              errors.push(`${path}.anomalies.maxConsumption may only contain: ${Object.keys(UTILITY_TYPES).join(', ')}`);
+            } else if (max !== null && !(typeof max === 'number' && max > 0)) {
+              errors.push(`${path}.anomalies.maxConsumption.${utilityType} must be a positive number or null`);
+            }
+          });
+        }
+      }
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Read utility tariffs and anomaly thresholds from society settings,
+ * filling in defaults
+ * @param {object} settings - society.settings
+ * @returns {{tariffs: object, anomalies: object}}
+ */
+const getUtilitySettings = (settings = {}) => {
+  const configured = settings?.utilities || {};
+  const anomalies = configured.anomalies || {};
+  return {
+    tariffs: configured.tariffs || {},
+    anomalies: {
+      ...DEFAULT_ANOMALY_POLICY,
+      ...anomalies,
+      maxConsumption: { ...DEFAULT_ANOMALY_POLICY.maxConsumption, ...(anomalies.maxConsumption || {}) }
+    }
+  };
+};
+
+/**
+ * Price consumption against a telescopic slab tariff: each slab's rate
+ * applies only to the units that fall inside it
+ * @param {number} consumption - Units consumed in the period
+ * @param {object} tariff - { slabs: [{ upTo, rate }], fixedCharge, minimumCharge }
+ * @returns {{consumption: number, usageCharge: number, fixedCharge: number, amount: number, slabs: Array}}
+ */
+const computeSlabCharge = (consumption, tariff) => {
+  const units = Math.max(roundUnits(consumption), 0);
+  const slabs = [];
+  let from = 0;
+  let usagePaise = 0;
+
+  for (const slab of tariff.slabs) {
+    if (from >= units) break;
+    const upTo = slab.upTo === null || slab.upTo === undefined ? units : Math.min(slab.upTo, units);
+    const slabUnits = roundUnits(upTo - from);
+    const paise = Math.round(slabUnits * toPaise(slab.rate));
+    slabs.push({ from, upTo: slab.upTo ?? null, units: slabUnits, rate: slab.rate, amount: paise / 100 });
+    usagePaise += paise;
+    from = upTo;
+  }
+
+  const fixedPaise = toPaise(tariff.fixedCharge);
+  const totalPaise = Math.max(usagePaise + fixedPaise, toPaise(tariff.minimumCharge));
+
+  return {
+    consumption: units,
+    usageCharge: usagePaise / 100,
+    fixedCharge: fixedPaise / 100,
+    amount: totalPaise / 100,
+    slabs
+  };
+};
+
+/**
+ * Validate a meter
+ * @param {object} meter - { wing, flatNumber, utilityType, serialNumber, initialReading, installedAt, status }
+ * @param {object} options - { partial: true } when updating; only given fields are checked
+ * @returns {Array<string>} Validation errors
+ */
+const validateMeter = (meter = {}, options = {}) => {
+  const errors = [];
+  const has = field => !options.partial || meter[field] !== undefined;
+  const isBlank = value => typeof value !== 'string' || value.trim() === '';
+
+  if (!options.partial) {
+    if (isBlank(meter.wing)) errors.push('wing is required');
+    if (isBlank(meter.flatNumber)) errors.push('flatNumber is required');
+    if (!UTILITY_TYPES[meter.utilityType]) {
+      errors.push(`utilityType must be one of: ${Object.keys(UTILITY_TYPES).join(', ')}`);
+    }
+  }
+  if (has('serialNumber') && isBlank(meter.serialNumber)) {
+    errors.push('serialNumber is required');
+  }
+  if (meter.initialReading !== undefined && !isNonNegative(meter.initialReading)) {
+    errors.push('initialReading must be a non-negative number');
+  }
+  if (meter.installedAt !== undefined && meter.installedAt !== null && Number.isNaN(new Date(meter.installedAt).getTime())) {
+    errors.push('installedAt must be a valid date');
+  }
+  if (meter.status !== undefined && !METER_STATUSES.includes(meter.status)) {
+    errors.push(`status must be one of: ${METER_STATUSES.join(', ')}`);
+  }
+  return errors;
+};
+
+/**
+ * Validate a reading before it is stored
+ * @param {object} reading - { value, period, readAt }
+ * @returns {Array<string>} Validation errors
+ */
+const validateReading = (reading = {}) => {
+  const errors = [];
+  if (!isNonNegative(reading.value)) {
+    errors.push('value must be a non-negative number');
+  }
+  try {
+    parseBillingPeriod(reading.period);
+  } catch (error) {
+    errors.push('period must be in YYYY-MM format');
+  }
+  if (reading.readAt !== undefined && reading.readAt !== null && Number.isNaN(new Date(reading.readAt).getTime())) {
+    errors.push('readAt must be a valid date');
+  }
+  return errors;
+};
+
+/**
+ * Check a new reading against the meter's previous reading and recent
+ * consumption. Blocking anomalies hold the reading back from billing.
+ * @param {object} reading - { value, readAt }
+ * @param {object|null} previous - { value, readAt } of the previous reading (or the meter's initial reading)
+ * @param {Array<number>} history - Recent consumption of the meter, newest first
+ * @param {object} policy - Anomaly policy (see getUtilitySettings)
+ * @param {string} utilityType - Key of UTILITY_TYPES
+ * @returns {{consumption: number|null, anomalies: Array<{code: string, message: string, blocking: boolean}>}}
+ */
+const checkReading = (reading, previous, history = [], policy = DEFAULT_ANOMALY_POLICY, utilityType) => {
+  const anomalies = [];
+  const unit = UTILITY_TYPES[utilityType]?.unit || 'units';
+  if (!previous) {
+    return { consumption: null, anomalies };
+  }
+
+  const consumption = roundUnits(reading.value - previous.value);
+
+  if (previous.readAt && reading.readAt && new Date(reading.readAt) <= new Date(previous.readAt)) {
+    anomalies.push({
+      code: 'out_of_order',
+      message: 'The reading is dated on or before the previous reading',
+      blocking: true
+    });
+  }
+
+  if (consumption < 0) {
+    anomalies.push({
+      code: 'negative_consumption',
+      message: `The reading is ${Math.abs(consumption)} ${unit} below the previous reading of ${previous.value}`,
+      blocking: true
+    });
+  } else {
+    const max = policy.maxConsumption?.[utilityType];
+    if (typeof max === 'number' && consumption > max) {
+      anomalies.push({
+        code: 'above_maximum',
+        message: `Consumption of ${consumption} ${unit} is above the limit of ${max} ${unit}`,
+        blocking: true
+      });
+    }
+
+    const recent = history.slice(0, policy.historyPeriods).filter(isNonNegative);
+    const average = recent.length > 0 ? recent.reduce((sum, value) => sum + value, 0) / recent.length : 0;
+    if (recent.length >= 3 && average > 0 && consumption > policy.spikeFactor * average) {
+      anomalies.push({
+        code: 'spike',
+        message: `Consumption of ${consumption} ${unit} is ${roundAmount(consumption / average)} times the recent average of ${roundUnits(average)} ${unit}`,
+        blocking: true
+      });
+    }
+
+    if (consumption === 0) {
+      anomalies.push({
+        code: 'zero_consumption',
+        message: 'No consumption since the previous reading',
+        blocking: false
+      });
+    }
+  }
+
+  return { consumption, anomalies };
+};
+
+const findColumn = (headers, patterns) => headers.findIndex(header => patterns.some(pattern => pattern.test(header)));
+
+/**
+ * Parse a CSV of meter readings. Rows identify the meter by its serial
+ * number, or by wing, flat number and utility type. The period column is
+ * optional when the upload names the period.
+ * @param {string} text - CSV content with a header row
+ * @param {object} defaults - { period } applied to rows without one
+ * @returns {{rows: Array<object>, errors: Array<{row: number, error: string}>}}
+ */
+const parseReadingsCsv = (text, defaults = {}) => {
+  const csvRows = parseCsvRows(String(text || ''));
+  if (csvRows.length === 0) {
+    throw new Error('The CSV file is empty');
+  }
+
+  const headers = csvRows[0].map(cell => cell.toLowerCase());
+  const columns = {
+    serialNumber: findColumn(headers, [/serial/, /^meter(\s*(no|number|id))?$/]),
+    wing: findColumn(headers, [/^wing$/, /building/, /block/]),
+    flatNumber: findColumn(headers, [/flat/, /unit/, /apartment/]),
+    utilityType: findColumn(headers, [/utility/, /^type$/, /meter\s*type/]),
+    value: findColumn(headers, [/reading/, /^value$/, /^current/]),
+    readAt: findColumn(headers, [/date/, /read\s*at/]),
+    period: findColumn(headers, [/period/, /month/])
+  };
+
+  if (columns.value === -1) {
+    throw new Error('The CSV needs a reading column');
+  }
+  if (columns.serialNumber === -1 && (columns.wing === -1 || columns.flatNumber === -1 || columns.utilityType === -1)) {
+    throw new Error('The CSV needs a meter serial number column, or wing, flat and utility columns');
+  }
+
+  const cell = (row, index) => (index === -1 ? '' : (row[index] || '').trim());
+  const rows = [];
+  const errors = [];
+
+  csvRows.slice(1).forEach((row, offset) => {
+    const rowNumber = offset + 2;
+    const rawValue = cell(row, columns.value).replace(/,/g, '');
+    const value = rawValue === '' ? NaN : Number(rawValue);
+    const rawDate = cell(row, columns.readAt);
+    const readAt = rawDate ? parseStatementDate(rawDate) : null;
+
+    if (Number.isNaN(value)) {
+      errors.push({ row: rowNumber, error: 'Reading is not a number' });
+      return;
+    }
+    if (rawDate && !readAt) {
+      errors.push({ row: rowNumber, error: `Could not read the date "${rawDate}"` });
+      return;
+    }
+
+    rows.push({
+      row: rowNumber,
+      serialNumber: cell(row, columns.serialNumber) || null,
+      wing: cell(row, columns.wing) || null,
+      flatNumber: cell(row, columns.flatNumber) || null,
+      utilityType: cell(row, columns.utilityType).toLowerCase() || null,
+      value,
+      readAt,
+      period: cell(row, columns.period) || defaults.period || null
+    });
+  });
+
+  return { rows, errors };
+};
+
+module.exports = {
+  UTILITY_TYPES,
+  METER_STATUSES,
+  READING_STATUSES,
+  BILLABLE_READING_STATUSES,
+  DEFAULT_ANOMALY_POLICY,
+  validateUtilitySettings,
+  getUtilitySettings,
+  computeSlabCharge,
+  validateMeter,
+  validateReading,
+  checkReading,
+  parseReadingsCsv,
+};
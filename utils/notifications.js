@@ -0,0 +1,103 @@
+/**
+ * In-app notification helpers
+ * System notices to one user: stored as a notification with its delivery
+ * record, so it shows up in the user's notification list, and pushed over
+ * the websocket when Socket.io is running
+ */
+
+/**
+ * Send an in-app notification to one user
+ * @param {Db} db - Database
+ * @param {object} notice - Notification details
+ * @param {ObjectId} notice.societyId - Society the notice belongs to
+ * @param {string} notice.recipientId - Clerk user ID of the recipient
+ * @param {string} notice.recipientWing - Recipient's wing, if known
+ * @param {string} notice.senderName - Shown as the sender, e.g. 'Maintenance'
+ * @param {string} notice.title - Title
+ * @param {string} notice.message - Message
+ * @param {string} notice.priority - 'normal' or 'high'
+ * @param {string} notice.category - Notification category
+ * @param {object} notice.links - Extra fields stored on the notification, e.g. { maintenanceIds }
+ * @param {string} notice.event - Websocket event name
+ * @param {object} notice.data - Extra websocket payload
+ * @param {boolean} notice.toUser - Push to the recipient's app session
+ * @param {boolean} notice.toAdminPanel - Push to the recipient's admin panel session
+ * @param {Date} notice.at - Send time
+ * @returns {Promise<ObjectId>} Notification ID
+ */
+const sendInAppNotification = async (db, notice) => {
+  const {
+    societyId,
+    recipientId,
+    recipientWing = null,
+    senderName,
+    title,
+    message,
+    priority = 'normal',
+    category,
+    links = {},
+    event,
+    data = {},
+    toUser = true,
+    toAdminPanel = false,
+    at = new Date()
+  } = notice;
+
+  const result = await db.collection('notifications').insertOne({
+    societyId,
+    senderId: 'system',
+    senderName,
+    senderRole: 'system',
+    title,
+    message,
+    priority,
+    category,
+    targetAudience: { wings: [], residentTypes: [], specificUsers: [recipientId] },
+    ...links,
+    scheduledAt: at,
+    expiresAt: null,
+    status: 'sent',
+    deliveryStats: { totalTargeted: 1, delivered: 1, read: 0, failed: 0 },
+    createdAt: at,
+    updatedAt: at
+  });
+
+  await db.collection('notification_deliveries').insertOne({
+    announcementId: null,
+    notificationId: result.insertedId,
+    recipientId,
+    recipientName: 'Unknown',
+    recipientWing,
+    deliveryStatus: 'sent',
+    deliveredAt: at,
+    readAt: null,
+    deviceInfo: null,
+    errorMessage: null,
+    createdAt: at
+  });
+
+  const eventData = {
+    notificationId: result.insertedId,
+    title,
+    message,
+    ...data,
+    sentAt: at
+  };
+  try {
+    const { getIO, emitToAdmin } = require('../middleware/websocket');
+    if (toUser) {
+      getIO().to(`user_${recipientId}`).emit(event, eventData);
+    }
+    if (toAdminPanel) {
+      emitToAdmin(recipientId, event, eventData);
+    }
+  } catch (error) {
+    // Socket.io isn't running (scripts, tests); the stored notification is enough
+  }
+
+  return result.insertedId;
+};
+
+module.exports = {
+  sendInAppNotification,
+};
@@ -0,0 +1,117 @@
+const PDFDocument = require('pdfkit');
+
+/**
+ * Receipt PDF rendering
+ * Renders maintenance payment receipts locally with pdfkit
+ */
+
+const formatDate = (date) => {
+  if (!date) return '-';
+  return new Date(date).toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+// The built-in PDF fonts have no rupee glyph, so amounts are prefixed with "Rs."
+const formatAmount = (amount) => `Rs. ${(Number(amount) || 0).toLocaleString('en-IN', {
+  minimumFractionDigits: 2,
+  maximumFractionDigits: 2
+})}`;
+
+/**
+ * Collect a pdfkit document into a Buffer
+ * @param {PDFDocument} doc - Document that has not been ended yet
+ * @param {Function} draw - Draws the document content
+ * @returns {Promise<Buffer>}
+ */
+const renderToBuffer = (doc, draw) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  try {
+    draw(doc);
+    doc.end();
+  } catch (error) {
+    reject(error);
+  }
+});
+
+/**
+ * Render a maintenance payment receipt
+ * @param {object} receipt - Receipt document from maintenance_receipts
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderReceiptPdf = (receipt) => {
+  const doc = new PDFDocument({
+    size: 'A5',
+    margin: 36,
+    info: {
+      Title: `Maintenance Receipt ${receipt.receiptNumber}`,
+      Author: receipt.society?.name || 'OurSociety'
+    }
+  });
+
+  return renderToBuffer(doc, () => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(receipt.society?.name || 'Society', { align: 'center' });
+    if (receipt.society?.address) {
+      doc.font('Helvetica').fontSize(9).text(receipt.society.address, { align: 'center' });
+    }
+
+    doc.moveDown(0.8);
+    doc.font('Helvetica-Bold').fontSize(12).text('MAINTENANCE PAYMENT RECEIPT', { align: 'center' });
+    doc.moveDown(0.6);
+
+    const rows = [
+      ['Receipt No.', receipt.receiptNumber],
+      ['Receipt Date', formatDate(receipt.issuedAt)],
+      ['Received From', receipt.residentName || '-'],
+      ['Flat', `${receipt.wing || '-'} - ${receipt.flatNumber || '-'}`],
+      ['Months Covered', (receipt.months || []).join(', ') || '-'],
+      ['Payment Approved On', formatDate(receipt.paymentDate)],
+      ['Amount', formatAmount(receipt.amount)],
+      ['Amount in Words', receipt.amountInWords],
+      ['Approved By', receipt.approverName || receipt.approvedBy || '-']
+    ];
+
+    doc.fontSize(10);
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font('Helvetica-Bold').text(label, left, y, { width: 120 });
+      doc.font('Helvetica').text(String(value), left + 125, y, { width: width - 125 });
+      doc.moveDown(0.5);
+    });
+
+    doc.moveDown(1);
+    doc.moveTo(left, doc.y).lineTo(left + width, doc.y).strokeColor('#999999').stroke();
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555')
+      .text('This is a computer generated receipt and does not require a signature.', left, doc.y, {
+        width,
+        align: 'center'
+      });
+
+    if (receipt.cancelledAt) {
+      doc.moveDown(0.5);
+      doc.font('Helvetica-Bold').fontSize(10).fillColor('#b00020')
+        .text(`CANCELLED on ${formatDate(receipt.cancelledAt)}: ${receipt.cancellationReason || 'payment reversed'}`, left, doc.y, {
+          width,
+          align: 'center'
+        });
+      doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555');
+    }
+
+    if (receipt.version > 1) {
+      doc.text(`Reissued ${formatDate(receipt.regeneratedAt)} (version ${receipt.version})`, { width, align: 'center' });
+    }
+  });
+};
+
+module.exports = {
+  formatDate,
+  formatAmount,
+  renderToBuffer,
+  renderReceiptPdf,
+};
@@ -0,0 +1,93 @@
+/**
+ * Payment receipt helpers
+ * Pure functions for receipt numbering and amount wording
+ */
+
+const { MONTH_NAMES, parseBillingPeriod, toBillingPeriod } = require('./billing');
+
+const ONES = [
+  '', 'One', 'Two', 'Three', 'Four', 'Five', 'Six', 'Seven', 'Eight', 'Nine',
+  'Ten', 'Eleven', 'Twelve', 'Thirteen', 'Fourteen', 'Fifteen', 'Sixteen',
+  'Seventeen', 'Eighteen', 'Nineteen'
+];
+const TENS = ['', '', 'Twenty', 'Thirty', 'Forty', 'Fifty', 'Sixty', 'Seventy', 'Eighty', 'Ninety'];
+
+// Indian numbering: crore (10^7), lakh (10^5), thousand, hundred
+const SCALES = [
+  { value: 10000000, name: 'Crore' },
+  { value: 100000, name: 'Lakh' },
+  { value: 1000, name: 'Thousand' },
+  { value: 100, name: 'Hundred' }
+];
+
+const belowHundredToWords = (number) => {
+  if (number < 20) return ONES[number];
+  return [TENS[Math.floor(number / 10)], ONES[number % 10]].filter(Boolean).join(' ');
+};
+
+const integerToWords = (number) => {
+  if (number === 0) return 'Zero';
+
+  const parts = [];
+  let remainder = number;
+
+  SCALES.forEach(({ value, name }) => {
+    if (remainder >= value) {
+      // Amounts beyond 99 crore keep counting in crores ("One Hundred Crore")
+      parts.push(`${integerToWords(Math.floor(remainder / value))} ${name}`);
+      remainder %= value;
+    }
+  });
+
+  if (remainder > 0) parts.push(belowHundredToWords(remainder));
+  return parts.join(' ');
+};
+
+/**
+ * Spell out a rupee amount the way it is written on Indian receipts
+ * @param {number} amount - Amount in rupees
+ * @returns {string} e.g. "Rupees Two Thousand Five Hundred Only"
+ */
+const amountInWords = (amount) => {
+  const totalPaise = Math.round(Math.abs(Number(amount) || 0) * 100);
+  const rupees = Math.floor(totalPaise / 100);
+  const paise = totalPaise % 100;
+
+  const words = `Rupees ${integerToWords(rupees)}`;
+  return paise > 0
+    ? `${words} and ${belowHundredToWords(paise)} Paise Only`
+    : `${words} Only`;
+};
+
+/**
+ * Format a society receipt number from its sequence
+ * @param {number} sequence - Sequential number within the society
+ * @returns {string} e.g. "RCPT-000042"
+ */
+const formatReceiptNumber = (sequence) => `RCPT-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Human-readable months a maintenance record's payment covers
+ * @param {object} record - Maintenance record
+ * @returns {Array<string>} e.g. ["January 2025", "February 2025"]
+ */
+const describeCoveredMonths = (record) => {
+  const periods = record.coverage?.periods?.length
+    ? record.coverage.periods
+    : [record.billingPeriod || toBillingPeriod(record.month, record.year)].filter(Boolean);
+
+  if (periods.length === 0) {
+    return [`${record.month} ${record.year}`];
+  }
+
+  return periods.map((period) => {
+    const { monthIndex, year } = parseBillingPeriod(period);
+    return `${MONTH_NAMES[monthIndex]} ${year}`;
+  });
+};
+
+module.exports = {
+  amountInWords,
+  formatReceiptNumber,
+  describeCoveredMonths,
+};
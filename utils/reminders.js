@@ -0,0 +1,209 @@
+/**
+ * Maintenance reminder helpers
+ * Pure functions that read a society's reminder policy and decide which
+ * reminder, if any, an unpaid record is due for and who should receive it
+ */
+
+const { UNPAID_STATUSES } = require('./lateFees');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Audiences in escalation order; each stage also reaches the earlier ones
+const REMINDER_AUDIENCES = ['resident', 'wing_chairman', 'committee'];
+
+const DEFAULT_REMINDER_POLICY = {
+  enabled: false,
+  daysBeforeDue: 3,
+  onDueDate: true,
+  overdueEveryDays: 7,
+  escalateToWingChairmanAfterDays: 15,
+  escalateToCommitteeAfterDays: 30,
+  quietHours: { start: '21:00', end: '08:00' },
+  timezone: 'Asia/Kolkata',
+  minIntervalHours: 20
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const isOptionalWholeNumber = (value) => value === undefined || value === null || (Number.isInteger(value) && value >= 0);
+
+/**
+ * Validate `settings.maintenance.reminders`
+ * @param {object} policy - Reminder policy
+ * @returns {Array<string>} Validation errors
+ */
+const validateReminderPolicy = (policy) => {
+  const path = 'settings.maintenance.reminders';
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return [`${path} must be an object`];
+  }
+
+  const errors = [];
+  ['enabled', 'onDueDate'].forEach((field) => {
+    if (policy[field] !== undefined && typeof policy[field] !== 'boolean') {
+      errors.push(`${path}.${field} must be a boolean`);
+    }
+  });
+  ['daysBeforeDue', 'overdueEveryDays', 'escalateToWingChairmanAfterDays', 'escalateToCommitteeAfterDays', 'minIntervalHours'].forEach((field) => {
+    if (!isOptionalWholeNumber(policy[field])) {
+      errors.push(`${path}.${field} must be a non-negative whole number`);
+    }
+  });
+
+  if (policy.quietHours !== undefined && policy.quietHours !== null) {
+    const { start, end } = policy.quietHours || {};
+    if (!TIME_PATTERN.test(String(start)) || !TIME_PATTERN.test(String(end))) {
+      errors.push(`${path}.quietHours must be { start, end } in HH:MM (24 hour) format`);
+    }
+  }
+  if (policy.timezone !== undefined && (typeof policy.timezone !== 'string' || !isValidTimezone(policy.timezone))) {
+    errors.push(`${path}.timezone must be an IANA time zone, e.g. Asia/Kolkata`);
+  }
+
+  return errors;
+};
+
+/**
+ * Read the reminder policy from society settings, filling in defaults
+ * @param {object} settings - society.settings
+ * @returns {object} Reminder policy
+ */
+const getReminderPolicy = (settings = {}) => {
+  const configured = settings?.maintenance?.reminders || {};
+  return {
+    ...DEFAULT_REMINDER_POLICY,
+    ...configured,
+    enabled: configured.enabled === true,
+    quietHours: configured.quietHours === undefined ? DEFAULT_REMINDER_POLICY.quietHours : configured.quietHours
+  };
+};
+
+/**
+ * Local date and time of an instant in a time zone
+ * @returns {{day: number, minutes: number}} Days since epoch and minutes past midnight
+ */
+const localClock = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(date)).reduce((acc, part) => ({ ...acc, [part.type]: part.value }), {});
+
+  return {
+    day: Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day)) / DAY_MS,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+};
+
+const toMinutes = (time) => {
+  const [, hours, minutes] = TIME_PATTERN.exec(time);
+  return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Whether reminders are held back at this moment. Ranges that cross
+ * midnight (e.g. 21:00-08:00) are supported.
+ * @param {Date} now - Current time
+ * @param {object} policy - Reminder policy
+ * @returns {boolean}
+ */
+const isQuietHours = (now, policy) => {
+  if (!policy.quietHours) return false;
+
+  const start = toMinutes(policy.quietHours.start);
+  const end = toMinutes(policy.quietHours.end);
+  if (start === end) return false;
+
+  const { minutes } = localClock(now, policy.timezone);
+  return start < end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+};
+
+/**
+ * Audiences a reminder goes to after the record has been overdue for some days
+ * @param {number} daysOverdue - Days past the due date
+ * @param {object} policy - Reminder policy
+ * @returns {Array<string>}
+ */
+const reminderAudience = (daysOverdue, policy) => {
+  const audience = ['resident'];
+  const reaches = threshold => threshold !== null && threshold !== undefined && daysOverdue >= threshold && daysOverdue > 0;
+
+  if (reaches(policy.escalateToWingChairmanAfterDays)) audience.push('wing_chairman');
+  if (reaches(policy.escalateToCommitteeAfterDays)) audience.push('committee');
+  return audience;
+};
+
+/**
+ * Decide which reminder a record is due for
+ * Stages are `before_due` (within daysBeforeDue of the due date), `due_date`
+ * and `overdue` (every overdueEveryDays). Each stage has a key that is stored
+ * in the record's reminder history so it is only ever sent once, and no
+ * reminder goes out within minIntervalHours of the previous one.
+ * @param {object} record - Maintenance record
+ * @param {object} policy - Reminder policy
+ * @param {Date} now - Current time
+ * @returns {{stage: string, stageKey: string, daysOverdue: number, audience: Array<string>}|null}
+ */
+const planReminder = (record, policy, now = new Date()) => {
+  if (!record?.dueDate || !UNPAID_STATUSES.includes(record.status)) return null;
+  if (record.settlement && !(record.settlement.outstanding > 0)) return null;
+
+  const days = localClock(now, policy.timezone).day - localClock(record.dueDate, policy.timezone).day;
+
+  let stage = null;
+  let stageKey = null;
+  if (days < 0) {
+    if (policy.daysBeforeDue > 0 && -days <= policy.daysBeforeDue) {
+      stage = 'before_due';
+      stageKey = 'before_due';
+    }
+  } else if (days === 0) {
+    if (policy.onDueDate) {
+      stage = 'due_date';
+      stageKey = 'due_date';
+    }
+  } else if (policy.overdueEveryDays > 0 && days >= policy.overdueEveryDays) {
+    stage = 'overdue';
+    stageKey = `overdue_${Math.floor(days / policy.overdueEveryDays)}`;
+  }
+  if (!stage) return null;
+
+  const history = record.reminders || [];
+  if (history.some(reminder => reminder.stageKey === stageKey)) return null;
+
+  const lastSentAt = history.reduce((latest, reminder) => Math.max(latest, new Date(reminder.sentAt).getTime() || 0), 0);
+  if (lastSentAt && now.getTime() - lastSentAt < (policy.minIntervalHours || 0) * 60 * 60 * 1000) return null;
+
+  const daysOverdue = Math.max(days, 0);
+  return {
+    stage,
+    stageKey,
+    daysOverdue,
+    audience: reminderAudience(daysOverdue, policy)
+  };
+};
+
+module.exports = {
+  REMINDER_AUDIENCES,
+  DEFAULT_REMINDER_POLICY,
+  validateReminderPolicy,
+  getReminderPolicy,
+  isQuietHours,
+  reminderAudience,
+  planReminder,
+};
@@ -0,0 +1,133 @@
+const PDFDocument = require('pdfkit');
+const { formatDate, formatAmount, renderToBuffer } = require('./receiptPdf');
+
+/**
+ * Annual statement PDF rendering
+ * One statement per flat; bulk downloads start each flat on a new page
+ */
+
+const SECTION_LABELS = {
+  charges: 'Charges',
+  lateFees: 'Late fees',
+  payments: 'Payments',
+  waivers: 'Waivers',
+  adjustments: 'Adjustments (net)'
+};
+
+// Balances are shown as Dr when the flat owes money and Cr when it is in credit
+const formatBalance = (balance) => `${formatAmount(Math.abs(balance))} ${balance < 0 ? 'Cr' : 'Dr'}`;
+
+const drawStatement = (doc, statement) => {
+  const left = doc.page.margins.left;
+  const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(16)
+    .text(statement.society?.name || 'Society', left, doc.y, { width, align: 'center' });
+  if (statement.society?.address) {
+    doc.font('Helvetica').fontSize(9).text(statement.society.address, { width, align: 'center' });
+  }
+
+  doc.moveDown(0.8);
+  doc.font('Helvetica-Bold').fontSize(12)
+    .text(`MAINTENANCE STATEMENT - FY ${statement.financialYear}`, { width, align: 'center' });
+  doc.font('Helvetica').fontSize(9)
+    .text(`${formatDate(statement.periodStart)} to ${formatDate(statement.periodEnd)}`, { width, align: 'center' });
+  doc.moveDown(0.8);
+
+  const residents = (statement.residents || []).map(resident => resident.name).filter(Boolean).join(', ');
+  const details = [
+    ['Flat', `${statement.wing} - ${statement.flatNumber}`],
+    ['Residents', residents || '-'],
+    ['Generated On', formatDate(statement.generatedAt)]
+  ];
+  doc.fontSize(10);
+  details.forEach(([label, value]) => {
+    const y = doc.y;
+    doc.font('Helvetica-Bold').text(label, left, y, { width: 100 });
+    doc.font('Helvetica').text(String(value), left + 105, y, { width: width - 105 });
+    doc.moveDown(0.3);
+  });
+  doc.moveDown(0.6);
+
+  const columns = [
+    { label: 'Date', width: 70 },
+    { label: 'Particulars', width: width - 70 - 3 * 80 },
+    { label: 'Debit', width: 80, align: 'right' },
+    { label: 'Credit', width: 80, align: 'right' },
+    { label: 'Balance', width: 80, align: 'right' }
+  ];
+  const drawRow = (values, font) => {
+    if (doc.y > bottom - 30) doc.addPage();
+    const y = doc.y;
+    let x = left;
+    let height = 0;
+    doc.font(font).fontSize(8);
+    columns.forEach((column, index) => {
+      const options = { width: column.width - 4, align: column.align || 'left' };
+      doc.text(values[index], x, y, options);
+      height = Math.max(height, doc.heightOfString(values[index], options));
+      x += column.width;
+    });
+    doc.y = y + height + 4;
+  };
+
+  drawRow(columns.map(column => column.label), 'Helvetica-Bold');
+  drawRow(['', 'Opening balance', '', '', formatBalance(statement.openingBalance)], 'Helvetica-Bold');
+  statement.lines.forEach((line) => {
+    drawRow([
+      formatDate(line.date),
+      line.description,
+      line.debit ? formatAmount(line.debit) : '',
+      line.credit ? formatAmount(line.credit) : '',
+      formatBalance(line.balance)
+    ], 'Helvetica');
+  });
+  drawRow(['', 'Closing balance', '', '', formatBalance(statement.closingBalance)], 'Helvetica-Bold');
+
+  doc.moveDown(0.8);
+  if (doc.y > bottom - 110) doc.addPage();
+  doc.font('Helvetica-Bold').fontSize(10).text('Summary', left, doc.y);
+  doc.moveDown(0.3);
+  Object.entries(SECTION_LABELS).forEach(([section, label]) => {
+    const y = doc.y;
+    doc.font('Helvetica').fontSize(9).text(label, left, y, { width: 150 });
+    doc.text(formatAmount(statement.totals[section]), left + 150, y, { width: 100, align: 'right' });
+    doc.moveDown(0.2);
+  });
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Oblique').fontSize(8).fillColor('#555555')
+    .text('This is a computer generated statement and does not require a signature.', left, doc.y, {
+      width,
+      align: 'center'
+    });
+};
+
+/**
+ * Render annual maintenance statements
+ * @param {Array<Object>} statements - Statements from MaintenanceLedgerService
+ * @param {string} title - Document title
+ * @returns {Promise<Buffer>} PDF bytes
+ */
+const renderStatementsPdf = (statements, title) => {
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 40,
+    info: {
+      Title: title,
+      Author: statements[0]?.society?.name || 'OurSociety'
+    }
+  });
+
+  return renderToBuffer(doc, () => {
+    statements.forEach((statement, index) => {
+      if (index > 0) doc.addPage();
+      drawStatement(doc, statement);
+    });
+  });
+};
+
+module.exports = {
+  renderStatementsPdf,
+};
@@ -0,0 +1,176 @@
+/**
+ * Annual maintenance statement helpers
+ * Pure functions that cut a flat's ledger to one Indian financial year
+ * (April to March) with opening and closing balances
+ */
+
+const { roundAmount, signedAmount } = require('./ledger');
+
+// Financial years run on Indian time, which has no daylight saving
+const IST_OFFSET_MS = (5 * 60 + 30) * 60 * 1000;
+
+// Sections totalled as money received or written off rather than billed
+const CREDIT_SECTIONS = ['payments', 'waivers'];
+
+const FY_PATTERN = /^(\d{4})-(\d{2})$/;
+
+// Statement sections, in the order they are totalled
+const STATEMENT_SECTIONS = ['charges', 'lateFees', 'payments', 'waivers', 'adjustments'];
+
+/**
+ * Parse a financial year label such as 2025-26
+ * @param {string} label - FY label
+ * @returns {{label: string, startYear: number, start: Date, end: Date}|null} null when malformed;
+ *   `end` is exclusive (1 April of the following year)
+ */
+const parseFinancialYear = (label) => {
+  const match = FY_PATTERN.exec(String(label || '').trim());
+  if (!match) return null;
+
+  const startYear = Number(match[1]);
+  if (Number(match[2]) !== (startYear + 1) % 100) return null;
+
+  return {
+    label: `${startYear}-${match[2]}`,
+    startYear,
+    start: new Date(Date.UTC(startYear, 3, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(startYear + 1, 3, 1) - IST_OFFSET_MS)
+  };
+};
+
+/**
+ * Financial year a date falls in
+ * @param {Date} date - Any date
+ * @returns {string} FY label, e.g. 2025-26
+ */
+const financialYearOf = (date = new Date()) => {
+  const local = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  const startYear = local.getUTCMonth() >= 3 ? local.getUTCFullYear() : local.getUTCFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Billing period (YYYY-MM) a date falls in, on Indian time
+ * @param {Date} date - Any date
+ * @returns {string}
+ */
+const localPeriodOf = (date) => {
+  const local = new Date(new Date(date).getTime() + IST_OFFSET_MS);
+  return `${local.getUTCFullYear()}-${String(local.getUTCMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Calendar date (YYYY-MM-DD) of a moment, on Indian time
+ * @param {Date} date - Any date
+ * @returns {string}
+ */
+const localDateOf = (date) => new Date(new Date(date).getTime() + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+/**
+ * Start and (exclusive) end of a billing period on Indian time
+ * @param {string} period - YYYY-MM
+ * @returns {{start: Date, end: Date}|null} null when malformed
+ */
+const periodBounds = (period) => {
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(String(period || ''));
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]) - 1;
+  return {
+    start: new Date(Date.UTC(year, month, 1) - IST_OFFSET_MS),
+    end: new Date(Date.UTC(year, month + 1, 1) - IST_OFFSET_MS)
+  };
+};
+
+/**
+ * Billing periods of a financial year, April first
+ * @param {object} fy - Parsed financial year
+ * @returns {Array<string>} YYYY-MM periods
+ */
+const financialYearPeriods = (fy) => Array.from({ length: 12 }, (_, index) => {
+  const month = (3 + index) % 12;
+  const year = fy.startYear + (index >= 9 ? 1 : 0);
+  return `${year}-${String(month + 1).padStart(2, '0')}`;
+});
+
+/**
+ * Statement section a ledger entry is reported under
+ * @param {object} entry - Ledger entry
+ * @returns {string} One of STATEMENT_SECTIONS
+ */
+const statementSection = (entry) => {
+  if (entry.category === 'late_fee') return 'lateFees';
+  if (entry.category === 'late_fee_waiver') return 'waivers';
+  if (entry.entryType === 'charge') return 'charges';
+  if (entry.entryType === 'payment' || entry.entryType === 'credit') return 'payments';
+  return 'adjustments';
+};
+
+/**
+ * Build a flat's statement for one financial year from its ledger
+ * @param {Array} entries - All ledger entries of the flat
+ * @param {object} fy - Parsed financial year (see parseFinancialYear)
+ * @returns {{openingBalance: number, closingBalance: number, totals: Object, lines: Array}}
+ *   Balances are positive when the flat owes money. Payments and waivers are
+ *   totalled as amounts credited, everything else as amounts debited.
+ */
+const buildStatement = (entries = [], fy) => {
+  const ordered = [...entries].sort((a, b) => {
+    const postedDiff = new Date(a.postedAt) - new Date(b.postedAt);
+    return postedDiff !== 0 ? postedDiff : new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+  });
+
+  let openingBalance = 0;
+  const totals = STATEMENT_SECTIONS.reduce((acc, section) => ({ ...acc, [section]: 0 }), {});
+  const lines = [];
+  let balance = 0;
+
+  ordered.forEach((entry) => {
+    const postedAt = new Date(entry.postedAt);
+    if (postedAt >= fy.end) return;
+
+    const signed = signedAmount(entry);
+    if (postedAt < fy.start) {
+      openingBalance = roundAmount(openingBalance + signed);
+      balance = openingBalance;
+      return;
+    }
+
+    const section = statementSection(entry);
+    totals[section] = roundAmount(totals[section] + (CREDIT_SECTIONS.includes(section) ? -signed : signed));
+    balance = roundAmount(balance + signed);
+
+    lines.push({
+      entryId: entry._id,
+      date: postedAt,
+      section,
+      category: entry.category,
+      description: entry.description || '',
+      period: entry.period || null,
+      maintenanceId: entry.maintenanceId || null,
+      debit: signed > 0 ? signed : 0,
+      credit: signed < 0 ? -signed : 0,
+      balance
+    });
+  });
+
+  return {
+    openingBalance,
+    closingBalance: balance,
+    totals,
+    lines
+  };
+};
+
+module.exports = {
+  STATEMENT_SECTIONS,
+  parseFinancialYear,
+  financialYearOf,
+  localPeriodOf,
+  localDateOf,
+  periodBounds,
+  financialYearPeriods,
+  statementSection,
+  buildStatement,
+};
@@ -0,0 +1,306 @@
+/**
+ * Unit registry helpers
+ * Pure functions that number the flats of a wing from its floors and
+ * flatsPerFloor, validate the society's numbering settings and unit edits,
+ * and plan how the `units` collection follows changes to the wing layout
+ */
+
+const { getFlatProfile } = require('./flats');
+
+// vacant          - nobody lives in the unit
+// owner_occupied  - the owner (or their family) lives in it
+// tenant_occupied - let out; at least one tenant is on record
+const OCCUPANCY_STATES = ['vacant', 'owner_occupied', 'tenant_occupied'];
+
+// retired - the slot no longer exists in the wing layout; kept because
+// maintenance records and residents may still point at it
+const UNIT_STATUSES = ['active', 'retired'];
+
+// A-101, B-1203: floor followed by the two-digit position on the floor
+const DEFAULT_UNIT_NUMBERING = {
+  numberPattern: '{floor}{unit:02}',
+  labelPattern: '{wing}-{number}',
+  firstFloor: 1
+};
+
+const TOKEN_PATTERN = /\{(\w+)(?::(\d+))?\}/g;
+const NUMBER_TOKENS = ['wing', 'floor', 'unit'];
+const LABEL_TOKENS = ['wing', 'number'];
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+const isBlank = (value) => typeof value !== 'string' || !value.trim();
+
+const patternTokens = (pattern) => Array.from(String(pattern).matchAll(TOKEN_PATTERN), match => match[1]);
+
+/**
+ * Fill a numbering pattern; {floor:02} pads the floor to two digits
+ * @param {string} pattern - e.g. '{floor}{unit:02}'
+ * @param {object} values - { wing, floor, unit, number }
+ * @returns {string}
+ */
+const formatUnitPattern = (pattern, values) => String(pattern).replace(TOKEN_PATTERN, (token, name, width) => {
+  const value = values[name];
+  if (value === undefined || value === null) return '';
+  return width ? String(value).padStart(Number(width), '0') : String(value);
+});
+
+/**
+ * Validate settings.units
+ * @param {object} numbering - { numberPattern, labelPattern, firstFloor }
+ * @returns {Array<string>} Validation errors
+ */
+const validateUnitNumbering = (numbering) => {
+  if (!numbering || typeof numbering !== 'object' || Array.isArray(numbering)) {
+    return ['units must be an object'];
+  }
+
+  const errors = [];
+  const numberPattern = numbering.numberPattern ?? DEFAULT_UNIT_NUMBERING.numberPattern;
+  const labelPattern = numbering.labelPattern ?? DEFAULT_UNIT_NUMBERING.labelPattern;
+
+  if (isBlank(numberPattern)) {
+    errors.push('units.numberPattern must be a non-empty string');
+  } else {
+    const tokens = patternTokens(numberPattern);
+    const unknown = tokens.filter(token => !NUMBER_TOKENS.includes(token));
+    if (unknown.length > 0) {
+      errors.push(`units.numberPattern has unknown placeholders: ${unknown.join(', ')}`);
+    }
+    if (!tokens.includes('floor') || !tokens.includes('unit')) {
+      errors.push('units.numberPattern must contain {floor} and {unit} so every flat gets a distinct number');
+    }
+  }
+
+  if (isBlank(labelPattern)) {
+    errors.push('units.labelPattern must be a non-empty string');
+  } else {
+    const tokens = patternTokens(labelPattern);
+    const unknown = tokens.filter(token => !LABEL_TOKENS.includes(token));
+    if (unknown.length > 0) {
+      errors.push(`units.labelPattern has unknown placeholders: ${unknown.join(', ')}`);
+    }
+    if (!tokens.includes('number')) {
+      errors.push('units.labelPattern must contain {number}');
+    }
+    if (!tokens.includes('wing') && !(typeof numberPattern === 'string' && patternTokens(numberPattern).includes('wing'))) {
+      errors.push('units.labelPattern must contain {wing} unless numberPattern does');
+    }
+  }
+
+  if (numbering.firstFloor !== undefined && numbering.firstFloor !== null && !isNonNegativeInteger(numbering.firstFloor)) {
+    errors.push('units.firstFloor must be a non-negative whole number');
+  }
+
+  return errors;
+};
+
+/**
+ * The society's unit numbering with defaults filled in
+ * @param {object} settings - society.settings
+ * @returns {{numberPattern: string, labelPattern: string, firstFloor: number}}
+ */
+const getUnitNumbering = (settings) => ({
+  numberPattern: settings?.units?.numberPattern || DEFAULT_UNIT_NUMBERING.numberPattern,
+  labelPattern: settings?.units?.labelPattern || DEFAULT_UNIT_NUMBERING.labelPattern,
+  firstFloor: settings?.units?.firstFloor ?? DEFAULT_UNIT_NUMBERING.firstFloor
+});
+
+/**
+ * Units a wing's layout yields, floor by floor
+ * @param {object} wing - society.wings[] entry with floors and flatsPerFloor
+ * @param {object} numbering - From getUnitNumbering
+ * @returns {Array<{wingId, wing, floor, position, flatNumber, label, flatType, area, parkingSlots}>}
+ */
+const generateWingUnits = (wing, numbering = DEFAULT_UNIT_NUMBERING) => {
+  const floors = Number.isInteger(wing?.floors) && wing.floors > 0 ? wing.floors : 0;
+  const flatsPerFloor = Number.isInteger(wing?.flatsPerFloor) && wing.flatsPerFloor > 0 ? wing.flatsPerFloor : 0;
+  const firstFloor = numbering.firstFloor ?? DEFAULT_UNIT_NUMBERING.firstFloor;
+  const units = [];
+
+  for (let index = 0; index < floors; index += 1) {
+    const floor = firstFloor + index;
+    for (let position = 1; position <= flatsPerFloor; position += 1) {
+      const flatNumber = formatUnitPattern(numbering.numberPattern, { wing: wing.name, floor, unit: position });
+      units.push({
+        wingId: wing._id || null,
+        wing: wing.name,
+        floor,
+        position,
+        flatNumber,
+        label: formatUnitPattern(numbering.labelPattern, { wing: wing.name, number: flatNumber }),
+        ...getFlatProfile([wing], wing.name, flatNumber)
+      });
+    }
+  }
+
+  return units;
+};
+
+const slotKey = (unit) => `${unit.wingId}:${unit.floor}:${unit.position}`;
+
+/**
+ * Work out how the stored units follow the current wing layout. Units are
+ * matched by their slot (wing, floor, position on the floor); slots that
+ * disappeared are retired rather than deleted.
+ * @param {Array} existing - Stored units of the society
+ * @param {Array} generated - generateWingUnits output for every wing
+ * @param {object} options
+ * @param {function} [options.keepNumber] - (unit) => true to leave a unit's number and label as they are
+ * @param {function} [options.profileOf] - (wingName, flatNumber) => flat profile, for units that keep their number
+ * @returns {{insert: Array, update: Array<{_id, set}>, retire: Array, conflicts: Array}}
+ */
+const planUnitSync = (existing = [], generated = [], options = {}) => {
+  const keepNumber = options.keepNumber || (unit => unit.customNumber === true);
+  const bySlot = new Map(existing.filter(unit => unit.position).map(unit => [slotKey(unit), unit]));
+  const seenSlots = new Set();
+  const plan = { insert: [], update: [], retire: [], conflicts: [] };
+
+  // Numbers a unit keeps regardless of the pattern can collide with generated ones
+  const takenLabels = new Map(existing
+    .filter(unit => unit.status !== 'retired' && (!unit.position || keepNumber(unit)))
+    .map(unit => [unit.label, unit]));
+
+  generated.forEach((unit) => {
+    const key = slotKey(unit);
+    seenSlots.add(key);
+    const current = bySlot.get(key);
+    const keep = current && keepNumber(current);
+    const label = keep ? current.label : unit.label;
+    const holder = takenLabels.get(label);
+
+    if (holder && holder !== current) {
+      plan.conflicts.push({ wing: unit.wing, floor: unit.floor, position: unit.position, label, unitId: holder._id || null });
+      return;
+    }
+
+    if (!current) {
+      plan.insert.push(unit);
+      return;
+    }
+
+    const set = {};
+    if (!keep) {
+      if (current.flatNumber !== unit.flatNumber) set.flatNumber = unit.flatNumber;
+      if (current.label !== unit.label) set.label = unit.label;
+    }
+    if (current.wing !== unit.wing) set.wing = unit.wing;
+    // A kept number may have its own entry in the wing's flat profiles
+    const profile = keep ? options.profileOf?.(unit.wing, current.flatNumber) : unit;
+    if (profile) {
+      ['flatType', 'area', 'parkingSlots'].forEach((field) => {
+        if ((current[field] ?? null) !== (profile[field] ?? null)) set[field] = profile[field] ?? null;
+      });
+    }
+    if (current.status === 'retired') set.status = 'active';
+    if (Object.keys(set).length > 0) {
+      plan.update.push({ _id: current._id, set });
+    }
+  });
+
+  existing
+    .filter(unit => unit.position && unit.status !== 'retired' && !seenSlots.has(slotKey(unit)))
+    .forEach(unit => plan.retire.push(unit._id));
+
+  return plan;
+};
+
+/**
+ * Occupancy implied by who is on record for a unit
+ * @param {object} unit - { owner, tenants }
+ * @returns {string} One of OCCUPANCY_STATES
+ */
+const deriveOccupancy = (unit) => {
+  if ((unit?.tenants || []).length > 0) return 'tenant_occupied';
+  if (unit?.owner) return 'owner_occupied';
+  return 'vacant';
+};
+
+const validateOccupant = (occupant, path) => {
+  if (!occupant || typeof occupant !== 'object' || Array.isArray(occupant)) {
+    return [`${path} must be an object`];
+  }
+  const errors = [];
+  if (isBlank(occupant.name)) {
+    errors.push(`${path}.name is required`);
+  }
+  ['clerkUserId', 'contactNumber'].forEach((field) => {
+    if (occupant[field] !== undefined && occupant[field] !== null && isBlank(occupant[field])) {
+      errors.push(`${path}.${field} must be a non-empty string`);
+    }
+  });
+  if (occupant.since !== undefined && occupant.since !== null && Number.isNaN(new Date(occupant.since).getTime())) {
+    errors.push(`${path}.since must be a valid date`);
+  }
+  return errors;
+};
+
+/**
+ * Validate an admin's edit of a unit
+ * @param {object} updates - { flatNumber, label, flatType, area, parkingSlots, owner, tenants, occupancy, status, notes }
+ * @returns {Array<string>} Validation errors
+ */
+const validateUnitUpdate = (updates = {}) => {
+  const errors = [];
+
+  ['flatNumber', 'label'].forEach((field) => {
+    if (updates[field] !== undefined && isBlank(updates[field])) {
+      errors.push(`${field} must be a non-empty string`);
+    }
+  });
+  if (updates.flatType !== undefined && updates.flatType !== null && isBlank(updates.flatType)) {
+    errors.push('flatType must be a non-empty string');
+  }
+  if (updates.area !== undefined && updates.area !== null && !(typeof updates.area === 'number' && updates.area > 0)) {
+    errors.push('area must be a positive number (sq ft)');
+  }
+  if (updates.parkingSlots !== undefined && updates.parkingSlots !== null && !isNonNegativeInteger(updates.parkingSlots)) {
+    errors.push('parkingSlots must be a non-negative whole number');
+  }
+  if (updates.owner !== undefined && updates.owner !== null) {
+    errors.push(...validateOccupant(updates.owner, 'owner'));
+  }
+  if (updates.tenants !== undefined) {
+    if (!Array.isArray(updates.tenants)) {
+      errors.push('tenants must be an array');
+    } else {
+      updates.tenants.forEach((tenant, index) => errors.push(...validateOccupant(tenant, `tenants[${index}]`)));
+    }
+  }
+  if (updates.occupancy !== undefined && !OCCUPANCY_STATES.includes(updates.occupancy)) {
+    errors.push(`occupancy must be one of: ${OCCUPANCY_STATES.join(', ')}`);
+  }
+  if (updates.status !== undefined && !UNIT_STATUSES.includes(updates.status)) {
+    errors.push(`status must be one of: ${UNIT_STATUSES.join(', ')}`);
+  }
+  if (updates.notes !== undefined && updates.notes !== null && typeof updates.notes !== 'string') {
+    errors.push('notes must be a string');
+  }
+
+  return errors;
+};
+
+/**
+ * Trimmed copy of an owner or tenant entry
+ * @param {object} occupant - { clerkUserId, name, contactNumber, since }
+ * @returns {{clerkUserId: string|null, name: string, contactNumber: string|null, since: Date}}
+ */
+const normalizeOccupant = (occupant) => ({
+  clerkUserId: occupant.clerkUserId ? String(occupant.clerkUserId).trim() : null,
+  name: String(occupant.name).trim(),
+  contactNumber: occupant.contactNumber ? String(occupant.contactNumber).trim() : null,
+  since: occupant.since ? new Date(occupant.since) : new Date()
+});
+
+module.exports = {
+  OCCUPANCY_STATES,
+  UNIT_STATUSES,
+  DEFAULT_UNIT_NUMBERING,
+  formatUnitPattern,
+  validateUnitNumbering,
+  getUnitNumbering,
+  generateWingUnits,
+  planUnitSync,
+  deriveOccupancy,
+  validateUnitUpdate,
+  normalizeOccupant,
+};
@@ -0,0 +1,108 @@
+/**
+ * UPI payment helpers
+ * Builds `upi://pay` intents and the transaction reference that ties a UPI
+ * payment back to its maintenance record, and renders the intent as a QR code.
+ */
+
+const QRCode = require('qrcode');
+const { ObjectId } = require('mongodb');
+
+// handle@bank, as accepted by NPCI (e.g. society.fund@okhdfcbank)
+const VPA_PATTERN = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9.-]{1,64}$/;
+
+// "OS" followed by the maintenance record ID; alphanumeric and within the 35
+// characters UPI apps allow for `tr`
+const REF_PREFIX = 'OS';
+const REF_PATTERN = new RegExp(`${REF_PREFIX}([0-9A-F]{24})`, 'i');
+
+// Payee names and notes are shown in UPI apps, which truncate long values
+const MAX_PAYEE_NAME_LENGTH = 50;
+const MAX_NOTE_LENGTH = 50;
+
+/**
+ * Validate `settings.upi` of a society
+ * @param {object} upi - { vpa, payeeName, merchantCode }
+ * @returns {Array<string>} Validation errors
+ */
+const validateUpiSettings = (upi) => {
+  const errors = [];
+
+  if (!upi || typeof upi !== 'object') {
+    return ['settings.upi must be an object'];
+  }
+  if (typeof upi.vpa !== 'string' || !VPA_PATTERN.test(upi.vpa.trim())) {
+    errors.push('settings.upi.vpa must be a valid UPI ID (e.g. society@bank)');
+  }
+  if (
+    typeof upi.payeeName !== 'string' ||
+    !upi.payeeName.trim() ||
+    upi.payeeName.trim().length > MAX_PAYEE_NAME_LENGTH
+  ) {
+    errors.push(`settings.upi.payeeName is required and must be at most ${MAX_PAYEE_NAME_LENGTH} characters`);
+  }
+  if (upi.merchantCode !== undefined && upi.merchantCode !== null && !/^\d{4}$/.test(String(upi.merchantCode))) {
+    errors.push('settings.upi.merchantCode must be a 4 digit merchant category code');
+  }
+
+  return errors;
+};
+
+/**
+ * Transaction reference for a maintenance record
+ * @param {ObjectId|string} recordId - Maintenance record ID
+ * @returns {string} e.g. "OS65F1C2A9B3E4D5F6A7B8C9D0"
+ */
+const buildTransactionRef = (recordId) => `${REF_PREFIX}${recordId.toString().toUpperCase()}`;
+
+/**
+ * Find a transaction reference in free text (a pasted reference, a UPI note
+ * or a bank statement narration)
+ * @param {string} text - Text to search
+ * @returns {ObjectId|null} Maintenance record ID
+ */
+const parseTransactionRef = (text) => {
+  const match = String(text || '').match(REF_PATTERN);
+  return match ? new ObjectId(match[1].toLowerCase()) : null;
+};
+
+/**
+ * Build a `upi://pay` intent URI
+ * @param {object} intent - { vpa, payeeName, amount, transactionRef, note, merchantCode }
+ * @returns {string}
+ */
+const buildUpiIntentUri = ({ vpa, payeeName, amount, transactionRef, note, merchantCode }) => {
+  const params = [
+    ['pa', vpa.trim()],
+    ['pn', payeeName.trim().slice(0, MAX_PAYEE_NAME_LENGTH)],
+    ...(merchantCode ? [['mc', String(merchantCode)]] : []),
+    ['tr', transactionRef],
+    ['tn', String(note || transactionRef).slice(0, MAX_NOTE_LENGTH)],
+    ['am', Number(amount).toFixed(2)],
+    ['cu', 'INR'],
+  ];
+
+  return `upi://pay?${params.map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&')}`;
+};
+
+/**
+ * Render an intent URI as a QR code
+ * @param {string} uri - UPI intent URI
+ * @param {string} format - 'png' or 'svg'
+ * @returns {Promise<Buffer|string>} PNG buffer or SVG markup
+ */
+const renderUpiQr = (uri, format = 'png') => {
+  const options = { errorCorrectionLevel: 'M', margin: 2 };
+
+  if (format === 'svg') {
+    return QRCode.toString(uri, { ...options, type: 'svg' });
+  }
+  return QRCode.toBuffer(uri, { ...options, type: 'png', width: 320 });
+};
+
+module.exports = {
+  validateUpiSettings,
+  buildTransactionRef,
+  parseTransactionRef,
+  buildUpiIntentUri,
+  renderUpiQr,
+};
@@ -0,0 +1,123 @@
+const path = require('path');
+const fs = require('fs');
+const multer = require('multer');
+
+/**
+ * File upload pipeline
+ * Files are written under uploads/<folder> (served at /uploads) and, when
+ * UploadThing is configured, mirrored there with the local copy removed.
+ */
+
+const UPLOADS_ROOT = path.join(__dirname, '..', 'uploads');
+
+let utapi = null;
+try {
+  const { UTApi } = require('uploadthing/server');
+  if (process.env.UPLOADTHING_SECRET) {
+    utapi = new UTApi({
+      apiKey: process.env.UPLOADTHING_SECRET
+    });
+  }
+} catch (error) {
+  console.warn('UploadThing not configured or failed to initialize:', error.message);
+}
+
+/**
+ * Local directory for a folder of uploads, created if missing
+ * @param {string} folder - Folder under uploads/, e.g. maintenance
+ * @returns {string} Absolute path
+ */
+const uploadsDirFor = (folder) => {
+  const dir = path.join(UPLOADS_ROOT, folder);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+};
+
+/**
+ * Multer instance that stores files on disk under uploads/<folder>
+ * @param {string} folder - Folder under uploads/
+ * @param {object} options - { allowedTypes, maxFileSize, typeError }
+ */
+const createDiskUpload = (folder, options = {}) => {
+  const dir = uploadsDirFor(folder);
+  const allowedTypes = options.allowedTypes || ['image/jpeg', 'image/png', 'image/webp'];
+
+  return multer({
+    storage: multer.diskStorage({
+      destination: function (req, file, cb) {
+        cb(null, dir);
+      },
+      filename: function (req, file, cb) {
+        const ext = path.extname(file.originalname);
+        const base = path.basename(file.originalname, ext).replace(/[^a-zA-Z0-9_-]/g, '');
+        cb(null, `${Date.now()}_${base}${ext}`);
+      }
+    }),
+    limits: { fileSize: options.maxFileSize || 4 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+      if (allowedTypes.includes(file.mimetype)) return cb(null, true);
+      cb(new Error(options.typeError || 'Only JPG, PNG, WEBP are allowed'));
+    }
+  });
+};
+
+/**
+ * Publish a file multer stored under uploads/<folder>: mirror it to
+ * UploadThing when configured, otherwise serve it from /uploads
+ * @param {object} req - Request carrying req.file
+ * @param {string} folder - Folder the file was stored in
+ * @returns {Promise<{url: string, storage: string, fileName: string, originalName: string, mimeType: string, size: number}>}
+ */
+const publishUpload = async (req, folder) => {
+  const filePath = path.join(uploadsDirFor(folder), req.file.filename);
+  const publicUrl = `${req.protocol}://${req.get('host')}/uploads/${folder}/${req.file.filename}`;
+
+  let uploadthingUrl = null;
+  if (utapi) {
+    try {
+      const fileBuffer = await fs.promises.readFile(filePath);
+      const fileName = req.file.originalname || `${folder}_${Date.now()}`;
+      const uploadResponse = await utapi.uploadFiles([
+        new File([fileBuffer], fileName, {
+          type: req.file.mimetype || 'application/octet-stream',
+        }),
+      ]);
+
+      const uploadedFile = Array.isArray(uploadResponse)
+        ? uploadResponse[0]
+        : uploadResponse;
+
+      const remoteUrl =
+        uploadedFile?.data?.url ||
+        uploadedFile?.url ||
+        uploadedFile?.data?.[0]?.url;
+
+      if (remoteUrl) {
+        uploadthingUrl = remoteUrl;
+        // remove local file copy once uploaded successfully
+        fs.unlink(filePath, (err) => {
+          if (err) {
+            console.warn(`Failed to remove local ${folder} upload file:`, err.message);
+          }
+        });
+      }
+    } catch (error) {
+      console.error('UploadThing upload failed:', error.message);
+    }
+  }
+
+  return {
+    url: uploadthingUrl || publicUrl,
+    storage: uploadthingUrl ? 'uploadthing' : 'local',
+    fileName: req.file.filename,
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    size: req.file.size
+  };
+};
+
+module.exports = {
+  uploadsDirFor,
+  createDiskUpload,
+  publishUpload,
+};